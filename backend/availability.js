@@ -0,0 +1,165 @@
+const { getZonedDateTime, zonedTimeToUtc } = require('./timeZones');
+
+/* ---------------------------
+   PROVIDER AVAILABILITY
+   --------------------------- */
+
+// Schedules are wall-clock hours in the provider's own time zone.
+
+// Slots are offered on this grid (minutes)
+const SLOT_INTERVAL = 30;
+
+// Longest range a single slot query may cover (days)
+const MAX_SLOT_RANGE_DAYS = 62;
+
+// Used for providers who haven't published a schedule yet: every day, 09:00-21:00
+const DEFAULT_WEEKLY_AVAILABILITY = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+  dayOfWeek,
+  startTime: '09:00',
+  endTime: '21:00'
+}));
+
+// 24:00 lets a window run to the end of the day
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => (
+  `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+);
+
+// Calendar helpers work on plain YYYY-MM-DD strings so no time zone can shift the day
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+const daysBetween = (from, to) => (
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000)
+);
+
+// Validate a list of { startTime, endTime } windows; returns an error message or null
+const validateWindows = (windows, label) => {
+  if (!Array.isArray(windows)) return `${label} must be a list`;
+
+  for (const window of windows) {
+    if (!TIME_PATTERN.test(window.startTime || '') || !TIME_PATTERN.test(window.endTime || '')) {
+      return `${label}: times must be in HH:MM format`;
+    }
+    if (toMinutes(window.endTime) <= toMinutes(window.startTime)) {
+      return `${label}: end time must be after start time`;
+    }
+  }
+
+  return null;
+};
+
+// Validate a schedule payload { weekly, exceptions }; returns an error message or null
+const validateSchedule = ({ weekly, exceptions }) => {
+  if (!Array.isArray(weekly)) return 'Weekly availability must be a list';
+  if (exceptions !== undefined && !Array.isArray(exceptions)) return 'Exceptions must be a list';
+
+  for (const window of weekly) {
+    if (!Number.isInteger(window.dayOfWeek) || window.dayOfWeek < 0 || window.dayOfWeek > 6) {
+      return 'Weekly availability: dayOfWeek must be 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  const weeklyError = validateWindows(weekly, 'Weekly availability');
+  if (weeklyError) return weeklyError;
+
+  for (const exception of exceptions || []) {
+    if (!DATE_PATTERN.test(exception.date || '')) {
+      return 'Exceptions: date must be in YYYY-MM-DD format';
+    }
+    const windowsError = validateWindows(exception.windows || [], `Exception on ${exception.date}`);
+    if (windowsError) return windowsError;
+  }
+
+  return null;
+};
+
+// Availability windows for one date. A date exception replaces the weekly
+// schedule for that day; an exception with no windows blocks the whole day.
+const getWindowsForDate = (schedule, date) => {
+  const exception = (schedule.exceptions || []).find(e => e.date === date);
+  const windows = exception
+    ? exception.windows || []
+    : schedule.weekly.filter(w => w.dayOfWeek === getDayOfWeek(date));
+
+  return windows
+    .map(w => ({ start: toMinutes(w.startTime), end: toMinutes(w.endTime) }))
+    .sort((a, b) => a.start - b.start);
+};
+
+// Does a session of `duration` minutes starting at `startsAt` (an instant) fit
+// inside one window of the provider's day?
+const isWithinAvailability = (schedule, startsAt, duration, timeZone) => {
+  const { date, time } = getZonedDateTime(startsAt, timeZone);
+  const start = toMinutes(time);
+  return getWindowsForDate(schedule, date).some(
+    w => start >= w.start && start + duration <= w.end
+  );
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// Free slots per date between `from` and `to` (inclusive), minus busy intervals.
+// Windows are read in the provider's `timeZone`; the result is keyed by dates and
+// times in `viewerTimeZone`, so the provider's days either side are included too.
+// busy: [{ start: Date, end: Date }], now: Date (slots in the past are skipped)
+const generateSlots = (schedule, {
+  from,
+  to,
+  duration,
+  timeZone,
+  viewerTimeZone = timeZone,
+  busy = [],
+  now = new Date()
+}) => {
+  const slots = {};
+  const dayCount = daysBetween(from, to);
+
+  for (let offset = -1; offset <= dayCount + 1; offset++) {
+    const date = addDays(from, offset);
+
+    getWindowsForDate(schedule, date).forEach(window => {
+      for (let start = window.start; start + duration <= window.end; start += SLOT_INTERVAL) {
+        const slotStart = zonedTimeToUtc(date, fromMinutes(start), timeZone);
+        const slotEnd = new Date(slotStart.getTime() + duration * 60000);
+
+        if (slotStart <= now) continue;
+        if (busy.some(b => overlaps(slotStart, slotEnd, b.start, b.end))) continue;
+
+        const local = getZonedDateTime(slotStart, viewerTimeZone);
+        if (local.date < from || local.date > to) continue;
+
+        slots[local.date] = slots[local.date] || [];
+        if (!slots[local.date].includes(local.time)) slots[local.date].push(local.time);
+      }
+    });
+  }
+
+  Object.values(slots).forEach(times => times.sort());
+  return slots;
+};
+
+module.exports = {
+  SLOT_INTERVAL,
+  MAX_SLOT_RANGE_DAYS,
+  DEFAULT_WEEKLY_AVAILABILITY,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  addDays,
+  daysBetween,
+  validateSchedule,
+  isWithinAvailability,
+  generateSlots
+};
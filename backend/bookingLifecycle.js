@@ -0,0 +1,203 @@
+/* ---------------------------
+   BOOKING LIFECYCLE
+   --------------------------- */
+
+// pending -> confirmed | declined -> in_progress -> completed | no_show.
+// The seeker can withdraw a pending request and either party can cancel a
+// confirmed session before it starts. A no-show is reported by the party who
+// turned up, about the other one. Completion needs both parties to confirm
+// the session took place (see recordCompletionConfirmation).
+const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'declined',
+  'in_progress',
+  'completed',
+  'no_show',
+  'cancelled'
+];
+
+// For each status, the statuses it can move to and who may make that move
+const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ['provider'],
+    declined: ['provider'],
+    cancelled: ['seeker']
+  },
+  confirmed: {
+    in_progress: ['provider', 'seeker'],
+    cancelled: ['provider', 'seeker'],
+    no_show: ['provider', 'seeker']
+  },
+  in_progress: {
+    completed: ['provider', 'seeker'],
+    no_show: ['provider', 'seeker']
+  }
+};
+
+// Statuses a booking can be moved to (i.e. every status except the initial one)
+const TARGET_STATUSES = BOOKING_STATUSES.filter(status => status !== 'pending');
+
+// Bookings in these statuses no longer take up the time slot
+const RELEASED_STATUSES = ['declined', 'cancelled'];
+
+// A session can be started this long before its scheduled time
+const START_EARLY_MINUTES = 15;
+
+// Once one party confirms completion, the other has this long to confirm or
+// report a no-show before the session is completed automatically
+const COMPLETION_CONFIRM_WINDOW_HOURS = 48;
+
+// "A confirmed booking", "An in progress booking"
+const describeBooking = (status) => {
+  const words = status.replace('_', ' ');
+  return `${/^[aeiou]/.test(words) ? 'An' : 'A'} ${words} booking`;
+};
+
+const getParticipantRole = (booking, userId) => {
+  if (booking.providerId === userId) return 'provider';
+  if (booking.seekerId === userId) return 'seeker';
+  return null;
+};
+
+const holdsTimeSlot = (booking) => !RELEASED_STATUSES.includes(booking.status);
+
+const hasConfirmedCompletion = (booking, userId) => {
+  const role = getParticipantRole(booking, userId);
+  return Boolean(role && booking.completion?.[`${role}ConfirmedAt`]);
+};
+
+// Why `userId` can't move the booking to `status` right now, or null if they can
+const getTransitionError = (booking, userId, status, now = new Date()) => {
+  const role = getParticipantRole(booking, userId);
+  const allowedRoles = BOOKING_TRANSITIONS[booking.status]?.[status];
+
+  if (!allowedRoles) {
+    return `${describeBooking(booking.status)} cannot be marked ${status.replace('_', ' ')}`;
+  }
+  if (!allowedRoles.includes(role)) {
+    return `Only the ${allowedRoles.join(' or ')} can do that`;
+  }
+
+  const startsAt = new Date(booking.startsAt);
+  if (status === 'in_progress' && now < new Date(startsAt.getTime() - START_EARLY_MINUTES * 60000)) {
+    return `Sessions can be started at most ${START_EARLY_MINUTES} minutes early`;
+  }
+  if (status === 'cancelled' && booking.status === 'confirmed' && now >= startsAt) {
+    return 'This session has already started; report a no-show instead';
+  }
+  if (status === 'no_show' && now < startsAt) {
+    return 'A no-show can only be reported once the session was due to start';
+  }
+  if (status === 'completed' && hasConfirmedCompletion(booking, userId)) {
+    return 'You have already confirmed this session; waiting for the other person';
+  }
+  if (status === 'no_show' && hasConfirmedCompletion(booking, userId)) {
+    return 'You have confirmed this session took place';
+  }
+
+  return null;
+};
+
+// Why `userId` can't move the booking to another time, or null if they can.
+// Until the provider answers, the request is the seeker's to change.
+const getRescheduleError = (booking, userId, now = new Date()) => {
+  if (getParticipantRole(booking, userId) !== 'seeker') {
+    return 'Only the person who requested the session can move it';
+  }
+  if (booking.status !== 'pending') {
+    return 'Only session requests that are still pending can be moved';
+  }
+  if (new Date(booking.startsAt) <= now) {
+    return 'This session has already started';
+  }
+  return null;
+};
+
+// Why `userId` can't propose a new time for the booking, or null if they can.
+// A seeker with a pending request moves it directly instead.
+const getProposalError = (booking, userId, now = new Date()) => {
+  const role = getParticipantRole(booking, userId);
+  if (!role) {
+    return 'Not authorized to update this booking';
+  }
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    return `${describeBooking(booking.status)} cannot be moved`;
+  }
+  if (new Date(booking.startsAt) <= now) {
+    return 'This session has already started';
+  }
+  if (booking.status === 'pending' && role === 'seeker') {
+    return 'Your request is still pending, so you can move it yourself';
+  }
+  return null;
+};
+
+// The moves `userId` can make on the booking right now
+const getAvailableTransitions = (booking, userId, now = new Date()) => (
+  Object.keys(BOOKING_TRANSITIONS[booking.status] || {})
+    .filter(status => !getTransitionError(booking, userId, status, now))
+);
+
+// Record that `userId` attests the session took place. The first confirmation
+// starts the auto-complete window; `isComplete` is true once both have confirmed.
+const recordCompletionConfirmation = (booking, userId, now = new Date()) => {
+  const role = getParticipantRole(booking, userId);
+  const completion = {
+    providerConfirmedAt: null,
+    seekerConfirmedAt: null,
+    autoCompleteAt: new Date(now.getTime() + COMPLETION_CONFIRM_WINDOW_HOURS * 3600000).toISOString(),
+    ...booking.completion,
+    [`${role}ConfirmedAt`]: now.toISOString()
+  };
+
+  return {
+    completion,
+    isComplete: Boolean(completion.providerConfirmedAt && completion.seekerConfirmedAt)
+  };
+};
+
+// Sessions where the other party let the confirmation window run out
+const isDueForAutoCompletion = (booking, now = new Date()) => (
+  booking.status === 'in_progress' &&
+  Boolean(booking.completion?.autoCompleteAt) &&
+  new Date(booking.completion.autoCompleteAt) <= now
+);
+
+// Sessions still pending or confirmed once the window after their end has
+// passed. Nobody started them, so they're cancelled to release the hold.
+const isDueForAutoCancellation = (booking, now = new Date()) => (
+  ['pending', 'confirmed'].includes(booking.status) &&
+  new Date(booking.endsAt).getTime() + COMPLETION_CONFIRM_WINDOW_HOURS * 3600000 <= now.getTime()
+);
+
+// One entry in a booking's history. `from` is null for the creation entry and
+// `userId` is null for changes the server makes on its own. `details` adds
+// fields for entries that aren't a plain status change, e.g. a new time.
+const createBookingEvent = (from, status, userId, reason = '', details = {}) => ({
+  from,
+  status,
+  changedAt: new Date().toISOString(),
+  changedBy: userId,
+  reason,
+  ...details
+});
+
+module.exports = {
+  BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+  TARGET_STATUSES,
+  START_EARLY_MINUTES,
+  COMPLETION_CONFIRM_WINDOW_HOURS,
+  getParticipantRole,
+  holdsTimeSlot,
+  hasConfirmedCompletion,
+  getTransitionError,
+  getRescheduleError,
+  getProposalError,
+  getAvailableTransitions,
+  recordCompletionConfirmation,
+  isDueForAutoCompletion,
+  isDueForAutoCancellation,
+  createBookingEvent
+};
@@ -0,0 +1,500 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  SKILL_CATALOGUE_SEED,
+  createCustomSkill,
+  findCatalogueSkill
+} = require('./skillCatalogue');
+const { DEFAULT_TIME_ZONE, SERVER_TIME_ZONE, zonedTimeToUtc } = require('./timeZones');
+const { generateId, isId } = require('./ids');
+const { PROJECT_STATUSES } = require('./projectLifecycle');
+
+/* ---------------------------
+   STORAGE DRIVERS
+   --------------------------- */
+
+// JSON file on disk, written atomically (temp file + rename)
+const jsonFileDriver = (filePath) => ({
+  name: 'json',
+  read: () => {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  },
+  write: (data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+});
+
+// Keeps everything in process memory (useful for local experiments)
+const memoryDriver = () => {
+  let snapshot = null;
+  return {
+    name: 'memory',
+    read: () => snapshot,
+    write: (data) => {
+      snapshot = data;
+    }
+  };
+};
+
+const createDriver = () => {
+  const driverName = process.env.DB_DRIVER || 'json';
+
+  if (driverName === 'memory') {
+    return memoryDriver();
+  }
+
+  if (driverName === 'json') {
+    return jsonFileDriver(process.env.DB_FILE || path.join(__dirname, 'data', 'db.json'));
+  }
+
+  throw new Error(`Unknown DB_DRIVER "${driverName}"`);
+};
+
+/* ---------------------------
+   SCHEMA MIGRATIONS
+   --------------------------- */
+
+// Collections whose records get generated ids (the skill catalogue keeps its
+// readable slugs, and session ids are only ever used inside refresh tokens)
+const ID_COLLECTIONS = [
+  'users', 'projects', 'userSkills', 'bookings', 'reviews',
+  'creditTransactions', 'availability', 'emailOutbox'
+];
+
+// Give every record a generated id dated from its createdAt, then point every
+// reference at the new ids. Records that shared an id get different ones; their
+// references can't be told apart, so they keep pointing at the first of them.
+const reassignIds = (data) => {
+  const idMaps = {};
+
+  ID_COLLECTIONS.forEach(name => {
+    const idMap = new Map();
+    data[name].forEach(record => {
+      if (isId(record.id)) return;
+      const newId = generateId(Date.parse(record.createdAt) || undefined);
+      if (!idMap.has(record.id)) idMap.set(record.id, newId);
+      record.id = newId;
+    });
+    idMaps[name] = idMap;
+  });
+
+  const remap = (name, value) => idMaps[name].get(value) ?? value;
+  const toUser = (value) => remap('users', value);
+  const toTransaction = (value) => remap('creditTransactions', value);
+  const toSkill = (value) => remap('userSkills', value);
+
+  data.projects.forEach(project => {
+    project.creatorId = toUser(project.creatorId);
+    project.members = (project.members || []).map(toUser);
+  });
+
+  data.userSkills.forEach(skill => {
+    skill.userId = toUser(skill.userId);
+  });
+
+  data.bookings.forEach(booking => {
+    booking.providerId = toUser(booking.providerId);
+    booking.seekerId = toUser(booking.seekerId);
+    if (booking.skillId) booking.skillId = toSkill(booking.skillId);
+
+    const escrow = booking.escrow;
+    if (!escrow) return;
+    if (escrow.holdTransactionId) escrow.holdTransactionId = toTransaction(escrow.holdTransactionId);
+    if (escrow.settlementTransactionId) {
+      escrow.settlementTransactionId = toTransaction(escrow.settlementTransactionId);
+    }
+    if (escrow.releaseTransactionIds) {
+      escrow.releaseTransactionIds = escrow.releaseTransactionIds.map(toTransaction);
+    }
+  });
+
+  data.reviews.forEach(review => {
+    review.reviewerId = toUser(review.reviewerId);
+    review.revieweeId = toUser(review.revieweeId);
+    review.bookingId = remap('bookings', review.bookingId);
+    if (review.skillId) review.skillId = toSkill(review.skillId);
+  });
+
+  data.creditTransactions.forEach(transaction => {
+    transaction.userId = toUser(transaction.userId);
+    if (transaction.grantedBy) transaction.grantedBy = toUser(transaction.grantedBy);
+    if (transaction.linkedTransactionId) {
+      transaction.linkedTransactionId = toTransaction(transaction.linkedTransactionId);
+    }
+    // Booking transactions relate to a booking, event rewards to the user
+    if (transaction.relatedId) {
+      transaction.relatedId = idMaps.bookings.get(transaction.relatedId) ?? toUser(transaction.relatedId);
+    }
+    // "ACTION:userId:subject", so a reward already paid isn't paid again
+    if (transaction.idempotencyKey) {
+      transaction.idempotencyKey = transaction.idempotencyKey.split(':').map(toUser).join(':');
+    }
+  });
+
+  data.availability.forEach(schedule => {
+    schedule.providerId = toUser(schedule.providerId);
+  });
+
+  // Access tokens and cached profiles carry the old user ids, so everyone
+  // signs in again once
+  const now = new Date().toISOString();
+  data.sessions.forEach(session => {
+    session.userId = toUser(session.userId);
+    session.revokedAt = session.revokedAt || now;
+  });
+
+  // Outstanding email links were signed for the old id. Uploaded avatars keep
+  // their "<userId>-<timestamp>.<ext>" names: renaming the files here would
+  // run before the migrated data is saved, so a crash in between would leave
+  // users pointing at files that are gone.
+  data.users.forEach(user => {
+    user.emailVerificationTokenId = null;
+    user.passwordResetTokenId = null;
+  });
+};
+
+// Each migration runs once, in order, and bumps data.schemaVersion
+const migrations = [
+  {
+    version: 1,
+    description: 'Create core collections',
+    up: (data) => {
+      ['users', 'projects', 'userSkills', 'bookings', 'reviews', 'creditTransactions']
+        .forEach(name => {
+          data[name] = data[name] || [];
+        });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add email outbox',
+    up: (data) => {
+      data.emailOutbox = data.emailOutbox || [];
+    }
+  },
+  {
+    version: 3,
+    description: 'Seed skill catalogue and normalise existing skill names',
+    up: (data) => {
+      const createdAt = new Date().toISOString();
+      data.skillCatalogue = data.skillCatalogue || [];
+
+      SKILL_CATALOGUE_SEED.forEach(entry => {
+        if (!data.skillCatalogue.some(e => e.id === entry.id)) {
+          data.skillCatalogue.push({ ...entry, createdAt });
+        }
+      });
+
+      data.userSkills.forEach(skill => {
+        let entry = findCatalogueSkill(data.skillCatalogue, skill.skillName);
+        if (!entry) {
+          entry = { ...createCustomSkill(skill.skillName), createdAt };
+          data.skillCatalogue.push(entry);
+        }
+        skill.skillName = entry.name;
+        skill.catalogueId = entry.id;
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Add provider availability',
+    up: (data) => {
+      data.availability = data.availability || [];
+    }
+  },
+  {
+    version: 5,
+    description: 'Add user time zones and store bookings as UTC instants',
+    up: (data) => {
+      data.users.forEach(user => {
+        user.timeZone = user.timeZone || DEFAULT_TIME_ZONE;
+      });
+
+      // Older bookings kept naive date/time strings that the server read in its own zone
+      data.bookings.forEach(booking => {
+        if (booking.startsAt || !booking.date || !booking.time) return;
+
+        const startsAt = zonedTimeToUtc(booking.date, booking.time, SERVER_TIME_ZONE);
+        booking.startsAt = startsAt.toISOString();
+        booking.endsAt = new Date(startsAt.getTime() + (booking.duration || 60) * 60000).toISOString();
+        booking.timeZone = SERVER_TIME_ZONE;
+        delete booking.date;
+        delete booking.time;
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add login sessions',
+    up: (data) => {
+      data.sessions = data.sessions || [];
+    }
+  },
+  {
+    version: 7,
+    description: 'Add email verification (existing accounts count as verified)',
+    up: (data) => {
+      data.users.forEach(user => {
+        if (user.emailVerified === undefined) user.emailVerified = true;
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Replace timestamp ids with generated ids',
+    up: reassignIds
+  },
+  {
+    version: 9,
+    description: 'Add project member roles and join requests',
+    up: (data) => {
+      data.projects.forEach(project => {
+        // members used to be a plain list of user ids, creator first
+        project.members = (project.members || []).map(member => (
+          typeof member === 'string'
+            ? {
+              userId: member,
+              role: member === project.creatorId ? 'owner' : 'member',
+              joinedAt: project.createdAt
+            }
+            : member
+        ));
+
+        if (project.members.length > 0 && !project.members.some(m => m.role === 'owner')) {
+          project.members[0].role = 'owner';
+        }
+
+        project.joinRequests = project.joinRequests || [];
+        project.maxMembers = project.maxMembers || null;
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Add project status history and soft deletion',
+    up: (data) => {
+      data.projects.forEach(project => {
+        // Every project used to be created "active" and stay that way
+        project.status = PROJECT_STATUSES.includes(project.status) ? project.status : 'active';
+        project.statusHistory = project.statusHistory || [{
+          status: project.status,
+          changedAt: project.createdAt,
+          changedBy: project.creatorId,
+          note: ''
+        }];
+        project.deletedAt = project.deletedAt || null;
+        project.updatedAt = project.updatedAt || project.createdAt;
+      });
+    }
+  },
+  {
+    version: 11,
+    description: 'Add project tasks',
+    up: (data) => {
+      data.projectTasks = data.projectTasks || [];
+    }
+  },
+  {
+    version: 12,
+    description: 'Add direct messages',
+    up: (data) => {
+      data.conversations = data.conversations || [];
+      data.messages = data.messages || [];
+    }
+  },
+  {
+    version: 13,
+    description: 'Add notifications',
+    up: (data) => {
+      data.notifications = data.notifications || [];
+    }
+  },
+  {
+    version: 14,
+    description: 'Add booking history',
+    up: (data) => {
+      data.bookings.forEach(booking => {
+        if (booking.history) return;
+
+        booking.history = [{
+          from: null,
+          status: 'pending',
+          changedAt: booking.createdAt,
+          changedBy: booking.seekerId,
+          reason: ''
+        }];
+
+        // Only the provider could confirm; anyone could cancel or complete, so
+        // those changes are recorded without an actor
+        if (booking.confirmedAt) {
+          booking.history.push({
+            from: 'pending',
+            status: 'confirmed',
+            changedAt: booking.confirmedAt,
+            changedBy: booking.providerId,
+            reason: ''
+          });
+        }
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+          booking.history.push({
+            from: booking.confirmedAt ? 'confirmed' : 'pending',
+            status: booking.status,
+            changedAt: booking.updatedAt || booking.createdAt,
+            changedBy: null,
+            reason: ''
+          });
+        }
+      });
+    }
+  },
+  {
+    version: 15,
+    description: 'Add recurring booking series',
+    up: (data) => {
+      data.bookingSeries = data.bookingSeries || [];
+      data.bookings.forEach(booking => {
+        booking.seriesId = booking.seriesId || null;
+      });
+    }
+  },
+  {
+    version: 16,
+    description: 'Add workshops',
+    up: (data) => {
+      data.workshops = data.workshops || [];
+      data.workshopEnrolments = data.workshopEnrolments || [];
+    }
+  }
+];
+
+/* ---------------------------
+   DATABASE
+   --------------------------- */
+
+const driver = createDriver();
+let data = null;
+let writeScheduled = false;
+
+// Write the data out now if any change is still waiting to be written
+const flush = () => {
+  if (!writeScheduled) return;
+  writeScheduled = false;
+  driver.write(data);
+};
+
+// Changes made while handling one request (or one loop over many records)
+// are written together once the current tick is done, instead of rewriting
+// the whole file for each of them
+const persist = () => {
+  if (writeScheduled) return;
+  writeScheduled = true;
+  setImmediate(flush);
+};
+
+// Don't lose the last changes when the process exits or is stopped
+process.on('exit', flush);
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, () => {
+    flush();
+    process.kill(process.pid, signal);
+  });
+});
+
+const getCollection = (name) => {
+  if (!data) {
+    throw new Error('Database not initialised. Call db.init() first.');
+  }
+  if (!data[name]) {
+    throw new Error(`Unknown collection "${name}"`);
+  }
+  return data[name];
+};
+
+const clone = (record) => (record === undefined ? undefined : structuredClone(record));
+
+// Repository per entity. Reads return copies, so every change has to go
+// through insert/update/remove to be persisted.
+const createRepository = (collectionName) => ({
+  all: () => getCollection(collectionName).map(clone),
+
+  find: (predicate) => clone(getCollection(collectionName).find(predicate)),
+
+  findById: (id) => clone(getCollection(collectionName).find(r => r.id === id)),
+
+  filter: (predicate) => getCollection(collectionName).filter(predicate).map(clone),
+
+  some: (predicate) => getCollection(collectionName).some(predicate),
+
+  count: (predicate = () => true) => getCollection(collectionName).filter(predicate).length,
+
+  insert: (record) => {
+    getCollection(collectionName).push(clone(record));
+    persist();
+    return clone(record);
+  },
+
+  update: (id, changes) => {
+    const collection = getCollection(collectionName);
+    const index = collection.findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    collection[index] = { ...collection[index], ...clone(changes) };
+    persist();
+    return clone(collection[index]);
+  },
+
+  remove: (id) => {
+    const collection = getCollection(collectionName);
+    const index = collection.findIndex(r => r.id === id);
+    if (index === -1) return false;
+
+    collection.splice(index, 1);
+    persist();
+    return true;
+  }
+});
+
+// Load existing data and bring it up to the latest schema version
+const init = () => {
+  data = driver.read() || { schemaVersion: 0 };
+  data.schemaVersion = data.schemaVersion || 0;
+
+  const pending = migrations.filter(m => m.version > data.schemaVersion);
+  pending.forEach(migration => {
+    console.log(`🗄️  Running migration ${migration.version}: ${migration.description}`);
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  });
+
+  // Migrated data is on disk before anything else runs
+  writeScheduled = true;
+  flush();
+  console.log(`🗄️  Database ready (${driver.name} driver, schema v${data.schemaVersion})`);
+};
+
+module.exports = {
+  init,
+  flush,
+  users: createRepository('users'),
+  projects: createRepository('projects'),
+  userSkills: createRepository('userSkills'),
+  bookings: createRepository('bookings'),
+  reviews: createRepository('reviews'),
+  creditTransactions: createRepository('creditTransactions'),
+  emailOutbox: createRepository('emailOutbox'),
+  skillCatalogue: createRepository('skillCatalogue'),
+  availability: createRepository('availability'),
+  sessions: createRepository('sessions'),
+  projectTasks: createRepository('projectTasks'),
+  conversations: createRepository('conversations'),
+  messages: createRepository('messages'),
+  notifications: createRepository('notifications'),
+  bookingSeries: createRepository('bookingSeries'),
+  workshops: createRepository('workshops'),
+  workshopEnrolments: createRepository('workshopEnrolments')
+};
@@ -1,24 +1,53 @@
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const db = require('./db');
+const { generateId } = require('./ids');
+
+// EMAIL_TRANSPORT=stub renders and "sends" emails locally without an SMTP server
+const useStubTransport = process.env.EMAIL_TRANSPORT === 'stub';
+
+// Where the stub transport keeps the emails it "sent", so links in them
+// (email verification, password reset) can be followed during development
+const STUB_OUTBOX_FILE = process.env.EMAIL_STUB_FILE || path.join(__dirname, 'data', 'sent-emails.log');
 
 // Create transporter
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-  port: process.env.EMAIL_PORT || 587,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD,
-  },
-});
+const transporter = useStubTransport
+  ? nodemailer.createTransport({ jsonTransport: true })
+  : nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: process.env.EMAIL_PORT || 587,
+    secure: false,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD,
+    },
+  });
 
 // Verify connection on startup
-transporter.verify(function (error, success) {
-  if (error) {
-    console.log('⚠️  Email service not configured:', error.message);
-  } else {
-    console.log('✅ Email service ready');
-  }
-});
+if (useStubTransport) {
+  console.log(`✅ Email service ready (stub transport, writing to ${STUB_OUTBOX_FILE})`);
+} else {
+  transporter.verify(function (error, success) {
+    if (error) {
+      console.log('⚠️  Email service not configured:', error.message);
+    } else {
+      console.log('✅ Email service ready');
+    }
+  });
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Text people typed (names, messages, reasons) goes into the HTML escaped, so
+// it shows as text and can't add links or markup to an email we send
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 
 // Email templates
 const emailTemplates = {
@@ -26,7 +55,7 @@ const emailTemplates = {
     subject: 'Welcome to SkilLink! 🎉',
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h1 style="color: #21808d;">Welcome to SkilLink, ${userName}! 🤝</h1>
+        <h1 style="color: #21808d;">Welcome to SkilLink, ${escapeHtml(userName)}! 🤝</h1>
         <p>Thank you for joining our skill exchange community!</p>
         <p>You've received <strong>100 credits</strong> to get started.</p>
         <h3>Get Started:</h3>
@@ -56,12 +85,12 @@ const emailTemplates = {
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <h1 style="color: #21808d;">New Booking Request 📅</h1>
-        <p>Hi ${providerName},</p>
-        <p><strong>${seekerName}</strong> has requested to book a session with you!</p>
+        <p>Hi ${escapeHtml(providerName)},</p>
+        <p><strong>${escapeHtml(seekerName)}</strong> has requested to book a session with you!</p>
         <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
           <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
-          ${message ? `<p style="margin: 10px 0;"><strong>Message:</strong><br>${message}</p>` : ''}
+          ${message ? `<p style="margin: 10px 0;"><strong>Message:</strong><br>${escapeHtml(message)}</p>` : ''}
         </div>
         <p>
           <a href="http://localhost:5173/booking" 
@@ -79,8 +108,8 @@ const emailTemplates = {
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <h1 style="color: #21808d;">Booking Confirmed! ✅</h1>
-        <p>Hi ${seekerName},</p>
-        <p><strong>${providerName}</strong> has confirmed your booking!</p>
+        <p>Hi ${escapeHtml(seekerName)},</p>
+        <p><strong>${escapeHtml(providerName)}</strong> has confirmed your booking!</p>
         <div style="background: #e8f5f7; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
           <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
@@ -97,12 +126,215 @@ const emailTemplates = {
     `,
   }),
 
+  bookingCancelled: (userName, otherName, date, time, reason) => ({
+    subject: '❌ Booking Cancelled',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">Booking Cancelled</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p><strong>${escapeHtml(otherName)}</strong> has cancelled your session.</p>
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
+          <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
+          ${reason ? `<p style="margin: 10px 0;"><strong>Reason:</strong><br>${escapeHtml(reason)}</p>` : ''}
+        </div>
+        <p>Any credits held for the session have been released.</p>
+        <p>
+          <a href="http://localhost:5173/booking" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            View Bookings
+          </a>
+        </p>
+      </div>
+    `,
+  }),
+
+  bookingDeclined: (seekerName, providerName, date, time, reason) => ({
+    subject: 'Booking Request Declined',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">Booking Request Declined</h1>
+        <p>Hi ${escapeHtml(seekerName)},</p>
+        <p><strong>${escapeHtml(providerName)}</strong> can't take your session request.</p>
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
+          <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
+          ${reason ? `<p style="margin: 10px 0;"><strong>Reason:</strong><br>${escapeHtml(reason)}</p>` : ''}
+        </div>
+        <p>The credits held for the session have been returned to you in full.</p>
+        <p>
+          <a href="http://localhost:5173/search" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            Find Another Match
+          </a>
+        </p>
+      </div>
+    `,
+  }),
+
+  bookingNoShow: (userName, reporterName, date, time, reason) => ({
+    subject: 'Missed Session Reported',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">Missed Session Reported</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p><strong>${escapeHtml(reporterName)}</strong> reported that you didn't attend your session.</p>
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
+          <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
+          ${reason ? `<p style="margin: 10px 0;"><strong>Note:</strong><br>${escapeHtml(reason)}</p>` : ''}
+        </div>
+        <p>If this isn't right, get in touch with ${escapeHtml(reporterName)} through SkilLink.</p>
+        <p>
+          <a href="http://localhost:5173/booking" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            View Bookings
+          </a>
+        </p>
+      </div>
+    `,
+  }),
+
+  bookingCompletionRequested: (userName, otherName, date, time, windowHours) => ({
+    subject: '🎉 Confirm your session',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">Did your session take place? 🎉</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p><strong>${escapeHtml(otherName)}</strong> confirmed that your session took place.</p>
+        <div style="background: #e8f5f7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
+          <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
+        </div>
+        <p>Please confirm it too, or report a problem. If you don't respond within ${windowHours} hours, the session is completed automatically and the credits are paid.</p>
+        <p>
+          <a href="http://localhost:5173/booking" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            View Bookings
+          </a>
+        </p>
+      </div>
+    `,
+  }),
+
+  // `event` is proposed, countered, accepted or declined
+  bookingReschedule: (userName, otherName, event, date, time, reason) => {
+    const headline = {
+      proposed: `${escapeHtml(otherName)} proposed a new time for your session.`,
+      countered: `${escapeHtml(otherName)} suggested another time for your session.`,
+      accepted: `${escapeHtml(otherName)} accepted the new time. Your session has moved.`,
+      declined: `${escapeHtml(otherName)} declined the new time you proposed. The session keeps its current time.`
+    }[event];
+
+    return {
+      subject: event === 'accepted' ? '📅 Session Moved' : '📅 New Time Proposed',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h1 style="color: #21808d;">${event === 'accepted' ? 'Session Moved' : 'Reschedule Request'}</h1>
+          <p>Hi ${escapeHtml(userName)},</p>
+          <p>${headline}</p>
+          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
+            <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
+            ${reason ? `<p style="margin: 10px 0;"><strong>Note:</strong><br>${escapeHtml(reason)}</p>` : ''}
+          </div>
+          <p>
+            <a href="http://localhost:5173/booking" 
+               style="background: #21808d; color: white; padding: 12px 24px; 
+                      text-decoration: none; border-radius: 8px; display: inline-block;">
+              View Bookings
+            </a>
+          </p>
+        </div>
+      `,
+    };
+  },
+
+  // `event` is enrolled, waitlisted or left
+  workshopEnrolment: (hostName, learnerName, title, date, time, event, seatsLeft) => {
+    const headline = {
+      enrolled: `${escapeHtml(learnerName)} took a seat in your workshop.`,
+      waitlisted: `${escapeHtml(learnerName)} joined the waitlist for your workshop.`,
+      left: `${escapeHtml(learnerName)} gave up their seat in your workshop.`
+    }[event];
+
+    return {
+      subject: `🎓 ${title}: ${event === 'left' ? 'Seat Freed' : 'New Sign-up'}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h1 style="color: #21808d;">${escapeHtml(title)}</h1>
+          <p>Hi ${escapeHtml(hostName)},</p>
+          <p>${headline}</p>
+          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
+            <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
+            <p style="margin: 5px 0;"><strong>🪑 Seats left:</strong> ${seatsLeft}</p>
+          </div>
+        </div>
+      `,
+    };
+  },
+
+  // `event` is promoted (off the waitlist) or cancelled (by the host)
+  workshopUpdate: (userName, hostName, title, date, time, event, reason) => {
+    const headline = {
+      promoted: `A seat opened up and it's yours: you're now enrolled in ${escapeHtml(hostName)}'s workshop.`,
+      cancelled: `${escapeHtml(hostName)} cancelled the workshop. Any credits held for your seat have been refunded.`
+    }[event];
+
+    return {
+      subject: event === 'promoted' ? `🎓 You're In: ${title}` : `❌ Workshop Cancelled: ${title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h1 style="color: #21808d;">${escapeHtml(title)}</h1>
+          <p>Hi ${escapeHtml(userName)},</p>
+          <p>${headline}</p>
+          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${date}</p>
+            <p style="margin: 5px 0;"><strong>🕐 Time:</strong> ${time}</p>
+            ${reason ? `<p style="margin: 10px 0;"><strong>Note:</strong><br>${escapeHtml(reason)}</p>` : ''}
+          </div>
+          <p>
+            <a href="http://localhost:5173/search" 
+               style="background: #21808d; color: white; padding: 12px 24px; 
+                      text-decoration: none; border-radius: 8px; display: inline-block;">
+              View Workshops
+            </a>
+          </p>
+        </div>
+      `,
+    };
+  },
+
+  reviewReceived: (userName, reviewerName, rating, comment) => ({
+    subject: `⭐ ${reviewerName} left you a review`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">New Review ⭐</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p><strong>${escapeHtml(reviewerName)}</strong> rated your session ${'⭐'.repeat(rating)}</p>
+        ${comment ? `<div style="background: #e8f5f7; padding: 20px; border-radius: 8px; margin: 20px 0;"><p style="margin: 0;">${escapeHtml(comment)}</p></div>` : ''}
+        <p>
+          <a href="http://localhost:5173/dashboard" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            View Dashboard
+          </a>
+        </p>
+      </div>
+    `,
+  }),
+
   creditsAwarded: (userName, amount, reason, newBalance) => ({
     subject: `💰 You earned ${amount} credits!`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <h1 style="color: #21808d;">Credits Earned! 💰</h1>
-        <p>Hi ${userName},</p>
+        <p>Hi ${escapeHtml(userName)},</p>
         <p>Great news! You've earned <strong>${amount} credits</strong>!</p>
         <div style="background: #e8f5f7; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <p style="margin: 5px 0;"><strong>Reason:</strong> ${reason.replace(/_/g, ' ')}</p>
@@ -119,16 +351,121 @@ const emailTemplates = {
       </div>
     `,
   }),
+
+  verifyEmail: (userName, verifyUrl) => ({
+    subject: '📧 Confirm your SkilLink email address',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">Confirm your email 📧</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p>Please confirm this is your email address so you can book sessions and create projects.</p>
+        <p style="margin: 30px 0;">
+          <a href="${verifyUrl}" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            Verify Email
+          </a>
+        </p>
+        <p style="color: #666;">This link expires in 24 hours. If you didn't create a SkilLink account, you can ignore this email.</p>
+      </div>
+    `,
+  }),
+
+  passwordReset: (userName, resetUrl) => ({
+    subject: '🔑 Reset your SkilLink password',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">Reset your password 🔑</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p>We received a request to reset your password. Click below to choose a new one.</p>
+        <p style="margin: 30px 0;">
+          <a href="${resetUrl}" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            Reset Password
+          </a>
+        </p>
+        <p style="color: #666;">This link expires in 1 hour and can only be used once. If you didn't ask for a reset, you can ignore this email and your password will stay the same.</p>
+      </div>
+    `,
+  }),
+
+  projectJoinRequest: (ownerName, requesterName, projectTitle, message) => ({
+    subject: `🤝 ${requesterName} wants to join ${projectTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">New Join Request 🤝</h1>
+        <p>Hi ${escapeHtml(ownerName)},</p>
+        <p><strong>${escapeHtml(requesterName)}</strong> would like to join your project <strong>${escapeHtml(projectTitle)}</strong>.</p>
+        ${message ? `<div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;"><p style="margin: 0;">${escapeHtml(message)}</p></div>` : ''}
+        <p>
+          <a href="http://localhost:5173/projects" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            Review Request
+          </a>
+        </p>
+      </div>
+    `,
+  }),
+
+  projectJoinDecision: (userName, projectTitle, approved) => ({
+    subject: approved
+      ? `🎉 You've joined ${projectTitle}`
+      : `Your request to join ${projectTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">${approved ? 'Welcome to the team! 🎉' : 'Join request declined'}</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p>${approved
+    ? `Your request to join <strong>${escapeHtml(projectTitle)}</strong> was approved.`
+    : `Your request to join <strong>${escapeHtml(projectTitle)}</strong> wasn't accepted this time. There are plenty of other projects looking for your skills!`}</p>
+        <p>
+          <a href="http://localhost:5173/projects" 
+             style="background: #21808d; color: white; padding: 12px 24px; 
+                    text-decoration: none; border-radius: 8px; display: inline-block;">
+            View Projects
+          </a>
+        </p>
+      </div>
+    `,
+  }),
+
+  passwordChanged: (userName) => ({
+    subject: '🔒 Your SkilLink password was changed',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h1 style="color: #21808d;">Password changed 🔒</h1>
+        <p>Hi ${escapeHtml(userName)},</p>
+        <p>Your password was just changed and all devices were signed out.</p>
+        <p style="color: #666;">If this wasn't you, reset your password right away from the login page.</p>
+      </div>
+    `,
+  }),
+};
+
+// Recipient, subject and links of an email that isn't really sent, for the log
+const describeUnsentEmail = (to, subject, links) => (
+  `To ${to}: ${subject}${links.map(link => `\n   ${link}`).join('')}`
+);
+
+const getLinks = (html) => [...html.matchAll(/href="([^"]+)"/g)].map(match => match[1]);
+
+// Log a stub email and append it in full to the stub outbox file
+const recordStubEmail = async ({ to, subject, html }) => {
+  const links = getLinks(html);
+  console.log(`📧 [stub] ${describeUnsentEmail(to, subject, links)}`);
+
+  await fs.promises.mkdir(path.dirname(STUB_OUTBOX_FILE), { recursive: true });
+  await fs.promises.appendFile(
+    STUB_OUTBOX_FILE,
+    `--- ${new Date().toISOString()}\nTo: ${to}\nSubject: ${subject}\n${links.map(link => `Link: ${link}\n`).join('')}\n${html}\n`
+  );
 };
 
 // Send email function
 const sendEmail = async (to, templateName, data) => {
   try {
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-      console.log(`📧 Email would be sent to ${to} - Template: ${templateName} (Email not configured)`);
-      return { success: true, messageId: 'email-not-configured' };
-    }
-
     const template = emailTemplates[templateName];
     if (!template) {
       throw new Error(`Email template "${templateName}" not found`);
@@ -138,6 +475,11 @@ const sendEmail = async (to, templateName, data) => {
       ? template(...(Array.isArray(data) ? data : [data]))
       : template;
 
+    if (!useStubTransport && (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD)) {
+      console.log(`📧 Email would be sent (Email not configured) ${describeUnsentEmail(to, subject, getLinks(html))}`);
+      return { success: true, messageId: 'email-not-configured' };
+    }
+
     const info = await transporter.sendMail({
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
       to,
@@ -145,6 +487,9 @@ const sendEmail = async (to, templateName, data) => {
       html,
     });
 
+    if (useStubTransport) {
+      await recordStubEmail({ to, subject, html });
+    }
     console.log('✅ Email sent:', info.messageId);
     return { success: true, messageId: info.messageId };
   } catch (error) {
@@ -153,4 +498,85 @@ const sendEmail = async (to, templateName, data) => {
   }
 };
 
-module.exports = { sendEmail };
+/* ---------------------------
+   EMAIL OUTBOX
+   --------------------------- */
+
+const OUTBOX_POLL_INTERVAL = 10 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_RETRY_BASE_DELAY = 30 * 1000;
+
+let outboxProcessing = false;
+
+// Deliver every due email in the outbox, rescheduling failures with exponential backoff
+const processOutbox = async () => {
+  if (outboxProcessing) return;
+  outboxProcessing = true;
+
+  try {
+    const now = new Date();
+    const dueEmails = db.emailOutbox.filter(
+      e => e.status === 'pending' && new Date(e.nextAttemptAt) <= now
+    );
+
+    for (const email of dueEmails) {
+      const result = await sendEmail(email.to, email.template, email.data);
+      const attempts = email.attempts + 1;
+
+      if (result.success) {
+        db.emailOutbox.update(email.id, {
+          status: 'sent',
+          attempts,
+          messageId: result.messageId,
+          sentAt: new Date().toISOString()
+        });
+      } else if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+        console.error(`❌ Giving up on email ${email.id} after ${attempts} attempts`);
+        db.emailOutbox.update(email.id, {
+          status: 'failed',
+          attempts,
+          lastError: result.error
+        });
+      } else {
+        const delay = OUTBOX_RETRY_BASE_DELAY * 2 ** (attempts - 1);
+        db.emailOutbox.update(email.id, {
+          attempts,
+          lastError: result.error,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+      }
+    }
+  } catch (error) {
+    console.error('❌ Email outbox error:', error.message);
+  } finally {
+    outboxProcessing = false;
+  }
+};
+
+// Queue an email for background delivery; never blocks the caller on SMTP
+const queueEmail = (to, templateName, data) => {
+  if (!to) return null;
+
+  const email = db.emailOutbox.insert({
+    id: generateId(),
+    to,
+    template: templateName,
+    data,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null,
+    createdAt: new Date().toISOString()
+  });
+
+  setImmediate(processOutbox);
+  return email;
+};
+
+// Start polling the outbox (also picks up emails queued before a restart)
+const startEmailOutbox = () => {
+  setInterval(processOutbox, OUTBOX_POLL_INTERVAL);
+  processOutbox();
+};
+
+module.exports = { sendEmail, queueEmail, startEmailOutbox };
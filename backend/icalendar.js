@@ -0,0 +1,96 @@
+/* ---------------------------
+   ICALENDAR (RFC 5545)
+   --------------------------- */
+
+const PRODUCT_ID = '-//SkilLink//Bookings//EN';
+const UID_DOMAIN = 'skillink.app';
+
+const BOOKING_EVENT_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  in_progress: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  declined: 'CANCELLED',
+  cancelled: 'CANCELLED'
+};
+
+// 20261020T093000Z
+const formatUtc = (instant) => (
+  new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+);
+
+const escapeText = (value) => (
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+);
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// One VEVENT for a booking, written from the point of view of `viewerId`.
+// SEQUENCE lets calendar apps replace older copies when the booking changes.
+const bookingToEvent = (booking, { viewerId, provider, seeker, appUrl }) => {
+  const isProvider = booking.providerId === viewerId;
+  const otherParty = isProvider ? seeker : provider;
+  const description = [
+    isProvider ? `Teaching ${otherParty?.name || 'a learner'}` : `Learning with ${otherParty?.name || 'a provider'}`,
+    booking.message ? `Message: ${booking.message}` : null,
+    `Manage this booking: ${appUrl}/booking`
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking.id}@${UID_DOMAIN}`,
+    `SEQUENCE:${booking.sequence || 0}`,
+    `DTSTAMP:${formatUtc(booking.updatedAt || booking.createdAt)}`,
+    `DTSTART:${formatUtc(booking.startsAt)}`,
+    `DTEND:${formatUtc(booking.endsAt)}`,
+    `SUMMARY:${escapeText(`SkilLink session with ${otherParty?.name || 'Unknown'}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${BOOKING_EVENT_STATUS[booking.status] || 'TENTATIVE'}`,
+    `URL:${appUrl}/booking`,
+    'END:VEVENT'
+  ];
+};
+
+// Full VCALENDAR document from a list of VEVENT line arrays
+const buildCalendar = (name, events) => (
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n'
+);
+
+module.exports = {
+  bookingToEvent,
+  buildCalendar
+};
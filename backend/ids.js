@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+/* ---------------------------
+   IDS
+   --------------------------- */
+
+// Record ids are UUIDv7 (RFC 9562): a 48-bit millisecond timestamp followed by
+// random bits, so they sort by creation time but can't be guessed or collide.
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+const MAX_SEQUENCE = 0xfff;
+
+// Ids generated within the same millisecond count up in the 12 bits after the
+// version, so they still sort in the order they were made
+let lastTimestamp = 0;
+let sequence = 0;
+
+const nextTimestamp = () => {
+  const now = Date.now();
+
+  if (now > lastTimestamp) {
+    lastTimestamp = now;
+    // Start low in the range to leave room for counting up
+    sequence = crypto.randomInt(0, MAX_SEQUENCE >> 1);
+  } else if (sequence < MAX_SEQUENCE) {
+    sequence += 1;
+  } else {
+    // Counter exhausted (or the clock went back): borrow the next millisecond
+    lastTimestamp += 1;
+    sequence = 0;
+  }
+
+  return { timestamp: lastTimestamp, sequence };
+};
+
+// New id. Pass `timestamp` (ms) to date an id for a record created earlier,
+// e.g. when migrating existing data.
+const generateId = (timestamp) => {
+  const stamp = timestamp === undefined
+    ? nextTimestamp()
+    : { timestamp, sequence: crypto.randomInt(0, MAX_SEQUENCE + 1) };
+
+  const bytes = crypto.randomBytes(16);
+  bytes.writeUIntBE(stamp.timestamp, 0, 6);
+  bytes[6] = 0x70 | (stamp.sequence >> 8);
+  bytes[7] = stamp.sequence & 0xff;
+  bytes[8] = 0x80 | (bytes[8] & 0x3f);
+
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const isId = (value) => typeof value === 'string' && ID_PATTERN.test(value);
+
+module.exports = {
+  ID_PATTERN,
+  generateId,
+  isId
+};
@@ -0,0 +1,100 @@
+/* ---------------------------
+   NOTIFICATION TYPES
+   --------------------------- */
+
+// Everything a user can be notified about, with the default for each channel.
+// Users can switch each channel on or off per type; `emailTemplate` is the
+// template sent when email is on (see emailService.js).
+const NOTIFICATION_TYPES = {
+  booking_requested: {
+    label: 'New booking requests',
+    emailTemplate: 'bookingRequest',
+    defaults: { inApp: true, email: true }
+  },
+  booking_confirmed: {
+    label: 'Bookings confirmed',
+    emailTemplate: 'bookingConfirmed',
+    defaults: { inApp: true, email: true }
+  },
+  booking_cancelled: {
+    label: 'Bookings cancelled',
+    emailTemplate: 'bookingCancelled',
+    defaults: { inApp: true, email: true }
+  },
+  booking_declined: {
+    label: 'Booking requests declined',
+    emailTemplate: 'bookingDeclined',
+    defaults: { inApp: true, email: true }
+  },
+  booking_no_show: {
+    label: 'Missed sessions reported about you',
+    emailTemplate: 'bookingNoShow',
+    defaults: { inApp: true, email: true }
+  },
+  booking_completion_requested: {
+    label: 'Sessions waiting for your confirmation',
+    emailTemplate: 'bookingCompletionRequested',
+    defaults: { inApp: true, email: true }
+  },
+  booking_reschedule: {
+    label: 'Proposals to move a session',
+    emailTemplate: 'bookingReschedule',
+    defaults: { inApp: true, email: true }
+  },
+  workshop_enrolment: {
+    label: 'Learners joining or leaving your workshops',
+    emailTemplate: 'workshopEnrolment',
+    defaults: { inApp: true, email: false }
+  },
+  workshop_update: {
+    label: 'Workshop seats and cancellations',
+    emailTemplate: 'workshopUpdate',
+    defaults: { inApp: true, email: true }
+  },
+  review_received: {
+    label: 'Reviews you receive',
+    emailTemplate: 'reviewReceived',
+    defaults: { inApp: true, email: false }
+  },
+  credits_earned: {
+    label: 'Credits earned',
+    emailTemplate: 'creditsAwarded',
+    defaults: { inApp: true, email: true }
+  },
+  project_join_request: {
+    label: 'Requests to join your projects',
+    emailTemplate: 'projectJoinRequest',
+    defaults: { inApp: true, email: true }
+  },
+  project_join_decision: {
+    label: 'Answers to your join requests',
+    emailTemplate: 'projectJoinDecision',
+    defaults: { inApp: true, email: true }
+  }
+};
+
+const NOTIFICATION_TYPE_NAMES = Object.keys(NOTIFICATION_TYPES);
+
+// A user's settings for every type: what they chose, defaults for the rest
+const getNotificationPreferences = (user) => Object.fromEntries(
+  NOTIFICATION_TYPE_NAMES.map(type => [type, {
+    ...NOTIFICATION_TYPES[type].defaults,
+    ...user?.notificationPreferences?.[type]
+  }])
+);
+
+// Merge a partial update ({ type: { inApp?, email? } }) into the user's settings
+const mergeNotificationPreferences = (user, changes) => {
+  const preferences = getNotificationPreferences(user);
+  Object.entries(changes).forEach(([type, channels]) => {
+    preferences[type] = { ...preferences[type], ...channels };
+  });
+  return preferences;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TYPE_NAMES,
+  getNotificationPreferences,
+  mergeNotificationPreferences
+};
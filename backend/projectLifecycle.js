@@ -0,0 +1,53 @@
+/* ---------------------------
+   PROJECT LIFECYCLE
+   --------------------------- */
+
+// draft -> recruiting -> active -> completed -> archived. Projects can also
+// step back one stage, e.g. to reopen recruiting or un-archive.
+const PROJECT_STATUSES = ['draft', 'recruiting', 'active', 'completed', 'archived'];
+
+const STATUS_TRANSITIONS = {
+  draft: ['recruiting', 'active'],
+  recruiting: ['draft', 'active'],
+  active: ['recruiting', 'completed'],
+  completed: ['active', 'archived'],
+  archived: ['completed']
+};
+
+// Listed by default; finished projects are only shown when asked for
+const CURRENT_STATUSES = ['draft', 'recruiting', 'active'];
+
+// Statuses in which people can ask to join
+const JOINABLE_STATUSES = ['recruiting', 'active'];
+
+// A new project can start out in any of these
+const INITIAL_STATUSES = ['draft', 'recruiting', 'active'];
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+const isJoinable = (project) => JOINABLE_STATUSES.includes(project.status);
+
+// Drafts are only visible to the team working on them
+const isVisibleTo = (project, isMember) => project.status !== 'draft' || isMember;
+
+// Archived projects are read-only until they are brought back
+const isEditable = (project) => project.status !== 'archived';
+
+const createStatusChange = (status, userId, note = '') => ({
+  status,
+  changedAt: new Date().toISOString(),
+  changedBy: userId,
+  note
+});
+
+module.exports = {
+  PROJECT_STATUSES,
+  STATUS_TRANSITIONS,
+  CURRENT_STATUSES,
+  INITIAL_STATUSES,
+  canTransition,
+  isJoinable,
+  isVisibleTo,
+  isEditable,
+  createStatusChange
+};
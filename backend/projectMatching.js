@@ -0,0 +1,91 @@
+const { toSkillKey, findCatalogueSkill } = require('./skillCatalogue');
+
+/* ---------------------------
+   PROJECT SKILL MATCHING
+   --------------------------- */
+
+// A match score (0-100) is a weighted mix of:
+// - skill coverage: how many of the project's skills the person offers, and how well (proficiency 1-5)
+// - distance between the person and the project owner (closer is better)
+// - reputation of the person being recommended
+const MATCH_WEIGHTS = {
+  skills: 0.6,
+  distance: 0.25,
+  reputation: 0.15
+};
+
+// Distance at which the distance part of the score has dropped to half (km)
+const DISTANCE_HALF_SCORE_KM = 25;
+
+// Reputation scores at or above this count as full marks
+const REPUTATION_FULL_SCORE = 50;
+
+const MAX_PROFICIENCY = 5;
+
+// Project skills are free text, so resolve each one through the catalogue
+// ("reactjs" and "React" are the same requirement)
+const toRequirements = (catalogue, skillNames) => skillNames.map(name => ({
+  name,
+  catalogueId: findCatalogueSkill(catalogue, name)?.id || null,
+  key: toSkillKey(name)
+}));
+
+const meetsRequirement = (requirement, skill) => (
+  (requirement.catalogueId && skill.catalogueId === requirement.catalogueId) ||
+  toSkillKey(skill.skillName) === requirement.key
+);
+
+// Unknown distance (no coordinates, or a remote project) scores in the middle
+const scoreDistance = (distance) => (
+  distance === null ? 0.5 : DISTANCE_HALF_SCORE_KM / (DISTANCE_HALF_SCORE_KM + distance)
+);
+
+// Score a person's offered skills against a project's requirements.
+// Returns null when they don't offer any of the skills needed.
+const scoreMatch = ({ requirements, offeredSkills, distance = null, reputationScore = 0 }) => {
+  if (requirements.length === 0) return null;
+
+  const matchedSkills = [];
+  const missingSkills = [];
+  let proficiencyTotal = 0;
+
+  requirements.forEach(requirement => {
+    const best = offeredSkills
+      .filter(skill => meetsRequirement(requirement, skill))
+      .sort((a, b) => b.proficiency - a.proficiency)[0];
+
+    if (best) {
+      matchedSkills.push({ name: requirement.name, skillName: best.skillName, proficiency: best.proficiency });
+      proficiencyTotal += best.proficiency / MAX_PROFICIENCY;
+    } else {
+      missingSkills.push(requirement.name);
+    }
+  });
+
+  if (matchedSkills.length === 0) return null;
+
+  const skillScore = proficiencyTotal / requirements.length;
+  const reputation = Math.min(reputationScore / REPUTATION_FULL_SCORE, 1);
+  const score = (
+    skillScore * MATCH_WEIGHTS.skills +
+    scoreDistance(distance) * MATCH_WEIGHTS.distance +
+    reputation * MATCH_WEIGHTS.reputation
+  ) * 100;
+
+  return {
+    score: Math.round(score),
+    coverage: parseFloat((matchedSkills.length / requirements.length).toFixed(2)),
+    matchedSkills,
+    missingSkills,
+    distance: distance === null ? null : parseFloat(distance.toFixed(1))
+  };
+};
+
+// Best matches first; equal scores go to whoever covers more skills
+const compareMatches = (a, b) => b.score - a.score || b.coverage - a.coverage;
+
+module.exports = {
+  toRequirements,
+  scoreMatch,
+  compareMatches
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+/* ---------------------------
+   REAL-TIME EVENTS
+   --------------------------- */
+
+// Events are pushed to browsers over Server-Sent Events. EventSource can't send
+// an Authorization header, so a client first trades its access token for a
+// short-lived, single-use stream ticket and opens the stream with that.
+// Connections live in memory: events published while a user is offline are
+// not replayed, so clients reload their data when they (re)connect.
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+// Comment lines sent on idle streams so proxies don't close them
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long a browser waits before reconnecting a dropped stream
+const CLIENT_RETRY_MS = 5000;
+
+const tickets = new Map();
+const streamsByUser = new Map();
+
+const issueStreamTicket = (userId, sessionId) => {
+  const now = Date.now();
+  tickets.forEach((ticket, key) => {
+    if (ticket.expiresAt <= now) tickets.delete(key);
+  });
+
+  const ticket = crypto.randomBytes(24).toString('hex');
+  tickets.set(ticket, { userId, sessionId, expiresAt: now + STREAM_TICKET_TTL_MS });
+  return { ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 };
+};
+
+// Returns { userId, sessionId } for a valid ticket, or null. Each ticket works once.
+const redeemStreamTicket = (ticket) => {
+  const entry = tickets.get(ticket);
+  tickets.delete(ticket);
+  return entry && entry.expiresAt > Date.now() ? entry : null;
+};
+
+const writeEvent = (res, type, data) => {
+  res.write(`data: ${JSON.stringify({ type, data })}\n\n`);
+};
+
+// Turn a response into an event stream for a user until the client disconnects
+const openStream = (res, { userId, sessionId }) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  const stream = { res, sessionId };
+  if (!streamsByUser.has(userId)) streamsByUser.set(userId, new Set());
+  streamsByUser.get(userId).add(stream);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const userStreams = streamsByUser.get(userId);
+    userStreams?.delete(stream);
+    if (userStreams?.size === 0) streamsByUser.delete(userId);
+  });
+
+  writeEvent(res, 'connected', {});
+};
+
+// Send an event to every open stream of the given users. `data` may be a
+// function of the user id, for payloads that differ per recipient.
+const publish = (userIds, type, data) => {
+  new Set([].concat(userIds).filter(Boolean)).forEach(userId => {
+    const userStreams = streamsByUser.get(userId);
+    if (!userStreams) return;
+
+    const payload = typeof data === 'function' ? data(userId) : data;
+    userStreams.forEach(stream => writeEvent(stream.res, type, payload));
+  });
+};
+
+// End the streams opened with a session, e.g. when it is revoked
+const closeSessionStreams = (sessionId) => {
+  streamsByUser.forEach(userStreams => {
+    userStreams.forEach(stream => {
+      if (stream.sessionId === sessionId) stream.res.end();
+    });
+  });
+};
+
+module.exports = {
+  issueStreamTicket,
+  redeemStreamTicket,
+  openStream,
+  publish,
+  closeSessionStreams
+};
@@ -0,0 +1,42 @@
+const { addDays } = require('./availability');
+
+/* ---------------------------
+   RECURRING BOOKINGS
+   --------------------------- */
+
+// A series repeats a session on the same weekday and wall-clock time, so it
+// stays at 18:00 across daylight saving changes. It ends after a number of
+// sessions or on an end date, like an RRULE with COUNT or UNTIL.
+const RECURRENCE_FREQUENCIES = {
+  weekly: 1,
+  biweekly: 2
+};
+
+const MAX_SERIES_OCCURRENCES = 26;
+
+// Dates (YYYY-MM-DD) of a series starting on `startDate`. With an end date
+// this can return more than MAX_SERIES_OCCURRENCES, so callers can reject it.
+const getOccurrenceDates = (startDate, { frequency, count, until }) => {
+  const step = RECURRENCE_FREQUENCIES[frequency] * 7;
+  const limit = count || MAX_SERIES_OCCURRENCES + 1;
+  const dates = [];
+
+  for (let date = startDate; dates.length < limit && (!until || date <= until); date = addDays(date, step)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+// RFC 5545 form of the rule, e.g. FREQ=WEEKLY;INTERVAL=2;COUNT=8
+const toRRule = ({ frequency, count, until }) => [
+  'FREQ=WEEKLY',
+  `INTERVAL=${RECURRENCE_FREQUENCIES[frequency]}`,
+  count ? `COUNT=${count}` : `UNTIL=${until.replace(/-/g, '')}`
+].join(';');
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  MAX_SERIES_OCCURRENCES,
+  getOccurrenceDates,
+  toRRule
+};
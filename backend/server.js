@@ -1,15 +1,102 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const db = require('./db');
+const { sendEmail, queueEmail, startEmailOutbox } = require('./emailService');
+const {
+  toSkillKey,
+  cleanSkillName,
+  createCustomSkill,
+  findCatalogueSkill,
+  rankSkillMatches
+} = require('./skillCatalogue');
+const {
+  MAX_SLOT_RANGE_DAYS,
+  DEFAULT_WEEKLY_AVAILABILITY,
+  TIME_PATTERN,
+  daysBetween,
+  validateSchedule,
+  isWithinAvailability,
+  generateSlots
+} = require('./availability');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone
+} = require('./timeZones');
+const { bookingToEvent, buildCalendar } = require('./icalendar');
+const { validate, id, optionalId } = require('./validation');
+const { generateId } = require('./ids');
+const {
+  PROJECT_STATUSES,
+  STATUS_TRANSITIONS,
+  CURRENT_STATUSES,
+  INITIAL_STATUSES,
+  canTransition,
+  isJoinable,
+  isVisibleTo,
+  isEditable,
+  createStatusChange
+} = require('./projectLifecycle');
+const { toRequirements, scoreMatch, compareMatches } = require('./projectMatching');
+const {
+  TARGET_STATUSES,
+  getParticipantRole,
+  holdsTimeSlot,
+  getTransitionError,
+  getRescheduleError,
+  getProposalError,
+  getAvailableTransitions,
+  recordCompletionConfirmation,
+  isDueForAutoCompletion,
+  isDueForAutoCancellation,
+  createBookingEvent,
+  COMPLETION_CONFIRM_WINDOW_HOURS
+} = require('./bookingLifecycle');
+const {
+  RECURRENCE_FREQUENCIES,
+  MAX_SERIES_OCCURRENCES,
+  getOccurrenceDates,
+  toRRule
+} = require('./recurrence');
+const {
+  WORKSHOP_TARGET_STATUSES,
+  MIN_WORKSHOP_CAPACITY,
+  MAX_WORKSHOP_CAPACITY,
+  countSeats,
+  isOpenForSignUp,
+  getEnrolmentError,
+  getLeaveError,
+  getWorkshopTransitionError,
+  isWorkshopDueForAutoCompletion
+} = require('./workshops');
+const {
+  issueStreamTicket,
+  redeemStreamTicket,
+  openStream,
+  publish,
+  closeSessionStreams
+} = require('./realtime');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TYPE_NAMES,
+  getNotificationPreferences,
+  mergeNotificationPreferences
+} = require('./notifications');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Public URL of the web app, used for links in calendar events
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -19,7 +106,7 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const ext = path.extname(file.originalname);
-    cb(null, `${req.userId}-${Date.now()}${ext}`);
+    cb(null, `${generateId()}${ext}`);
   }
 });
 
@@ -29,35 +116,214 @@ const upload = multer({ storage });
 // Serve static avatar files
 app.use('/uploads/avatars', express.static(path.join(__dirname, 'uploads/avatars')));
 
-// In-memory storage
-const users = [];
-const projects = [];
+// Persistent storage (see db.js)
+const {
+  users,
+  projects,
+  userSkills,
+  bookings,
+  reviews,
+  creditTransactions,
+  skillCatalogue,
+  availability,
+  sessions,
+  projectTasks,
+  conversations,
+  messages,
+  notifications,
+  bookingSeries,
+  workshops,
+  workshopEnrolments
+} = db;
+
+/* ---------------------------
+   AUTH SESSIONS
+   --------------------------- */
+
+// Access tokens are short-lived JWTs tied to a session. Each session also has a
+// refresh token ("<sessionId>.<secret>", only its hash is stored) that is
+// replaced on every use.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// lastUsedAt is only written this often, to avoid a database write per request
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokensMatch = (hashA, hashB) => (
+  Boolean(hashA && hashB) &&
+  crypto.timingSafeEqual(Buffer.from(hashA, 'hex'), Buffer.from(hashB, 'hex'))
+);
+
+// Short description of a browser, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[0] || 'Browser', os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+const isSessionActive = (session) => (
+  Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > new Date()
+);
+
+// Issue a new refresh token for a session and return both tokens
+const issueSessionTokens = (session) => {
+  const refreshToken = `${session.id}.${crypto.randomBytes(32).toString('hex')}`;
+
+  sessions.update(session.id, {
+    refreshTokenHash: hashToken(refreshToken),
+    previousRefreshTokenHash: session.refreshTokenHash || null,
+    lastUsedAt: new Date().toISOString()
+  });
+
+  return {
+    token: generateAccessToken(session.userId, session.id),
+    refreshToken
+  };
+};
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d',
+// Start a session for a login or registration
+const createSession = (userId, req) => {
+  // Forget this user's sessions that can no longer be used
+  sessions
+    .filter(s => s.userId === userId && !isSessionActive(s))
+    .forEach(s => sessions.remove(s.id));
+
+  const now = new Date();
+  const userAgent = req.get('user-agent') || '';
+  const session = sessions.insert({
+    id: generateId(),
+    userId,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString(),
+    revokedAt: null
   });
+
+  return issueSessionTokens(session);
+};
+
+const revokeSession = (sessionId) => {
+  sessions.update(sessionId, { revokedAt: new Date().toISOString() });
+  closeSessionStreams(sessionId);
+};
+
+// Check the request's Bearer token: sets req.userId and req.sessionId, or
+// returns the reason it was rejected
+const authenticateRequest = (req) => {
+  const token = req.headers.authorization.split(' ')[1];
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return 'Invalid token';
+  }
+
+  // Tokens stop working as soon as their session is revoked (e.g. on logout)
+  const session = decoded.sid && sessions.findById(decoded.sid);
+  if (!isSessionActive(session) || session.userId !== decoded.id) {
+    return 'Session expired';
+  }
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    sessions.update(session.id, { lastUsedAt: new Date().toISOString(), ip: req.ip });
+  }
+
+  req.userId = decoded.id;
+  req.sessionId = session.id;
+  return null;
 };
 
+const hasBearerToken = (req) => Boolean(req.headers.authorization?.startsWith('Bearer '));
 
 // Verify JWT token middleware
 const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!hasBearerToken(req)) {
     return res.status(401).json({ error: 'No token provided' });
   }
 
-  const token = authHeader.split(' ')[1];
+  const authError = authenticateRequest(req);
+  if (authError) {
+    return res.status(401).json({ error: authError });
+  }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.id;
-    next();
-  } catch (error) {
-    return res.status(401).json({ error: 'Invalid token' });
+  next();
+};
+
+// For public routes that show more to signed-in users: anonymous requests pass
+// through, but a bad token still gets a 401 so the client refreshes it
+const identifyUser = (req, res, next) => {
+  if (!hasBearerToken(req)) {
+    return next();
+  }
+
+  const authError = authenticateRequest(req);
+  if (authError) {
+    return res.status(401).json({ error: authError });
+  }
+
+  next();
+};
+
+// A user's IANA time zone (accounts from before time zones default to UTC)
+const getUserTimeZone = (user) => user?.timeZone || DEFAULT_TIME_ZONE;
+
+// Admins are users with role "admin" or listed in ADMIN_EMAILS (comma-separated)
+const isAdmin = (user) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  return user.role === 'admin' || adminEmails.includes(user.email.toLowerCase());
+};
+
+// Admin-only middleware (use after verifyToken)
+const requireAdmin = (req, res, next) => {
+  const user = users.findById(req.userId);
+
+  if (!user || !isAdmin(user)) {
+    return res.status(403).json({ error: 'Admin access required' });
   }
+
+  next();
+};
+
+// Restricts an action to users who have confirmed their email (use after verifyToken)
+const requireVerifiedEmail = (req, res, next) => {
+  const user = users.findById(req.userId);
+
+  if (!user || !user.emailVerified) {
+    return res.status(403).json({ error: 'Please verify your email address first' });
+  }
+
+  next();
 };
 
 // Health check
@@ -70,13 +336,16 @@ app.get('/api/health', (req, res) => {
 });
 
 // Register endpoint
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validate({
+  body: {
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    password: { type: 'string', required: true, trim: false, minLength: 6, maxLength: 128 },
+    name: { type: 'string', required: true, maxLength: 100 },
+    timeZone: { type: 'string' }
+  }
+}), async (req, res) => {
   try {
-    const { email, password, name } = req.body;
-
-    if (!email || !password || !name) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
+    const { email, password, name, timeZone } = req.body;
 
     const existingUser = users.find(u => u.email === email);
     if (existingUser) {
@@ -87,24 +356,31 @@ app.post('/api/auth/register', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     const newUser = {
-      id: Date.now().toString(),
+      id: generateId(),
       email,
       password: hashedPassword,
       name,
+      timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE,
+      emailVerified: false,
       createdAt: new Date().toISOString()
     };
 
-    users.push(newUser);
+    users.insert(newUser);
+    queueEmail(newUser.email, 'welcome', [newUser.name]);
+    sendVerificationEmail(newUser);
 
-    const token = generateToken(newUser.id);
+    const { token, refreshToken } = createSession(newUser.id, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: newUser.id,
         email: newUser.email,
         name: newUser.name,
+        timeZone: newUser.timeZone,
+        emailVerified: false,
       },
     });
   } catch (error) {
@@ -114,14 +390,15 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // Login endpoint
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', validate({
+  body: {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true, trim: false }
+  }
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-
     const user = users.find(u => u.email === email);
     if (!user) {
       return res.status(401).json({ error: 'Invalid email or password' });
@@ -132,15 +409,18 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const token = generateToken(user.id);
+    const { token, refreshToken } = createSession(user.id, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
+        timeZone: getUserTimeZone(user),
+        emailVerified: Boolean(user.emailVerified),
       },
     });
   } catch (error) {
@@ -149,484 +429,3814 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Get all projects
-app.get('/api/projects', (req, res) => {
+// Exchange a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', validate({
+  body: { refreshToken: { type: 'string', required: true, maxLength: 256 } }
+}), (req, res) => {
   try {
-    const projectsWithUsers = projects.map(project => {
-      const creator = users.find(u => u.id === project.creatorId);
-      return {
-        ...project,
-        creatorName: creator?.name || 'Unknown',
-      };
-    });
-    res.json(projectsWithUsers);
+    const { refreshToken } = req.body;
+
+    if (!refreshToken.includes('.')) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const session = sessions.findById(refreshToken.split('.')[0]);
+    if (!isSessionActive(session)) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    const presentedHash = hashToken(refreshToken);
+
+    // A refresh token that was already rotated out is being replayed: assume it
+    // was stolen and end the session for everyone holding it
+    if (tokensMatch(presentedHash, session.previousRefreshTokenHash)) {
+      revokeSession(session.id);
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
+    if (!tokensMatch(presentedHash, session.refreshTokenHash)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    sessions.update(session.id, { ip: req.ip });
+    res.json(issueSessionTokens(session));
   } catch (error) {
-    console.error('Get projects error:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
   }
 });
 
-// Create new project (protected)
-app.post('/api/projects', verifyToken, (req, res) => {
+// Logout: revoke the current session (protected route)
+app.post('/api/auth/logout', verifyToken, (req, res) => {
   try {
-    const { title, description, skills, location } = req.body;
+    revokeSession(req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
 
-    if (!title || !description) {
-      return res.status(400).json({ error: 'Title and description are required' });
-    }
+// List my active sessions (protected route)
+app.get('/api/auth/sessions', verifyToken, (req, res) => {
+  try {
+    const activeSessions = sessions
+      .filter(s => s.userId === req.userId && isSessionActive(s))
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .map(s => ({
+        id: s.id,
+        device: s.device,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: s.id === req.sessionId
+      }));
+
+    res.json(activeSessions);
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
 
-    const newProject = {
-      id: Date.now().toString(),
-      title,
-      description,
-      skills: skills || [],
-      location: location || '',
-      creatorId: req.userId,
-      members: [req.userId],
-      createdAt: new Date().toISOString(),
-      status: 'active'
-    };
+// Sign out every session except the current one (protected route)
+app.delete('/api/auth/sessions', verifyToken, (req, res) => {
+  try {
+    const others = sessions.filter(
+      s => s.userId === req.userId && s.id !== req.sessionId && isSessionActive(s)
+    );
+    others.forEach(s => revokeSession(s.id));
 
-    projects.push(newProject);
+    res.json({ message: `Signed out of ${others.length} other session(s)` });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
 
-    const creator = users.find(u => u.id === req.userId);
+// Revoke one of my sessions (protected route)
+app.delete('/api/auth/sessions/:id', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const session = sessions.findById(req.params.id);
+    if (!session || session.userId !== req.userId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-    res.status(201).json({
-      message: 'Project created successfully',
-      project: {
-        ...newProject,
-        creatorName: creator?.name || 'Unknown',
-      },
-    });
+    revokeSession(session.id);
+    res.json({ message: 'Session revoked' });
   } catch (error) {
-    console.error('Create project error:', error);
-    res.status(500).json({ error: 'Failed to create project' });
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 });
 
-// Join a project (protected)
-app.post('/api/projects/:id/join', verifyToken, (req, res) => {
+/* ---------------------------
+   EMAIL VERIFICATION & PASSWORD RESET
+   --------------------------- */
+
+// Signed, expiring, single-use tokens. The user record keeps the id of the one
+// outstanding token per purpose, so a token stops working once it has been used
+// or a newer one has been issued.
+const AUTH_TOKEN_PURPOSES = {
+  verifyEmail: { expiresIn: '24h', field: 'emailVerificationTokenId' },
+  resetPassword: { expiresIn: '1h', field: 'passwordResetTokenId' }
+};
+
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+const issueAuthToken = (user, purpose) => {
+  const { expiresIn, field } = AUTH_TOKEN_PURPOSES[purpose];
+  const tokenId = crypto.randomBytes(16).toString('hex');
+
+  users.update(user.id, { [field]: tokenId });
+  return jwt.sign({ id: user.id, purpose, jti: tokenId }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// The user a token was issued to, or null if it is invalid, expired or used.
+// Consumes the token.
+const consumeAuthToken = (token, purpose) => {
+  let decoded;
   try {
-    const projectId = req.params.id;
-    const userId = req.userId;
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
 
-    const project = projects.find(p => p.id === projectId);
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+  const { field } = AUTH_TOKEN_PURPOSES[purpose];
+  const user = decoded.purpose === purpose && users.findById(decoded.id);
+  if (!user || !user[field] || user[field] !== decoded.jti) {
+    return null;
+  }
+
+  users.update(user.id, { [field]: null });
+  return user;
+};
+
+// These emails are sent straight away rather than through the outbox, so the
+// links never sit in the database
+const sendVerificationEmail = (user) => {
+  const token = issueAuthToken(user, 'verifyEmail');
+  users.update(user.id, { emailVerificationSentAt: new Date().toISOString() });
+  sendEmail(user.email, 'verifyEmail', [user.name, `${APP_URL}/verify-email/${token}`]);
+};
+
+// Confirm an email address from the link in the verification email
+app.post('/api/auth/verify-email', validate({
+  body: { token: { type: 'string', required: true, maxLength: 1024 } }
+}), (req, res) => {
+  try {
+    const user = consumeAuthToken(req.body.token, 'verifyEmail');
+    if (!user) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
     }
 
-    if (project.members.includes(userId)) {
-      return res.status(400).json({ error: 'Already a member of this project' });
+    users.update(user.id, { emailVerified: true, emailVerifiedAt: new Date().toISOString() });
+    res.json({ message: 'Email verified successfully', userId: user.id });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send a new verification email (protected route)
+app.post('/api/auth/resend-verification', verifyToken, (req, res) => {
+  try {
+    const user = users.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    project.members.push(userId);
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
 
-    res.json({
-      message: 'Successfully joined project',
-      project,
-    });
+    if (Date.now() - new Date(user.emailVerificationSentAt || 0).getTime() < VERIFICATION_RESEND_INTERVAL_MS) {
+      return res.status(429).json({ error: 'Please wait a minute before requesting another email' });
+    }
+
+    sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
   } catch (error) {
-    console.error('Join project error:', error);
-    res.status(500).json({ error: 'Failed to join project' });
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
   }
 });
 
-// Get single project
-app.get('/api/projects/:id', (req, res) => {
+// Email a password reset link. Always answers the same way, so it can't be
+// used to find out which emails have accounts.
+app.post('/api/auth/forgot-password', validate({
+  body: { email: { type: 'string', required: true, format: 'email', maxLength: 254 } }
+}), (req, res) => {
   try {
-    const project = projects.find(p => p.id === req.params.id);
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    const { email } = req.body;
+
+    const user = users.find(u => u.email === email);
+    if (user) {
+      const token = issueAuthToken(user, 'resetPassword');
+      sendEmail(user.email, 'passwordReset', [user.name, `${APP_URL}/reset-password/${token}`]);
     }
 
-    const creator = users.find(u => u.id === project.creatorId);
-    res.json({
-      ...project,
-      creatorName: creator?.name || 'Unknown',
-    });
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
   } catch (error) {
-    console.error('Get project error:', error);
-    res.status(500).json({ error: 'Failed to fetch project' });
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
   }
 });
-// Update user profile (protected route)
-app.put('/api/users/profile', verifyToken, async (req, res) => {
+
+// Choose a new password with a reset link. Signs out every session.
+app.post('/api/auth/reset-password', validate({
+  body: {
+    token: { type: 'string', required: true, maxLength: 1024 },
+    password: { type: 'string', required: true, trim: false, minLength: 6, maxLength: 128 }
+  }
+}), async (req, res) => {
   try {
-    const { name, bio, location, phone, avatar } = req.body;
-    
-    const userIndex = users.findIndex(u => u.id === req.userId);
-    if (userIndex === -1) {
-      return res.status(404).json({ error: 'User not found' });
+    const { token, password } = req.body;
+
+    const user = consumeAuthToken(token, 'resetPassword');
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
     }
 
-    // Update user data
-    users[userIndex] = {
-      ...users[userIndex],
-      name: name || users[userIndex].name,
-      bio: bio || users[userIndex].bio,
-      location: location || users[userIndex].location,
-      phone: phone || users[userIndex].phone,
-      avatar: avatar || users[userIndex].avatar,
+    const salt = await bcrypt.genSalt(10);
+    users.update(user.id, {
+      password: await bcrypt.hash(password, salt),
+      // The link was delivered to this address, so it is confirmed too
+      emailVerified: true,
       updatedAt: new Date().toISOString()
-    };
-
-    res.json({
-      message: 'Profile updated successfully',
-      user: {
-        id: users[userIndex].id,
-        email: users[userIndex].email,
-        name: users[userIndex].name,
-        bio: users[userIndex].bio,
-        location: users[userIndex].location,
-        phone: users[userIndex].phone,
-        avatar: users[userIndex].avatar,
-      }
     });
+
+    sessions
+      .filter(s => s.userId === user.id && isSessionActive(s))
+      .forEach(s => revokeSession(s.id));
+
+    sendEmail(user.email, 'passwordChanged', [user.name]);
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
   } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
   }
 });
-// Upload avatar (protected route)
-app.post('/api/users/avatar', verifyToken, upload.single('avatar'), (req, res) => {
-  const user = users.find(u => u.id === req.userId);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+
+/* ---------------------------
+   REAL-TIME EVENTS
+   --------------------------- */
+
+// Exchange the access token for a ticket to open the event stream (protected)
+app.post('/api/events/ticket', verifyToken, (req, res) => {
+  try {
+    res.json(issueStreamTicket(req.userId, req.sessionId));
+  } catch (error) {
+    console.error('Stream ticket error:', error);
+    res.status(500).json({ error: 'Failed to open event stream' });
   }
+});
 
-  user.avatar = req.file.filename;
+// Event stream for the ticket's user (Server-Sent Events, see realtime.js)
+app.get('/api/events', validate({
+  query: { ticket: { type: 'string', required: true, maxLength: 100 } }
+}), (req, res) => {
+  try {
+    const ticket = redeemStreamTicket(req.query.ticket);
+    if (!ticket || !isSessionActive(sessions.findById(ticket.sessionId))) {
+      return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+    }
 
-  res.json({
-    message: 'Avatar uploaded successfully',
-    avatarUrl: `/uploads/avatars/${req.file.filename}`
-  });
+    openStream(res, ticket);
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open event stream' });
+    }
+  }
 });
 
+/* ---------------------------
+   NOTIFICATIONS
+   --------------------------- */
 
-// In-memory skills storage
-const userSkills = []; // { userId, skillName, type: 'offering'/'seeking', proficiency: 1-5 }
+const NOTIFICATION_PAGE_SIZE = 20;
 
-// Add skill (protected route)
-app.post('/api/skills', verifyToken, (req, res) => {
-  try {
-    const { skillName, type, proficiency } = req.body;
+const countUnreadNotifications = (userId) => (
+  notifications.count(n => n.userId === userId && !n.readAt)
+);
 
-    if (!skillName || !type) {
-      return res.status(400).json({ error: 'Skill name and type are required' });
-    }
+// Tell a user something happened, in the app and/or by email as their
+// preferences for the type say. `emailData` is the argument list for the
+// type's email template; leave it out when there is nothing to email.
+const notify = (userId, type, { title, body = '', link = null, relatedId = null }, emailData = null) => {
+  const user = users.findById(userId);
+  if (!user) return null;
 
-    if (!['offering', 'seeking'].includes(type)) {
-      return res.status(400).json({ error: 'Type must be "offering" or "seeking"' });
-    }
+  const channels = getNotificationPreferences(user)[type];
 
-    // Check if skill already exists
-    const existingSkill = userSkills.find(
-      s => s.userId === req.userId && s.skillName === skillName && s.type === type
-    );
+  if (channels.email && emailData) {
+    queueEmail(user.email, NOTIFICATION_TYPES[type].emailTemplate, emailData);
+  }
 
-    if (existingSkill) {
-      return res.status(400).json({ error: 'Skill already added' });
-    }
+  if (!channels.inApp) return null;
 
-    const newSkill = {
-      id: Date.now().toString(),
-      userId: req.userId,
-      skillName,
-      type,
-      proficiency: proficiency || 3,
-      createdAt: new Date().toISOString()
-    };
+  const notification = notifications.insert({
+    id: generateId(),
+    userId,
+    type,
+    title,
+    body,
+    link,
+    relatedId,
+    readAt: null,
+    createdAt: new Date().toISOString()
+  });
+
+  publish(userId, 'notification.created', {
+    notification,
+    unreadCount: countUnreadNotifications(userId)
+  });
+  return notification;
+};
 
-    userSkills.push(newSkill);
+// Other tabs keep their badge in step when notifications are read
+const publishNotificationsRead = (userId) => {
+  publish(userId, 'notifications.read', { unreadCount: countUnreadNotifications(userId) });
+};
 
-    res.status(201).json({
-      message: 'Skill added successfully',
-      skill: newSkill
+// My notifications, newest first (protected)
+app.get('/api/notifications', verifyToken, validate({
+  query: {
+    unread: { type: 'boolean', default: false },
+    before: optionalId('Notification'),
+    limit: { type: 'integer', min: 1, max: 50, default: NOTIFICATION_PAGE_SIZE }
+  }
+}), (req, res) => {
+  try {
+    const { unread, before, limit } = req.query;
+
+    const matching = notifications
+      .filter(n => (
+        n.userId === req.userId &&
+        (!unread || !n.readAt) &&
+        (!before || n.id < before)
+      ))
+      .sort((a, b) => (a.id < b.id ? 1 : -1));
+
+    res.json({
+      notifications: matching.slice(0, limit),
+      unreadCount: countUnreadNotifications(req.userId),
+      hasMore: matching.length > limit
     });
   } catch (error) {
-    console.error('Add skill error:', error);
-    res.status(500).json({ error: 'Failed to add skill' });
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
   }
 });
 
-// Get user skills (protected route)
-app.get('/api/skills', verifyToken, (req, res) => {
+// Mark all my notifications as read (protected)
+app.patch('/api/notifications', verifyToken, (req, res) => {
   try {
-    const skills = userSkills.filter(s => s.userId === req.userId);
-    
-    const offering = skills.filter(s => s.type === 'offering');
-    const seeking = skills.filter(s => s.type === 'seeking');
+    const now = new Date().toISOString();
+    notifications
+      .filter(n => n.userId === req.userId && !n.readAt)
+      .forEach(n => notifications.update(n.id, { readAt: now }));
+    publishNotificationsRead(req.userId);
 
-    res.json({
-      offering,
-      seeking
-    });
+    res.json({ message: 'All notifications marked as read', unreadCount: 0 });
   } catch (error) {
-    console.error('Get skills error:', error);
-    res.status(500).json({ error: 'Failed to fetch skills' });
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
   }
 });
 
-// Delete skill (protected route)
-app.delete('/api/skills/:id', verifyToken, (req, res) => {
+// Notification types with my in-app and email settings for each (protected)
+app.get('/api/notifications/preferences', verifyToken, (req, res) => {
   try {
-    const skillIndex = userSkills.findIndex(
-      s => s.id === req.params.id && s.userId === req.userId
-    );
+    const preferences = getNotificationPreferences(users.findById(req.userId));
 
-    if (skillIndex === -1) {
-      return res.status(404).json({ error: 'Skill not found' });
-    }
+    res.json(NOTIFICATION_TYPE_NAMES.map(type => ({
+      type,
+      label: NOTIFICATION_TYPES[type].label,
+      ...preferences[type]
+    })));
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
 
-    userSkills.splice(skillIndex, 1);
+const notificationChannelsRule = {
+  type: 'object',
+  fields: {
+    inApp: { type: 'boolean', label: 'In-app' },
+    email: { type: 'boolean' }
+  }
+};
 
-    res.json({ message: 'Skill removed successfully' });
+// Change my settings for some types, e.g. { review_received: { email: true } } (protected)
+app.put('/api/notifications/preferences', verifyToken, validate({
+  body: {
+    preferences: {
+      type: 'object',
+      required: true,
+      fields: Object.fromEntries(NOTIFICATION_TYPE_NAMES.map(type => [type, notificationChannelsRule]))
+    }
+  }
+}), (req, res) => {
+  try {
+    const user = users.findById(req.userId);
+    const preferences = mergeNotificationPreferences(user, req.body.preferences);
+    users.update(user.id, { notificationPreferences: preferences, updatedAt: new Date().toISOString() });
+
+    res.json({
+      message: 'Notification preferences saved',
+      preferences: NOTIFICATION_TYPE_NAMES.map(type => ({
+        type,
+        label: NOTIFICATION_TYPES[type].label,
+        ...preferences[type]
+      }))
+    });
   } catch (error) {
-    console.error('Delete skill error:', error);
-    res.status(500).json({ error: 'Failed to delete skill' });
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to save notification preferences' });
   }
 });
 
-// Search users by skills
-app.get('/api/users/search', (req, res) => {
+// Mark one notification as read or unread (protected)
+app.patch('/api/notifications/:id', verifyToken, validate({
+  params: { id: id() },
+  body: { read: { type: 'boolean', default: true } }
+}), (req, res) => {
+  try {
+    const notification = notifications.findById(req.params.id);
+    if (!notification || notification.userId !== req.userId) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const updatedNotification = notifications.update(notification.id, {
+      readAt: req.body.read ? (notification.readAt || new Date().toISOString()) : null
+    });
+    publishNotificationsRead(req.userId);
+
+    res.json({
+      notification: updatedNotification,
+      unreadCount: countUnreadNotifications(req.userId)
+    });
+  } catch (error) {
+    console.error('Update notification error:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+/* ---------------------------
+   PROJECTS & MEMBERSHIP
+   --------------------------- */
+
+// Project members: { userId, role, joinedAt }. Owners manage everything;
+// maintainers review join requests and can remove plain members.
+const PROJECT_MANAGER_ROLES = ['owner', 'maintainer'];
+
+const getProjectMember = (project, userId) => project.members.find(m => m.userId === userId);
+
+const getProjectRole = (project, userId) => getProjectMember(project, userId)?.role || null;
+
+const canManageProject = (project, userId) => PROJECT_MANAGER_ROLES.includes(getProjectRole(project, userId));
+
+const isProjectFull = (project) => (
+  Boolean(project.maxMembers) && project.members.length >= project.maxMembers
+);
+
+// Deleted projects are kept for the record but behave as if they were gone
+const findProject = (projectId) => {
+  const project = projects.findById(projectId);
+  return project && !project.deletedAt ? project : null;
+};
+
+// Pending join requests are closed once a project stops taking people
+const closePendingRequests = (joinRequests, now) => joinRequests.map(r => (
+  r.status === 'pending' ? { ...r, status: 'closed', decidedAt: now } : r
+));
+
+// Project as the API returns it. Join requests are private: reviewers get a
+// count, everyone else only sees their own latest request.
+const toProjectResponse = (project, viewerId) => {
+  const { joinRequests, deletedAt, deletedBy, ...details } = project;
+  const owner = project.members.find(m => m.role === 'owner');
+  const myRole = getProjectRole(project, viewerId);
+  const myJoinRequest = viewerId
+    ? [...joinRequests].reverse().find(r => r.userId === viewerId)
+    : null;
+
+  return {
+    ...details,
+    creatorName: users.findById(project.creatorId)?.name || 'Unknown',
+    ownerId: owner?.userId || null,
+    ownerName: users.findById(owner?.userId)?.name || 'Unknown',
+    members: project.members.map(member => ({
+      ...member,
+      name: users.findById(member.userId)?.name || 'Unknown'
+    })),
+    statusHistory: project.statusHistory.map(change => ({
+      ...change,
+      changedByName: users.findById(change.changedBy)?.name || 'Unknown'
+    })),
+    isFull: isProjectFull(project),
+    isJoinable: isJoinable(project),
+    myRole,
+    // Owners move the project along; owners and maintainers edit its details
+    nextStatuses: myRole === 'owner' ? STATUS_TRANSITIONS[project.status] : [],
+    canEdit: PROJECT_MANAGER_ROLES.includes(myRole) && isEditable(project),
+    myJoinRequest: myJoinRequest
+      ? { id: myJoinRequest.id, status: myJoinRequest.status, createdAt: myJoinRequest.createdAt }
+      : null,
+    pendingRequestCount: canManageProject(project, viewerId)
+      ? joinRequests.filter(r => r.status === 'pending').length
+      : null
+  };
+};
+
+// Push a project's new team state to its owner and maintainers, and to anyone
+// else the change affects (e.g. the person whose request was answered)
+const publishProjectUpdate = (project, event, affectedUserIds = []) => {
+  const managerIds = project.members
+    .filter(m => PROJECT_MANAGER_ROLES.includes(m.role))
+    .map(m => m.userId);
+
+  publish([...managerIds, ...affectedUserIds], 'project.updated', viewerId => ({
+    event,
+    project: toProjectResponse(project, viewerId)
+  }));
+};
+
+// Get projects (signed-in viewers also see their role and join requests).
+// Without ?status= only current projects are listed; drafts only to their team.
+app.get('/api/projects', identifyUser, validate({
+  query: { status: { type: 'string', enum: PROJECT_STATUSES } }
+}), (req, res) => {
+  try {
+    const statuses = req.query.status ? [req.query.status] : CURRENT_STATUSES;
+    const visibleProjects = projects.filter(project => (
+      !project.deletedAt &&
+      statuses.includes(project.status) &&
+      isVisibleTo(project, Boolean(getProjectMember(project, req.userId)))
+    ));
+
+    res.json(visibleProjects.map(project => toProjectResponse(project, req.userId)));
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
+
+// Distance between two users, or null when either hasn't set a location
+const getDistanceBetween = (userA, userB) => (
+  userA && userB &&
+  hasCoordinates(userA.latitude, userA.longitude) &&
+  hasCoordinates(userB.latitude, userB.longitude)
+    ? calculateDistance(userA.latitude, userA.longitude, userB.latitude, userB.longitude)
+    : null
+);
+
+// Where people are doesn't matter for projects run remotely
+const isRemoteProject = (project) => /\b(remote|online)\b/i.test(project.location);
+
+const getOfferedSkills = (userId) => userSkills.filter(s => s.userId === userId && s.type === 'offering');
+
+// Projects that need my skills: open projects I haven't joined or asked to join, best match first (protected)
+app.get('/api/projects/recommended', verifyToken, validate({
+  query: { limit: { type: 'integer', min: 1, max: 50, default: 10 } }
+}), (req, res) => {
+  try {
+    const me = users.findById(req.userId);
+    const offeredSkills = getOfferedSkills(req.userId);
+    const catalogue = skillCatalogue.all();
+
+    const recommendations = projects
+      .filter(project => (
+        !project.deletedAt &&
+        isJoinable(project) &&
+        !getProjectMember(project, req.userId) &&
+        !project.joinRequests.some(r => r.userId === req.userId && r.status === 'pending')
+      ))
+      .map(project => {
+        const owner = users.findById(project.members.find(m => m.role === 'owner')?.userId);
+        const match = scoreMatch({
+          requirements: toRequirements(catalogue, project.skills),
+          offeredSkills,
+          distance: isRemoteProject(project) ? null : getDistanceBetween(me, owner),
+          reputationScore: owner ? calculateReputation(owner.id).reputationScore : 0
+        });
+        return match && { ...toProjectResponse(project, req.userId), match };
+      })
+      .filter(Boolean)
+      .sort((a, b) => compareMatches(a.match, b.match))
+      .slice(0, req.query.limit);
+
+    res.json(recommendations);
+  } catch (error) {
+    console.error('Get recommended projects error:', error);
+    res.status(500).json({ error: 'Failed to fetch recommended projects' });
+  }
+});
+
+// Create new project (protected)
+app.post('/api/projects', verifyToken, requireVerifiedEmail, validate({
+  body: {
+    title: { type: 'string', required: true, maxLength: 120 },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    skills: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', required: true, maxLength: 60, label: 'Each skill' }
+    },
+    location: { type: 'string', maxLength: 200 },
+    maxMembers: { type: 'integer', min: 2, max: 100, label: 'Team size' },
+    status: { type: 'string', enum: INITIAL_STATUSES, default: 'recruiting' }
+  }
+}), (req, res) => {
+  try {
+    const { title, description, skills, location, maxMembers, status } = req.body;
+    const now = new Date().toISOString();
+
+    const newProject = {
+      id: generateId(),
+      title,
+      description,
+      skills: skills || [],
+      location: location || '',
+      creatorId: req.userId,
+      members: [{ userId: req.userId, role: 'owner', joinedAt: now }],
+      joinRequests: [],
+      maxMembers: maxMembers || null,
+      status,
+      statusHistory: [createStatusChange(status, req.userId)],
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    projects.insert(newProject);
+
+    res.status(201).json({
+      message: 'Project created successfully',
+      project: toProjectResponse(newProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({ error: 'Failed to create project' });
+  }
+});
+
+// Ask to join a project; the owner or a maintainer approves it (protected)
+app.post('/api/projects/:id/join', verifyToken, validate({
+  params: { id: id() },
+  body: { message: { type: 'string', maxLength: 500, default: '' } }
+}), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (getProjectMember(project, req.userId)) {
+      return res.status(400).json({ error: 'Already a member of this project' });
+    }
+
+    if (!isJoinable(project)) {
+      return res.status(400).json({ error: 'This project isn\'t taking new members' });
+    }
+
+    if (project.joinRequests.some(r => r.userId === req.userId && r.status === 'pending')) {
+      return res.status(400).json({ error: 'You have already asked to join this project' });
+    }
+
+    if (isProjectFull(project)) {
+      return res.status(400).json({ error: 'This project\'s team is full' });
+    }
+
+    const joinRequest = {
+      id: generateId(),
+      userId: req.userId,
+      message: req.body.message,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    const updatedProject = projects.update(project.id, {
+      joinRequests: [...project.joinRequests, joinRequest]
+    });
+
+    const requester = users.findById(req.userId);
+    const owner = users.findById(project.members.find(m => m.role === 'owner')?.userId);
+    notify(owner?.id, 'project_join_request', {
+      title: `${requester?.name} wants to join ${project.title}`,
+      body: joinRequest.message,
+      link: '/projects',
+      relatedId: project.id
+    }, [
+      owner?.name,
+      requester?.name,
+      project.title,
+      joinRequest.message
+    ]);
+    publishProjectUpdate(updatedProject, 'join_requested');
+
+    res.status(201).json({
+      message: 'Join request sent. The project owner will review it.',
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Join project error:', error);
+    res.status(500).json({ error: 'Failed to send join request' });
+  }
+});
+
+// Withdraw my pending join request (protected)
+app.delete('/api/projects/:id/join', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const joinRequest = project.joinRequests.find(
+      r => r.userId === req.userId && r.status === 'pending'
+    );
+    if (!joinRequest) {
+      return res.status(404).json({ error: 'No pending join request' });
+    }
+
+    const updatedProject = projects.update(project.id, {
+      joinRequests: project.joinRequests.map(r => (
+        r.id === joinRequest.id ? { ...r, status: 'withdrawn', decidedAt: new Date().toISOString() } : r
+      ))
+    });
+    publishProjectUpdate(updatedProject, 'join_withdrawn');
+
+    res.json({
+      message: 'Join request withdrawn',
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Withdraw join request error:', error);
+    res.status(500).json({ error: 'Failed to withdraw join request' });
+  }
+});
+
+// Pending join requests, for the owner and maintainers (protected)
+app.get('/api/projects/:id/requests', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!canManageProject(project, req.userId)) {
+      return res.status(403).json({ error: 'Only the project owner and maintainers can review join requests' });
+    }
+
+    const pendingRequests = project.joinRequests
+      .filter(r => r.status === 'pending')
+      .map(joinRequest => {
+        const requester = users.findById(joinRequest.userId);
+        return {
+          ...joinRequest,
+          userName: requester?.name || 'Unknown',
+          userLocation: requester?.location || '',
+          skills: userSkills
+            .filter(s => s.userId === joinRequest.userId && s.type === 'offering')
+            .map(s => ({ name: s.skillName, proficiency: s.proficiency }))
+        };
+      });
+
+    res.json(pendingRequests);
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch join requests' });
+  }
+});
+
+// Approve or reject a join request (protected, owner and maintainers)
+app.patch('/api/projects/:id/requests/:requestId', verifyToken, validate({
+  params: { id: id(), requestId: id('Request') },
+  body: { status: { type: 'string', required: true, enum: ['approved', 'rejected'] } }
+}), (req, res) => {
+  try {
+    const { status } = req.body;
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!canManageProject(project, req.userId)) {
+      return res.status(403).json({ error: 'Only the project owner and maintainers can review join requests' });
+    }
+
+    const joinRequest = project.joinRequests.find(r => r.id === req.params.requestId);
+    if (!joinRequest) {
+      return res.status(404).json({ error: 'Join request not found' });
+    }
+
+    if (joinRequest.status !== 'pending') {
+      return res.status(400).json({ error: 'This request has already been answered' });
+    }
+
+    if (status === 'approved' && !isJoinable(project)) {
+      return res.status(400).json({ error: 'This project isn\'t taking new members' });
+    }
+
+    if (status === 'approved' && isProjectFull(project)) {
+      return res.status(400).json({ error: 'This project\'s team is full' });
+    }
+
+    const now = new Date().toISOString();
+    const updatedProject = projects.update(project.id, {
+      joinRequests: project.joinRequests.map(r => (
+        r.id === joinRequest.id ? { ...r, status, decidedAt: now, decidedBy: req.userId } : r
+      )),
+      members: status === 'approved'
+        ? [...project.members, { userId: joinRequest.userId, role: 'member', joinedAt: now }]
+        : project.members
+    });
+
+    const requester = users.findById(joinRequest.userId);
+    notify(joinRequest.userId, 'project_join_decision', {
+      title: status === 'approved'
+        ? `You've joined ${project.title}`
+        : `Your request to join ${project.title} wasn't accepted`,
+      link: status === 'approved' ? `/projects/${project.id}` : '/projects',
+      relatedId: project.id
+    }, [
+      requester?.name,
+      project.title,
+      status === 'approved'
+    ]);
+    publishProjectUpdate(
+      updatedProject,
+      status === 'approved' ? 'join_approved' : 'join_rejected',
+      [joinRequest.userId]
+    );
+
+    res.json({
+      message: status === 'approved' ? 'Join request approved' : 'Join request rejected',
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Review join request error:', error);
+    res.status(500).json({ error: 'Failed to update join request' });
+  }
+});
+
+// Leave a project (protected). Owners hand over ownership first.
+app.post('/api/projects/:id/leave', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const role = getProjectRole(project, req.userId);
+    if (!role) {
+      return res.status(400).json({ error: 'You are not a member of this project' });
+    }
+
+    if (role === 'owner') {
+      return res.status(400).json({ error: 'Transfer ownership to another member before leaving' });
+    }
+
+    const updatedProject = projects.update(project.id, {
+      members: project.members.filter(m => m.userId !== req.userId)
+    });
+    unassignMemberTasks(project.id, req.userId);
+    publishProjectUpdate(updatedProject, 'member_left');
+
+    res.json({
+      message: 'You left the project',
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Leave project error:', error);
+    res.status(500).json({ error: 'Failed to leave project' });
+  }
+});
+
+// Remove a member (protected). Owners can remove anyone else, maintainers only plain members.
+app.delete('/api/projects/:id/members/:userId', verifyToken, validate({
+  params: { id: id(), userId: id('User') }
+}), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const myRole = getProjectRole(project, req.userId);
+    if (!PROJECT_MANAGER_ROLES.includes(myRole)) {
+      return res.status(403).json({ error: 'Only the project owner and maintainers can remove members' });
+    }
+
+    const member = getProjectMember(project, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.userId === req.userId) {
+      return res.status(400).json({ error: 'Use "leave" to leave a project yourself' });
+    }
+
+    if (member.role === 'owner' || (myRole === 'maintainer' && member.role !== 'member')) {
+      return res.status(403).json({ error: 'You can\'t remove this member' });
+    }
+
+    const updatedProject = projects.update(project.id, {
+      members: project.members.filter(m => m.userId !== member.userId)
+    });
+    unassignMemberTasks(project.id, member.userId);
+    publishProjectUpdate(updatedProject, 'member_removed', [member.userId]);
+
+    res.json({
+      message: 'Member removed',
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Make a member a maintainer or back (protected, owner only)
+app.patch('/api/projects/:id/members/:userId', verifyToken, validate({
+  params: { id: id(), userId: id('User') },
+  body: { role: { type: 'string', required: true, enum: ['maintainer', 'member'] } }
+}), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (getProjectRole(project, req.userId) !== 'owner') {
+      return res.status(403).json({ error: 'Only the project owner can change roles' });
+    }
+
+    const member = getProjectMember(project, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ error: 'Transfer ownership to change the owner\'s role' });
+    }
+
+    const updatedProject = projects.update(project.id, {
+      members: project.members.map(m => (
+        m.userId === member.userId ? { ...m, role: req.body.role } : m
+      ))
+    });
+    publishProjectUpdate(updatedProject, 'role_changed', [member.userId]);
+
+    res.json({
+      message: 'Role updated',
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// Hand the project over to another member; the old owner stays on as a maintainer (protected)
+app.post('/api/projects/:id/transfer', verifyToken, validate({
+  params: { id: id() },
+  body: { userId: id('New owner') }
+}), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (getProjectRole(project, req.userId) !== 'owner') {
+      return res.status(403).json({ error: 'Only the project owner can transfer ownership' });
+    }
+
+    const newOwner = getProjectMember(project, req.body.userId);
+    if (!newOwner || newOwner.userId === req.userId) {
+      return res.status(400).json({ error: 'The new owner must be another member of the project' });
+    }
+
+    const updatedProject = projects.update(project.id, {
+      members: project.members.map(m => {
+        if (m.userId === newOwner.userId) return { ...m, role: 'owner' };
+        if (m.userId === req.userId) return { ...m, role: 'maintainer' };
+        return m;
+      })
+    });
+    publishProjectUpdate(updatedProject, 'ownership_transferred');
+
+    res.json({
+      message: `${users.findById(newOwner.userId)?.name || 'The new owner'} now owns this project`,
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({ error: 'Failed to transfer ownership' });
+  }
+});
+
+// People whose offered skills fit the project, best match first (protected, owner and maintainers)
+app.get('/api/projects/:id/matches', verifyToken, validate({
+  params: { id: id() },
+  query: { limit: { type: 'integer', min: 1, max: 50, default: 10 } }
+}), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!canManageProject(project, req.userId)) {
+      return res.status(403).json({ error: 'Only the project owner and maintainers can see suggested members' });
+    }
+
+    const requirements = toRequirements(skillCatalogue.all(), project.skills);
+    const owner = users.findById(project.members.find(m => m.role === 'owner')?.userId);
+
+    const candidates = users
+      .filter(user => !getProjectMember(project, user.id))
+      .map(user => {
+        const reputation = calculateReputation(user.id);
+        const match = scoreMatch({
+          requirements,
+          offeredSkills: getOfferedSkills(user.id),
+          distance: isRemoteProject(project) ? null : getDistanceBetween(owner, user),
+          reputationScore: reputation.reputationScore
+        });
+        return match && {
+          id: user.id,
+          name: user.name,
+          location: user.location || '',
+          avatarUrl: getAvatarUrl(user.avatar),
+          reputation: { reputationScore: reputation.reputationScore, level: reputation.level },
+          hasPendingRequest: project.joinRequests.some(r => r.userId === user.id && r.status === 'pending'),
+          ...match
+        };
+      })
+      .filter(Boolean)
+      .sort(compareMatches)
+      .slice(0, req.query.limit);
+
+    res.json(candidates);
+  } catch (error) {
+    console.error('Get project matches error:', error);
+    res.status(500).json({ error: 'Failed to fetch suggested members' });
+  }
+});
+
+// Edit a project's details (protected, owner and maintainers)
+app.put('/api/projects/:id', verifyToken, validate({
+  params: { id: id() },
+  body: {
+    title: { type: 'string', required: true, maxLength: 120 },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    skills: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', required: true, maxLength: 60, label: 'Each skill' }
+    },
+    location: { type: 'string', maxLength: 200 },
+    maxMembers: { type: 'integer', min: 2, max: 100, label: 'Team size' }
+  }
+}), (req, res) => {
+  try {
+    const { title, description, skills, location, maxMembers } = req.body;
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!canManageProject(project, req.userId)) {
+      return res.status(403).json({ error: 'Only the project owner and maintainers can edit this project' });
+    }
+
+    if (!isEditable(project)) {
+      return res.status(400).json({ error: 'Archived projects can\'t be edited. Restore it first.' });
+    }
+
+    if (maxMembers && maxMembers < project.members.length) {
+      return res.status(400).json({
+        error: `Team size can't be below the current ${project.members.length} members`,
+        fields: { maxMembers: `Team size can't be below the current ${project.members.length} members` }
+      });
+    }
+
+    const updatedProject = projects.update(project.id, {
+      title,
+      description,
+      skills: skills || [],
+      location: location || '',
+      maxMembers: maxMembers || null,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      message: 'Project updated',
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// Move a project to the next (or previous) stage of its lifecycle (protected, owner only)
+app.patch('/api/projects/:id/status', verifyToken, validate({
+  params: { id: id() },
+  body: {
+    status: { type: 'string', required: true, enum: PROJECT_STATUSES },
+    note: { type: 'string', maxLength: 500, default: '' }
+  }
+}), (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (getProjectRole(project, req.userId) !== 'owner') {
+      return res.status(403).json({ error: 'Only the project owner can change its status' });
+    }
+
+    if (!canTransition(project.status, status)) {
+      // "An active project", "An archived project"
+      const article = /^[aeiou]/.test(project.status) ? 'An' : 'A';
+      return res.status(400).json({
+        error: `${article} ${project.status} project can't be moved to ${status}`
+      });
+    }
+
+    const now = new Date().toISOString();
+    const updatedProject = projects.update(project.id, {
+      status,
+      statusHistory: [...project.statusHistory, createStatusChange(status, req.userId, note)],
+      joinRequests: isJoinable({ status })
+        ? project.joinRequests
+        : closePendingRequests(project.joinRequests, now),
+      updatedAt: now
+    });
+
+    res.json({
+      message: `Project moved to ${status}`,
+      project: toProjectResponse(updatedProject, req.userId),
+    });
+  } catch (error) {
+    console.error('Update project status error:', error);
+    res.status(500).json({ error: 'Failed to update project status' });
+  }
+});
+
+// Delete a project (protected, owner only). The record is kept but hidden everywhere.
+app.delete('/api/projects/:id', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (getProjectRole(project, req.userId) !== 'owner') {
+      return res.status(403).json({ error: 'Only the project owner can delete this project' });
+    }
+
+    const now = new Date().toISOString();
+    projects.update(project.id, {
+      deletedAt: now,
+      deletedBy: req.userId,
+      joinRequests: closePendingRequests(project.joinRequests, now),
+      updatedAt: now
+    });
+
+    res.json({ message: 'Project deleted' });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+// Get single project
+app.get('/api/projects/:id', identifyUser, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const project = findProject(req.params.id);
+    if (!project || !isVisibleTo(project, Boolean(getProjectMember(project, req.userId)))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(toProjectResponse(project, req.userId));
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({ error: 'Failed to fetch project' });
+  }
+});
+
+/* ---------------------------
+   PROJECT TASKS
+   --------------------------- */
+
+// Kanban columns, in board order
+const TASK_STATUSES = ['todo', 'in_progress', 'review', 'done'];
+
+const taskFields = {
+  title: { type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  assigneeId: { ...optionalId('Assignee'), nullable: true },
+  status: { type: 'string', enum: TASK_STATUSES },
+  dueDate: { type: 'string', format: 'date', label: 'Due date', nullable: true },
+  requiredSkill: { type: 'string', maxLength: 60, label: 'Required skill', nullable: true }
+};
+
+// Catalogue spelling when the skill is known ("reactjs" -> "React")
+const normaliseSkillName = (name) => (
+  name ? findCatalogueSkill(skillCatalogue.all(), name)?.name || cleanSkillName(name) : null
+);
+
+const toTaskResponse = (task) => ({
+  ...task,
+  assigneeName: task.assigneeId ? users.findById(task.assigneeId)?.name || 'Unknown' : null,
+  createdByName: users.findById(task.createdBy)?.name || 'Unknown'
+});
+
+// Tasks stay on the board when their assignee leaves the team, just unassigned
+const unassignMemberTasks = (projectId, userId) => {
+  projectTasks
+    .filter(t => t.projectId === projectId && t.assigneeId === userId)
+    .forEach(task => projectTasks.update(task.id, { assigneeId: null, updatedAt: new Date().toISOString() }));
+};
+
+// Loads the project for a task route and checks the caller is on its team.
+// Sends the error response itself and returns null when they can't continue.
+const loadTaskProject = (req, res, { write = false } = {}) => {
+  const project = findProject(req.params.id);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  if (!getProjectMember(project, req.userId)) {
+    res.status(403).json({ error: 'Only project members can use the task board' });
+    return null;
+  }
+
+  if (write && !isEditable(project)) {
+    res.status(400).json({ error: 'Archived projects are read-only' });
+    return null;
+  }
+
+  return project;
+};
+
+// Get a project's tasks (protected, members only)
+app.get('/api/projects/:id/tasks', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const project = loadTaskProject(req, res);
+    if (!project) return;
+
+    const tasks = projectTasks
+      .filter(t => t.projectId === project.id)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(toTaskResponse);
+
+    res.json(tasks);
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Add a task (protected, members only)
+app.post('/api/projects/:id/tasks', verifyToken, validate({
+  params: { id: id() },
+  body: {
+    ...taskFields,
+    title: { ...taskFields.title, required: true },
+    status: { ...taskFields.status, default: 'todo' }
+  }
+}), (req, res) => {
+  try {
+    const project = loadTaskProject(req, res, { write: true });
+    if (!project) return;
+
+    const { title, description, assigneeId, status, dueDate, requiredSkill } = req.body;
+
+    if (assigneeId && !getProjectMember(project, assigneeId)) {
+      return res.status(400).json({
+        error: 'Tasks can only be assigned to project members',
+        fields: { assigneeId: 'Tasks can only be assigned to project members' }
+      });
+    }
+
+    const now = new Date().toISOString();
+    const task = projectTasks.insert({
+      id: generateId(),
+      projectId: project.id,
+      title,
+      description: description || '',
+      assigneeId: assigneeId || null,
+      status,
+      dueDate: dueDate || null,
+      requiredSkill: normaliseSkillName(requiredSkill),
+      createdBy: req.userId,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: status === 'done' ? now : null
+    });
+
+    res.status(201).json({
+      message: 'Task added',
+      task: toTaskResponse(task)
+    });
+  } catch (error) {
+    console.error('Create task error:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// Update a task; send only the fields that change, null clears one (protected, members only)
+app.patch('/api/projects/:id/tasks/:taskId', verifyToken, validate({
+  params: { id: id(), taskId: id('Task') },
+  body: taskFields
+}), (req, res) => {
+  try {
+    const project = loadTaskProject(req, res, { write: true });
+    if (!project) return;
+
+    const task = projectTasks.findById(req.params.taskId);
+    if (!task || task.projectId !== project.id) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const changes = { ...req.body };
+
+    if (changes.assigneeId && !getProjectMember(project, changes.assigneeId)) {
+      return res.status(400).json({
+        error: 'Tasks can only be assigned to project members',
+        fields: { assigneeId: 'Tasks can only be assigned to project members' }
+      });
+    }
+
+    if ('requiredSkill' in changes) {
+      changes.requiredSkill = normaliseSkillName(changes.requiredSkill);
+    }
+
+    const now = new Date().toISOString();
+    if (changes.status && changes.status !== task.status) {
+      changes.completedAt = changes.status === 'done' ? now : null;
+    }
+
+    const updatedTask = projectTasks.update(task.id, { ...changes, updatedAt: now });
+
+    res.json({
+      message: 'Task updated',
+      task: toTaskResponse(updatedTask)
+    });
+  } catch (error) {
+    console.error('Update task error:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+// Delete a task (protected, its creator or the owner and maintainers)
+app.delete('/api/projects/:id/tasks/:taskId', verifyToken, validate({
+  params: { id: id(), taskId: id('Task') }
+}), (req, res) => {
+  try {
+    const project = loadTaskProject(req, res, { write: true });
+    if (!project) return;
+
+    const task = projectTasks.findById(req.params.taskId);
+    if (!task || task.projectId !== project.id) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (task.createdBy !== req.userId && !canManageProject(project, req.userId)) {
+      return res.status(403).json({ error: 'Only the task\'s creator or the project owner and maintainers can delete it' });
+    }
+
+    projectTasks.remove(task.id);
+    res.json({ message: 'Task deleted' });
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+/* ---------------------------
+   DIRECT MESSAGES
+   --------------------------- */
+
+// One conversation per pair of users. Each participant's readAt marks how far
+// they have read; blockedBy lists participants who blocked the other one.
+const MESSAGE_PAGE_SIZE = 50;
+
+const getOtherParticipantId = (conversation, userId) => (
+  conversation.participantIds.find(participantId => participantId !== userId)
+);
+
+const findConversationBetween = (userId, otherUserId) => conversations.find(c => (
+  c.participantIds.includes(userId) && c.participantIds.includes(otherUserId)
+));
+
+const countUnreadMessages = (conversation, userId) => {
+  const readAt = conversation.readAt[userId];
+  return messages.count(m => (
+    m.conversationId === conversation.id &&
+    m.senderId !== userId &&
+    (!readAt || m.createdAt > readAt)
+  ));
+};
+
+// A message as its reader sees it: `seen` tells the sender the other person has read it
+const toMessageResponse = (message, conversation, viewerId) => {
+  const otherReadAt = conversation.readAt[getOtherParticipantId(conversation, viewerId)];
+  return {
+    ...message,
+    isMine: message.senderId === viewerId,
+    seen: message.senderId === viewerId && Boolean(otherReadAt) && message.createdAt <= otherReadAt
+  };
+};
+
+const toConversationResponse = (conversation, viewerId) => {
+  const otherUser = users.findById(getOtherParticipantId(conversation, viewerId));
+  const lastMessage = messages
+    .filter(m => m.conversationId === conversation.id)
+    .sort((a, b) => (a.id < b.id ? 1 : -1))[0];
+
+  return {
+    id: conversation.id,
+    otherUser: {
+      id: otherUser?.id || null,
+      name: otherUser?.name || 'Deleted user',
+      avatarUrl: getAvatarUrl(otherUser?.avatar)
+    },
+    lastMessage: lastMessage ? toMessageResponse(lastMessage, conversation, viewerId) : null,
+    unreadCount: countUnreadMessages(conversation, viewerId),
+    blockedByMe: conversation.blockedBy.includes(viewerId),
+    // Either side blocking closes the conversation; who blocked whom stays private
+    canMessage: conversation.blockedBy.length === 0,
+    otherReadAt: conversation.readAt[otherUser?.id] || null,
+    createdAt: conversation.createdAt,
+    lastMessageAt: conversation.lastMessageAt
+  };
+};
+
+// Loads a conversation the caller takes part in. Sends the error response
+// itself and returns null when they can't continue.
+const loadConversation = (req, res) => {
+  const conversation = conversations.findById(req.params.id);
+  if (!conversation || !conversation.participantIds.includes(req.userId)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  return conversation;
+};
+
+const addMessage = (conversation, senderId, body) => {
+  const now = new Date().toISOString();
+  const message = messages.insert({
+    id: generateId(),
+    conversationId: conversation.id,
+    senderId,
+    body,
+    createdAt: now
+  });
+
+  // Sending a message means you've read everything before it
+  const updatedConversation = conversations.update(conversation.id, {
+    lastMessageAt: now,
+    readAt: { ...conversation.readAt, [senderId]: now },
+    updatedAt: now
+  });
+
+  publish(updatedConversation.participantIds, 'message.created', viewerId => ({
+    conversation: toConversationResponse(updatedConversation, viewerId),
+    message: toMessageResponse(message, updatedConversation, viewerId)
+  }));
+
+  return { message, conversation: updatedConversation };
+};
+
+// Push a conversation's new state (read receipts, blocking) to both participants
+const publishConversationUpdate = (conversation) => {
+  publish(conversation.participantIds, 'conversation.updated', viewerId => ({
+    conversation: toConversationResponse(conversation, viewerId)
+  }));
+};
+
+const messageBodyRule = { type: 'string', required: true, maxLength: 2000, label: 'Message' };
+
+// My conversations, most recent first (protected)
+app.get('/api/conversations', verifyToken, (req, res) => {
+  try {
+    const myConversations = conversations
+      .filter(c => c.participantIds.includes(req.userId))
+      .sort((a, b) => (b.lastMessageAt || b.createdAt).localeCompare(a.lastMessageAt || a.createdAt))
+      .map(conversation => toConversationResponse(conversation, req.userId));
+
+    res.json(myConversations);
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Total unread messages, for the navigation badge (protected)
+app.get('/api/conversations/unread-count', verifyToken, (req, res) => {
+  try {
+    const unreadCount = conversations
+      .filter(c => c.participantIds.includes(req.userId))
+      .reduce((total, conversation) => total + countUnreadMessages(conversation, req.userId), 0);
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Failed to fetch unread messages' });
+  }
+});
+
+// Open (or reuse) my conversation with another user, optionally sending a first message (protected)
+app.post('/api/conversations', verifyToken, requireVerifiedEmail, validate({
+  body: {
+    userId: id('User'),
+    message: { ...messageBodyRule, required: false }
+  }
+}), (req, res) => {
+  try {
+    const { userId, message } = req.body;
+
+    if (userId === req.userId) {
+      return res.status(400).json({ error: 'You can\'t message yourself' });
+    }
+
+    if (!users.findById(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    let conversation = findConversationBetween(req.userId, userId);
+    const isNew = !conversation;
+
+    if (isNew) {
+      const now = new Date().toISOString();
+      conversation = conversations.insert({
+        id: generateId(),
+        participantIds: [req.userId, userId],
+        readAt: { [req.userId]: null, [userId]: null },
+        blockedBy: [],
+        lastMessageAt: null,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+
+    if (message) {
+      if (conversation.blockedBy.length > 0) {
+        return res.status(403).json({ error: 'You can\'t message this user' });
+      }
+      conversation = addMessage(conversation, req.userId, message).conversation;
+    }
+
+    res.status(isNew ? 201 : 200).json({
+      conversation: toConversationResponse(conversation, req.userId)
+    });
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({ error: 'Failed to start conversation' });
+  }
+});
+
+// Get one conversation (protected, participants only)
+app.get('/api/conversations/:id', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const conversation = loadConversation(req, res);
+    if (!conversation) return;
+
+    res.json(toConversationResponse(conversation, req.userId));
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+// Message history, oldest first. Pass ?before=<messageId> to page further back (protected).
+app.get('/api/conversations/:id/messages', verifyToken, validate({
+  params: { id: id() },
+  query: {
+    before: optionalId('Before'),
+    limit: { type: 'integer', min: 1, max: 100, default: MESSAGE_PAGE_SIZE }
+  }
+}), (req, res) => {
+  try {
+    const conversation = loadConversation(req, res);
+    if (!conversation) return;
+
+    const { before, limit } = req.query;
+
+    // Ids sort by creation time, even for messages sent in the same millisecond
+    const olderMessages = messages
+      .filter(m => m.conversationId === conversation.id && (!before || m.id < before))
+      .sort((a, b) => (a.id < b.id ? -1 : 1));
+
+    const page = olderMessages.slice(-limit);
+
+    res.json({
+      messages: page.map(m => toMessageResponse(m, conversation, req.userId)),
+      hasMore: olderMessages.length > page.length
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Send a message (protected, participants only)
+app.post('/api/conversations/:id/messages', verifyToken, requireVerifiedEmail, validate({
+  params: { id: id() },
+  body: { body: messageBodyRule }
+}), (req, res) => {
+  try {
+    const conversation = loadConversation(req, res);
+    if (!conversation) return;
+
+    if (conversation.blockedBy.length > 0) {
+      return res.status(403).json({ error: 'You can\'t message this user' });
+    }
+
+    const result = addMessage(conversation, req.userId, req.body.body);
+
+    res.status(201).json({
+      message: toMessageResponse(result.message, result.conversation, req.userId)
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Mark everything in the conversation as read (protected, participants only)
+app.post('/api/conversations/:id/read', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const conversation = loadConversation(req, res);
+    if (!conversation) return;
+
+    const updatedConversation = conversations.update(conversation.id, {
+      readAt: { ...conversation.readAt, [req.userId]: new Date().toISOString() }
+    });
+    publishConversationUpdate(updatedConversation);
+
+    res.json(toConversationResponse(updatedConversation, req.userId));
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ error: 'Failed to mark conversation as read' });
+  }
+});
+
+// Block the other participant: neither side can send messages until unblocked (protected)
+app.post('/api/conversations/:id/block', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const conversation = loadConversation(req, res);
+    if (!conversation) return;
+
+    const updatedConversation = conversation.blockedBy.includes(req.userId)
+      ? conversation
+      : conversations.update(conversation.id, {
+        blockedBy: [...conversation.blockedBy, req.userId],
+        updatedAt: new Date().toISOString()
+      });
+    publishConversationUpdate(updatedConversation);
+
+    res.json({
+      message: 'User blocked',
+      conversation: toConversationResponse(updatedConversation, req.userId)
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock the other participant (protected)
+app.delete('/api/conversations/:id/block', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const conversation = loadConversation(req, res);
+    if (!conversation) return;
+
+    const updatedConversation = conversations.update(conversation.id, {
+      blockedBy: conversation.blockedBy.filter(userId => userId !== req.userId),
+      updatedAt: new Date().toISOString()
+    });
+    publishConversationUpdate(updatedConversation);
+
+    res.json({
+      message: 'User unblocked',
+      conversation: toConversationResponse(updatedConversation, req.userId)
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+/* ---------------------------
+   PROFILES & SKILLS
+   --------------------------- */
+
+// Award the one-off profile completion bonus once every profile field is filled in
+const PROFILE_COMPLETION_FIELDS = ['name', 'bio', 'location', 'phone', 'avatar'];
+
+const checkProfileCompletion = (userId) => {
+  const user = users.findById(userId);
+  if (user && PROFILE_COMPLETION_FIELDS.every(field => user[field])) {
+    awardCreditsForEvent(userId, 'PROFILE_COMPLETE');
+  }
+};
+
+// Update user profile (protected route)
+app.put('/api/users/profile', verifyToken, validate({
+  body: {
+    name: { type: 'string', maxLength: 100 },
+    bio: { type: 'string', maxLength: 1000 },
+    location: { type: 'string', maxLength: 200 },
+    phone: {
+      type: 'string',
+      maxLength: 30,
+      pattern: /^\+?[\d\s().-]+$/,
+      patternMessage: 'may only contain digits, spaces and + ( ) - .'
+    },
+    avatar: { type: 'string', maxLength: 500 },
+    timeZone: { type: 'string', format: 'timeZone' }
+  }
+}), async (req, res) => {
+  try {
+    const { name, bio, location, phone, avatar, timeZone } = req.body;
+    
+    const user = users.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Update user data
+    const updatedUser = users.update(req.userId, {
+      name: name || user.name,
+      bio: bio || user.bio,
+      location: location || user.location,
+      phone: phone || user.phone,
+      avatar: avatar || user.avatar,
+      timeZone: timeZone || getUserTimeZone(user),
+      updatedAt: new Date().toISOString()
+    });
+
+    checkProfileCompletion(req.userId);
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: {
+        id: updatedUser.id,
+        email: updatedUser.email,
+        name: updatedUser.name,
+        bio: updatedUser.bio,
+        location: updatedUser.location,
+        phone: updatedUser.phone,
+        avatar: updatedUser.avatar,
+        timeZone: updatedUser.timeZone,
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+// Upload avatar (protected route)
+app.post('/api/users/avatar', verifyToken, upload.single('avatar'), (req, res) => {
+  const user = users.findById(req.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'Avatar image is required',
+      fields: { avatar: 'Avatar image is required' }
+    });
+  }
+
+  users.update(user.id, { avatar: req.file.filename });
+  checkProfileCompletion(user.id);
+
+  res.json({
+    message: 'Avatar uploaded successfully',
+    avatarUrl: `/uploads/avatars/${req.file.filename}`
+  });
+});
+
+// Skills: { userId, skillName, catalogueId, type: 'offering'/'seeking', proficiency: 1-5 }
+
+// Resolve a free-text skill name to its catalogue entry, adding unknown skills to the catalogue
+const resolveCatalogueSkill = (skillName) => {
+  const existing = findCatalogueSkill(skillCatalogue.all(), skillName);
+  if (existing) return existing;
+
+  return skillCatalogue.insert({
+    ...createCustomSkill(skillName),
+    createdAt: new Date().toISOString()
+  });
+};
+
+// Build a predicate for user skills matching a search query. Matches the
+// canonical skill (so "reactjs" finds "React") as well as partial names.
+const createSkillMatcher = (query) => {
+  const queryKey = toSkillKey(query);
+  const catalogueEntry = findCatalogueSkill(skillCatalogue.all(), query);
+
+  return (skill) => (
+    !queryKey ||
+    (catalogueEntry && skill.catalogueId === catalogueEntry.id) ||
+    toSkillKey(skill.skillName).includes(queryKey)
+  );
+};
+
+// Search the skill catalogue (autocomplete)
+app.get('/api/skills/search', validate({
+  query: {
+    query: { type: 'string', maxLength: 100, default: '' },
+    limit: { type: 'integer', min: 1, max: 50, default: 10 }
+  }
+}), (req, res) => {
+  try {
+    const { query, limit } = req.query;
+
+    const usageCounts = {};
+    userSkills.all().forEach(s => {
+      usageCounts[s.catalogueId] = (usageCounts[s.catalogueId] || 0) + 1;
+    });
+
+    const results = rankSkillMatches(skillCatalogue.all(), query, {
+      limit,
+      usageCounts
+    });
+
+    res.json(results);
+  } catch (error) {
+    console.error('Search skills error:', error);
+    res.status(500).json({ error: 'Failed to search skills' });
+  }
+});
+
+// Add skill (protected route)
+app.post('/api/skills', verifyToken, validate({
+  body: {
+    skillName: {
+      type: 'string',
+      required: true,
+      maxLength: 60,
+      check: (value) => (toSkillKey(value) ? null : 'must contain letters or numbers')
+    },
+    type: { type: 'string', required: true, enum: ['offering', 'seeking'] },
+    proficiency: { type: 'integer', min: 1, max: 5, default: 3 }
+  }
+}), (req, res) => {
+  try {
+    const { skillName, type, proficiency } = req.body;
+
+    const catalogueEntry = resolveCatalogueSkill(skillName);
+
+    // Check if skill already exists
+    const existingSkill = userSkills.find(
+      s => s.userId === req.userId && s.catalogueId === catalogueEntry.id && s.type === type
+    );
+
+    if (existingSkill) {
+      return res.status(400).json({ error: 'Skill already added' });
+    }
+
+    const newSkill = {
+      id: generateId(),
+      userId: req.userId,
+      skillName: catalogueEntry.name,
+      catalogueId: catalogueEntry.id,
+      type,
+      proficiency,
+      createdAt: new Date().toISOString()
+    };
+
+    userSkills.insert(newSkill);
+
+    // Rewarded once per skill, so removing and re-adding it earns nothing
+    const reward = awardCreditsForEvent(req.userId, 'SKILL_ADD', `${newSkill.catalogueId}:${type}`);
+
+    res.status(201).json({
+      message: 'Skill added successfully',
+      skill: newSkill,
+      creditsEarned: reward ? reward.amount : 0
+    });
+  } catch (error) {
+    console.error('Add skill error:', error);
+    res.status(500).json({ error: 'Failed to add skill' });
+  }
+});
+
+// Get user skills (protected route)
+app.get('/api/skills', verifyToken, (req, res) => {
+  try {
+    const skills = userSkills.filter(s => s.userId === req.userId);
+    
+    const offering = skills.filter(s => s.type === 'offering');
+    const seeking = skills.filter(s => s.type === 'seeking');
+
+    res.json({
+      offering,
+      seeking
+    });
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({ error: 'Failed to fetch skills' });
+  }
+});
+
+// Delete skill (protected route)
+app.delete('/api/skills/:id', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const skill = userSkills.find(
+      s => s.id === req.params.id && s.userId === req.userId
+    );
+
+    if (!skill) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    userSkills.remove(skill.id);
+
+    res.json({ message: 'Skill removed successfully' });
+  } catch (error) {
+    console.error('Delete skill error:', error);
+    res.status(500).json({ error: 'Failed to delete skill' });
+  }
+});
+
+// Search users by skills
+app.get('/api/users/search', validate({
+  query: {
+    skill: { type: 'string', maxLength: 100 },
+    type: { type: 'string', enum: ['offering', 'seeking'] },
+    location: { type: 'string', maxLength: 200 }
+  }
+}), (req, res) => {
   try {
     const { skill, type, location } = req.query;
 
-    let filteredSkills = userSkills;
+    let filteredSkills = userSkills.all();
+
+    // Filter by skill name
+    if (skill) {
+      filteredSkills = filteredSkills.filter(createSkillMatcher(skill));
+    }
+
+    // Filter by type
+    if (type) {
+      filteredSkills = filteredSkills.filter(s => s.type === type);
+    }
+
+    // Get unique users
+    const userIds = [...new Set(filteredSkills.map(s => s.userId))];
+    
+    const results = userIds.map(userId => {
+      const user = users.find(u => u.id === userId);
+      const skills = filteredSkills.filter(s => s.userId === userId);
+      
+      return {
+        id: user.id,
+        name: user.name,
+        bio: user.bio,
+        location: user.location,
+        avatar: user.avatar,
+        skills: skills.map(s => ({
+          name: s.skillName,
+          type: s.type,
+          proficiency: s.proficiency
+        }))
+      };
+    });
+
+    res.json(results);
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+/* ---------------------------
+   PROVIDER AVAILABILITY
+   --------------------------- */
+
+// A provider's published schedule, or the default one if they haven't set it up
+const getProviderSchedule = (providerId) => {
+  const schedule = availability.find(a => a.providerId === providerId);
+  return schedule || {
+    providerId,
+    weekly: DEFAULT_WEEKLY_AVAILABILITY,
+    exceptions: [],
+    isDefault: true
+  };
+};
+
+// Get my availability (protected route)
+app.get('/api/availability', verifyToken, (req, res) => {
+  try {
+    res.json({
+      ...getProviderSchedule(req.userId),
+      timeZone: getUserTimeZone(users.findById(req.userId))
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+// Publish my weekly availability and date exceptions (protected route)
+// Sessions last from a quarter of an hour to a full working day (minutes)
+const sessionDurationRule = { type: 'integer', min: 15, max: 480, default: 60, label: 'Duration' };
+
+const windowTimeRule = {
+  type: 'string',
+  required: true,
+  pattern: TIME_PATTERN,
+  patternMessage: 'must be in HH:MM format'
+};
+
+const availabilityWindowSchema = {
+  startTime: windowTimeRule,
+  endTime: windowTimeRule
+};
+
+app.put('/api/availability', verifyToken, validate({
+  body: {
+    weekly: {
+      type: 'array',
+      required: true,
+      maxItems: 50,
+      items: {
+        type: 'object',
+        fields: {
+          dayOfWeek: { type: 'integer', required: true, min: 0, max: 6, label: 'Day of week' },
+          ...availabilityWindowSchema
+        }
+      }
+    },
+    exceptions: {
+      type: 'array',
+      maxItems: 366,
+      default: [],
+      items: {
+        type: 'object',
+        fields: {
+          date: { type: 'string', required: true, format: 'date' },
+          windows: {
+            type: 'array',
+            maxItems: 10,
+            default: [],
+            items: { type: 'object', fields: availabilityWindowSchema }
+          },
+          reason: { type: 'string', maxLength: 200, default: '' }
+        }
+      }
+    }
+  }
+}), (req, res) => {
+  try {
+    const { weekly, exceptions } = req.body;
+
+    const validationError = validateSchedule({ weekly, exceptions });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const changes = {
+      weekly: weekly.map(({ dayOfWeek, startTime, endTime }) => ({ dayOfWeek, startTime, endTime })),
+      exceptions: exceptions.map(({ date, windows, reason }) => ({
+        date,
+        windows: windows.map(({ startTime, endTime }) => ({ startTime, endTime })),
+        reason
+      })),
+      updatedAt: new Date().toISOString()
+    };
+
+    const existing = availability.find(a => a.providerId === req.userId);
+    const schedule = existing
+      ? availability.update(existing.id, changes)
+      : availability.insert({
+        id: generateId(),
+        providerId: req.userId,
+        ...changes,
+        createdAt: changes.updatedAt
+      });
+
+    res.json({
+      message: 'Availability updated successfully',
+      availability: schedule
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({ error: 'Failed to update availability' });
+  }
+});
+
+// Get a provider's free slots between two dates, as dates and times in the
+// viewer's time zone (defaults to the provider's)
+app.get('/api/users/:id/slots', validate({
+  params: { id: id() },
+  query: {
+    from: { type: 'string', required: true, format: 'date' },
+    to: { type: 'string', required: true, format: 'date' },
+    duration: sessionDurationRule,
+    timeZone: { type: 'string', format: 'timeZone' }
+  }
+}), (req, res) => {
+  try {
+    const { from, to, duration: sessionLength, timeZone } = req.query;
+
+    const range = daysBetween(from, to);
+    if (range < 0 || range > MAX_SLOT_RANGE_DAYS) {
+      return res.status(400).json({ error: `Date range must be 0 to ${MAX_SLOT_RANGE_DAYS} days` });
+    }
+
+    const provider = users.findById(req.params.id);
+    if (!provider) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const providerTimeZone = getUserTimeZone(provider);
+    const busy = [
+      ...bookings.filter(b => b.providerId === req.params.id && holdsTimeSlot(b)),
+      ...getWorkshopsFor([req.params.id])
+    ].map(item => ({ start: new Date(item.startsAt), end: new Date(item.endsAt) }));
+
+    res.json({
+      providerId: req.params.id,
+      duration: sessionLength,
+      timeZone: timeZone || providerTimeZone,
+      providerTimeZone,
+      slots: generateSlots(getProviderSchedule(req.params.id), {
+        from,
+        to,
+        duration: sessionLength,
+        timeZone: providerTimeZone,
+        viewerTimeZone: timeZone || providerTimeZone,
+        busy
+      })
+    });
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(500).json({ error: 'Failed to fetch available slots' });
+  }
+});
+
+// Booking as one of the people on it sees it
+const toBookingResponse = (booking, viewerId) => {
+  const provider = users.findById(booking.providerId);
+  const seeker = users.findById(booking.seekerId);
+
+  return {
+    ...booking,
+    providerName: provider?.name || 'Unknown',
+    seekerName: seeker?.name || 'Unknown',
+    providerTimeZone: getUserTimeZone(provider),
+    seekerTimeZone: getUserTimeZone(seeker),
+    isProvider: booking.providerId === viewerId,
+    history: (booking.history || []).map(event => ({
+      ...event,
+      // Changes made before history was kept have no recorded actor
+      changedByName: event.changedBy ? users.findById(event.changedBy)?.name || 'Unknown' : null
+    })),
+    availableTransitions: getAvailableTransitions(booking, viewerId),
+    canReschedule: !getRescheduleError(booking, viewerId),
+    canPropose: !getProposalError(booking, viewerId),
+    proposal: booking.proposal ? {
+      ...booking.proposal,
+      proposedByName: users.findById(booking.proposal.proposedBy)?.name || 'Unknown',
+      isMine: booking.proposal.proposedBy === viewerId
+    } : null,
+    series: booking.seriesId ? toSeriesSummary(booking.seriesId) : null,
+    canReview: booking.status === 'completed' &&
+      !reviews.some(r => r.bookingId === booking.id && r.reviewerId === viewerId)
+  };
+};
+
+// What a booking card needs to know about the series it belongs to
+const toSeriesSummary = (seriesId) => {
+  const series = bookingSeries.findById(seriesId);
+  return series && {
+    id: series.id,
+    frequency: series.frequency,
+    rrule: series.rrule,
+    size: bookings.count(b => b.seriesId === seriesId)
+  };
+};
+
+// Push a booking's new state to both the provider and the seeker
+const publishBookingUpdate = (booking) => {
+  publish([booking.providerId, booking.seekerId], 'booking.updated', viewerId => ({
+    booking: toBookingResponse(booking, viewerId)
+  }));
+};
+
+// Escrow outcome of moving a booking to `status`. Declines and cancellations
+// release the hold per the refund policy; a completed session pays the
+// provider. For a no-show the absent party loses out: a missing seeker still
+// pays, a missing provider means a full refund.
+const resolveEscrow = (booking, status, userId) => {
+  if (status === 'declined' || status === 'cancelled') {
+    return releaseEscrow(booking, userId);
+  }
+  if (status === 'completed') {
+    return settleEscrow(booking);
+  }
+  if (status === 'no_show') {
+    return userId === booking.seekerId
+      ? releaseEscrow(booking, booking.providerId)
+      : settleEscrow(booking);
+  }
+  return booking.escrow;
+};
+
+// Tell the other participant about a change made by `userId`. Changes to
+// several sessions of a series at once send one notification about the
+// first of them.
+const notifyBookingChange = (booking, status, userId, reason, sessionCount = 1) => {
+  const otherId = userId === booking.providerId ? booking.seekerId : booking.providerId;
+  const other = users.findById(otherId);
+  const actor = users.findById(userId);
+  const otherStart = formatInTimeZone(booking.startsAt, getUserTimeZone(other));
+  const when = `${otherStart.date} at ${otherStart.time}`;
+  const emailData = [other?.name, actor?.name, otherStart.date, otherStart.time, reason];
+
+  const sessions = sessionCount > 1 ? `${sessionCount} sessions in your series` : null;
+
+  const content = {
+    confirmed: ['booking_confirmed', `${actor?.name} confirmed ${sessions || 'your session'}`],
+    declined: ['booking_declined', `${actor?.name} declined ${sessions || 'your session request'}`],
+    cancelled: ['booking_cancelled', `${actor?.name} cancelled ${sessions || 'your session'}`],
+    no_show: ['booking_no_show', `${actor?.name} reported that you missed your session`]
+  }[status];
+  if (!content) return;
+
+  const [type, title] = content;
+  notify(otherId, type, {
+    title,
+    body: `${sessions ? `From ${when}` : when}${reason ? ` · "${reason}"` : ''}`,
+    link: '/booking',
+    relatedId: booking.id
+  }, emailData);
+};
+
+// Move a booking along its lifecycle, recording who did it and why. Callers
+// check the move is allowed with getTransitionError first. `changes` are
+// extra fields saved with the new status; `notifyOther: false` leaves
+// telling the other person to the caller.
+const transitionBooking = (booking, status, userId, { reason = '', changes = {}, notifyOther = true } = {}) => {
+  const now = new Date().toISOString();
+  const absentId = booking.providerId === userId ? booking.seekerId : booking.providerId;
+
+  const updatedBooking = bookings.update(booking.id, {
+    status,
+    escrow: resolveEscrow(booking, status, userId),
+    history: [...(booking.history || []), createBookingEvent(booking.status, status, userId, reason)],
+    // Bumped on every change so subscribed calendars pick up the new version
+    sequence: (booking.sequence || 0) + 1,
+    ...(status === 'confirmed' && { confirmedAt: now }),
+    ...(status === 'in_progress' && { startedAt: now }),
+    ...(status === 'no_show' && { noShowUserId: absentId }),
+    // Any open proposal to move the session no longer applies
+    proposal: null,
+    ...changes,
+    updatedAt: now
+  });
+
+  if (notifyOther) notifyBookingChange(booking, status, userId, reason);
+  publishBookingUpdate(updatedBooking);
+  return updatedBooking;
+};
+
+// A participant confirms the session took place. The booking is completed,
+// and the escrow settled, when the second one confirms; until then the other
+// person is asked to confirm too.
+const confirmBookingCompletion = (booking, userId) => {
+  const { completion, isComplete } = recordCompletionConfirmation(booking, userId);
+
+  if (isComplete) {
+    return transitionBooking(booking, 'completed', userId, { changes: { completion } });
+  }
+
+  const updatedBooking = bookings.update(booking.id, {
+    completion,
+    updatedAt: new Date().toISOString()
+  });
+
+  const otherId = userId === booking.providerId ? booking.seekerId : booking.providerId;
+  const other = users.findById(otherId);
+  const confirmer = users.findById(userId);
+  const otherStart = formatInTimeZone(booking.startsAt, getUserTimeZone(other));
+  notify(otherId, 'booking_completion_requested', {
+    title: `${confirmer?.name} confirmed your session took place`,
+    body: `Confirm it or report a problem within ${COMPLETION_CONFIRM_WINDOW_HOURS} hours`,
+    link: '/booking',
+    relatedId: booking.id
+  }, [
+    other?.name,
+    confirmer?.name,
+    otherStart.date,
+    otherStart.time,
+    COMPLETION_CONFIRM_WINDOW_HOURS
+  ]);
+  publishBookingUpdate(updatedBooking);
+  return updatedBooking;
+};
+
+// How often to look for sessions whose confirmation window has run out
+const AUTO_COMPLETE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Complete sessions only one person confirmed, once the other let the window
+// pass, and cancel the ones nobody started so their hold is released per the
+// refund policy (in full for requests the provider never answered)
+const autoCompleteBookings = () => {
+  try {
+    bookings.filter(booking => isDueForAutoCompletion(booking)).forEach(booking => {
+      transitionBooking(booking, 'completed', null, {
+        reason: `Confirmed automatically after ${COMPLETION_CONFIRM_WINDOW_HOURS} hours`
+      });
+    });
+    bookings.filter(booking => isDueForAutoCancellation(booking)).forEach(booking => {
+      transitionBooking(booking, 'cancelled', null, {
+        reason: `Not started within ${COMPLETION_CONFIRM_WINDOW_HOURS} hours of its end`,
+        notifyOther: false
+      });
+    });
+  } catch (error) {
+    console.error('Auto-complete bookings error:', error);
+  }
+};
+
+const startBookingAutoCompletion = () => {
+  autoCompleteBookings();
+  setInterval(autoCompleteBookings, AUTO_COMPLETE_INTERVAL_MS);
+};
+
+// Whether any of the users has a session or workshop overlapping the given
+// time. Comparing UTC instants, so zones don't matter. `ignoreIds` are
+// bookings being moved, which can't clash with themselves.
+const hasCalendarClash = (userIds, startsAt, endsAt, ignoreIds = []) => {
+  const overlaps = (item) => startsAt < new Date(item.endsAt) && new Date(item.startsAt) < endsAt;
+
+  return bookings.some(b => (
+    holdsTimeSlot(b) &&
+    !ignoreIds.includes(b.id) &&
+    (userIds.includes(b.providerId) || userIds.includes(b.seekerId)) &&
+    overlaps(b)
+  )) || getWorkshopsFor(userIds).some(overlaps);
+};
+
+// Why a session can't take place at `startsAt`, or null if it can: the
+// provider must be available then (in their own zone) and neither person may
+// have another session or a workshop at the same time.
+const getSlotProblem = ({ provider, seekerId, startsAt, duration, ignoreIds = [] }) => {
+  const endsAt = new Date(startsAt.getTime() + duration * 60000);
+
+  if (!isWithinAvailability(
+    getProviderSchedule(provider.id),
+    startsAt,
+    duration,
+    getUserTimeZone(provider)
+  )) {
+    return 'Provider is not available at that time';
+  }
+
+  return hasCalendarClash([provider.id, seekerId], startsAt, endsAt, ignoreIds)
+    ? 'Time slot conflict detected'
+    : null;
+};
+
+// Create booking (protected route)
+app.post('/api/bookings', verifyToken, requireVerifiedEmail, validate({
+  body: {
+    providerId: id('Provider'),
+    skillId: { type: 'string', maxLength: 100 },
+    // date and time are wall-clock values in the creator's time zone
+    date: { type: 'string', required: true, format: 'date' },
+    time: { type: 'string', required: true, format: 'time' },
+    duration: sessionDurationRule,
+    message: { type: 'string', maxLength: 1000, default: '' },
+    timeZone: { type: 'string', format: 'timeZone' }
+  }
+}), (req, res) => {
+  try {
+    const { providerId, skillId, date, time, duration, message, timeZone } = req.body;
+
+    const seeker = users.findById(req.userId);
+    const bookingTimeZone = timeZone || getUserTimeZone(seeker);
+
+    const requestedDateTime = zonedTimeToUtc(date, time, bookingTimeZone);
+    if (!requestedDateTime) {
+      return res.status(400).json({ error: 'That date and time do not exist' });
+    }
+    const requestedEndTime = new Date(requestedDateTime.getTime() + duration * 60000);
+
+    if (requestedDateTime <= new Date()) {
+      return res.status(400).json({ error: 'Sessions can only be booked for a future time' });
+    }
+
+    // Check if provider exists
+    const provider = users.find(u => u.id === providerId);
+    if (!provider) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+    if (providerId === req.userId) {
+      return res.status(400).json({ error: 'You cannot book sessions with yourself' });
+    }
+
+    const slotProblem = getSlotProblem({
+      provider,
+      seekerId: req.userId,
+      startsAt: requestedDateTime,
+      duration
+    });
+    if (slotProblem) {
+      return res.status(400).json({ error: slotProblem });
+    }
+
+    // Seeker must be able to cover the session up front
+    const escrowAmount = calculateEscrowAmount(duration);
+    initializeUserCredits(req.userId);
+    const seekerBalance = users.findById(req.userId).creditBalance;
+
+    if (seekerBalance < escrowAmount) {
+      return res.status(400).json({
+        error: `Insufficient credits: this session needs ${escrowAmount} credits, you have ${seekerBalance}`
+      });
+    }
+
+    const newBooking = {
+      id: generateId(),
+      providerId,
+      seekerId: req.userId,
+      skillId: skillId || null,
+      startsAt: requestedDateTime.toISOString(),
+      endsAt: requestedEndTime.toISOString(),
+      timeZone: bookingTimeZone,
+      duration,
+      message,
+      status: 'pending',
+      history: [createBookingEvent(null, 'pending', req.userId)],
+      createdAt: new Date().toISOString()
+    };
+
+    newBooking.escrow = holdEscrow(newBooking, escrowAmount);
+    bookings.insert(newBooking);
+    publishBookingUpdate(newBooking);
+
+    const providerStart = formatInTimeZone(newBooking.startsAt, getUserTimeZone(provider));
+    notify(provider.id, 'booking_requested', {
+      title: `${seeker.name} requested a session`,
+      body: `${providerStart.date} at ${providerStart.time}`,
+      link: '/booking',
+      relatedId: newBooking.id
+    }, [
+      provider.name,
+      seeker.name,
+      providerStart.date,
+      providerStart.time,
+      newBooking.message
+    ]);
+
+    res.status(201).json({
+      message: 'Booking request sent successfully',
+      booking: toBookingResponse(newBooking, req.userId)
+    });
+  } catch (error) {
+    console.error('Create booking error:', error);
+    res.status(500).json({ error: 'Failed to create booking' });
+  }
+});
+
+// Get user bookings (protected route)
+app.get('/api/bookings', verifyToken, (req, res) => {
+  try {
+    const userBookings = bookings.filter(
+      b => b.providerId === req.userId || b.seekerId === req.userId
+    );
+
+    res.json(userBookings.map(booking => toBookingResponse(booking, req.userId)));
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({ error: 'Failed to fetch bookings' });
+  }
+});
+
+// Move a booking to its next status (participants only, see bookingLifecycle.js)
+app.patch('/api/bookings/:id', verifyToken, validate({
+  params: { id: id() },
+  body: {
+    status: { type: 'string', required: true, enum: TARGET_STATUSES },
+    reason: { type: 'string', maxLength: 500, default: '' }
+  }
+}), (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const booking = bookings.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!getParticipantRole(booking, req.userId)) {
+      return res.status(403).json({ error: 'Not authorized to update this booking' });
+    }
+
+    const transitionError = getTransitionError(booking, req.userId, status);
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+
+    const updatedBooking = status === 'completed'
+      ? confirmBookingCompletion(booking, req.userId)
+      : transitionBooking(booking, status, req.userId, { reason });
+
+    res.json({
+      message: updatedBooking.status === status
+        ? `Booking ${status.replace('_', ' ')}`
+        : 'Thanks! The session completes once the other person confirms too',
+      booking: toBookingResponse(updatedBooking, req.userId)
+    });
+  } catch (error) {
+    console.error('Update booking error:', error);
+    res.status(500).json({ error: 'Failed to update booking' });
+  }
+});
+
+/* ---------------------------
+   BOOKING SERIES
+   --------------------------- */
+
+// Recurring sessions (see recurrence.js). Each occurrence is an ordinary
+// booking with a `seriesId`, so it can be confirmed, cancelled or completed on
+// its own; the routes here act on every occurrence at once.
+
+const getSeriesBookings = (seriesId) => bookings
+  .filter(b => b.seriesId === seriesId)
+  .sort((a, b) => a.seriesIndex - b.seriesIndex);
+
+const toSeriesResponse = (series, viewerId) => ({
+  ...series,
+  bookings: getSeriesBookings(series.id).map(booking => toBookingResponse(booking, viewerId))
+});
+
+// A participant's series, or an error response
+const findSeriesForParticipant = (req, res) => {
+  const series = bookingSeries.findById(req.params.id);
+  if (!series) {
+    res.status(404).json({ error: 'Booking series not found' });
+    return null;
+  }
+  if (!getParticipantRole(series, req.userId)) {
+    res.status(403).json({ error: 'Not authorized to view this booking series' });
+    return null;
+  }
+  return series;
+};
+
+// Check every start time in `occurrences` ({ date, startsAt }); returns the
+// ones that can't be booked, with the reason
+const findSeriesConflicts = (occurrences, { provider, seekerId, duration, ignoreIds }) => (
+  occurrences
+    .map(({ date, startsAt }) => ({
+      date,
+      error: getSlotProblem({ provider, seekerId, startsAt, duration, ignoreIds })
+    }))
+    .filter(conflict => conflict.error)
+);
+
+const describeConflicts = (conflicts, total) => (
+  `${conflicts.length} of ${total} sessions can't be booked: ` +
+  conflicts.map(conflict => `${conflict.date} (${conflict.error.toLowerCase()})`).join(', ')
+);
+
+// Move a booking to `startsAt`, keeping a record of the old time. `details`
+// are extra fields for the history entry.
+const rescheduleBooking = (booking, startsAt, userId, reason = '', details = {}) => {
+  const endsAt = new Date(startsAt.getTime() + booking.duration * 60000);
+
+  return bookings.update(booking.id, {
+    startsAt: startsAt.toISOString(),
+    endsAt: endsAt.toISOString(),
+    history: [
+      ...(booking.history || []),
+      createBookingEvent(booking.status, booking.status, userId, reason, {
+        rescheduledFrom: booking.startsAt,
+        rescheduledTo: startsAt.toISOString(),
+        ...details
+      })
+    ],
+    proposal: null,
+    sequence: (booking.sequence || 0) + 1,
+    updatedAt: new Date().toISOString()
+  });
+};
 
-    // Filter by skill name
-    if (skill) {
-      filteredSkills = filteredSkills.filter(s => 
-        s.skillName.toLowerCase().includes(skill.toLowerCase())
-      );
+// Let the provider know a request they haven't answered yet has moved
+const notifyRequestMoved = (booking, sessionCount = 1) => {
+  const provider = users.findById(booking.providerId);
+  const seeker = users.findById(booking.seekerId);
+  const providerStart = formatInTimeZone(booking.startsAt, getUserTimeZone(provider));
+
+  notify(provider.id, 'booking_requested', {
+    title: sessionCount > 1
+      ? `${seeker?.name} moved ${sessionCount} requested sessions`
+      : `${seeker?.name} moved their session request`,
+    body: `${sessionCount > 1 ? 'From ' : ''}${providerStart.date} at ${providerStart.time}`,
+    link: '/booking',
+    relatedId: booking.id
+  }, [
+    provider.name,
+    seeker?.name,
+    providerStart.date,
+    providerStart.time,
+    booking.message
+  ]);
+};
+
+const recurrenceRules = {
+  frequency: { type: 'string', required: true, enum: Object.keys(RECURRENCE_FREQUENCIES) },
+  count: { type: 'integer', min: 2, max: MAX_SERIES_OCCURRENCES, label: 'Number of sessions' },
+  until: { type: 'string', format: 'date', label: 'End date' }
+};
+
+const rescheduleRules = {
+  date: { type: 'string', required: true, format: 'date' },
+  time: { type: 'string', required: true, format: 'time' },
+  timeZone: { type: 'string', format: 'timeZone' },
+  reason: { type: 'string', maxLength: 500, default: '' }
+};
+
+// Request a recurring series of sessions (protected route)
+app.post('/api/booking-series', verifyToken, requireVerifiedEmail, validate({
+  body: {
+    providerId: id('Provider'),
+    skillId: { type: 'string', maxLength: 100 },
+    // date and time of the first session, as wall-clock values in the creator's time zone
+    date: { type: 'string', required: true, format: 'date' },
+    time: { type: 'string', required: true, format: 'time' },
+    duration: sessionDurationRule,
+    message: { type: 'string', maxLength: 1000, default: '' },
+    timeZone: { type: 'string', format: 'timeZone' },
+    ...recurrenceRules
+  }
+}), (req, res) => {
+  try {
+    const { providerId, skillId, date, time, duration, message, timeZone, frequency, count, until } = req.body;
+
+    if (Boolean(count) === Boolean(until)) {
+      return res.status(400).json({ error: 'Give either a number of sessions or an end date' });
+    }
+
+    const provider = users.findById(providerId);
+    if (!provider) {
+      return res.status(404).json({ error: 'Provider not found' });
+    }
+    if (providerId === req.userId) {
+      return res.status(400).json({ error: 'You cannot book sessions with yourself' });
+    }
+
+    const seeker = users.findById(req.userId);
+    const seriesTimeZone = timeZone || getUserTimeZone(seeker);
+
+    const dates = getOccurrenceDates(date, { frequency, count, until });
+    if (dates.length > MAX_SERIES_OCCURRENCES) {
+      return res.status(400).json({ error: `A series can have at most ${MAX_SERIES_OCCURRENCES} sessions` });
+    }
+    if (dates.length < 2) {
+      return res.status(400).json({ error: 'A series needs at least 2 sessions; book a single session instead' });
+    }
+
+    const occurrences = dates.map(occurrenceDate => ({
+      date: occurrenceDate,
+      startsAt: zonedTimeToUtc(occurrenceDate, time, seriesTimeZone)
+    }));
+
+    if (occurrences.some(occurrence => !occurrence.startsAt)) {
+      return res.status(400).json({ error: 'That date and time do not exist' });
+    }
+    if (occurrences[0].startsAt <= new Date()) {
+      return res.status(400).json({ error: 'Sessions can only be booked for a future time' });
+    }
+
+    const conflicts = findSeriesConflicts(occurrences, { provider, seekerId: req.userId, duration });
+    if (conflicts.length > 0) {
+      return res.status(400).json({ error: describeConflicts(conflicts, occurrences.length), conflicts });
+    }
+
+    // Every session is held up front, like a single booking
+    const escrowAmount = calculateEscrowAmount(duration);
+    const totalAmount = escrowAmount * occurrences.length;
+    initializeUserCredits(req.userId);
+    const seekerBalance = users.findById(req.userId).creditBalance;
+
+    if (seekerBalance < totalAmount) {
+      return res.status(400).json({
+        error: `Insufficient credits: these ${occurrences.length} sessions need ${totalAmount} credits, you have ${seekerBalance}`
+      });
+    }
+
+    const series = bookingSeries.insert({
+      id: generateId(),
+      providerId,
+      seekerId: req.userId,
+      skillId: skillId || null,
+      frequency,
+      count: count || null,
+      until: until || null,
+      rrule: toRRule({ frequency, count, until }),
+      timeZone: seriesTimeZone,
+      duration,
+      message,
+      createdAt: new Date().toISOString()
+    });
+
+    const seriesBookings = occurrences.map(({ startsAt }, index) => {
+      const booking = {
+        id: generateId(),
+        providerId,
+        seekerId: req.userId,
+        skillId: skillId || null,
+        seriesId: series.id,
+        seriesIndex: index + 1,
+        startsAt: startsAt.toISOString(),
+        endsAt: new Date(startsAt.getTime() + duration * 60000).toISOString(),
+        timeZone: seriesTimeZone,
+        duration,
+        message,
+        status: 'pending',
+        history: [createBookingEvent(null, 'pending', req.userId)],
+        createdAt: new Date().toISOString()
+      };
+
+      booking.escrow = holdEscrow(booking, escrowAmount);
+      bookings.insert(booking);
+      return booking;
+    });
+    seriesBookings.forEach(publishBookingUpdate);
+
+    const providerStart = formatInTimeZone(seriesBookings[0].startsAt, getUserTimeZone(provider));
+    notify(provider.id, 'booking_requested', {
+      title: `${seeker.name} requested ${seriesBookings.length} ${frequency} sessions`,
+      body: `From ${providerStart.date} at ${providerStart.time}`,
+      link: '/booking',
+      relatedId: seriesBookings[0].id
+    }, [
+      provider.name,
+      seeker.name,
+      `${providerStart.date} (${frequency}, ${seriesBookings.length} sessions)`,
+      providerStart.time,
+      message
+    ]);
+
+    res.status(201).json({
+      message: `${seriesBookings.length} session requests sent successfully`,
+      series: toSeriesResponse(series, req.userId)
+    });
+  } catch (error) {
+    console.error('Create booking series error:', error);
+    res.status(500).json({ error: 'Failed to create booking series' });
+  }
+});
+
+// Get a series with all its sessions (participants only)
+app.get('/api/booking-series/:id', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const series = findSeriesForParticipant(req, res);
+    if (!series) return;
+
+    res.json(toSeriesResponse(series, req.userId));
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({ error: 'Failed to fetch booking series' });
+  }
+});
+
+// Confirm, decline or cancel every session of a series that allows it, e.g.
+// cancelling leaves sessions that already took place alone (participants only)
+app.patch('/api/booking-series/:id', verifyToken, validate({
+  params: { id: id() },
+  body: {
+    status: { type: 'string', required: true, enum: ['confirmed', 'declined', 'cancelled'] },
+    reason: { type: 'string', maxLength: 500, default: '' }
+  }
+}), (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const series = findSeriesForParticipant(req, res);
+    if (!series) return;
+
+    const affected = getSeriesBookings(series.id)
+      .filter(booking => !getTransitionError(booking, req.userId, status));
+
+    if (affected.length === 0) {
+      return res.status(400).json({ error: `No sessions in this series can be marked ${status}` });
+    }
+
+    affected.forEach(booking => {
+      transitionBooking(booking, status, req.userId, { reason, notifyOther: false });
+    });
+    notifyBookingChange(affected[0], status, req.userId, reason, affected.length);
+
+    res.json({
+      message: `${affected.length} session${affected.length === 1 ? '' : 's'} ${status}`,
+      series: toSeriesResponse(series, req.userId)
+    });
+  } catch (error) {
+    console.error('Update booking series error:', error);
+    res.status(500).json({ error: 'Failed to update booking series' });
+  }
+});
+
+// Move the series' pending sessions: the first one goes to the given date and
+// time and the rest follow at the series' frequency (requester only)
+app.patch('/api/booking-series/:id/schedule', verifyToken, validate({
+  params: { id: id() },
+  body: rescheduleRules
+}), (req, res) => {
+  try {
+    const { date, time, timeZone, reason } = req.body;
+
+    const series = findSeriesForParticipant(req, res);
+    if (!series) return;
+
+    const movable = getSeriesBookings(series.id)
+      .filter(booking => !getRescheduleError(booking, req.userId));
+
+    if (movable.length === 0) {
+      return res.status(400).json({ error: 'No sessions in this series can be moved' });
+    }
+
+    const zone = timeZone || series.timeZone;
+    const occurrences = getOccurrenceDates(date, { frequency: series.frequency, count: movable.length })
+      .map(occurrenceDate => ({
+        date: occurrenceDate,
+        startsAt: zonedTimeToUtc(occurrenceDate, time, zone)
+      }));
+
+    if (occurrences.some(occurrence => !occurrence.startsAt)) {
+      return res.status(400).json({ error: 'That date and time do not exist' });
+    }
+    if (occurrences[0].startsAt <= new Date()) {
+      return res.status(400).json({ error: 'Sessions can only be moved to a future time' });
+    }
+
+    const conflicts = findSeriesConflicts(occurrences, {
+      provider: users.findById(series.providerId),
+      seekerId: series.seekerId,
+      duration: series.duration,
+      ignoreIds: movable.map(booking => booking.id)
+    });
+    if (conflicts.length > 0) {
+      return res.status(400).json({ error: describeConflicts(conflicts, occurrences.length), conflicts });
+    }
+
+    const moved = movable.map((booking, index) => (
+      rescheduleBooking(booking, occurrences[index].startsAt, req.userId, reason)
+    ));
+    moved.forEach(publishBookingUpdate);
+    notifyRequestMoved(moved[0], moved.length);
+
+    res.json({
+      message: `${moved.length} session${moved.length === 1 ? '' : 's'} moved`,
+      series: toSeriesResponse(series, req.userId)
+    });
+  } catch (error) {
+    console.error('Reschedule booking series error:', error);
+    res.status(500).json({ error: 'Failed to move booking series' });
+  }
+});
+
+// Move one pending session, e.g. a single week of a series (requester only)
+app.patch('/api/bookings/:id/schedule', verifyToken, validate({
+  params: { id: id() },
+  body: rescheduleRules
+}), (req, res) => {
+  try {
+    const { date, time, timeZone, reason } = req.body;
+
+    const booking = bookings.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!getParticipantRole(booking, req.userId)) {
+      return res.status(403).json({ error: 'Not authorized to update this booking' });
+    }
+
+    const rescheduleError = getRescheduleError(booking, req.userId);
+    if (rescheduleError) {
+      return res.status(400).json({ error: rescheduleError });
+    }
+
+    const startsAt = zonedTimeToUtc(date, time, timeZone || booking.timeZone);
+    if (!startsAt) {
+      return res.status(400).json({ error: 'That date and time do not exist' });
+    }
+    if (startsAt <= new Date()) {
+      return res.status(400).json({ error: 'Sessions can only be moved to a future time' });
+    }
+
+    const slotProblem = getSlotProblem({
+      provider: users.findById(booking.providerId),
+      seekerId: booking.seekerId,
+      startsAt,
+      duration: booking.duration,
+      ignoreIds: [booking.id]
+    });
+    if (slotProblem) {
+      return res.status(400).json({ error: slotProblem });
+    }
+
+    const updatedBooking = rescheduleBooking(booking, startsAt, req.userId, reason);
+    publishBookingUpdate(updatedBooking);
+    notifyRequestMoved(updatedBooking);
+
+    res.json({
+      message: 'Session moved',
+      booking: toBookingResponse(updatedBooking, req.userId)
+    });
+  } catch (error) {
+    console.error('Reschedule booking error:', error);
+    res.status(500).json({ error: 'Failed to move booking' });
+  }
+});
+
+/* ---------------------------
+   RESCHEDULE PROPOSALS
+   --------------------------- */
+
+// Either person can propose a new time for a session; the other accepts,
+// declines or proposes another time (a counter-proposal replaces the open
+// one). A booking has at most one open proposal, stored in `proposal`, and
+// every step is kept in its history.
+
+const recordProposalEvent = (booking, userId, event, reason = '', proposedStartsAt = null) => [
+  ...(booking.history || []),
+  createBookingEvent(booking.status, booking.status, userId, reason, {
+    proposal: event,
+    ...(proposedStartsAt && { proposedStartsAt })
+  })
+];
+
+// Tell the other person about a proposal and what happened to it
+const notifyProposal = (booking, userId, event, startsAt, reason = '') => {
+  const otherId = userId === booking.providerId ? booking.seekerId : booking.providerId;
+  const other = users.findById(otherId);
+  const actor = users.findById(userId);
+  const otherStart = formatInTimeZone(startsAt, getUserTimeZone(other));
+  const when = `${otherStart.date} at ${otherStart.time}`;
+
+  const title = {
+    proposed: `${actor?.name} proposed a new time for your session`,
+    countered: `${actor?.name} suggested another time for your session`,
+    accepted: `${actor?.name} accepted the new time`,
+    declined: `${actor?.name} declined the new time you proposed`
+  }[event];
+
+  notify(otherId, 'booking_reschedule', {
+    title,
+    body: `${when}${reason ? ` · "${reason}"` : ''}`,
+    link: '/booking',
+    relatedId: booking.id
+  }, [other?.name, actor?.name, event, otherStart.date, otherStart.time, reason]);
+};
+
+const findBookingForParticipant = (req, res) => {
+  const booking = bookings.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ error: 'Booking not found' });
+    return null;
+  }
+  if (!getParticipantRole(booking, req.userId)) {
+    res.status(403).json({ error: 'Not authorized to update this booking' });
+    return null;
+  }
+  return booking;
+};
+
+// Propose a new time, or counter the other person's proposal (participants only)
+app.post('/api/bookings/:id/proposal', verifyToken, validate({
+  params: { id: id() },
+  body: rescheduleRules
+}), (req, res) => {
+  try {
+    const { date, time, timeZone, reason } = req.body;
+
+    const booking = findBookingForParticipant(req, res);
+    if (!booking) return;
+
+    const proposalError = getProposalError(booking, req.userId);
+    if (proposalError) {
+      return res.status(400).json({ error: proposalError });
+    }
+
+    const startsAt = zonedTimeToUtc(date, time, timeZone || getUserTimeZone(users.findById(req.userId)));
+    if (!startsAt) {
+      return res.status(400).json({ error: 'That date and time do not exist' });
+    }
+    if (startsAt <= new Date()) {
+      return res.status(400).json({ error: 'Sessions can only be moved to a future time' });
+    }
+    if (startsAt.getTime() === new Date(booking.startsAt).getTime()) {
+      return res.status(400).json({ error: 'That is the session\'s current time' });
+    }
+
+    const slotProblem = getSlotProblem({
+      provider: users.findById(booking.providerId),
+      seekerId: booking.seekerId,
+      startsAt,
+      duration: booking.duration,
+      ignoreIds: [booking.id]
+    });
+    if (slotProblem) {
+      return res.status(400).json({ error: slotProblem });
+    }
+
+    const isCounter = Boolean(booking.proposal && booking.proposal.proposedBy !== req.userId);
+    const event = isCounter ? 'countered' : 'proposed';
+
+    const updatedBooking = bookings.update(booking.id, {
+      proposal: {
+        proposedBy: req.userId,
+        startsAt: startsAt.toISOString(),
+        endsAt: new Date(startsAt.getTime() + booking.duration * 60000).toISOString(),
+        reason,
+        createdAt: new Date().toISOString()
+      },
+      history: recordProposalEvent(booking, req.userId, event, reason, startsAt.toISOString()),
+      updatedAt: new Date().toISOString()
+    });
+
+    notifyProposal(booking, req.userId, event, startsAt, reason);
+    publishBookingUpdate(updatedBooking);
+
+    res.status(201).json({
+      message: isCounter ? 'Counter-proposal sent' : 'New time proposed',
+      booking: toBookingResponse(updatedBooking, req.userId)
+    });
+  } catch (error) {
+    console.error('Propose booking time error:', error);
+    res.status(500).json({ error: 'Failed to propose a new time' });
+  }
+});
+
+// Accept or decline the other person's proposal, or withdraw your own (participants only)
+app.patch('/api/bookings/:id/proposal', verifyToken, validate({
+  params: { id: id() },
+  body: {
+    action: { type: 'string', required: true, enum: ['accept', 'decline', 'withdraw'] },
+    reason: { type: 'string', maxLength: 500, default: '' }
+  }
+}), (req, res) => {
+  try {
+    const { action, reason } = req.body;
+
+    const booking = findBookingForParticipant(req, res);
+    if (!booking) return;
+
+    const { proposal } = booking;
+    if (!proposal) {
+      return res.status(400).json({ error: 'There is no proposed time to answer' });
+    }
+
+    const isMine = proposal.proposedBy === req.userId;
+    if (action === 'withdraw' && !isMine) {
+      return res.status(403).json({ error: 'Only the person who proposed the time can withdraw it' });
+    }
+    if (action !== 'withdraw' && isMine) {
+      return res.status(403).json({ error: 'The other person has to answer your proposal' });
+    }
+
+    if (action !== 'accept') {
+      const updatedBooking = bookings.update(booking.id, {
+        proposal: null,
+        history: recordProposalEvent(booking, req.userId, action === 'decline' ? 'declined' : 'withdrawn', reason),
+        updatedAt: new Date().toISOString()
+      });
+      if (action === 'decline') {
+        notifyProposal(booking, req.userId, 'declined', proposal.startsAt, reason);
+      }
+      publishBookingUpdate(updatedBooking);
+
+      return res.json({
+        message: action === 'decline' ? 'Proposed time declined' : 'Proposal withdrawn',
+        booking: toBookingResponse(updatedBooking, req.userId)
+      });
+    }
+
+    // Calendars may have filled up since the time was proposed
+    const proposalError = getProposalError(booking, proposal.proposedBy);
+    if (proposalError) {
+      return res.status(400).json({ error: proposalError });
+    }
+
+    const startsAt = new Date(proposal.startsAt);
+    if (startsAt <= new Date()) {
+      return res.status(400).json({ error: 'The proposed time has already passed' });
+    }
+
+    const slotProblem = getSlotProblem({
+      provider: users.findById(booking.providerId),
+      seekerId: booking.seekerId,
+      startsAt,
+      duration: booking.duration,
+      ignoreIds: [booking.id]
+    });
+    if (slotProblem) {
+      return res.status(400).json({ error: `The proposed time is no longer free: ${slotProblem.toLowerCase()}` });
+    }
+
+    let updatedBooking = rescheduleBooking(booking, startsAt, req.userId, reason, { proposal: 'accepted' });
+    notifyProposal(booking, req.userId, 'accepted', startsAt, reason);
+
+    // A provider proposing a time for a pending request has agreed to it
+    if (updatedBooking.status === 'pending' && proposal.proposedBy === booking.providerId) {
+      updatedBooking = transitionBooking(updatedBooking, 'confirmed', booking.providerId, { notifyOther: false });
+    } else {
+      publishBookingUpdate(updatedBooking);
+    }
+
+    res.json({
+      message: 'Session moved to the new time',
+      booking: toBookingResponse(updatedBooking, req.userId)
+    });
+  } catch (error) {
+    console.error('Answer booking proposal error:', error);
+    res.status(500).json({ error: 'Failed to update the proposed time' });
+  }
+});
+
+/* ---------------------------
+   WORKSHOPS
+   --------------------------- */
+
+// A seat is paid for like a session: the price is held from the learner's
+// balance when they get the seat and paid to the host when the workshop is
+// completed. The escrow helpers work on bookings, so a seat is handed to
+// them in that shape. The sign-up rules live in workshops.js.
+const toSeatBooking = (workshop, enrolment) => ({
+  id: enrolment.id,
+  providerId: workshop.providerId,
+  seekerId: enrolment.userId,
+  startsAt: workshop.startsAt,
+  status: enrolment.status,
+  escrow: enrolment.escrow
+});
+
+const getWorkshopEnrolments = (workshopId) => (
+  workshopEnrolments.filter(e => e.workshopId === workshopId)
+);
+
+// Scheduled workshops the users host or have a seat in. These take up their
+// time like sessions do; a place on the waitlist doesn't.
+const getWorkshopsFor = (userIds) => {
+  const seatedIn = new Set(workshopEnrolments
+    .filter(e => e.status === 'enrolled' && userIds.includes(e.userId))
+    .map(e => e.workshopId));
+
+  return workshops.filter(w => (
+    w.status === 'scheduled' && (userIds.includes(w.providerId) || seatedIn.has(w.id))
+  ));
+};
+
+// Workshop as `viewerId` sees it. Only the host sees who signed up.
+const toWorkshopResponse = (workshop, viewerId) => {
+  const host = users.findById(workshop.providerId);
+  const { enrolled, waitlist, seatsLeft } = countSeats(workshop, getWorkshopEnrolments(workshop.id));
+  const isHost = workshop.providerId === viewerId;
+  const toAttendee = e => ({ userId: e.userId, name: users.findById(e.userId)?.name || 'Unknown' });
+
+  const seat = enrolled.find(e => e.userId === viewerId);
+  const waitlistIndex = waitlist.findIndex(e => e.userId === viewerId);
+  const enrolment = seat || waitlist[waitlistIndex];
+
+  return {
+    ...workshop,
+    providerName: host?.name || 'Unknown',
+    providerTimeZone: getUserTimeZone(host),
+    isHost,
+    seatsTaken: enrolled.length,
+    seatsLeft,
+    waitlistCount: waitlist.length,
+    enrolment: enrolment ? {
+      id: enrolment.id,
+      status: enrolment.status,
+      waitlistPosition: seat ? null : waitlistIndex + 1,
+      escrow: enrolment.escrow
+    } : null,
+    canEnrol: Boolean(viewerId) && !enrolment && !getEnrolmentError(workshop, viewerId),
+    canLeave: Boolean(enrolment) && !getLeaveError(workshop, enrolment),
+    availableTransitions: WORKSHOP_TARGET_STATUSES.filter(status => (
+      !getWorkshopTransitionError(workshop, viewerId, status)
+    )),
+    attendees: isHost ? enrolled.map(toAttendee) : null,
+    waitlist: isHost ? waitlist.map(toAttendee) : null
+  };
+};
+
+// Push a workshop's new state to the host and everyone who signed up for it
+const publishWorkshopUpdate = (workshop) => {
+  const learnerIds = getWorkshopEnrolments(workshop.id).map(e => e.userId);
+  publish([workshop.providerId, ...learnerIds], 'workshop.updated', viewerId => ({
+    workshop: toWorkshopResponse(workshop, viewerId)
+  }));
+};
+
+// Tell the host a learner took a seat, joined the waitlist or gave up their seat
+const notifyWorkshopHost = (workshop, learnerId, event) => {
+  const host = users.findById(workshop.providerId);
+  const learner = users.findById(learnerId);
+  const hostStart = formatInTimeZone(workshop.startsAt, getUserTimeZone(host));
+  const { seatsLeft } = countSeats(workshop, getWorkshopEnrolments(workshop.id));
+
+  const title = {
+    enrolled: `${learner?.name} took a seat in ${workshop.title}`,
+    waitlisted: `${learner?.name} joined the waitlist for ${workshop.title}`,
+    left: `${learner?.name} gave up their seat in ${workshop.title}`
+  }[event];
+
+  notify(host.id, 'workshop_enrolment', {
+    title,
+    body: `${hostStart.date} at ${hostStart.time} · ${seatsLeft} of ${workshop.capacity} seats left`,
+    link: '/search',
+    relatedId: workshop.id
+  }, [host.name, learner?.name, workshop.title, hostStart.date, hostStart.time, event, seatsLeft]);
+};
+
+// Tell a learner they got a seat off the waitlist, or the host cancelled
+const notifyWorkshopLearner = (workshop, learnerId, event, reason = '') => {
+  const host = users.findById(workshop.providerId);
+  const learner = users.findById(learnerId);
+  const learnerStart = formatInTimeZone(workshop.startsAt, getUserTimeZone(learner));
+
+  const title = {
+    promoted: `A seat opened up: you're in ${workshop.title}`,
+    cancelled: `${host?.name} cancelled ${workshop.title}`
+  }[event];
+
+  notify(learnerId, 'workshop_update', {
+    title,
+    body: `${learnerStart.date} at ${learnerStart.time}${reason ? ` · "${reason}"` : ''}`,
+    link: '/search',
+    relatedId: workshop.id
+  }, [learner?.name, host?.name, workshop.title, learnerStart.date, learnerStart.time, event, reason]);
+};
+
+// Fill free seats from the waitlist in sign-up order. Learners who can't pay
+// for the seat right now, or have since booked something else at that time,
+// are passed over but keep their place.
+const promoteFromWaitlist = (workshop) => {
+  if (!isOpenForSignUp(workshop)) return;
+
+  const { waitlist, seatsLeft } = countSeats(workshop, getWorkshopEnrolments(workshop.id));
+  const startsAt = new Date(workshop.startsAt);
+  const endsAt = new Date(workshop.endsAt);
+
+  waitlist
+    .filter(enrolment => {
+      initializeUserCredits(enrolment.userId);
+      return users.findById(enrolment.userId).creditBalance >= workshop.pricePerSeat &&
+        !hasCalendarClash([enrolment.userId], startsAt, endsAt);
+    })
+    .slice(0, seatsLeft)
+    .forEach(enrolment => {
+      const now = new Date().toISOString();
+      const seat = { ...enrolment, status: 'enrolled' };
+      workshopEnrolments.update(enrolment.id, {
+        status: 'enrolled',
+        escrow: holdEscrow(toSeatBooking(workshop, seat), workshop.pricePerSeat),
+        enrolledAt: now,
+        updatedAt: now
+      });
+      notifyWorkshopLearner(workshop, enrolment.userId, 'promoted');
+    });
+};
+
+const findWorkshop = (req, res) => {
+  const workshop = workshops.findById(req.params.id);
+  if (!workshop) {
+    res.status(404).json({ error: 'Workshop not found' });
+    return null;
+  }
+  return workshop;
+};
+
+// Upcoming workshops, soonest first; ?skill= narrows them down like the user
+// search does. With ?mine=true, every workshop the viewer hosts or signed up
+// for, except ones they pulled out of.
+app.get('/api/workshops', identifyUser, validate({
+  query: {
+    skill: { type: 'string', maxLength: 100 },
+    mine: { type: 'boolean', default: false }
+  }
+}), (req, res) => {
+  try {
+    const { skill, mine } = req.query;
+
+    if (mine && !req.userId) {
+      return res.status(401).json({ error: 'Sign in to see your workshops' });
+    }
+
+    const signedUpFor = new Set(workshopEnrolments
+      .filter(e => e.userId === req.userId && e.cancelledBy !== req.userId)
+      .map(e => e.workshopId));
+    const matchesSkill = createSkillMatcher(skill);
+    const skillKey = toSkillKey(skill);
+
+    const results = workshops
+      .filter(workshop => (mine
+        ? workshop.providerId === req.userId || signedUpFor.has(workshop.id)
+        : workshop.status === 'scheduled' && new Date(workshop.endsAt) > new Date()))
+      .filter(workshop => (
+        matchesSkill(workshop) || toSkillKey(workshop.title).includes(skillKey)
+      ))
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+    res.json(results.map(workshop => toWorkshopResponse(workshop, req.userId)));
+  } catch (error) {
+    console.error('Get workshops error:', error);
+    res.status(500).json({ error: 'Failed to fetch workshops' });
+  }
+});
+
+// Get one workshop
+app.get('/api/workshops/:id', identifyUser, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const workshop = findWorkshop(req, res);
+    if (!workshop) return;
+
+    res.json(toWorkshopResponse(workshop, req.userId));
+  } catch (error) {
+    console.error('Get workshop error:', error);
+    res.status(500).json({ error: 'Failed to fetch workshop' });
+  }
+});
+
+// Host a workshop (protected route). Without a price, a seat costs what a
+// session of the same length does.
+app.post('/api/workshops', verifyToken, requireVerifiedEmail, validate({
+  body: {
+    title: { type: 'string', required: true, maxLength: 120 },
+    description: { type: 'string', maxLength: 2000, default: '' },
+    skill: { type: 'string', maxLength: 100 },
+    // date and time are wall-clock values in the host's time zone
+    date: { type: 'string', required: true, format: 'date' },
+    time: { type: 'string', required: true, format: 'time' },
+    timeZone: { type: 'string', format: 'timeZone' },
+    duration: sessionDurationRule,
+    capacity: {
+      type: 'integer',
+      required: true,
+      min: MIN_WORKSHOP_CAPACITY,
+      max: MAX_WORKSHOP_CAPACITY,
+      label: 'Capacity'
+    },
+    pricePerSeat: { type: 'integer', min: 1, max: 1000, label: 'Price per seat' }
+  }
+}), (req, res) => {
+  try {
+    const { title, description, skill, date, time, timeZone, duration, capacity, pricePerSeat } = req.body;
+
+    const host = users.findById(req.userId);
+    const workshopTimeZone = timeZone || getUserTimeZone(host);
+    const startsAt = zonedTimeToUtc(date, time, workshopTimeZone);
+    if (!startsAt) {
+      return res.status(400).json({ error: 'That date and time do not exist' });
+    }
+    const endsAt = new Date(startsAt.getTime() + duration * 60000);
+
+    if (startsAt <= new Date()) {
+      return res.status(400).json({ error: 'Workshops must start in the future' });
+    }
+    if (hasCalendarClash([req.userId], startsAt, endsAt)) {
+      return res.status(400).json({ error: 'You already have a session or workshop at that time' });
+    }
+
+    const skillName = cleanSkillName(skill);
+    const catalogueEntry = findCatalogueSkill(skillCatalogue.all(), skillName);
+    const now = new Date().toISOString();
+
+    const workshop = workshops.insert({
+      id: generateId(),
+      providerId: req.userId,
+      title,
+      description,
+      skillName: catalogueEntry?.name || skillName || null,
+      catalogueId: catalogueEntry?.id || null,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      timeZone: workshopTimeZone,
+      duration,
+      capacity,
+      pricePerSeat: pricePerSeat || calculateEscrowAmount(duration),
+      status: 'scheduled',
+      createdAt: now,
+      updatedAt: now
+    });
+    publishWorkshopUpdate(workshop);
+
+    res.status(201).json({
+      message: 'Workshop created successfully',
+      workshop: toWorkshopResponse(workshop, req.userId)
+    });
+  } catch (error) {
+    console.error('Create workshop error:', error);
+    res.status(500).json({ error: 'Failed to create workshop' });
+  }
+});
+
+// Cancel or complete a workshop. Cancelling refunds every seat in full;
+// completing pays the host for each seat. Either way the waitlist closes.
+// `userId` is null when the server completes it on its own.
+const transitionWorkshop = (workshop, status, userId, reason = '') => {
+  const now = new Date().toISOString();
+  getWorkshopEnrolments(workshop.id)
+    .filter(e => e.status !== 'cancelled')
+    .forEach(enrolment => {
+      const isSeated = enrolment.status === 'enrolled';
+      // Seats are paid for when the workshop is completed; the waitlist just closes
+      if (status === 'completed' && isSeated) {
+        workshopEnrolments.update(enrolment.id, {
+          escrow: settleEscrow(toSeatBooking(workshop, enrolment)),
+          updatedAt: now
+        });
+        return;
+      }
+
+      workshopEnrolments.update(enrolment.id, {
+        status: 'cancelled',
+        ...(isSeated && { escrow: releaseEscrow(toSeatBooking(workshop, enrolment), workshop.providerId) }),
+        cancelledAt: now,
+        cancelledBy: status === 'cancelled' ? userId : null,
+        updatedAt: now
+      });
+      if (status === 'cancelled') {
+        notifyWorkshopLearner(workshop, enrolment.userId, 'cancelled', reason);
+      }
+    });
+
+  const updatedWorkshop = workshops.update(workshop.id, {
+    status,
+    ...(status === 'cancelled' && { cancelledAt: now, cancelReason: reason }),
+    ...(status === 'completed' && { completedAt: now }),
+    updatedAt: now
+  });
+  publishWorkshopUpdate(updatedWorkshop);
+  return updatedWorkshop;
+};
+
+// Pay hosts for workshops they didn't mark completed, so seats don't stay in escrow
+const autoCompleteWorkshops = () => {
+  try {
+    workshops.filter(workshop => isWorkshopDueForAutoCompletion(workshop)).forEach(workshop => {
+      transitionWorkshop(workshop, 'completed', null);
+    });
+  } catch (error) {
+    console.error('Auto-complete workshops error:', error);
+  }
+};
+
+const startWorkshopAutoCompletion = () => {
+  autoCompleteWorkshops();
+  setInterval(autoCompleteWorkshops, AUTO_COMPLETE_INTERVAL_MS);
+};
+
+// Cancel a workshop before it starts, or mark it completed once it has (host only)
+app.patch('/api/workshops/:id', verifyToken, validate({
+  params: { id: id() },
+  body: {
+    status: { type: 'string', required: true, enum: WORKSHOP_TARGET_STATUSES },
+    reason: { type: 'string', maxLength: 500, default: '' }
+  }
+}), (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const workshop = findWorkshop(req, res);
+    if (!workshop) return;
+
+    if (workshop.providerId !== req.userId) {
+      return res.status(403).json({ error: 'Not authorized to update this workshop' });
     }
 
-    // Filter by type
-    if (type) {
-      filteredSkills = filteredSkills.filter(s => s.type === type);
+    const transitionError = getWorkshopTransitionError(workshop, req.userId, status);
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
     }
 
-    // Get unique users
-    const userIds = [...new Set(filteredSkills.map(s => s.userId))];
-    
-    const results = userIds.map(userId => {
-      const user = users.find(u => u.id === userId);
-      const skills = filteredSkills.filter(s => s.userId === userId);
-      
-      return {
-        id: user.id,
-        name: user.name,
-        bio: user.bio,
-        location: user.location,
-        avatar: user.avatar,
-        skills: skills.map(s => ({
-          name: s.skillName,
-          type: s.type,
-          proficiency: s.proficiency
-        }))
-      };
-    });
+    const updatedWorkshop = transitionWorkshop(workshop, status, req.userId, reason);
 
-    res.json(results);
+    res.json({
+      message: `Workshop ${status}`,
+      workshop: toWorkshopResponse(updatedWorkshop, req.userId)
+    });
   } catch (error) {
-    console.error('Search users error:', error);
-    res.status(500).json({ error: 'Failed to search users' });
+    console.error('Update workshop error:', error);
+    res.status(500).json({ error: 'Failed to update workshop' });
   }
 });
-// In-memory bookings storage
-const bookings = [];
 
-// Create booking (protected route)
-app.post('/api/bookings', verifyToken, (req, res) => {
+// Take a seat, or a place on the waitlist when the workshop is full (protected route)
+app.post('/api/workshops/:id/enrolment', verifyToken, requireVerifiedEmail, validate({
+  params: { id: id() }
+}), (req, res) => {
   try {
-    const { providerId, skillId, date, time, duration, message } = req.body;
+    const workshop = findWorkshop(req, res);
+    if (!workshop) return;
 
-    if (!providerId || !date || !time) {
-      return res.status(400).json({ error: 'Provider, date, and time are required' });
+    const enrolmentError = getEnrolmentError(workshop, req.userId);
+    if (enrolmentError) {
+      return res.status(400).json({ error: enrolmentError });
     }
 
-    // Check if provider exists
-    const provider = users.find(u => u.id === providerId);
-    if (!provider) {
-      return res.status(404).json({ error: 'Provider not found' });
+    const enrolments = getWorkshopEnrolments(workshop.id);
+    const existing = enrolments.find(e => e.userId === req.userId && e.status !== 'cancelled');
+    if (existing) {
+      return res.status(400).json({
+        error: existing.status === 'enrolled'
+          ? 'You already have a seat in this workshop'
+          : 'You are already on the waitlist for this workshop'
+      });
     }
 
-    // Check for time conflicts
-    const requestedDateTime = new Date(`${date}T${time}`);
-    const requestedEndTime = new Date(requestedDateTime.getTime() + (duration || 60) * 60000);
-
-    const hasConflict = bookings.some(b => {
-      if (b.status === 'cancelled') return false;
-      
-      const bookingStart = new Date(`${b.date}T${b.time}`);
-      const bookingEnd = new Date(bookingStart.getTime() + b.duration * 60000);
-      
-      return (
-        (b.providerId === providerId || b.seekerId === req.userId) &&
-        ((requestedDateTime >= bookingStart && requestedDateTime < bookingEnd) ||
-         (requestedEndTime > bookingStart && requestedEndTime <= bookingEnd) ||
-         (requestedDateTime <= bookingStart && requestedEndTime >= bookingEnd))
-      );
-    });
+    if (hasCalendarClash([req.userId], new Date(workshop.startsAt), new Date(workshop.endsAt))) {
+      return res.status(400).json({ error: 'You already have a session or workshop at that time' });
+    }
 
-    if (hasConflict) {
-      return res.status(400).json({ error: 'Time slot conflict detected' });
+    // Waitlisted learners pay when they get a seat
+    const hasSeat = countSeats(workshop, enrolments).seatsLeft > 0;
+    if (hasSeat) {
+      initializeUserCredits(req.userId);
+      const balance = users.findById(req.userId).creditBalance;
+      if (balance < workshop.pricePerSeat) {
+        return res.status(400).json({
+          error: `Insufficient credits: a seat needs ${workshop.pricePerSeat} credits, you have ${balance}`
+        });
+      }
     }
 
-    const newBooking = {
-      id: Date.now().toString(),
-      providerId,
-      seekerId: req.userId,
-      skillId: skillId || null,
-      date,
-      time,
-      duration: duration || 60,
-      message: message || '',
-      status: 'pending',
-      createdAt: new Date().toISOString()
+    const now = new Date().toISOString();
+    const enrolment = {
+      id: generateId(),
+      workshopId: workshop.id,
+      userId: req.userId,
+      status: hasSeat ? 'enrolled' : 'waitlisted',
+      escrow: null,
+      enrolledAt: hasSeat ? now : null,
+      cancelledAt: null,
+      cancelledBy: null,
+      createdAt: now
     };
 
-    bookings.push(newBooking);
-
-    const seeker = users.find(u => u.id === req.userId);
+    if (hasSeat) {
+      enrolment.escrow = holdEscrow(toSeatBooking(workshop, enrolment), workshop.pricePerSeat);
+    }
+    workshopEnrolments.insert(enrolment);
+    notifyWorkshopHost(workshop, req.userId, enrolment.status);
+    publishWorkshopUpdate(workshop);
 
+    const response = toWorkshopResponse(workshop, req.userId);
     res.status(201).json({
-      message: 'Booking request sent successfully',
-      booking: {
-        ...newBooking,
-        providerName: provider.name,
-        seekerName: seeker.name
-      }
+      message: hasSeat
+        ? 'You have a seat in this workshop'
+        : `The workshop is full; you are number ${response.enrolment.waitlistPosition} on the waitlist`,
+      workshop: response
     });
   } catch (error) {
-    console.error('Create booking error:', error);
-    res.status(500).json({ error: 'Failed to create booking' });
+    console.error('Enrol in workshop error:', error);
+    res.status(500).json({ error: 'Failed to sign up for workshop' });
   }
 });
 
-// Get user bookings (protected route)
-app.get('/api/bookings', verifyToken, (req, res) => {
+// Give up a seat or a waitlist place (protected route). A freed seat is
+// refunded per the cancellation policy and offered to the waitlist.
+app.delete('/api/workshops/:id/enrolment', verifyToken, validate({ params: { id: id() } }), (req, res) => {
   try {
-    const userBookings = bookings.filter(
-      b => b.providerId === req.userId || b.seekerId === req.userId
-    );
+    const workshop = findWorkshop(req, res);
+    if (!workshop) return;
 
-    const bookingsWithDetails = userBookings.map(booking => {
-      const provider = users.find(u => u.id === booking.providerId);
-      const seeker = users.find(u => u.id === booking.seekerId);
-      
-      return {
-        ...booking,
-        providerName: provider?.name || 'Unknown',
-        seekerName: seeker?.name || 'Unknown',
-        isProvider: booking.providerId === req.userId
-      };
+    const enrolment = getWorkshopEnrolments(workshop.id)
+      .find(e => e.userId === req.userId && e.status !== 'cancelled');
+
+    const leaveError = getLeaveError(workshop, enrolment);
+    if (leaveError) {
+      return res.status(400).json({ error: leaveError });
+    }
+
+    const now = new Date().toISOString();
+    const wasSeated = enrolment.status === 'enrolled';
+    workshopEnrolments.update(enrolment.id, {
+      status: 'cancelled',
+      ...(wasSeated && { escrow: releaseEscrow(toSeatBooking(workshop, enrolment), req.userId) }),
+      cancelledAt: now,
+      cancelledBy: req.userId,
+      updatedAt: now
     });
 
-    res.json(bookingsWithDetails);
+    if (wasSeated) {
+      promoteFromWaitlist(workshop);
+      notifyWorkshopHost(workshop, req.userId, 'left');
+    }
+    publishWorkshopUpdate(workshop);
+
+    res.json({
+      message: wasSeated ? 'You gave up your seat' : 'You left the waitlist',
+      workshop: toWorkshopResponse(workshop, req.userId)
+    });
   } catch (error) {
-    console.error('Get bookings error:', error);
-    res.status(500).json({ error: 'Failed to fetch bookings' });
+    console.error('Leave workshop error:', error);
+    res.status(500).json({ error: 'Failed to leave workshop' });
   }
 });
 
-// Update booking status (protected route)
-app.patch('/api/bookings/:id', verifyToken, (req, res) => {
-  try {
-    const { status } = req.body;
-    const bookingId = req.params.id;
+/* ---------------------------
+   CALENDAR EXPORT
+   --------------------------- */
 
-    if (!['confirmed', 'cancelled', 'completed'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
+const toCalendarEvent = (booking, viewerId) => bookingToEvent(booking, {
+  viewerId,
+  provider: users.findById(booking.providerId),
+  seeker: users.findById(booking.seekerId),
+  appUrl: APP_URL
+});
+
+const getCalendarFeedUrl = (req, token) => (
+  `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`
+);
 
-    const bookingIndex = bookings.findIndex(b => b.id === bookingId);
-    if (bookingIndex === -1) {
+// Download a single booking as an .ics file (protected route)
+app.get('/api/bookings/:id/ics', verifyToken, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const booking = bookings.findById(req.params.id);
+    if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    const booking = bookings[bookingIndex];
+    if (booking.providerId !== req.userId && booking.seekerId !== req.userId) {
+      return res.status(403).json({ error: 'Not authorized to view this booking' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="skillink-session-${booking.id}.ics"`);
+    res.send(buildCalendar('SkilLink session', [toCalendarEvent(booking, req.userId)]));
+  } catch (error) {
+    console.error('Booking calendar export error:', error);
+    res.status(500).json({ error: 'Failed to export booking' });
+  }
+});
+
+// Get my calendar feed URL, creating the secret token on first use (protected route)
+app.get('/api/calendar/feed', verifyToken, (req, res) => {
+  try {
+    const user = users.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    // Only provider can confirm, both can cancel, only after session can complete
-    if (status === 'confirmed' && booking.providerId !== req.userId) {
-      return res.status(403).json({ error: 'Only provider can confirm bookings' });
+    let token = user.calendarToken;
+    if (!token) {
+      token = crypto.randomBytes(24).toString('hex');
+      users.update(user.id, { calendarToken: token });
     }
 
-    bookings[bookingIndex] = {
-      ...booking,
-      status,
-      updatedAt: new Date().toISOString()
-    };
+    res.json({ url: getCalendarFeedUrl(req, token) });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Replace my feed token, so the old URL stops working (protected route)
+app.post('/api/calendar/feed/reset', verifyToken, (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    if (!users.update(req.userId, { calendarToken: token })) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
     res.json({
-      message: `Booking ${status} successfully`,
-      booking: bookings[bookingIndex]
+      message: 'Calendar feed link reset. Update your calendar subscription.',
+      url: getCalendarFeedUrl(req, token)
     });
   } catch (error) {
-    console.error('Update booking error:', error);
-    res.status(500).json({ error: 'Failed to update booking' });
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to reset calendar feed' });
+  }
+});
+
+// Subscribable iCal feed of confirmed bookings. The secret token in the URL is
+// the only credential, since calendar apps can't send an Authorization header.
+// Bookings cancelled after being confirmed stay in the feed as STATUS:CANCELLED
+// so subscribed calendars remove them.
+app.get('/api/calendar/feed/:token.ics', validate({
+  params: { token: { type: 'string', required: true, pattern: /^[a-f0-9]{48}$/ } }
+}), (req, res) => {
+  try {
+    const user = users.find(u => u.calendarToken === req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const feedBookings = bookings.filter(b =>
+      (b.providerId === user.id || b.seekerId === user.id) &&
+      (['confirmed', 'in_progress', 'completed', 'no_show'].includes(b.status) ||
+        (b.status === 'cancelled' && b.confirmedAt))
+    );
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(
+      'SkilLink sessions',
+      feedBookings.map(booking => toCalendarEvent(booking, user.id))
+    ));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
   }
 });
-// In-memory reviews storage
-const reviews = [];
 
 // Add review (protected route - only after completed session)
-app.post('/api/reviews', verifyToken, (req, res) => {
+app.post('/api/reviews', verifyToken, validate({
+  body: {
+    revieweeId: id('Reviewee'),
+    bookingId: id('Booking'),
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    comment: { type: 'string', maxLength: 2000, default: '' },
+    skillId: { type: 'string', maxLength: 100 }
+  }
+}), (req, res) => {
   try {
     const { revieweeId, bookingId, rating, comment, skillId } = req.body;
 
-    if (!revieweeId || !rating) {
-      return res.status(400).json({ error: 'Reviewee and rating are required' });
-    }
+    // Reviews are unlocked by a completed session, for the other person on it
+    const booking = bookings.find(b =>
+      b.id === bookingId &&
+      b.status === 'completed' &&
+      revieweeId !== req.userId &&
+      (b.providerId === revieweeId || b.seekerId === revieweeId) &&
+      (b.providerId === req.userId || b.seekerId === req.userId)
+    );
 
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    if (!booking) {
+      return res.status(400).json({ error: 'Invalid booking or not completed yet' });
     }
 
-    // Verify booking exists and is completed
-    if (bookingId) {
-      const booking = bookings.find(b => 
-        b.id === bookingId && 
-        b.status === 'completed' &&
-        (b.providerId === revieweeId || b.seekerId === revieweeId) &&
-        (b.providerId === req.userId || b.seekerId === req.userId)
-      );
-
-      if (!booking) {
-        return res.status(400).json({ error: 'Invalid booking or not completed yet' });
-      }
-
-      // Check if already reviewed
-      const existingReview = reviews.find(r => 
-        r.bookingId === bookingId && r.reviewerId === req.userId
-      );
+    // Check if already reviewed
+    const existingReview = reviews.find(r => 
+      r.bookingId === bookingId && r.reviewerId === req.userId
+    );
 
-      if (existingReview) {
-        return res.status(400).json({ error: 'Already reviewed this session' });
-      }
+    if (existingReview) {
+      return res.status(400).json({ error: 'Already reviewed this session' });
     }
 
     const newReview = {
-      id: Date.now().toString(),
+      id: generateId(),
       reviewerId: req.userId,
       revieweeId,
-      bookingId: bookingId || null,
+      bookingId,
       skillId: skillId || null,
-      rating: parseInt(rating),
-      comment: comment || '',
+      rating,
+      comment,
       createdAt: new Date().toISOString()
     };
 
-    reviews.push(newReview);
+    reviews.insert(newReview);
+    awardCreditsForEvent(req.userId, 'FIRST_REVIEW');
+    publishBookingUpdate(booking);
 
     const reviewer = users.find(u => u.id === req.userId);
+    const review = { ...newReview, reviewerName: reviewer?.name || 'Anonymous' };
+    publish(revieweeId, 'review.created', { review });
+    notify(revieweeId, 'review_received', {
+      title: `${review.reviewerName} left you a ${rating}-star review`,
+      body: comment,
+      link: `/users/${revieweeId}`,
+      relatedId: newReview.id
+    }, [
+      users.findById(revieweeId)?.name,
+      review.reviewerName,
+      rating,
+      comment
+    ]);
 
     res.status(201).json({
       message: 'Review submitted successfully',
-      review: {
-        ...newReview,
-        reviewerName: reviewer?.name || 'Anonymous'
-      }
+      review
     });
   } catch (error) {
     console.error('Add review error:', error);
@@ -635,7 +4245,7 @@ app.post('/api/reviews', verifyToken, (req, res) => {
 });
 
 // Get user reviews
-app.get('/api/reviews/:userId', (req, res) => {
+app.get('/api/reviews/:userId', validate({ params: { userId: id('User') } }), (req, res) => {
   try {
     const userId = req.params.userId;
     
@@ -677,8 +4287,51 @@ app.get('/api/reviews/:userId', (req, res) => {
   }
 });
 
+// Calculate reputation score and level for a user
+const calculateReputation = (userId) => {
+  // Get reviews
+  const userReviews = reviews.filter(r => r.revieweeId === userId);
+  const avgRating = userReviews.length > 0
+    ? userReviews.reduce((sum, r) => sum + r.rating, 0) / userReviews.length
+    : 0;
+
+  // Get completed sessions
+  const completedSessions = bookings.filter(
+    b => (b.providerId === userId || b.seekerId === userId) && b.status === 'completed'
+  ).length;
+
+  // Get endorsements (skills)
+  const userSkillsList = userSkills.filter(s => s.userId === userId);
+
+  // Calculate reputation score (weighted)
+  // 50% avg rating, 30% completed sessions (max 100), 20% skills count (max 20)
+  const reputationScore = (
+    (avgRating * 10 * 0.5) +
+    (Math.min(completedSessions / 10, 10) * 0.3 * 100) +
+    (Math.min(userSkillsList.length / 2, 10) * 0.2 * 100)
+  ) / 10;
+
+  // Determine level
+  let level = 'Newcomer';
+  if (reputationScore >= 80) level = 'Expert';
+  else if (reputationScore >= 60) level = 'Advanced';
+  else if (reputationScore >= 40) level = 'Intermediate';
+  else if (reputationScore >= 20) level = 'Beginner';
+
+  return {
+    reputationScore: parseFloat(reputationScore.toFixed(1)),
+    level,
+    stats: {
+      avgRating: parseFloat(avgRating.toFixed(1)),
+      totalReviews: userReviews.length,
+      completedSessions,
+      totalSkills: userSkillsList.length
+    }
+  };
+};
+
 // Get user reputation score
-app.get('/api/users/:userId/reputation', (req, res) => {
+app.get('/api/users/:userId/reputation', validate({ params: { userId: id('User') } }), (req, res) => {
   try {
     const userId = req.params.userId;
     const user = users.find(u => u.id === userId);
@@ -687,46 +4340,10 @@ app.get('/api/users/:userId/reputation', (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Get reviews
-    const userReviews = reviews.filter(r => r.revieweeId === userId);
-    const avgRating = userReviews.length > 0
-      ? userReviews.reduce((sum, r) => sum + r.rating, 0) / userReviews.length
-      : 0;
-
-    // Get completed sessions
-    const completedSessions = bookings.filter(
-      b => (b.providerId === userId || b.seekerId === userId) && b.status === 'completed'
-    ).length;
-
-    // Get endorsements (skills)
-    const userSkillsList = userSkills.filter(s => s.userId === userId);
-
-    // Calculate reputation score (weighted)
-    // 50% avg rating, 30% completed sessions (max 100), 20% skills count (max 20)
-    const reputationScore = (
-      (avgRating * 10 * 0.5) +
-      (Math.min(completedSessions / 10, 10) * 0.3 * 100) +
-      (Math.min(userSkillsList.length / 2, 10) * 0.2 * 100)
-    ) / 10;
-
-    // Determine level
-    let level = 'Newcomer';
-    if (reputationScore >= 80) level = 'Expert';
-    else if (reputationScore >= 60) level = 'Advanced';
-    else if (reputationScore >= 40) level = 'Intermediate';
-    else if (reputationScore >= 20) level = 'Beginner';
-
     res.json({
       userId,
       userName: user.name,
-      reputationScore: parseFloat(reputationScore.toFixed(1)),
-      level,
-      stats: {
-        avgRating: parseFloat(avgRating.toFixed(1)),
-        totalReviews: userReviews.length,
-        completedSessions,
-        totalSkills: userSkillsList.length
-      }
+      ...calculateReputation(userId)
     });
   } catch (error) {
     console.error('Get reputation error:', error);
@@ -740,15 +4357,12 @@ app.get('/api/users/:userId/reputation', (req, res) => {
 
 // Initialize user credits (add to existing users on first access)
 const initializeUserCredits = (userId) => {
-  const user = users.find(u => u.id === userId);
+  const user = users.findById(userId);
   if (user && user.creditBalance === undefined) {
-    user.creditBalance = 100; // Starting credits
+    users.update(userId, { creditBalance: 100 }); // Starting credits
   }
 };
 
-// In-memory credit transactions
-const creditTransactions = [];
-
 // Credit actions with values
 const CREDIT_ACTIONS = {
   SESSION_COMPLETE_PROVIDER: 20,
@@ -763,29 +4377,206 @@ const CREDIT_ACTIONS = {
 };
 
 // Add credits transaction
-const addCreditTransaction = (userId, amount, reason, relatedId = null) => {
-  const user = users.find(u => u.id === userId);
-  if (!user) return;
-
+// details: optional extra fields such as linkedTransactionId, idempotencyKey or audit info
+const addCreditTransaction = (userId, amount, reason, relatedId = null, details = {}) => {
   initializeUserCredits(userId);
 
+  const user = users.findById(userId);
+  if (!user) return;
+
   const transaction = {
-    id: Date.now().toString() + Math.random(),
+    id: generateId(),
     userId,
     amount,
     reason,
     relatedId,
+    linkedTransactionId: details.linkedTransactionId || null,
+    idempotencyKey: details.idempotencyKey || null,
+    ...(details.grantedBy && { grantedBy: details.grantedBy, auditReason: details.auditReason }),
     balanceBefore: user.creditBalance,
     balanceAfter: user.creditBalance + amount,
     createdAt: new Date().toISOString()
   };
 
-  user.creditBalance += amount;
-  creditTransactions.push(transaction);
+  users.update(userId, { creditBalance: transaction.balanceAfter });
+  creditTransactions.insert(transaction);
+  publish(userId, 'credits.updated', { transaction, balance: transaction.balanceAfter });
+
+  // Only earnings are worth a notification (refunds just return the seeker's own credits)
+  if (amount > 0 && reason !== 'BOOKING_REFUND') {
+    notify(userId, 'credits_earned', {
+      title: `You earned ${amount} credits`,
+      body: reason.replace(/_/g, ' ').toLowerCase(),
+      link: '/dashboard',
+      relatedId: transaction.id
+    }, [
+      user.name,
+      amount,
+      reason,
+      transaction.balanceAfter
+    ]);
+  }
 
   return transaction;
 };
 
+// Reward a user for a server-side domain event. Each reward is granted at most
+// once per subject (e.g. once per user for PROFILE_COMPLETE, once per skill for
+// SKILL_ADD), so repeating the action never mints more credits.
+// REFERRAL and SIGNUP_BONUS have no triggering event yet; use the admin grant.
+const awardCreditsForEvent = (userId, action, subjectId = userId) => {
+  const idempotencyKey = `${action}:${userId}:${subjectId}`;
+
+  if (creditTransactions.some(t => t.idempotencyKey === idempotencyKey)) {
+    return null;
+  }
+
+  return addCreditTransaction(
+    userId,
+    CREDIT_ACTIONS[action],
+    action,
+    subjectId,
+    { idempotencyKey }
+  );
+};
+
+/* ---------------------------
+   BOOKING ESCROW
+   --------------------------- */
+
+// Credits held per hour of session time
+const ESCROW_CREDITS_PER_HOUR = 10;
+
+// Share of the hold refunded to the seeker when they cancel, by hours before the session.
+// Provider cancellations and unconfirmed requests are always refunded in full.
+const ESCROW_REFUND_POLICY = [
+  { minHoursBefore: 24, refundPercent: 100 },
+  { minHoursBefore: 2, refundPercent: 50 },
+  { minHoursBefore: -Infinity, refundPercent: 0 }
+];
+
+const calculateEscrowAmount = (duration) => (
+  Math.ceil((duration / 60) * ESCROW_CREDITS_PER_HOUR)
+);
+
+// Reserve the session price from the seeker's balance
+const holdEscrow = (booking, amount) => {
+  const holdTransaction = addCreditTransaction(
+    booking.seekerId,
+    -amount,
+    'BOOKING_HOLD',
+    booking.id
+  );
+
+  return {
+    amount,
+    status: 'held',
+    holdTransactionId: holdTransaction.id,
+    heldAt: holdTransaction.createdAt
+  };
+};
+
+// Percentage of the hold returned to the seeker for a cancellation
+const getRefundPercent = (booking, cancelledBy) => {
+  if (cancelledBy === booking.providerId || booking.status === 'pending') {
+    return 100;
+  }
+
+  const hoursBefore = (new Date(booking.startsAt) - new Date()) / 3600000;
+  return ESCROW_REFUND_POLICY.find(rule => hoursBefore >= rule.minHoursBefore).refundPercent;
+};
+
+// Release a hold on cancellation: refund the seeker per the policy and
+// pay any retained share to the provider
+const releaseEscrow = (booking, cancelledBy) => {
+  const escrow = booking.escrow;
+  if (!escrow || escrow.status !== 'held') return escrow;
+
+  const refundPercent = getRefundPercent(booking, cancelledBy);
+  const refundAmount = Math.round(escrow.amount * refundPercent / 100);
+  const retainedAmount = escrow.amount - refundAmount;
+  const transactionIds = [];
+
+  if (refundAmount > 0) {
+    transactionIds.push(addCreditTransaction(
+      booking.seekerId,
+      refundAmount,
+      'BOOKING_REFUND',
+      booking.id,
+      { linkedTransactionId: escrow.holdTransactionId }
+    ).id);
+  }
+
+  if (retainedAmount > 0) {
+    transactionIds.push(addCreditTransaction(
+      booking.providerId,
+      retainedAmount,
+      'LATE_CANCELLATION_FEE',
+      booking.id,
+      { linkedTransactionId: escrow.holdTransactionId }
+    ).id);
+  }
+
+  return {
+    ...escrow,
+    status: 'released',
+    refundPercent,
+    refundAmount,
+    retainedAmount,
+    releaseTransactionIds: transactionIds,
+    releasedAt: new Date().toISOString()
+  };
+};
+
+// Settle a hold on completion: the provider receives the held credits.
+// Bookings made before escrow existed are charged directly instead.
+const settleEscrow = (booking) => {
+  const escrow = booking.escrow;
+  if (escrow && escrow.status !== 'held') return escrow;
+
+  if (!escrow) {
+    addCreditTransaction(
+      booking.seekerId,
+      CREDIT_ACTIONS.SESSION_COMPLETE_SEEKER,
+      'SESSION_COMPLETE_SEEKER',
+      booking.id
+    );
+    addCreditTransaction(
+      booking.providerId,
+      CREDIT_ACTIONS.SESSION_COMPLETE_PROVIDER,
+      'SESSION_COMPLETE_PROVIDER',
+      booking.id
+    );
+    return escrow;
+  }
+
+  const settlementTransaction = addCreditTransaction(
+    booking.providerId,
+    escrow.amount,
+    'BOOKING_SETTLEMENT',
+    booking.id,
+    { linkedTransactionId: escrow.holdTransactionId }
+  );
+
+  return {
+    ...escrow,
+    status: 'settled',
+    settlementTransactionId: settlementTransaction.id,
+    settledAt: settlementTransaction.createdAt
+  };
+};
+
+// Get escrow pricing and refund policy (public)
+app.get('/api/credits/escrow-policy', (req, res) => {
+  res.json({
+    creditsPerHour: ESCROW_CREDITS_PER_HOUR,
+    refundPolicy: ESCROW_REFUND_POLICY.map(rule => ({
+      minHoursBefore: Number.isFinite(rule.minHoursBefore) ? rule.minHoursBefore : null,
+      refundPercent: rule.refundPercent
+    }))
+  });
+});
+
 // Get user credits (protected route)
 app.get('/api/credits', verifyToken, (req, res) => {
   try {
@@ -796,8 +4587,18 @@ app.get('/api/credits', verifyToken, (req, res) => {
       .filter(t => t.userId === req.userId)
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
+    // Credits currently reserved for the user's own pending/confirmed sessions
+    // and workshop seats
+    const heldCredits = [
+      ...bookings.filter(b => b.seekerId === req.userId),
+      ...workshopEnrolments.filter(e => e.userId === req.userId)
+    ]
+      .filter(item => item.escrow?.status === 'held')
+      .reduce((sum, item) => sum + item.escrow.amount, 0);
+
     res.json({
       balance: user.creditBalance,
+      heldCredits,
       transactions: userTransactions
     });
   } catch (error) {
@@ -806,45 +4607,84 @@ app.get('/api/credits', verifyToken, (req, res) => {
   }
 });
 
-// Award credits for action (protected route)
-app.post('/api/credits/award', verifyToken, (req, res) => {
+// Grant or deduct credits manually (admin only, audited)
+app.post('/api/admin/credits/grant', verifyToken, requireAdmin, validate({
+  body: {
+    userId: id('User'),
+    amount: {
+      type: 'integer',
+      required: true,
+      min: -100000,
+      max: 100000,
+      check: (value) => (value === 0 ? 'must not be zero' : null)
+    },
+    reason: { type: 'string', required: true, minLength: 5, maxLength: 500, label: 'Audit reason' }
+  }
+}), (req, res) => {
   try {
-    const { action, relatedId } = req.body;
+    const { userId, amount, reason } = req.body;
 
-    if (!CREDIT_ACTIONS[action]) {
-      return res.status(400).json({ error: 'Invalid action' });
+    if (!users.findById(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // A deduction can take the balance down to zero but not below it
+    initializeUserCredits(userId);
+    const balance = users.findById(userId).creditBalance;
+    if (balance + amount < 0) {
+      return res.status(400).json({
+        error: `Insufficient credits: cannot deduct ${-amount} credits, the user has ${balance}`
+      });
     }
 
-    const amount = CREDIT_ACTIONS[action];
     const transaction = addCreditTransaction(
-      req.userId,
+      userId,
       amount,
-      action,
-      relatedId
+      'ADMIN_GRANT',
+      null,
+      { grantedBy: req.userId, auditReason: reason }
     );
 
-    const user = users.find(u => u.id === req.userId);
-
-    res.json({
-      message: `${amount > 0 ? 'Earned' : 'Spent'} ${Math.abs(amount)} credits`,
+    res.status(201).json({
+      message: `${amount > 0 ? 'Granted' : 'Deducted'} ${Math.abs(amount)} credits`,
       transaction,
-      newBalance: user.creditBalance
+      newBalance: transaction.balanceAfter
     });
   } catch (error) {
-    console.error('Award credits error:', error);
-    res.status(500).json({ error: 'Failed to award credits' });
+    console.error('Grant credits error:', error);
+    res.status(500).json({ error: 'Failed to grant credits' });
+  }
+});
+
+// Audit log of manual credit grants (admin only)
+app.get('/api/admin/credits/grants', verifyToken, requireAdmin, (req, res) => {
+  try {
+    const grants = creditTransactions
+      .filter(t => t.reason === 'ADMIN_GRANT')
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(t => ({
+        ...t,
+        userName: users.findById(t.userId)?.name || 'Unknown',
+        grantedByName: users.findById(t.grantedBy)?.name || 'Unknown'
+      }));
+
+    res.json(grants);
+  } catch (error) {
+    console.error('Get credit grants error:', error);
+    res.status(500).json({ error: 'Failed to fetch credit grants' });
   }
 });
 
 // Redeem credits (protected route)
-app.post('/api/credits/redeem', verifyToken, (req, res) => {
+app.post('/api/credits/redeem', verifyToken, validate({
+  body: {
+    amount: { type: 'integer', required: true, min: 1, max: 100000 },
+    reason: { type: 'string', maxLength: 100, default: 'CREDIT_REDEMPTION' }
+  }
+}), (req, res) => {
   try {
     const { amount, reason } = req.body;
 
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Invalid amount' });
-    }
-
     initializeUserCredits(req.userId);
     const user = users.find(u => u.id === req.userId);
 
@@ -855,14 +4695,14 @@ app.post('/api/credits/redeem', verifyToken, (req, res) => {
     const transaction = addCreditTransaction(
       req.userId,
       -amount,
-      reason || 'CREDIT_REDEMPTION',
+      reason,
       null
     );
 
     res.json({
       message: `Redeemed ${amount} credits`,
       transaction,
-      newBalance: user.creditBalance
+      newBalance: transaction.balanceAfter
     });
   } catch (error) {
     console.error('Redeem credits error:', error);
@@ -870,74 +4710,69 @@ app.post('/api/credits/redeem', verifyToken, (req, res) => {
   }
 });
 
-// Update booking completion to award credits
-app.patch('/api/bookings/:id/complete', verifyToken, (req, res) => {
+// Confirm a session took place. Same as moving the booking to "completed"
+// through PATCH /api/bookings/:id: credits are settled once both sides confirm.
+app.patch('/api/bookings/:id/complete', verifyToken, validate({ params: { id: id() } }), (req, res) => {
   try {
-    const bookingId = req.params.id;
-    const bookingIndex = bookings.findIndex(b => b.id === bookingId);
-    
-    if (bookingIndex === -1) {
+    const booking = bookings.findById(req.params.id);
+    if (!booking) {
       return res.status(404).json({ error: 'Booking not found' });
     }
 
-    const booking = bookings[bookingIndex];
-
-    if (booking.status === 'completed') {
-      return res.status(400).json({ error: 'Booking already completed' });
+    if (!getParticipantRole(booking, req.userId)) {
+      return res.status(403).json({ error: 'Not authorized to update this booking' });
     }
 
-    // Update status
-    bookings[bookingIndex].status = 'completed';
-    bookings[bookingIndex].updatedAt = new Date().toISOString();
-
-    // Award credits
-    addCreditTransaction(
-      booking.providerId,
-      CREDIT_ACTIONS.SESSION_COMPLETE_PROVIDER,
-      'SESSION_COMPLETE_PROVIDER',
-      bookingId
-    );
+    const transitionError = getTransitionError(booking, req.userId, 'completed');
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
 
-    addCreditTransaction(
-      booking.seekerId,
-      CREDIT_ACTIONS.SESSION_COMPLETE_SEEKER,
-      'SESSION_COMPLETE_SEEKER',
-      bookingId
-    );
+    const updatedBooking = confirmBookingCompletion(booking, req.userId);
 
     res.json({
-      message: 'Booking completed and credits awarded',
-      booking: bookings[bookingIndex]
+      message: updatedBooking.status === 'completed'
+        ? 'Booking completed and credits awarded'
+        : 'Thanks! The session completes once the other person confirms too',
+      booking: toBookingResponse(updatedBooking, req.userId)
     });
   } catch (error) {
     console.error('Complete booking error:', error);
     res.status(500).json({ error: 'Failed to complete booking' });
   }
 });
+
 // Update user location (protected route)
-app.put('/api/users/location', verifyToken, (req, res) => {
+app.put('/api/users/location', verifyToken, validate({
+  body: {
+    // 0 is a real coordinate (the equator / prime meridian), so only a missing value is rejected
+    latitude: { type: 'number', required: true, min: -90, max: 90 },
+    longitude: { type: 'number', required: true, min: -180, max: 180 },
+    address: { type: 'string', maxLength: 200 }
+  }
+}), (req, res) => {
   try {
     const { latitude, longitude, address } = req.body;
 
-    if (!latitude || !longitude) {
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
-    }
-
-    const userIndex = users.findIndex(u => u.id === req.userId);
-    if (userIndex === -1) {
+    const user = users.findById(req.userId);
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    users[userIndex].latitude = parseFloat(latitude);
-    users[userIndex].longitude = parseFloat(longitude);
-    users[userIndex].location = address || users[userIndex].location;
+    const updatedUser = users.update(req.userId, {
+      latitude,
+      longitude,
+      location: address || user.location
+    });
+
+    checkProfileCompletion(req.userId);
 
     res.json({
       message: 'Location updated successfully',
       location: {
-        latitude: users[userIndex].latitude,
-        longitude: users[userIndex].longitude,
-        address: users[userIndex].location
+        latitude: updatedUser.latitude,
+        longitude: updatedUser.longitude,
+        address: updatedUser.location
       }
     });
   } catch (error) {
@@ -959,16 +4794,27 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return R * c; // Distance in km
 };
 
+const hasCoordinates = (latitude, longitude) => (
+  typeof latitude === 'number' && typeof longitude === 'number'
+);
+
 // Search users by location and skills
-app.get('/api/users/nearby', verifyToken, (req, res) => {
+app.get('/api/users/nearby', verifyToken, validate({
+  query: {
+    skill: { type: 'string', maxLength: 100 },
+    radius: { type: 'number', min: 0, max: 20000, default: 50 },
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 }
+  }
+}), (req, res) => {
   try {
-    const { skill, radius = 50, latitude, longitude } = req.query;
+    const { skill, radius, latitude, longitude } = req.query;
 
     const currentUser = users.find(u => u.id === req.userId);
-    const userLat = latitude ? parseFloat(latitude) : currentUser?.latitude;
-    const userLon = longitude ? parseFloat(longitude) : currentUser?.longitude;
+    const userLat = latitude ?? currentUser?.latitude;
+    const userLon = longitude ?? currentUser?.longitude;
 
-    if (!userLat || !userLon) {
+    if (!hasCoordinates(userLat, userLon)) {
       return res.status(400).json({ error: 'Location not set. Please update your location.' });
     }
 
@@ -976,8 +4822,9 @@ app.get('/api/users/nearby', verifyToken, (req, res) => {
     let matchingUsers = [];
 
     if (skill) {
+      const matchesSkill = createSkillMatcher(skill);
       const skillMatches = userSkills.filter(s => 
-        s.skillName.toLowerCase().includes(skill.toLowerCase()) &&
+        matchesSkill(s) &&
         s.type === 'offering'
       );
       const userIds = [...new Set(skillMatches.map(s => s.userId))];
@@ -988,7 +4835,7 @@ app.get('/api/users/nearby', verifyToken, (req, res) => {
 
     // Calculate distances and filter by radius
     const usersWithDistance = matchingUsers
-      .filter(user => user.latitude && user.longitude)
+      .filter(user => hasCoordinates(user.latitude, user.longitude))
       .map(user => {
         const distance = calculateDistance(userLat, userLon, user.latitude, user.longitude);
         return {
@@ -1004,7 +4851,7 @@ app.get('/api/users/nearby', verifyToken, (req, res) => {
             .map(s => ({ name: s.skillName, proficiency: s.proficiency }))
         };
       })
-      .filter(user => user.distance <= parseFloat(radius))
+      .filter(user => user.distance <= radius)
       .sort((a, b) => a.distance - b.distance);
 
     res.json(usersWithDistance);
@@ -1014,13 +4861,110 @@ app.get('/api/users/nearby', verifyToken, (req, res) => {
   }
 });
 
+// Build a public URL for a stored avatar (uploads keep only the filename)
+const getAvatarUrl = (avatar) => {
+  if (!avatar) return null;
+  if (avatar.startsWith('/') || avatar.startsWith('http')) return avatar;
+  return `/uploads/avatars/${avatar}`;
+};
+
+// Round coordinates to ~10 km so a public profile never exposes an exact position
+const coarsenCoordinate = (value) => (
+  typeof value === 'number' ? Math.round(value * 10) / 10 : null
+);
+
+// Cut a free-text address down to its town and region ("12 High St, Leeds,
+// LS1 4AB, UK" -> "Leeds, UK"): parts with a number in them (house numbers,
+// postcodes) are dropped and only the last two of the rest are kept
+const coarsenAddress = (address) => (
+  String(address || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part && !/\d/.test(part))
+    .slice(-2)
+    .join(', ')
+);
+
+// Get public user profile. Only the owner sees their exact address and position.
+// Registered after /api/users/search and /api/users/nearby so it doesn't shadow them
+app.get('/api/users/:id', identifyUser, validate({ params: { id: id() } }), (req, res) => {
+  try {
+    const user = users.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const isOwner = req.userId === user.id;
+
+    const skills = userSkills.filter(s => s.userId === user.id);
+    const toPublicSkill = (s) => ({
+      id: s.id,
+      name: s.skillName,
+      proficiency: s.proficiency
+    });
+
+    const recentReviews = reviews
+      .filter(r => r.revieweeId === user.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, 5)
+      .map(review => {
+        const reviewer = users.findById(review.reviewerId);
+        return {
+          id: review.id,
+          rating: review.rating,
+          comment: review.comment,
+          reviewerId: review.reviewerId,
+          reviewerName: reviewer?.name || 'Anonymous',
+          createdAt: review.createdAt
+        };
+      });
+
+    res.json({
+      id: user.id,
+      name: user.name,
+      bio: user.bio || '',
+      avatarUrl: getAvatarUrl(user.avatar),
+      location: isOwner
+        ? { address: user.location || '', latitude: user.latitude ?? null, longitude: user.longitude ?? null }
+        : {
+          address: coarsenAddress(user.location),
+          latitude: coarsenCoordinate(user.latitude),
+          longitude: coarsenCoordinate(user.longitude)
+        },
+      timeZone: getUserTimeZone(user),
+      skills: {
+        offering: skills.filter(s => s.type === 'offering').map(toPublicSkill),
+        seeking: skills.filter(s => s.type === 'seeking').map(toPublicSkill)
+      },
+      reputation: calculateReputation(user.id),
+      recentReviews,
+      memberSince: user.createdAt
+    });
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
 
 /* ---------------------------
    END CREDITS SYSTEM
    --------------------------- */
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Backend server running on http://localhost:${PORT}`);
-  console.log(`📝 Registered users: ${users.length}`);
-});
+// Start server. The tests require this file for the app and start it themselves.
+if (require.main === module) {
+  db.init();
+  startEmailOutbox();
+  startBookingAutoCompletion();
+  startWorkshopAutoCompletion();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 Backend server running on http://localhost:${PORT}`);
+    console.log(`📝 Registered users: ${users.count()}`);
+  });
+}
+
+module.exports = {
+  app,
+  autoCompleteBookings,
+  autoCompleteWorkshops
+};
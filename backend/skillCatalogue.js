@@ -0,0 +1,234 @@
+/* ---------------------------
+   SKILL CATALOGUE
+   --------------------------- */
+
+// Canonical skills seeded into the database on first start.
+// Aliases cover common spellings so "react.js" and "ReactJS" resolve to "React".
+const SKILL_CATALOGUE_SEED = [
+  // Programming
+  { id: 'javascript', name: 'JavaScript', category: 'Programming', aliases: ['js', 'ecmascript', 'es6'] },
+  { id: 'typescript', name: 'TypeScript', category: 'Programming', aliases: ['ts'] },
+  { id: 'react', name: 'React', category: 'Programming', aliases: ['react.js', 'reactjs', 'react js'] },
+  { id: 'react-native', name: 'React Native', category: 'Programming', aliases: ['rn'] },
+  { id: 'vue', name: 'Vue.js', category: 'Programming', aliases: ['vue', 'vuejs'] },
+  { id: 'angular', name: 'Angular', category: 'Programming', aliases: ['angularjs', 'angular.js'] },
+  { id: 'nodejs', name: 'Node.js', category: 'Programming', aliases: ['node', 'nodejs', 'node js'] },
+  { id: 'python', name: 'Python', category: 'Programming', aliases: ['py', 'python3'] },
+  { id: 'django', name: 'Django', category: 'Programming', aliases: [] },
+  { id: 'java', name: 'Java', category: 'Programming', aliases: [] },
+  { id: 'kotlin', name: 'Kotlin', category: 'Programming', aliases: [] },
+  { id: 'swift', name: 'Swift', category: 'Programming', aliases: ['ios development'] },
+  { id: 'c', name: 'C', category: 'Programming', aliases: [] },
+  { id: 'cpp', name: 'C++', category: 'Programming', aliases: ['cpp', 'c plus plus'] },
+  { id: 'csharp', name: 'C#', category: 'Programming', aliases: ['c sharp', 'csharp', 'dotnet', '.net'] },
+  { id: 'go', name: 'Go', category: 'Programming', aliases: ['golang'] },
+  { id: 'rust', name: 'Rust', category: 'Programming', aliases: [] },
+  { id: 'php', name: 'PHP', category: 'Programming', aliases: ['laravel'] },
+  { id: 'html-css', name: 'HTML & CSS', category: 'Programming', aliases: ['html', 'css', 'html5', 'css3'] },
+  { id: 'sql', name: 'SQL', category: 'Programming', aliases: ['mysql', 'postgresql', 'postgres'] },
+  { id: 'git', name: 'Git', category: 'Programming', aliases: ['github', 'version control'] },
+
+  // Data
+  { id: 'data-analysis', name: 'Data Analysis', category: 'Data', aliases: ['data analytics', 'pandas'] },
+  { id: 'machine-learning', name: 'Machine Learning', category: 'Data', aliases: ['ml', 'deep learning', 'ai'] },
+  { id: 'excel', name: 'Excel', category: 'Data', aliases: ['microsoft excel', 'spreadsheets', 'google sheets'] },
+  { id: 'statistics', name: 'Statistics', category: 'Data', aliases: ['stats'] },
+
+  // Design
+  { id: 'ui-design', name: 'UI Design', category: 'Design', aliases: ['ui', 'user interface design'] },
+  { id: 'ux-design', name: 'UX Design', category: 'Design', aliases: ['ux', 'user experience'] },
+  { id: 'figma', name: 'Figma', category: 'Design', aliases: [] },
+  { id: 'graphic-design', name: 'Graphic Design', category: 'Design', aliases: ['graphics'] },
+  { id: 'photoshop', name: 'Photoshop', category: 'Design', aliases: ['adobe photoshop', 'ps'] },
+  { id: 'illustration', name: 'Illustration', category: 'Design', aliases: ['drawing', 'sketching'] },
+  { id: 'photography', name: 'Photography', category: 'Design', aliases: ['photo editing', 'lightroom'] },
+  { id: 'video-editing', name: 'Video Editing', category: 'Design', aliases: ['premiere pro', 'final cut'] },
+
+  // Languages
+  { id: 'english', name: 'English', category: 'Languages', aliases: ['spoken english'] },
+  { id: 'spanish', name: 'Spanish', category: 'Languages', aliases: ['espanol', 'español'] },
+  { id: 'french', name: 'French', category: 'Languages', aliases: ['francais', 'français'] },
+  { id: 'german', name: 'German', category: 'Languages', aliases: ['deutsch'] },
+  { id: 'hindi', name: 'Hindi', category: 'Languages', aliases: [] },
+  { id: 'japanese', name: 'Japanese', category: 'Languages', aliases: ['nihongo'] },
+  { id: 'mandarin', name: 'Mandarin Chinese', category: 'Languages', aliases: ['mandarin', 'chinese'] },
+  { id: 'sign-language', name: 'Sign Language', category: 'Languages', aliases: ['asl', 'bsl', 'isl'] },
+
+  // Music
+  { id: 'guitar', name: 'Guitar', category: 'Music', aliases: ['acoustic guitar', 'electric guitar'] },
+  { id: 'piano', name: 'Piano', category: 'Music', aliases: ['keyboard', 'keys'] },
+  { id: 'singing', name: 'Singing', category: 'Music', aliases: ['vocals', 'voice'] },
+  { id: 'drums', name: 'Drums', category: 'Music', aliases: ['percussion'] },
+  { id: 'violin', name: 'Violin', category: 'Music', aliases: [] },
+  { id: 'music-production', name: 'Music Production', category: 'Music', aliases: ['ableton', 'fl studio'] },
+
+  // Business
+  { id: 'public-speaking', name: 'Public Speaking', category: 'Business', aliases: ['presentation skills'] },
+  { id: 'marketing', name: 'Digital Marketing', category: 'Business', aliases: ['marketing', 'seo', 'social media marketing'] },
+  { id: 'content-writing', name: 'Content Writing', category: 'Business', aliases: ['copywriting', 'writing', 'blogging'] },
+  { id: 'project-management', name: 'Project Management', category: 'Business', aliases: ['agile', 'scrum'] },
+  { id: 'accounting', name: 'Accounting', category: 'Business', aliases: ['bookkeeping'] },
+  { id: 'entrepreneurship', name: 'Entrepreneurship', category: 'Business', aliases: ['startups'] },
+
+  // Academics
+  { id: 'mathematics', name: 'Mathematics', category: 'Academics', aliases: ['math', 'maths', 'calculus', 'algebra'] },
+  { id: 'physics', name: 'Physics', category: 'Academics', aliases: [] },
+  { id: 'chemistry', name: 'Chemistry', category: 'Academics', aliases: [] },
+  { id: 'biology', name: 'Biology', category: 'Academics', aliases: [] },
+
+  // Lifestyle
+  { id: 'cooking', name: 'Cooking', category: 'Lifestyle', aliases: ['baking', 'culinary'] },
+  { id: 'yoga', name: 'Yoga', category: 'Lifestyle', aliases: [] },
+  { id: 'fitness', name: 'Fitness Training', category: 'Lifestyle', aliases: ['fitness', 'gym', 'personal training'] },
+  { id: 'meditation', name: 'Meditation', category: 'Lifestyle', aliases: ['mindfulness'] },
+  { id: 'gardening', name: 'Gardening', category: 'Lifestyle', aliases: [] },
+  { id: 'chess', name: 'Chess', category: 'Lifestyle', aliases: [] },
+
+  // Crafts
+  { id: 'knitting', name: 'Knitting', category: 'Crafts', aliases: ['crochet'] },
+  { id: 'sewing', name: 'Sewing', category: 'Crafts', aliases: ['tailoring'] },
+  { id: 'woodworking', name: 'Woodworking', category: 'Crafts', aliases: ['carpentry'] },
+  { id: 'pottery', name: 'Pottery', category: 'Crafts', aliases: ['ceramics'] }
+];
+
+// Lookup key used for matching: case-, space- and punctuation-insensitive
+// ("React.js", "react js" and "ReactJS" all become "reactjs").
+// "+" and "#" are kept so C, C++ and C# stay distinct. Latin accents are
+// dropped ("Über" matches "uber"); other scripts keep their letters and marks.
+const toSkillKey = (value) => (
+  String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}+#]/gu, '')
+    .normalize('NFC')
+);
+
+// Tidy free-text skill names that aren't in the catalogue
+const cleanSkillName = (value) => String(value || '').trim().replace(/\s+/g, ' ');
+
+// Catalogue entry for a community-added skill that isn't in the seed list
+const createCustomSkill = (skillName) => {
+  const name = cleanSkillName(skillName);
+
+  // Built from the lookup key, so two names get the same id only when they
+  // would already match each other
+  return {
+    id: `custom-${toSkillKey(name)}`,
+    name,
+    category: 'Other',
+    aliases: [],
+    custom: true
+  };
+};
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+};
+
+// Find the catalogue entry whose name or alias matches exactly (after normalisation)
+const findCatalogueSkill = (catalogue, skillName) => {
+  const key = toSkillKey(skillName);
+  if (!key) return null;
+
+  return catalogue.find(entry =>
+    toSkillKey(entry.name) === key ||
+    entry.aliases.some(alias => toSkillKey(alias) === key)
+  ) || null;
+};
+
+// Score how well a single term matches the query key (0 = no match)
+const scoreTerm = (term, queryKey, isAlias) => {
+  const termKey = toSkillKey(term);
+  const aliasPenalty = isAlias ? 5 : 0;
+
+  if (termKey === queryKey) return 100 - aliasPenalty;
+  if (termKey.startsWith(queryKey)) return 80 - aliasPenalty;
+
+  const wordPrefix = term
+    .toLowerCase()
+    .split(/[\s.\-/&]+/)
+    .some(word => toSkillKey(word).startsWith(queryKey));
+  if (wordPrefix) return 60 - aliasPenalty;
+
+  if (termKey.includes(queryKey)) return 40 - aliasPenalty;
+
+  // Typo tolerance: compare against the start of the term, allowing for a
+  // missing or extra letter ("gitar" -> "guitar")
+  if (queryKey.length >= 3) {
+    const distance = Math.min(
+      ...[-1, 0, 1].map(delta => levenshtein(queryKey, termKey.slice(0, queryKey.length + delta)))
+    );
+    const allowed = queryKey.length > 5 ? 2 : 1;
+    if (distance <= allowed) return 30 - distance * 10 - aliasPenalty;
+  }
+
+  return 0;
+};
+
+// Rank catalogue entries for an autocomplete query.
+// usageCounts maps catalogue id -> number of user skills, used to break ties.
+const rankSkillMatches = (catalogue, query, { limit = 10, usageCounts = {} } = {}) => {
+  const queryKey = toSkillKey(query);
+  if (!queryKey) return [];
+
+  return catalogue
+    .map(entry => {
+      const nameScore = scoreTerm(entry.name, queryKey, false);
+      let bestAlias = null;
+      let aliasScore = 0;
+
+      entry.aliases.forEach(alias => {
+        const score = scoreTerm(alias, queryKey, true);
+        if (score > aliasScore) {
+          aliasScore = score;
+          bestAlias = alias;
+        }
+      });
+
+      return {
+        entry,
+        score: Math.max(nameScore, aliasScore),
+        matchedAlias: aliasScore > nameScore ? bestAlias : null
+      };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      (usageCounts[b.entry.id] || 0) - (usageCounts[a.entry.id] || 0) ||
+      a.entry.name.localeCompare(b.entry.name)
+    )
+    .slice(0, limit)
+    .map(({ entry, score, matchedAlias }) => ({
+      id: entry.id,
+      name: entry.name,
+      category: entry.category,
+      matchedAlias,
+      score
+    }));
+};
+
+module.exports = {
+  SKILL_CATALOGUE_SEED,
+  toSkillKey,
+  cleanSkillName,
+  createCustomSkill,
+  findCatalogueSkill,
+  rankSkillMatches
+};
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateSchedule, isWithinAvailability, generateSlots } = require('../availability');
+
+// Mondays 09:00-12:00, with Monday 2027-03-08 blocked and Tuesday 2027-03-09 opened for the afternoon
+const schedule = {
+  weekly: [{ dayOfWeek: 1, startTime: '09:00', endTime: '12:00' }],
+  exceptions: [
+    { date: '2027-03-08', windows: [] },
+    { date: '2027-03-09', windows: [{ startTime: '14:00', endTime: '15:30' }] }
+  ]
+};
+
+const now = new Date('2027-01-01T00:00:00Z');
+
+test('validates weekly windows and exceptions', () => {
+  assert.strictEqual(validateSchedule(schedule), null);
+  assert.strictEqual(
+    validateSchedule({ weekly: [{ dayOfWeek: 7, startTime: '09:00', endTime: '10:00' }] }),
+    'Weekly availability: dayOfWeek must be 0 (Sunday) to 6 (Saturday)'
+  );
+  assert.strictEqual(
+    validateSchedule({ weekly: [{ dayOfWeek: 1, startTime: '10:00', endTime: '09:00' }] }),
+    'Weekly availability: end time must be after start time'
+  );
+  assert.strictEqual(
+    validateSchedule({ weekly: [], exceptions: [{ date: 'March 8', windows: [] }] }),
+    'Exceptions: date must be in YYYY-MM-DD format'
+  );
+});
+
+test('a session has to fit inside one window of the provider\'s day', () => {
+  const at = (instant) => new Date(instant);
+
+  assert.strictEqual(isWithinAvailability(schedule, at('2027-03-01T09:00:00Z'), 60, 'UTC'), true);
+  assert.strictEqual(isWithinAvailability(schedule, at('2027-03-01T11:00:00Z'), 60, 'UTC'), true);
+  assert.strictEqual(isWithinAvailability(schedule, at('2027-03-01T11:30:00Z'), 60, 'UTC'), false);
+  assert.strictEqual(isWithinAvailability(schedule, at('2027-03-02T09:00:00Z'), 60, 'UTC'), false);
+  assert.strictEqual(isWithinAvailability(schedule, at('2027-03-08T09:00:00Z'), 60, 'UTC'), false);
+  // The windows are in the provider's zone: 09:00 in New York is 14:00 UTC
+  assert.strictEqual(isWithinAvailability(schedule, at('2027-03-01T14:00:00Z'), 60, 'America/New_York'), true);
+});
+
+test('slots follow the weekly schedule and its exceptions', () => {
+  const slots = generateSlots(schedule, { from: '2027-03-01', to: '2027-03-09', duration: 60, timeZone: 'UTC', now });
+
+  assert.deepStrictEqual(slots, {
+    '2027-03-01': ['09:00', '09:30', '10:00', '10:30', '11:00'],
+    '2027-03-09': ['14:00', '14:30']
+  });
+});
+
+test('slots leave out busy times and times already past', () => {
+  const slots = generateSlots(schedule, {
+    from: '2027-03-01',
+    to: '2027-03-01',
+    duration: 60,
+    timeZone: 'UTC',
+    busy: [{ start: new Date('2027-03-01T10:00:00Z'), end: new Date('2027-03-01T11:00:00Z') }],
+    now: new Date('2027-03-01T09:15:00Z')
+  });
+
+  assert.deepStrictEqual(slots, { '2027-03-01': ['11:00'] });
+});
+
+test('slots are shown in the viewer\'s zone', () => {
+  const slots = generateSlots(schedule, {
+    from: '2027-03-01',
+    to: '2027-03-01',
+    duration: 120,
+    timeZone: 'UTC',
+    viewerTimeZone: 'Asia/Tokyo',
+    now
+  });
+
+  assert.deepStrictEqual(slots, { '2027-03-01': ['18:00', '18:30', '19:00'] });
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HOUR, daysFromNow, startApi } = require('./support/api');
+
+let api;
+let provider;
+let seeker;
+
+before(async () => {
+  api = await startApi();
+  provider = await api.registerUser('Pat');
+  seeker = await api.registerUser('Sam');
+});
+
+after(() => api.close());
+
+const setStatus = (booking, user, status) => (
+  api.request('PATCH', `/bookings/${booking.id}`, { token: user.token, body: { status } })
+);
+
+// A confirmed one-hour session moved to have started just now, then started
+const startSession = async (days) => {
+  const { status, body } = await api.request('POST', '/bookings', {
+    token: seeker.token,
+    body: { providerId: provider.id, date: daysFromNow(days), time: '10:00', timeZone: 'UTC', duration: 60 }
+  });
+  assert.strictEqual(status, 201, body.error);
+  await setStatus(body.booking, provider, 'confirmed');
+
+  api.db.bookings.update(body.booking.id, {
+    startsAt: new Date().toISOString(),
+    endsAt: new Date(Date.now() + HOUR).toISOString()
+  });
+  const started = await setStatus(body.booking, seeker, 'in_progress');
+  assert.strictEqual(started.status, 200, started.body.error);
+  return started.body.booking;
+};
+
+test('the session completes and pays the provider once both people confirm', async () => {
+  const booking = await startSession(3);
+  const before = await api.getCredits(provider);
+
+  const first = await setStatus(booking, provider, 'completed');
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body.booking.status, 'in_progress');
+  assert.strictEqual((await api.getCredits(provider)).balance, before.balance);
+
+  const again = await setStatus(booking, provider, 'completed');
+  assert.strictEqual(again.status, 400);
+
+  const second = await setStatus(booking, seeker, 'completed');
+  assert.strictEqual(second.body.booking.status, 'completed');
+  assert.strictEqual(second.body.booking.escrow.status, 'settled');
+  assert.strictEqual((await api.getCredits(provider)).balance, before.balance + booking.escrow.amount);
+});
+
+test('a session only one person confirmed completes after the window runs out', async () => {
+  const booking = await startSession(4);
+  const before = await api.getCredits(provider);
+  await setStatus(booking, seeker, 'completed');
+
+  api.server.autoCompleteBookings();
+  assert.strictEqual(api.db.bookings.findById(booking.id).status, 'in_progress');
+
+  const stored = api.db.bookings.findById(booking.id);
+  api.db.bookings.update(booking.id, {
+    completion: { ...stored.completion, autoCompleteAt: new Date(Date.now() - 1000).toISOString() }
+  });
+  api.server.autoCompleteBookings();
+
+  const completed = api.db.bookings.findById(booking.id);
+  assert.strictEqual(completed.status, 'completed');
+  assert.strictEqual(completed.escrow.status, 'settled');
+  assert.strictEqual((await api.getCredits(provider)).balance, before.balance + booking.escrow.amount);
+});
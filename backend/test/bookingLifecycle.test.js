@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  COMPLETION_CONFIRM_WINDOW_HOURS,
+  START_EARLY_MINUTES,
+  getTransitionError,
+  getAvailableTransitions,
+  recordCompletionConfirmation,
+  isDueForAutoCompletion,
+  isDueForAutoCancellation
+} = require('../bookingLifecycle');
+
+const HOUR = 3600000;
+
+const createBooking = (fields) => ({
+  id: 'booking-1',
+  providerId: 'provider-1',
+  seekerId: 'seeker-1',
+  startsAt: '2026-03-02T10:00:00.000Z',
+  endsAt: '2026-03-02T11:00:00.000Z',
+  status: 'confirmed',
+  ...fields
+});
+
+const atStart = (minutes) => new Date(Date.parse('2026-03-02T10:00:00.000Z') + minutes * 60000);
+
+const afterEnd = (hours) => new Date(Date.parse('2026-03-02T11:00:00.000Z') + hours * HOUR);
+
+test('sessions nobody started are cancelled once the window after their end passes', () => {
+  const confirmed = createBooking({ status: 'confirmed' });
+  const pending = createBooking({ status: 'pending' });
+
+  assert.strictEqual(isDueForAutoCancellation(confirmed, afterEnd(COMPLETION_CONFIRM_WINDOW_HOURS - 1)), false);
+  assert.strictEqual(isDueForAutoCancellation(confirmed, afterEnd(COMPLETION_CONFIRM_WINDOW_HOURS)), true);
+  assert.strictEqual(isDueForAutoCancellation(pending, afterEnd(COMPLETION_CONFIRM_WINDOW_HOURS)), true);
+});
+
+test('sessions that were started or closed are never auto-cancelled', () => {
+  const later = afterEnd(COMPLETION_CONFIRM_WINDOW_HOURS * 10);
+
+  ['in_progress', 'completed', 'cancelled', 'declined', 'no_show'].forEach(status => {
+    assert.strictEqual(isDueForAutoCancellation(createBooking({ status }), later), false, status);
+  });
+});
+
+test('only the provider answers a request and only the seeker withdraws it', () => {
+  const pending = createBooking({ status: 'pending' });
+  const now = atStart(-24 * 60);
+
+  assert.deepStrictEqual(getAvailableTransitions(pending, 'provider-1', now), ['confirmed', 'declined']);
+  assert.deepStrictEqual(getAvailableTransitions(pending, 'seeker-1', now), ['cancelled']);
+  assert.deepStrictEqual(getAvailableTransitions(pending, 'stranger', now), []);
+  assert.strictEqual(getTransitionError(pending, 'seeker-1', 'confirmed', now), 'Only the provider can do that');
+});
+
+test('moves the status table does not list are rejected', () => {
+  assert.strictEqual(
+    getTransitionError(createBooking({ status: 'pending' }), 'provider-1', 'completed'),
+    'A pending booking cannot be marked completed'
+  );
+  assert.strictEqual(
+    getTransitionError(createBooking({ status: 'in_progress' }), 'provider-1', 'cancelled'),
+    'An in progress booking cannot be marked cancelled'
+  );
+  assert.strictEqual(
+    getTransitionError(createBooking({ status: 'completed' }), 'seeker-1', 'no_show'),
+    'A completed booking cannot be marked no show'
+  );
+});
+
+test('a confirmed session can be started at most a few minutes early', () => {
+  const confirmed = createBooking();
+
+  assert.strictEqual(
+    getTransitionError(confirmed, 'seeker-1', 'in_progress', atStart(-START_EARLY_MINUTES - 1)),
+    `Sessions can be started at most ${START_EARLY_MINUTES} minutes early`
+  );
+  assert.strictEqual(getTransitionError(confirmed, 'seeker-1', 'in_progress', atStart(-START_EARLY_MINUTES)), null);
+});
+
+test('before the start a confirmed session can be cancelled but not reported as a no-show', () => {
+  const confirmed = createBooking();
+  const now = atStart(-60);
+
+  assert.deepStrictEqual(getAvailableTransitions(confirmed, 'provider-1', now), ['cancelled']);
+  assert.strictEqual(
+    getTransitionError(confirmed, 'provider-1', 'no_show', now),
+    'A no-show can only be reported once the session was due to start'
+  );
+});
+
+test('after the start a confirmed session can no longer be cancelled', () => {
+  const confirmed = createBooking();
+  const now = atStart(5);
+
+  assert.strictEqual(
+    getTransitionError(confirmed, 'seeker-1', 'cancelled', now),
+    'This session has already started; report a no-show instead'
+  );
+  assert.deepStrictEqual(getAvailableTransitions(confirmed, 'seeker-1', now), ['in_progress', 'no_show']);
+});
+
+test('a session completes only once both people have confirmed it took place', () => {
+  const inProgress = createBooking({ status: 'in_progress' });
+  const now = afterEnd(0);
+
+  const first = recordCompletionConfirmation(inProgress, 'provider-1', now);
+  assert.strictEqual(first.isComplete, false);
+  assert.strictEqual(first.completion.providerConfirmedAt, now.toISOString());
+  assert.strictEqual(first.completion.seekerConfirmedAt, null);
+  assert.strictEqual(
+    first.completion.autoCompleteAt,
+    afterEnd(COMPLETION_CONFIRM_WINDOW_HOURS).toISOString()
+  );
+
+  const second = recordCompletionConfirmation(
+    { ...inProgress, completion: first.completion },
+    'seeker-1',
+    afterEnd(1)
+  );
+  assert.strictEqual(second.isComplete, true);
+  // The window set by the first confirmation is kept
+  assert.strictEqual(second.completion.autoCompleteAt, first.completion.autoCompleteAt);
+});
+
+test('whoever has confirmed can neither confirm again nor report a no-show', () => {
+  const { completion } = recordCompletionConfirmation(createBooking({ status: 'in_progress' }), 'seeker-1', afterEnd(0));
+  const booking = createBooking({ status: 'in_progress', completion });
+
+  assert.deepStrictEqual(getAvailableTransitions(booking, 'seeker-1', afterEnd(1)), []);
+  assert.deepStrictEqual(getAvailableTransitions(booking, 'provider-1', afterEnd(1)), ['completed', 'no_show']);
+});
+
+test('a half-confirmed session completes automatically once its window runs out', () => {
+  const { completion } = recordCompletionConfirmation(createBooking({ status: 'in_progress' }), 'provider-1', afterEnd(0));
+  const booking = createBooking({ status: 'in_progress', completion });
+
+  assert.strictEqual(isDueForAutoCompletion(booking, afterEnd(COMPLETION_CONFIRM_WINDOW_HOURS - 1)), false);
+  assert.strictEqual(isDueForAutoCompletion(booking, afterEnd(COMPLETION_CONFIRM_WINDOW_HOURS)), true);
+  // Nobody confirmed, or the session already moved on
+  assert.strictEqual(isDueForAutoCompletion(createBooking({ status: 'in_progress' }), afterEnd(100)), false);
+  assert.strictEqual(isDueForAutoCompletion({ ...booking, status: 'no_show' }, afterEnd(100)), false);
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A database from before generated ids (schema v7), with timestamp ids
+const createdAt = '2025-03-01T10:00:00.000Z';
+const legacyData = {
+  schemaVersion: 7,
+  users: [
+    { id: '1740823200001', name: 'Ann', email: 'ann@example.com', avatar: '1740823200001-1740823260000.png', createdAt },
+    { id: '1740823200002', name: 'Ben', email: 'ben@example.com', createdAt }
+  ],
+  projects: [],
+  userSkills: [
+    { id: '1740823200003', userId: '1740823200002', skillName: 'Guitar', catalogueId: 'guitar', createdAt }
+  ],
+  bookings: [{
+    id: '1740823200004',
+    providerId: '1740823200002',
+    seekerId: '1740823200001',
+    skillId: '1740823200003',
+    startsAt: '2025-03-05T10:00:00.000Z',
+    endsAt: '2025-03-05T11:00:00.000Z',
+    duration: 60,
+    status: 'completed',
+    createdAt
+  }],
+  reviews: [{
+    id: '1740823200005',
+    reviewerId: '1740823200001',
+    revieweeId: '1740823200002',
+    bookingId: '1740823200004',
+    skillId: '1740823200003',
+    rating: 5,
+    createdAt
+  }],
+  creditTransactions: [],
+  emailOutbox: [],
+  skillCatalogue: [],
+  availability: [],
+  sessions: []
+};
+
+// The driver is picked when db.js is first loaded, so every test shares this file
+const dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'skillink-db-')), 'db.json');
+fs.writeFileSync(dbFile, JSON.stringify(legacyData));
+process.env.DB_DRIVER = 'json';
+process.env.DB_FILE = dbFile;
+const db = require('../db');
+db.init();
+
+const readFile = () => JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+
+test('migrating to generated ids keeps bookings and reviews pointing at their skill', () => {
+  const [skill] = db.userSkills.all();
+  const [booking] = db.bookings.all();
+  const [review] = db.reviews.all();
+
+  assert.notStrictEqual(skill.id, '1740823200003');
+  assert.strictEqual(booking.skillId, skill.id);
+  assert.strictEqual(review.skillId, skill.id);
+  assert.strictEqual(review.bookingId, booking.id);
+  assert.strictEqual(booking.providerId, skill.userId);
+});
+
+test('migrating to generated ids leaves avatar files and their names alone', () => {
+  const ann = db.users.find(user => user.email === 'ann@example.com');
+
+  assert.notStrictEqual(ann.id, '1740823200001');
+  assert.strictEqual(ann.avatar, '1740823200001-1740823260000.png');
+});
+
+test('migrated data is written to disk straight away', () => {
+  const saved = readFile();
+  assert.ok(saved.schemaVersion > legacyData.schemaVersion);
+  assert.deepStrictEqual(saved.bookings, db.bookings.all());
+});
+
+test('changes made in one tick are written to disk together once it ends', async () => {
+  const writes = [];
+  const { renameSync } = fs;
+  fs.renameSync = (from, to) => {
+    writes.push(to);
+    return renameSync(from, to);
+  };
+
+  try {
+    const [user] = db.users.all();
+    for (let i = 0; i < 50; i++) {
+      db.notifications.insert({ id: `note-${i}`, userId: user.id, title: `Note ${i}` });
+    }
+    db.users.update(user.id, { bio: 'Guitar teacher' });
+
+    assert.strictEqual(writes.length, 0);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepStrictEqual(writes, [dbFile]);
+    const saved = readFile();
+    assert.strictEqual(saved.notifications.length, 50);
+    assert.strictEqual(saved.users.find(u => u.id === user.id).bio, 'Guitar teacher');
+  } finally {
+    fs.renameSync = renameSync;
+  }
+});
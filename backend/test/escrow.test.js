@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { HOUR, daysFromNow, startApi } = require('./support/api');
+
+let api;
+let provider;
+let seeker;
+
+before(async () => {
+  api = await startApi();
+  provider = await api.registerUser('Pat');
+  seeker = await api.registerUser('Sam');
+});
+
+after(() => api.close());
+
+// A confirmed one-hour session, `days` from now at `time` UTC
+const bookConfirmedSession = async (days, time) => {
+  const { status, body } = await api.request('POST', '/bookings', {
+    token: seeker.token,
+    body: { providerId: provider.id, date: daysFromNow(days), time, timeZone: 'UTC', duration: 60 }
+  });
+  assert.strictEqual(status, 201, body.error);
+
+  await api.request('PATCH', `/bookings/${body.booking.id}`, { token: provider.token, body: { status: 'confirmed' } });
+  return body.booking;
+};
+
+// Move a session so it starts `hours` from now
+const moveStart = (booking, hours) => {
+  const startsAt = new Date(Date.now() + hours * HOUR);
+  api.db.bookings.update(booking.id, {
+    startsAt: startsAt.toISOString(),
+    endsAt: new Date(startsAt.getTime() + HOUR).toISOString()
+  });
+};
+
+const cancel = (booking, user) => (
+  api.request('PATCH', `/bookings/${booking.id}`, { token: user.token, body: { status: 'cancelled' } })
+);
+
+test('booking a session holds its price from the seeker', async () => {
+  const before = await api.getCredits(seeker);
+  const booking = await bookConfirmedSession(3, '10:00');
+
+  const after = await api.getCredits(seeker);
+  assert.strictEqual(booking.escrow.status, 'held');
+  assert.strictEqual(after.balance, before.balance - booking.escrow.amount);
+  assert.strictEqual(after.heldCredits, before.heldCredits + booking.escrow.amount);
+
+  await cancel(booking, seeker);
+});
+
+test('cancelling a day or more ahead refunds the seeker in full', async () => {
+  const before = await api.getCredits(seeker);
+  const booking = await bookConfirmedSession(3, '12:00');
+
+  const { body } = await cancel(booking, seeker);
+  assert.strictEqual(body.booking.escrow.status, 'released');
+  assert.strictEqual(body.booking.escrow.refundPercent, 100);
+  assert.strictEqual((await api.getCredits(seeker)).balance, before.balance);
+});
+
+test('a late cancellation by the seeker refunds per the policy and pays the provider the rest', async () => {
+  const seekerBefore = await api.getCredits(seeker);
+  const providerBefore = await api.getCredits(provider);
+  const booking = await bookConfirmedSession(3, '14:00');
+  moveStart(booking, 5);
+
+  const { body } = await cancel(booking, seeker);
+  const { refundPercent, refundAmount, retainedAmount } = body.booking.escrow;
+  assert.strictEqual(refundPercent, 50);
+  assert.strictEqual(refundAmount + retainedAmount, booking.escrow.amount);
+  assert.strictEqual((await api.getCredits(seeker)).balance, seekerBefore.balance - retainedAmount);
+  assert.strictEqual((await api.getCredits(provider)).balance, providerBefore.balance + retainedAmount);
+});
+
+test('a cancellation under two hours before the start refunds nothing', async () => {
+  const booking = await bookConfirmedSession(3, '16:00');
+  moveStart(booking, 1);
+
+  const { body } = await cancel(booking, seeker);
+  assert.strictEqual(body.booking.escrow.refundPercent, 0);
+  assert.strictEqual(body.booking.escrow.retainedAmount, booking.escrow.amount);
+});
+
+test('the provider cancelling refunds the seeker in full, however late', async () => {
+  const before = await api.getCredits(seeker);
+  const booking = await bookConfirmedSession(3, '18:00');
+  moveStart(booking, 1);
+
+  const { body } = await cancel(booking, provider);
+  assert.strictEqual(body.booking.escrow.refundPercent, 100);
+  assert.strictEqual((await api.getCredits(seeker)).balance, before.balance);
+});
+
+test('a seeker who cannot cover the price cannot book', async () => {
+  api.db.users.update(seeker.id, { creditBalance: 5 });
+
+  const { status, body } = await api.request('POST', '/bookings', {
+    token: seeker.token,
+    body: { providerId: provider.id, date: daysFromNow(4), time: '10:00', timeZone: 'UTC', duration: 60 }
+  });
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /^Insufficient credits/);
+  assert.strictEqual((await api.getCredits(seeker)).balance, 5);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { bookingToEvent, buildCalendar } = require('../icalendar');
+
+const provider = { id: 'provider-1', name: 'Pat' };
+const seeker = { id: 'seeker-1', name: 'Sam' };
+const booking = {
+  id: 'booking-1',
+  providerId: provider.id,
+  seekerId: seeker.id,
+  startsAt: '2027-03-01T09:30:00.000Z',
+  endsAt: '2027-03-01T10:30:00.000Z',
+  status: 'confirmed',
+  message: 'Bring chords; and a capo, please',
+  sequence: 3,
+  createdAt: '2027-02-20T08:00:00.000Z',
+  updatedAt: '2027-02-21T08:00:00.000Z'
+};
+const appUrl = 'https://skillink.example';
+
+const toEvent = (fields = {}, viewerId = seeker.id) => (
+  bookingToEvent({ ...booking, ...fields }, { viewerId, provider, seeker, appUrl })
+);
+
+test('a booking becomes a VEVENT in UTC, written for the viewer', () => {
+  const event = toEvent();
+
+  assert.strictEqual(event[0], 'BEGIN:VEVENT');
+  assert.ok(event.includes('UID:booking-booking-1@skillink.app'));
+  assert.ok(event.includes('SEQUENCE:3'));
+  assert.ok(event.includes('DTSTAMP:20270221T080000Z'));
+  assert.ok(event.includes('DTSTART:20270301T093000Z'));
+  assert.ok(event.includes('DTEND:20270301T103000Z'));
+  assert.ok(event.includes('SUMMARY:SkilLink session with Pat'));
+  assert.ok(event.includes('STATUS:CONFIRMED'));
+  assert.ok(toEvent({}, provider.id).includes('SUMMARY:SkilLink session with Sam'));
+});
+
+test('text is escaped and statuses map to iCalendar ones', () => {
+  const description = toEvent().find(line => line.startsWith('DESCRIPTION:'));
+  assert.strictEqual(
+    description,
+    'DESCRIPTION:Learning with Pat\\nMessage: Bring chords\\; and a capo\\, please\\nManage this booking: https://skillink.example/booking'
+  );
+
+  assert.ok(toEvent({ status: 'pending' }).includes('STATUS:TENTATIVE'));
+  assert.ok(toEvent({ status: 'cancelled' }).includes('STATUS:CANCELLED'));
+});
+
+test('the calendar uses CRLF line endings and folds lines over 75 octets', () => {
+  const calendar = buildCalendar('SkilLink sessions', [toEvent()]);
+  const lines = calendar.split('\r\n');
+
+  assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+  assert.strictEqual(lines.at(-2), 'END:VCALENDAR');
+  assert.strictEqual(lines.at(-1), '');
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+
+  // Unfolding (dropping CRLF + space) gives back the original DESCRIPTION line
+  const unfolded = calendar.replace(/\r\n /g, '');
+  assert.ok(unfolded.includes(toEvent().find(line => line.startsWith('DESCRIPTION:'))));
+});
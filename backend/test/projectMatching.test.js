@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SKILL_CATALOGUE_SEED } = require('../skillCatalogue');
+const { toRequirements, scoreMatch, compareMatches } = require('../projectMatching');
+
+test('project skills resolve through the catalogue, with free text kept as a key', () => {
+  assert.deepStrictEqual(toRequirements(SKILL_CATALOGUE_SEED, ['reactjs', 'Sourdough Baking']), [
+    { name: 'reactjs', catalogueId: 'react', key: 'reactjs' },
+    { name: 'Sourdough Baking', catalogueId: null, key: 'sourdoughbaking' }
+  ]);
+});
+
+test('an offered skill meets a requirement by catalogue id or by spelling', () => {
+  const requirements = toRequirements(SKILL_CATALOGUE_SEED, ['React.js', 'sourdough baking']);
+  const match = scoreMatch({
+    requirements,
+    offeredSkills: [
+      { skillName: 'React', catalogueId: 'react', proficiency: 5 },
+      { skillName: 'Sourdough  Baking', catalogueId: null, proficiency: 5 }
+    ],
+    distance: 0,
+    reputationScore: 50
+  });
+
+  assert.strictEqual(match.score, 100);
+  assert.strictEqual(match.coverage, 1);
+  assert.deepStrictEqual(match.missingSkills, []);
+});
+
+test('the score mixes skill coverage, distance and reputation', () => {
+  const match = scoreMatch({
+    requirements: toRequirements(SKILL_CATALOGUE_SEED, ['React', 'Figma']),
+    offeredSkills: [
+      { skillName: 'React', catalogueId: 'react', proficiency: 3 },
+      { skillName: 'ReactJS', catalogueId: 'react', proficiency: 5 }
+    ],
+    distance: 25,
+    reputationScore: 25
+  });
+
+  // Half the skills at full proficiency, the half-score distance and half the reputation
+  assert.strictEqual(match.score, 50);
+  assert.strictEqual(match.coverage, 0.5);
+  assert.deepStrictEqual(match.matchedSkills, [{ name: 'React', skillName: 'ReactJS', proficiency: 5 }]);
+  assert.deepStrictEqual(match.missingSkills, ['Figma']);
+  assert.strictEqual(match.distance, 25);
+});
+
+test('an unknown distance scores in the middle and reputation is capped', () => {
+  const match = scoreMatch({
+    requirements: toRequirements(SKILL_CATALOGUE_SEED, ['Python']),
+    offeredSkills: [{ skillName: 'Python', catalogueId: 'python', proficiency: 5 }],
+    reputationScore: 500
+  });
+
+  assert.strictEqual(match.score, 88);
+  assert.strictEqual(match.distance, null);
+});
+
+test('people offering none of the skills, or projects needing none, have no match', () => {
+  const offeredSkills = [{ skillName: 'Python', catalogueId: 'python', proficiency: 5 }];
+
+  assert.strictEqual(scoreMatch({ requirements: toRequirements(SKILL_CATALOGUE_SEED, ['Go']), offeredSkills }), null);
+  assert.strictEqual(scoreMatch({ requirements: [], offeredSkills }), null);
+});
+
+test('matches are ranked by score, then by how many skills they cover', () => {
+  const matches = [
+    { id: 'a', score: 60, coverage: 0.5 },
+    { id: 'b', score: 80, coverage: 0.5 },
+    { id: 'c', score: 60, coverage: 1 }
+  ];
+
+  assert.deepStrictEqual(matches.sort(compareMatches).map(m => m.id), ['b', 'c', 'a']);
+});
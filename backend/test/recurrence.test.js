@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_SERIES_OCCURRENCES, getOccurrenceDates, toRRule } = require('../recurrence');
+const { zonedTimeToUtc } = require('../timeZones');
+
+test('a weekly series with a count repeats on the same weekday', () => {
+  assert.deepStrictEqual(
+    getOccurrenceDates('2026-01-26', { frequency: 'weekly', count: 4 }),
+    ['2026-01-26', '2026-02-02', '2026-02-09', '2026-02-16']
+  );
+});
+
+test('a biweekly series skips every other week', () => {
+  assert.deepStrictEqual(
+    getOccurrenceDates('2026-12-17', { frequency: 'biweekly', count: 3 }),
+    ['2026-12-17', '2026-12-31', '2027-01-14']
+  );
+});
+
+test('a series with an end date includes a session falling on it', () => {
+  assert.deepStrictEqual(
+    getOccurrenceDates('2026-02-02', { frequency: 'weekly', until: '2026-02-16' }),
+    ['2026-02-02', '2026-02-09', '2026-02-16']
+  );
+  assert.deepStrictEqual(
+    getOccurrenceDates('2026-02-02', { frequency: 'weekly', until: '2026-02-15' }),
+    ['2026-02-02', '2026-02-09']
+  );
+});
+
+test('a far-off end date stops one past the limit so it can be rejected', () => {
+  const dates = getOccurrenceDates('2026-01-05', { frequency: 'weekly', until: '2030-01-01' });
+  assert.strictEqual(dates.length, MAX_SERIES_OCCURRENCES + 1);
+});
+
+test('sessions keep their wall-clock time across a daylight saving change', () => {
+  const starts = getOccurrenceDates('2026-03-22', { frequency: 'weekly', count: 2 })
+    .map(date => zonedTimeToUtc(date, '18:00', 'Europe/London').toISOString());
+
+  assert.deepStrictEqual(starts, ['2026-03-22T18:00:00.000Z', '2026-03-29T17:00:00.000Z']);
+});
+
+test('the rule is written in RFC 5545 form', () => {
+  assert.strictEqual(toRRule({ frequency: 'biweekly', count: 8 }), 'FREQ=WEEKLY;INTERVAL=2;COUNT=8');
+  assert.strictEqual(toRRule({ frequency: 'weekly', until: '2026-06-30' }), 'FREQ=WEEKLY;INTERVAL=1;UNTIL=20260630');
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startApi } = require('./support/api');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.close());
+
+const refresh = (refreshToken) => api.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+test('refreshing rotates the refresh token and keeps the session signed in', async () => {
+  const user = await api.registerUser('Rae');
+
+  const { status, body } = await refresh(user.refreshToken);
+  assert.strictEqual(status, 200);
+  assert.notStrictEqual(body.refreshToken, user.refreshToken);
+
+  const sessions = await api.request('GET', '/auth/sessions', { token: body.token });
+  assert.strictEqual(sessions.status, 200);
+  assert.strictEqual(sessions.body.length, 1);
+});
+
+test('replaying a rotated-out refresh token revokes the session', async () => {
+  const user = await api.registerUser('Max');
+  const { body: rotated } = await refresh(user.refreshToken);
+
+  const replay = await refresh(user.refreshToken);
+  assert.strictEqual(replay.status, 401);
+
+  // The thief and the owner are both signed out
+  assert.strictEqual((await refresh(rotated.refreshToken)).status, 401);
+  assert.strictEqual((await api.request('GET', '/auth/sessions', { token: rotated.token })).status, 401);
+});
+
+test('a made-up refresh token for a live session is rejected without ending it', async () => {
+  const user = await api.registerUser('Kit');
+  const sessionId = user.refreshToken.split('.')[0];
+
+  assert.strictEqual((await refresh(`${sessionId}.${'0'.repeat(64)}`)).status, 401);
+  assert.strictEqual((await refresh(user.refreshToken)).status, 200);
+});
+
+test('logging out revokes the session and its refresh token', async () => {
+  const user = await api.registerUser('Lee');
+
+  assert.strictEqual((await api.request('POST', '/auth/logout', { token: user.token })).status, 200);
+  assert.strictEqual((await api.request('GET', '/auth/sessions', { token: user.token })).status, 401);
+  assert.strictEqual((await refresh(user.refreshToken)).status, 401);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toSkillKey, createCustomSkill, findCatalogueSkill } = require('../skillCatalogue');
+
+test('custom skill ids keep non-ASCII letters', () => {
+  assert.notStrictEqual(createCustomSkill('über').id, createCustomSkill('ber').id);
+  assert.strictEqual(createCustomSkill('Über').id, 'custom-uber');
+  assert.strictEqual(createCustomSkill('日本語').id, 'custom-日本語');
+  assert.notStrictEqual(createCustomSkill('書道').id, createCustomSkill('茶道').id);
+  assert.notStrictEqual(createCustomSkill('がく').id, createCustomSkill('かく').id);
+  assert.notStrictEqual(createCustomSkill('योग').id, createCustomSkill('यग').id);
+});
+
+test('non-ASCII names match their own custom skill', () => {
+  const catalogue = [createCustomSkill('Каллиграфия')];
+
+  assert.strictEqual(toSkillKey('  каллиграфия '), toSkillKey('Каллиграфия'));
+  assert.strictEqual(findCatalogueSkill(catalogue, 'каллиграфия'), catalogue[0]);
+  assert.strictEqual(findCatalogueSkill(catalogue, 'Калиграфия'), null);
+});
@@ -0,0 +1,65 @@
+const os = require('os');
+const path = require('path');
+
+// The API runs in the test's own process, on an in-memory database, with
+// emails going to the stub transport
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.EMAIL_TRANSPORT = 'stub';
+process.env.EMAIL_STUB_FILE = path.join(os.tmpdir(), `skillink-test-emails-${process.pid}.log`);
+
+// The API's progress logs would end up in the test runner's output
+console.log = () => {};
+
+const db = require('../../db');
+const server = require('../../server');
+
+const HOUR = 3600000;
+
+// "YYYY-MM-DD" of the UTC day `days` from now
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * HOUR).toISOString().slice(0, 10);
+
+// Start the API on a free port. Call `close` when the tests are done.
+const startApi = async () => {
+  db.init();
+  const listener = server.app.listen(0);
+  await new Promise(resolve => listener.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${listener.address().port}/api`;
+
+  const request = async (method, url, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  // Register a user with a verified email. Returns their id and tokens.
+  const registerUser = async (name) => {
+    const { body } = await request('POST', '/auth/register', {
+      body: { name, email: `${name.toLowerCase()}-${Date.now()}@example.com`, password: 'secret123' }
+    });
+    db.users.update(body.user.id, { emailVerified: true });
+    return { id: body.user.id, token: body.token, refreshToken: body.refreshToken };
+  };
+
+  const getCredits = async (user) => (await request('GET', '/credits', { token: user.token })).body;
+
+  const close = () => new Promise(resolve => {
+    listener.closeAllConnections();
+    listener.close(resolve);
+  });
+
+  return { db, server, request, registerUser, getCredits, close };
+};
+
+module.exports = {
+  HOUR,
+  daysFromNow,
+  startApi
+};
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToUtc } = require('../timeZones');
+
+const toIso = (date, time, timeZone) => zonedTimeToUtc(date, time, timeZone).toISOString();
+
+test('converts wall-clock times away from DST changes', () => {
+  assert.strictEqual(toIso('2026-07-01', '09:00', 'Europe/London'), '2026-07-01T08:00:00.000Z');
+  assert.strictEqual(toIso('2026-01-15', '09:00', 'America/New_York'), '2026-01-15T14:00:00.000Z');
+  assert.strictEqual(toIso('2026-01-15', '09:00', 'UTC'), '2026-01-15T09:00:00.000Z');
+});
+
+test('an ambiguous time at the DST fall-back resolves to its first occurrence', () => {
+  assert.strictEqual(toIso('2026-10-25', '01:30', 'Europe/London'), '2026-10-25T00:30:00.000Z');
+  assert.strictEqual(toIso('2026-11-01', '01:30', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+});
+
+test('a time skipped by the DST spring-forward resolves to just after the gap', () => {
+  assert.strictEqual(toIso('2026-03-29', '01:30', 'Europe/London'), '2026-03-29T01:30:00.000Z');
+  assert.strictEqual(toIso('2026-03-08', '02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+});
+
+test('returns null for an invalid date', () => {
+  assert.strictEqual(zonedTimeToUtc('not-a-date', '09:00', 'UTC'), null);
+});
+
+test('returns null for a date or time that would roll over', () => {
+  assert.strictEqual(zonedTimeToUtc('2027-02-31', '10:00', 'UTC'), null);
+  assert.strictEqual(zonedTimeToUtc('2027-04-31', '10:00', 'Europe/London'), null);
+  assert.strictEqual(zonedTimeToUtc('2027-02-28', '24:00', 'UTC'), null);
+  assert.strictEqual(zonedTimeToUtc('2027-02-28', '10:60', 'UTC'), null);
+});
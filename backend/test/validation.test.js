@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../validation');
+
+// Run the middleware on a request body; returns the 400 payload, or the coerced body
+const run = (schema, body) => {
+  const req = { body };
+  let payload = null;
+  const res = {
+    status: () => res,
+    json: (data) => { payload = data; }
+  };
+  validate({ body: schema })(req, res, () => { payload = { body: req.body }; });
+  return payload;
+};
+
+const checkFormat = (format, value) => !run({ value: { type: 'string', format } }, { value }).fields;
+
+test('date format accepts real calendar dates', () => {
+  assert.strictEqual(checkFormat('date', '2027-03-31'), true);
+  assert.strictEqual(checkFormat('date', '2028-02-29'), true);
+  assert.strictEqual(checkFormat('date', '2027-12-31'), true);
+});
+
+test('date format rejects days the month does not have', () => {
+  assert.strictEqual(checkFormat('date', '2027-02-29'), false);
+  assert.strictEqual(checkFormat('date', '2027-02-30'), false);
+  assert.strictEqual(checkFormat('date', '2027-02-31'), false);
+  assert.strictEqual(checkFormat('date', '2027-04-31'), false);
+  assert.strictEqual(checkFormat('date', '2027-13-01'), false);
+  assert.strictEqual(checkFormat('date', '27-02-01'), false);
+});
+
+test('time, email and time zone formats', () => {
+  assert.strictEqual(checkFormat('time', '09:30'), true);
+  assert.strictEqual(checkFormat('time', '24:00'), false);
+  assert.strictEqual(checkFormat('time', '9:30'), false);
+  assert.strictEqual(checkFormat('email', 'ann@example.com'), true);
+  assert.strictEqual(checkFormat('email', 'ann@example'), false);
+  assert.strictEqual(checkFormat('timeZone', 'Europe/London'), true);
+  assert.strictEqual(checkFormat('timeZone', 'Mars/Olympus'), false);
+});
+
+test('reports every invalid field and keeps only known ones', () => {
+  const schema = {
+    date: { type: 'string', required: true, format: 'date' },
+    duration: { type: 'integer', min: 30, max: 240, default: 60 }
+  };
+
+  const invalid = run(schema, { date: '2027-02-31', duration: '5abc' });
+  assert.deepStrictEqual(Object.keys(invalid.fields), ['date', 'duration']);
+  assert.strictEqual(invalid.error, 'Date must be a real date in YYYY-MM-DD format');
+
+  const valid = run(schema, { date: ' 2027-02-28 ', extra: 'dropped' });
+  assert.deepStrictEqual(valid.body, { date: '2027-02-28', duration: 60 });
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { daysFromNow, startApi } = require('./support/api');
+
+let api;
+let host;
+
+before(async () => {
+  api = await startApi();
+  host = await api.registerUser('Hal');
+});
+
+after(() => api.close());
+
+// A two-seat workshop `days` from now
+const createWorkshop = async (days) => {
+  const { status, body } = await api.request('POST', '/workshops', {
+    token: host.token,
+    body: { title: 'Sourdough basics', date: daysFromNow(days), time: '10:00', timeZone: 'UTC', duration: 60, capacity: 2 }
+  });
+  assert.strictEqual(status, 201, body.error);
+  return body.workshop;
+};
+
+const signUp = async (workshop, user) => {
+  const { status, body } = await api.request('POST', `/workshops/${workshop.id}/enrolment`, { token: user.token });
+  assert.strictEqual(status, 201, body.error);
+  return body.workshop.enrolment;
+};
+
+const leave = (workshop, user) => api.request('DELETE', `/workshops/${workshop.id}/enrolment`, { token: user.token });
+
+const getEnrolment = async (workshop, user) => (
+  (await api.request('GET', `/workshops/${workshop.id}`, { token: user.token })).body.enrolment
+);
+
+test('learners join the waitlist once the seats are taken', async () => {
+  const workshop = await createWorkshop(3);
+  const learners = await Promise.all(['Ada', 'Bea', 'Cal'].map(name => api.registerUser(name)));
+
+  assert.strictEqual((await signUp(workshop, learners[0])).status, 'enrolled');
+  assert.strictEqual((await signUp(workshop, learners[1])).status, 'enrolled');
+
+  const waitlisted = await signUp(workshop, learners[2]);
+  assert.strictEqual(waitlisted.status, 'waitlisted');
+  assert.strictEqual(waitlisted.waitlistPosition, 1);
+  // Waitlisted learners pay when they get a seat
+  assert.strictEqual(waitlisted.escrow, null);
+});
+
+test('a freed seat goes to the first learner on the waitlist, who is charged for it', async () => {
+  const workshop = await createWorkshop(4);
+  const [ada, bea, cal, dan] = await Promise.all(['Ada', 'Bea', 'Cal', 'Dan'].map(name => api.registerUser(name)));
+  for (const learner of [ada, bea, cal, dan]) await signUp(workshop, learner);
+  const before = await api.getCredits(cal);
+
+  const { status } = await leave(workshop, ada);
+  assert.strictEqual(status, 200);
+
+  const seat = await getEnrolment(workshop, cal);
+  assert.strictEqual(seat.status, 'enrolled');
+  assert.strictEqual(seat.escrow.status, 'held');
+  assert.strictEqual((await api.getCredits(cal)).balance, before.balance - seat.escrow.amount);
+
+  const next = await getEnrolment(workshop, dan);
+  assert.strictEqual(next.status, 'waitlisted');
+  assert.strictEqual(next.waitlistPosition, 1);
+});
+
+test('a learner who cannot pay is passed over but keeps their place', async () => {
+  const workshop = await createWorkshop(5);
+  const [ada, bea, cal, dan] = await Promise.all(['Ada', 'Bea', 'Cal', 'Dan'].map(name => api.registerUser(name)));
+  for (const learner of [ada, bea, cal, dan]) await signUp(workshop, learner);
+  api.db.users.update(cal.id, { creditBalance: 0 });
+
+  await leave(workshop, ada);
+
+  assert.strictEqual((await getEnrolment(workshop, dan)).status, 'enrolled');
+  const passedOver = await getEnrolment(workshop, cal);
+  assert.strictEqual(passedOver.status, 'waitlisted');
+  assert.strictEqual(passedOver.waitlistPosition, 1);
+});
+
+test('leaving the waitlist frees no seat', async () => {
+  const workshop = await createWorkshop(6);
+  const [ada, bea, cal] = await Promise.all(['Ada', 'Bea', 'Cal'].map(name => api.registerUser(name)));
+  for (const learner of [ada, bea, cal]) await signUp(workshop, learner);
+
+  const { body } = await leave(workshop, cal);
+  assert.strictEqual(body.message, 'You left the waitlist');
+  assert.strictEqual(body.workshop.seatsLeft, 0);
+  assert.strictEqual(body.workshop.waitlistCount, 0);
+});
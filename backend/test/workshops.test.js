@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { countSeats, getEnrolmentError } = require('../workshops');
+
+const workshop = {
+  id: 'workshop-1',
+  providerId: 'host-1',
+  status: 'scheduled',
+  capacity: 2,
+  startsAt: '2026-03-02T10:00:00.000Z',
+  endsAt: '2026-03-02T12:00:00.000Z'
+};
+
+const enrolment = (userId, status, createdAt) => ({ id: `enrolment-${userId}`, userId, status, createdAt });
+
+test('seats and the waitlist are counted in sign-up order', () => {
+  const { enrolled, waitlist, seatsLeft } = countSeats(workshop, [
+    enrolment('d', 'waitlisted', '2026-02-04T00:00:00.000Z'),
+    enrolment('a', 'enrolled', '2026-02-01T00:00:00.000Z'),
+    enrolment('c', 'waitlisted', '2026-02-03T00:00:00.000Z'),
+    enrolment('b', 'cancelled', '2026-02-02T00:00:00.000Z')
+  ]);
+
+  assert.deepStrictEqual(enrolled.map(e => e.userId), ['a']);
+  assert.deepStrictEqual(waitlist.map(e => e.userId), ['c', 'd']);
+  assert.strictEqual(seatsLeft, 1);
+});
+
+test('a workshop over capacity has no seats left rather than a negative count', () => {
+  const { seatsLeft } = countSeats({ ...workshop, capacity: 2 }, [
+    enrolment('a', 'enrolled', '2026-02-01T00:00:00.000Z'),
+    enrolment('b', 'enrolled', '2026-02-02T00:00:00.000Z'),
+    enrolment('c', 'enrolled', '2026-02-03T00:00:00.000Z')
+  ]);
+
+  assert.strictEqual(seatsLeft, 0);
+});
+
+test('learners can sign up until a scheduled workshop starts', () => {
+  const before = new Date('2026-03-02T09:59:00.000Z');
+
+  assert.strictEqual(getEnrolmentError(workshop, 'learner-1', before), null);
+  assert.strictEqual(getEnrolmentError(workshop, 'host-1', before), 'You are hosting this workshop');
+  assert.strictEqual(
+    getEnrolmentError({ ...workshop, status: 'cancelled' }, 'learner-1', before),
+    'This workshop was cancelled'
+  );
+  assert.strictEqual(
+    getEnrolmentError(workshop, 'learner-1', new Date(workshop.startsAt)),
+    'This workshop has already started'
+  );
+});
@@ -0,0 +1,117 @@
+/* ---------------------------
+   TIME ZONES
+   --------------------------- */
+
+// Zone assumed for users who haven't picked one yet
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Zone of the machine running the API. Bookings created before time zones
+// were stored were interpreted in this zone.
+const SERVER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const partsFormatters = new Map();
+
+const getPartsFormatter = (timeZone) => {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+};
+
+// Wall-clock date (YYYY-MM-DD) and time (HH:MM) of an instant in a zone
+const getZonedDateTime = (instant, timeZone) => {
+  const parts = {};
+  getPartsFormatter(timeZone)
+    .formatToParts(new Date(instant))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second)
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Offset of a zone from UTC at a given instant, in milliseconds
+const getOffset = (instant, timeZone) => {
+  const { date, time, seconds } = getZonedDateTime(instant, timeZone);
+  const asUtc = Date.parse(`${date}T${time}:00Z`) + seconds * 1000;
+  return asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+};
+
+// UTC instant for a wall-clock date and time in a zone. Around DST changes an
+// ambiguous time resolves to its first occurrence, and a time skipped by the
+// change resolves to the instant just after the gap. Returns null for a date
+// or time that doesn't exist, such as "2027-02-31" or "24:00".
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  if (Number.isNaN(wallClock)) return null;
+
+  // Date.parse rolls an overflowing day or hour into the next one
+  const { date: wallDate, time: wallTime } = getZonedDateTime(wallClock, 'UTC');
+  if (wallDate !== date || wallTime !== time) return null;
+
+  // A day either side of a DST change sits on either offset, so between them
+  // these cover both readings of an ambiguous time
+  const candidates = [wallClock - DAY_MS, wallClock + DAY_MS]
+    .map(instant => wallClock - getOffset(instant, timeZone))
+    .sort((a, b) => a - b);
+
+  const exact = candidates.find(candidate => {
+    const zoned = getZonedDateTime(candidate, timeZone);
+    return zoned.date === wallDate && zoned.time === wallTime;
+  });
+
+  return new Date(exact !== undefined ? exact : candidates[1]);
+};
+
+// Human-readable date and time of an instant in a zone, e.g. for emails
+const formatInTimeZone = (instant, timeZone) => {
+  const value = new Date(instant);
+  return {
+    date: value.toLocaleDateString('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    }),
+    time: `${value.toLocaleTimeString('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit'
+    })} (${timeZone})`
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  SERVER_TIME_ZONE,
+  isValidTimeZone,
+  getZonedDateTime,
+  zonedTimeToUtc,
+  formatInTimeZone
+};
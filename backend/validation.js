@@ -0,0 +1,212 @@
+const { isValidTimeZone } = require('./timeZones');
+const { ID_PATTERN } = require('./ids');
+
+/* ---------------------------
+   REQUEST VALIDATION
+   --------------------------- */
+
+// Schemas are plain objects mapping a field name to a rule:
+//
+//   {
+//     type: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object',
+//     required, label, default, nullable,
+//     trim, minLength, maxLength, pattern, format, enum,   (strings)
+//     min, max,                                            (numbers)
+//     minItems, maxItems, items,                           (arrays)
+//     fields,                                              (objects)
+//     check: (value) => error message or null              (anything else)
+//   }
+//
+// Only fields named in the schema are kept, so handlers never see unexpected input.
+// `nullable` fields keep an explicit null, so updates can clear a value.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// The pattern alone lets through days a month doesn't have ("2027-02-31"),
+// which Date would quietly roll over into the next month
+const isCalendarDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const FORMATS = {
+  email: { test: (value) => EMAIL_PATTERN.test(value), message: 'must be a valid email address' },
+  date: { test: isCalendarDate, message: 'must be a real date in YYYY-MM-DD format' },
+  time: { test: (value) => TIME_PATTERN.test(value), message: 'must be in HH:MM format' },
+  timeZone: { test: isValidTimeZone, message: 'must be a known time zone' }
+};
+
+// "skillName" -> "Skill name"
+const toLabel = (name) => {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Form fields and query strings arrive as text, so "5" is accepted as 5, but
+// anything that isn't entirely a number ("5abc") is not
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) return Number(value);
+  return NaN;
+};
+
+const describeRange = (rule) => {
+  if (rule.min !== undefined && rule.max !== undefined) return ` from ${rule.min} to ${rule.max}`;
+  if (rule.min !== undefined) return ` of at least ${rule.min}`;
+  if (rule.max !== undefined) return ` of at most ${rule.max}`;
+  return '';
+};
+
+// Check one value against its rule. Returns { value } with the coerced value,
+// or { errors } keyed by field path.
+const checkValue = (rule, input, path, label) => {
+  const fail = (message) => ({ errors: { [path]: `${label} ${message}` } });
+  let value = input;
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') return fail('must be text');
+    if (rule.trim !== false) value = value.trim();
+    // Only whitespace counts as missing
+    if (rule.required && value === '') return fail('is required');
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail(`must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return fail(`must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.format && !FORMATS[rule.format].test(value)) {
+      return fail(FORMATS[rule.format].message);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(rule.patternMessage || 'is not in a valid format');
+    }
+  } else if (rule.type === 'integer' || rule.type === 'number') {
+    value = toNumber(value);
+    const isInteger = rule.type === 'integer';
+    const expected = `must be a ${isInteger ? 'whole number' : 'number'}${describeRange(rule)}`;
+    if (Number.isNaN(value) || (isInteger && !Number.isInteger(value))) return fail(expected);
+    if (rule.min !== undefined && value < rule.min) return fail(expected);
+    if (rule.max !== undefined && value > rule.max) return fail(expected);
+  } else if (rule.type === 'boolean') {
+    if (value === 'true' || value === 'false') value = value === 'true';
+    if (typeof value !== 'boolean') return fail('must be true or false');
+  } else if (rule.type === 'array') {
+    if (!Array.isArray(value)) return fail('must be a list');
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return fail(`must have at least ${rule.minItems} item(s)`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail(`must have at most ${rule.maxItems} item(s)`);
+    }
+    if (rule.items) {
+      const values = [];
+      const errors = {};
+      value.forEach((item, index) => {
+        const result = checkField(rule.items, item, `${path}[${index}]`, label);
+        if (result.errors) Object.assign(errors, result.errors);
+        else values.push(result.value);
+      });
+      if (Object.keys(errors).length > 0) return { errors };
+      value = values;
+    }
+  } else if (rule.type === 'object') {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return fail('must be an object');
+    }
+    if (rule.fields) {
+      const result = validateObject(rule.fields, value, `${path}.`);
+      if (result.errors) return { errors: result.errors };
+      value = result.values;
+    }
+  }
+
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) return fail(message);
+  }
+
+  return { value };
+};
+
+// Applies `nullable`, `required` and `default` before checking the value itself
+const checkField = (rule, input, path, label) => {
+  if (input === null && rule.nullable) return { value: null };
+  if (isEmpty(input)) {
+    if (rule.required) return { errors: { [path]: `${label} is required` } };
+    return { value: rule.default };
+  }
+  return checkValue(rule, input, path, label);
+};
+
+const validateObject = (schema, input, prefix = '') => {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+  const errors = {};
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const result = checkField(rule, source[name], `${prefix}${name}`, rule.label || toLabel(name));
+    if (result.errors) {
+      Object.assign(errors, result.errors);
+    } else if (result.value !== undefined) {
+      values[name] = result.value;
+    }
+  });
+
+  return Object.keys(errors).length > 0 ? { errors } : { values };
+};
+
+// Express middleware validating req.body, req.query and/or req.params against
+// schemas. Invalid requests get a 400 with the first message as `error` and
+// every message in `fields`; valid ones continue with the coerced values.
+const validate = (schemas) => (req, res, next) => {
+  const fields = {};
+  const results = {};
+
+  ['params', 'query', 'body'].forEach(source => {
+    if (!schemas[source]) return;
+    const result = validateObject(schemas[source], req[source]);
+    if (result.errors) Object.assign(fields, result.errors);
+    else results[source] = result.values;
+  });
+
+  if (Object.keys(fields).length > 0) {
+    return res.status(400).json({ error: Object.values(fields)[0], fields });
+  }
+
+  if (results.params) req.params = results.params;
+  if (results.body) req.body = results.body;
+  // req.query is a getter in Express 5, so it has to be redefined rather than assigned
+  if (results.query) {
+    Object.defineProperty(req, 'query', { value: results.query, writable: true, configurable: true });
+  }
+
+  next();
+};
+
+/* Reusable rules */
+
+const id = (label) => ({
+  type: 'string',
+  required: true,
+  pattern: ID_PATTERN,
+  patternMessage: 'is not valid',
+  label: label || 'ID'
+});
+
+const optionalId = (label) => ({ ...id(label), required: false });
+
+module.exports = {
+  validate,
+  id,
+  optionalId
+};
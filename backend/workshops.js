@@ -0,0 +1,104 @@
+const { COMPLETION_CONFIRM_WINDOW_HOURS } = require('./bookingLifecycle');
+
+/* ---------------------------
+   WORKSHOPS
+   --------------------------- */
+
+// A workshop is one session a provider runs for several learners at once.
+// Learners take a seat while one is free and join the waitlist after that;
+// when a seat frees up before the start, the first learner on the waitlist
+// who can pay for it takes it. The host cancels the workshop before it
+// starts or marks it completed once it has started; one the host leaves
+// open is completed for them once the confirmation window after it ends
+// has passed, like a session only one person confirmed.
+const WORKSHOP_STATUSES = ['scheduled', 'cancelled', 'completed'];
+
+const ENROLMENT_STATUSES = ['enrolled', 'waitlisted', 'cancelled'];
+
+// Statuses the host can move a scheduled workshop to
+const WORKSHOP_TARGET_STATUSES = ['cancelled', 'completed'];
+
+const MIN_WORKSHOP_CAPACITY = 2;
+const MAX_WORKSHOP_CAPACITY = 50;
+
+// Seats taken, the waitlist in sign-up order, and how many seats are free
+const countSeats = (workshop, enrolments) => {
+  const byCreation = [...enrolments].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const enrolled = byCreation.filter(e => e.status === 'enrolled');
+
+  return {
+    enrolled,
+    waitlist: byCreation.filter(e => e.status === 'waitlisted'),
+    seatsLeft: Math.max(workshop.capacity - enrolled.length, 0)
+  };
+};
+
+const isOpenForSignUp = (workshop, now = new Date()) => (
+  workshop.status === 'scheduled' && new Date(workshop.startsAt) > now
+);
+
+// Why `userId` can't sign up for the workshop, or null if they can
+const getEnrolmentError = (workshop, userId, now = new Date()) => {
+  if (workshop.providerId === userId) {
+    return 'You are hosting this workshop';
+  }
+  if (workshop.status !== 'scheduled') {
+    return `This workshop was ${workshop.status}`;
+  }
+  if (!isOpenForSignUp(workshop, now)) {
+    return 'This workshop has already started';
+  }
+  return null;
+};
+
+// Why a learner can't give up their seat or waitlist place, or null if they can
+const getLeaveError = (workshop, enrolment, now = new Date()) => {
+  if (!enrolment || enrolment.status === 'cancelled') {
+    return 'You are not signed up for this workshop';
+  }
+  if (!isOpenForSignUp(workshop, now)) {
+    return workshop.status === 'scheduled'
+      ? 'This workshop has already started'
+      : `This workshop was ${workshop.status}`;
+  }
+  return null;
+};
+
+// Why `userId` can't move the workshop to `status`, or null if they can
+const getWorkshopTransitionError = (workshop, userId, status, now = new Date()) => {
+  if (workshop.providerId !== userId) {
+    return 'Only the host can do that';
+  }
+  if (workshop.status !== 'scheduled') {
+    return `A ${workshop.status} workshop cannot be marked ${status}`;
+  }
+
+  const hasStarted = new Date(workshop.startsAt) <= now;
+  if (status === 'cancelled' && hasStarted) {
+    return 'This workshop has already started';
+  }
+  if (status === 'completed' && !hasStarted) {
+    return 'A workshop can only be marked completed once it has started';
+  }
+  return null;
+};
+
+// Scheduled workshops the host never closed, once the window after the end has passed
+const isWorkshopDueForAutoCompletion = (workshop, now = new Date()) => (
+  workshop.status === 'scheduled' &&
+  new Date(workshop.endsAt).getTime() + COMPLETION_CONFIRM_WINDOW_HOURS * 3600000 <= now.getTime()
+);
+
+module.exports = {
+  WORKSHOP_STATUSES,
+  ENROLMENT_STATUSES,
+  WORKSHOP_TARGET_STATUSES,
+  MIN_WORKSHOP_CAPACITY,
+  MAX_WORKSHOP_CAPACITY,
+  countSeats,
+  isOpenForSignUp,
+  getEnrolmentError,
+  getLeaveError,
+  getWorkshopTransitionError,
+  isWorkshopDueForAutoCompletion
+};
@@ -2,16 +2,24 @@ import React from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { isAuthenticated } from './services/authService';
 import Navbar from './components/Navbar';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 import HomePage from './pages/HomePage';
 import HowItWorksPage from './pages/HowItWorksPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import DashboardPage from './pages/DashboardPage';
 import ProfilePage from './pages/ProfilePage';
 import SkillsPage from './pages/SkillsPage';
 import SearchPage from './pages/SearchPage';
 import ProjectsPage from './pages/ProjectsPage';
+import ProjectDetailPage from './pages/ProjectDetailPage';
 import BookingPage from './pages/BookingPage';
+import UserProfilePage from './pages/UserProfilePage';
+import AvailabilityPage from './pages/AvailabilityPage';
+import MessagesPage from './pages/MessagesPage';
 import './App.css';
 
 function PrivateRoute({ children }) {
@@ -22,12 +30,16 @@ function App() {
   return (
     <div className="app">
       <Navbar />
+      <EmailVerificationBanner />
       <main className="main-content">
         <Routes>
           <Route path="/" element={<HomePage />} />
           <Route path="/how-it-works" element={<HowItWorksPage />} />
           <Route path="/login" element={<LoginPage />} />
           <Route path="/register" element={<RegisterPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+          <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
           <Route
             path="/dashboard"
             element={
@@ -60,6 +72,22 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/messages"
+            element={
+              <PrivateRoute>
+                <MessagesPage />
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/messages/:conversationId"
+            element={
+              <PrivateRoute>
+                <MessagesPage />
+              </PrivateRoute>
+            }
+          />
           <Route
             path="/projects"
             element={
@@ -68,6 +96,14 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/projects/:id"
+            element={
+              <PrivateRoute>
+                <ProjectDetailPage />
+              </PrivateRoute>
+            }
+          />
           <Route
             path="/booking"
             element={
@@ -76,6 +112,22 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/users/:id"
+            element={
+              <PrivateRoute>
+                <UserProfilePage />
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/availability"
+            element={
+              <PrivateRoute>
+                <AvailabilityPage />
+              </PrivateRoute>
+            }
+          />
         </Routes>
       </main>
     </div>
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { getSessions, revokeSession, revokeOtherSessions } from '../services/authService';
+import './ActiveSessions.css';
+
+function ActiveSessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setSessions(await getSessions());
+    } catch (err) {
+      setError(err || 'Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (sessionId) => {
+    setRevoking(sessionId);
+    setError('');
+    try {
+      await revokeSession(sessionId);
+      await fetchSessions();
+    } catch (err) {
+      setError(err || 'Failed to revoke session');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) {
+      return;
+    }
+
+    setRevoking('others');
+    setError('');
+    try {
+      await revokeOtherSessions();
+      await fetchSessions();
+    } catch (err) {
+      setError(err || 'Failed to revoke sessions');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="profile-section sessions-section">
+      <div className="sessions-header">
+        <h2>Signed-in Devices</h2>
+        {otherSessions.length > 0 && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            disabled={revoking !== null}
+            className="btn btn-secondary hover-scale"
+          >
+            {revoking === 'others' ? 'Signing out...' : 'Sign out other devices'}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message fade-in">{error}</div>}
+
+      {loading ? (
+        <p className="sessions-empty">Loading sessions...</p>
+      ) : (
+        <ul className="sessions-list">
+          {sessions.map(session => (
+            <li key={session.id} className={`session-row ${session.current ? 'current' : ''}`}>
+              <div className="session-details">
+                <span className="session-device">
+                  💻 {session.device}
+                  {session.current && <span className="session-current-badge">This device</span>}
+                </span>
+                <span className="session-meta">
+                  {session.ip} · Last active {formatDateTime(session.lastUsedAt)} · Signed in {formatDateTime(session.createdAt)}
+                </span>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(session.id)}
+                  disabled={revoking !== null}
+                  className="session-revoke-btn"
+                >
+                  {revoking === session.id ? 'Signing out...' : 'Sign out'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ActiveSessions;
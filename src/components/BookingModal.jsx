@@ -1,34 +1,115 @@
 import React, { useState, useEffect } from 'react';
+import { getEscrowPolicy } from '../services/creditService';
+import { getProviderSlots } from '../services/availabilityService';
+import { getViewerTimeZone } from '../utils/timeZone';
+import { getFormErrors } from '../utils/formErrors';
 import './BookingModal.css';
 
-function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
-  const [formData, setFormData] = useState({
-    date: '',
-    time: '',
-    duration: 60,
-    message: ''
-  });
+// YYYY-MM-DD in the browser's local calendar (toISOString() would shift to UTC)
+const toDateKey = (date) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+// Weeks between sessions for each repeat option
+const REPEAT_INTERVALS = { weekly: 1, biweekly: 2 };
+const MAX_SERIES_SESSIONS = 26;
+
+const EMPTY_FORM = {
+  date: '',
+  time: '',
+  duration: 60,
+  message: '',
+  // Repeating sessions end after `count` sessions or on the `until` date
+  frequency: '',
+  endType: 'count',
+  count: 8,
+  until: ''
+};
+
+function BookingModal({ isOpen, onClose, onSubmit, providerId, providerName }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCalendar, setShowCalendar] = useState(false);
   const [showTimeDropdown, setShowTimeDropdown] = useState(false);
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [currentMonth, setCurrentMonth] = useState(new Date());
+  const [escrowPolicy, setEscrowPolicy] = useState(null);
 
-  // Generate time slots in 24-hour format
-  const generateTimeSlots = () => {
-    const slots = [];
-    for (let hour = 0; hour < 24; hour++) {
-      for (let minute of [0, 30]) {
-        const hourStr = hour.toString().padStart(2, '0');
-        const minuteStr = minute.toString().padStart(2, '0');
-        slots.push(`${hourStr}:${minuteStr}`);
-      }
+  // Dates and times are picked in the user's own zone; the API converts them to UTC
+  const timeZone = getViewerTimeZone();
+
+  useEffect(() => {
+    if (isOpen && !escrowPolicy) {
+      getEscrowPolicy()
+        .then(setEscrowPolicy)
+        .catch(err => console.error('Failed to load escrow policy:', err));
     }
-    return slots;
+  }, [isOpen]);
+
+  // How many sessions the request covers, so the credit hold can be shown in full
+  const getSessionCount = () => {
+    if (!formData.frequency) return 1;
+    if (formData.endType === 'count') return Number(formData.count) || 0;
+    if (!formData.date || !formData.until || formData.until < formData.date) return 0;
+
+    const days = (new Date(formData.until) - new Date(formData.date)) / 86400000;
+    return Math.floor(days / (7 * REPEAT_INTERVALS[formData.frequency])) + 1;
   };
+  const sessionCount = getSessionCount();
+
+  const escrowAmount = escrowPolicy
+    ? Math.ceil((formData.duration / 60) * escrowPolicy.creditsPerHour)
+    : null;
 
-  const timeSlots = generateTimeSlots();
+  const [availableSlots, setAvailableSlots] = useState({});
+  const [slotsLoading, setSlotsLoading] = useState(false);
+
+  // Load the provider's free slots for the visible month and chosen duration
+  useEffect(() => {
+    if (!isOpen || !providerId) return;
+
+    const today = new Date();
+    const monthStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
+    const monthEnd = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0);
+    if (monthEnd < today) {
+      setAvailableSlots({});
+      return;
+    }
+
+    let cancelled = false;
+    setSlotsLoading(true);
+
+    getProviderSlots(providerId, {
+      from: toDateKey(monthStart > today ? monthStart : today),
+      to: toDateKey(monthEnd),
+      duration: formData.duration,
+      timeZone
+    })
+      .then(data => {
+        if (!cancelled) setAvailableSlots(data.slots);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err || 'Failed to load available times');
+      })
+      .finally(() => {
+        if (!cancelled) setSlotsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, providerId, currentMonth, formData.duration]);
+
+  const timeSlots = availableSlots[formData.date] || [];
+
+  // Drop a chosen time that is no longer free (e.g. after changing the duration)
+  useEffect(() => {
+    if (formData.time && !slotsLoading && !timeSlots.includes(formData.time)) {
+      setFormData(prev => ({ ...prev, time: '' }));
+    }
+  }, [availableSlots]);
 
   // Calendar functions
   const getDaysInMonth = (date) => {
@@ -75,17 +156,31 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
     return date && date < today;
   };
 
+  const isUnavailableDate = (date) => {
+    return date && (isPastDate(date) || !availableSlots[toDateKey(date)]);
+  };
+
+  const clearFieldError = (name) => {
+    if (fieldErrors[name]) setFieldErrors({ ...fieldErrors, [name]: '' });
+  };
+
   const handleDateSelect = (date) => {
-    if (date && !isPastDate(date)) {
+    if (date && !isUnavailableDate(date)) {
+      clearFieldError('date');
       setSelectedDate(date);
-      const formattedDate = date.toISOString().split('T')[0];
-      setFormData({ ...formData, date: formattedDate });
+      const formattedDate = toDateKey(date);
+      setFormData({
+        ...formData,
+        date: formattedDate,
+        time: (availableSlots[formattedDate] || []).includes(formData.time) ? formData.time : ''
+      });
       setShowCalendar(false);
     }
   };
 
   const handleTimeSelect = (time) => {
     setFormData({ ...formData, time });
+    clearFieldError('time');
     setShowTimeDropdown(false);
   };
 
@@ -102,6 +197,7 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
       ...formData,
       [e.target.name]: e.target.value
     });
+    clearFieldError(e.target.name);
   };
 
   const handleSubmit = async (e) => {
@@ -114,13 +210,24 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
 
     setLoading(true);
     setError('');
+    setFieldErrors({});
+
+    const { frequency, endType, count, until, ...session } = formData;
+    const repeat = frequency
+      ? { frequency, ...(endType === 'count' ? { count: Number(count) } : { until }) }
+      : {};
 
     try {
-      await onSubmit(formData);
-      setFormData({ date: '', time: '', duration: 60, message: '' });
+      await onSubmit({ ...session, ...repeat, timeZone });
+      setFormData(EMPTY_FORM);
       setSelectedDate(new Date());
     } catch (err) {
-      setError(err || 'Failed to book session');
+      const { fields, message } = getFormErrors(
+        err,
+        ['date', 'time', 'duration', 'message', 'frequency', 'count', 'until']
+      );
+      setFieldErrors(fields);
+      setError(message);
     } finally {
       setLoading(false);
     }
@@ -159,7 +266,7 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
 
         <form onSubmit={handleSubmit} className="booking-form">
           {/* Date Picker with Calendar */}
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.date ? 'has-error' : ''}`}>
             <label htmlFor="date">📅 Select Date *</label>
             <div className="date-input-wrapper">
               <input
@@ -192,6 +299,13 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
                     ))}
                   </div>
                   
+                  {slotsLoading && (
+                    <div className="calendar-status">Loading availability...</div>
+                  )}
+                  {!slotsLoading && Object.keys(availableSlots).length === 0 && (
+                    <div className="calendar-status">No free times this month</div>
+                  )}
+
                   <div className="calendar-days">
                     {getDaysInMonth(currentMonth).map((date, index) => (
                       <button
@@ -204,10 +318,10 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
                         } ${
                           date && isSameDay(date, selectedDate) ? 'selected' : ''
                         } ${
-                          date && isPastDate(date) ? 'disabled' : ''
+                          date && isUnavailableDate(date) ? 'disabled' : ''
                         }`}
                         onClick={() => handleDateSelect(date)}
-                        disabled={!date || isPastDate(date)}
+                        disabled={!date || isUnavailableDate(date)}
                       >
                         {date ? date.getDate() : ''}
                       </button>
@@ -216,11 +330,14 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
                 </div>
               )}
             </div>
+            {fieldErrors.date && <span className="field-error">{fieldErrors.date}</span>}
           </div>
 
           {/* Time Picker with Dropdown */}
-          <div className="form-group">
-            <label htmlFor="time">🕐 Select Time *</label>
+          <div className={`form-group ${fieldErrors.time ? 'has-error' : ''}`}>
+            <label htmlFor="time">
+              🕐 Select Time * <span className="time-zone-hint">({timeZone.replace(/_/g, ' ')})</span>
+            </label>
             <div className="time-input-wrapper">
               <input
                 type="text"
@@ -237,6 +354,12 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
                   <div className="time-dropdown-header">
                     Select Time (24-hour format)
                   </div>
+                  {!formData.date && (
+                    <div className="time-dropdown-empty">Pick a date first</div>
+                  )}
+                  {formData.date && timeSlots.length === 0 && (
+                    <div className="time-dropdown-empty">No available times on this day</div>
+                  )}
                   <div className="time-dropdown-list">
                     {timeSlots.map((time) => (
                       <button
@@ -255,10 +378,11 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
                 </div>
               )}
             </div>
+            {fieldErrors.time && <span className="field-error">{fieldErrors.time}</span>}
           </div>
 
           {/* Duration */}
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.duration ? 'has-error' : ''}`}>
             <label htmlFor="duration">⏱️ Duration</label>
             <select
               id="duration"
@@ -273,10 +397,85 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
               <option value={120}>2 hours</option>
               <option value={180}>3 hours</option>
             </select>
+            {fieldErrors.duration && <span className="field-error">{fieldErrors.duration}</span>}
+          </div>
+
+          {/* Repeat */}
+          <div className={`form-group ${fieldErrors.frequency ? 'has-error' : ''}`}>
+            <label htmlFor="frequency">🔁 Repeat</label>
+            <select
+              id="frequency"
+              name="frequency"
+              value={formData.frequency}
+              onChange={handleChange}
+              disabled={loading}
+            >
+              <option value="">Does not repeat</option>
+              <option value="weekly">Every week</option>
+              <option value="biweekly">Every 2 weeks</option>
+            </select>
+            {fieldErrors.frequency && <span className="field-error">{fieldErrors.frequency}</span>}
           </div>
 
+          {formData.frequency && (
+            <div className={`form-group ${fieldErrors.count || fieldErrors.until ? 'has-error' : ''}`}>
+              <span className="form-label">🏁 Ends</span>
+              <div className="repeat-end-options">
+                <label className="repeat-end-option">
+                  <input
+                    type="radio"
+                    name="endType"
+                    value="count"
+                    checked={formData.endType === 'count'}
+                    onChange={handleChange}
+                    disabled={loading}
+                  />
+                  After
+                  <input
+                    type="number"
+                    name="count"
+                    min={2}
+                    max={MAX_SERIES_SESSIONS}
+                    value={formData.count}
+                    onChange={handleChange}
+                    disabled={loading || formData.endType !== 'count'}
+                    aria-label="Number of sessions"
+                  />
+                  sessions
+                </label>
+                <label className="repeat-end-option">
+                  <input
+                    type="radio"
+                    name="endType"
+                    value="until"
+                    checked={formData.endType === 'until'}
+                    onChange={handleChange}
+                    disabled={loading}
+                  />
+                  On
+                  <input
+                    type="date"
+                    name="until"
+                    min={formData.date || undefined}
+                    value={formData.until}
+                    onChange={handleChange}
+                    disabled={loading || formData.endType !== 'until'}
+                    aria-label="End date"
+                  />
+                </label>
+              </div>
+              <small className="repeat-hint">
+                Same weekday and time each {formData.frequency === 'weekly' ? 'week' : 'other week'}, up to {MAX_SERIES_SESSIONS} sessions.
+                Every session must fit {providerName}'s availability.
+              </small>
+              {(fieldErrors.count || fieldErrors.until) && (
+                <span className="field-error">{fieldErrors.count || fieldErrors.until}</span>
+              )}
+            </div>
+          )}
+
           {/* Message */}
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.message ? 'has-error' : ''}`}>
             <label htmlFor="message">💬 Message (Optional)</label>
             <textarea
               id="message"
@@ -287,8 +486,29 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
               placeholder="Add a message about what you'd like to learn..."
               disabled={loading}
             />
+            {fieldErrors.message && <span className="field-error">{fieldErrors.message}</span>}
           </div>
 
+          {/* Credit hold */}
+          {escrowAmount !== null && (
+            <div className="escrow-notice">
+              <p>
+                💰 <strong>{escrowAmount * sessionCount} credits</strong>
+                {sessionCount > 1 && ` (${escrowAmount} for each of ${sessionCount} sessions)`} will be held from your balance
+                when you send this request and paid to {providerName} as each session is completed.
+              </p>
+              <small>
+                Cancellation refunds:{' '}
+                {escrowPolicy.refundPolicy.map(rule => (
+                  rule.minHoursBefore !== null
+                    ? `${rule.refundPercent}% if ${rule.minHoursBefore}+ hours ahead`
+                    : `${rule.refundPercent}% after that`
+                )).join(' · ')}
+                . Declined requests are refunded in full.
+              </small>
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="modal-actions">
             <button
@@ -304,7 +524,9 @@ function BookingModal({ isOpen, onClose, onSubmit, providerName }) {
               className="btn btn-primary"
               disabled={loading}
             >
-              {loading ? 'Booking...' : '📅 Book Session'}
+              {loading
+                ? 'Booking...'
+                : `📅 Book ${formData.frequency ? `${sessionCount} Sessions` : 'Session'}`}
             </button>
           </div>
         </form>
@@ -1,15 +1,37 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { getFormErrors } from '../utils/formErrors';
 import './CreateProjectModal.css';
 
-function CreateProjectModal({ isOpen, onClose, onSubmit }) {
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    skills: '',
-    location: '',
-  });
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  skills: '',
+  location: '',
+  maxMembers: '',
+};
+
+// Pass `project` to edit an existing project instead of creating one
+function CreateProjectModal({ isOpen, onClose, onSubmit, project }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setError('');
+    setFieldErrors({});
+    setFormData(project
+      ? {
+        title: project.title,
+        description: project.description,
+        skills: project.skills.join(', '),
+        location: project.location || '',
+        maxMembers: project.maxMembers || '',
+      }
+      : EMPTY_FORM);
+  }, [isOpen, project?.id]);
 
   const handleChange = (e) => {
     setFormData({
@@ -17,11 +39,15 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
       [e.target.name]: e.target.value,
     });
     if (error) setError('');
+    if (fieldErrors[e.target.name]) {
+      setFieldErrors({ ...fieldErrors, [e.target.name]: '' });
+    }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
     setLoading(true);
 
     try {
@@ -36,18 +62,15 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
         description: formData.description,
         skills: skillsArray,
         location: formData.location,
+        maxMembers: formData.maxMembers || undefined,
       });
 
-      // Reset form
-      setFormData({
-        title: '',
-        description: '',
-        skills: '',
-        location: '',
-      });
+      setFormData(EMPTY_FORM);
       onClose();
     } catch (err) {
-      setError(err || 'Failed to create project');
+      const { fields, message } = getFormErrors(err, ['title', 'description', 'skills', 'location', 'maxMembers']);
+      setFieldErrors(fields);
+      setError(message);
     } finally {
       setLoading(false);
     }
@@ -59,14 +82,14 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>Create New Project</h2>
+          <h2>{project ? 'Edit Project' : 'Create New Project'}</h2>
           <button className="close-btn" onClick={onClose}>×</button>
         </div>
 
         {error && <div className="error-message">{error}</div>}
 
         <form onSubmit={handleSubmit} className="project-form">
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.title ? 'has-error' : ''}`}>
             <label htmlFor="title">Project Title *</label>
             <input
               type="text"
@@ -78,9 +101,10 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
               placeholder="e.g., Community Website Development"
               disabled={loading}
             />
+            {fieldErrors.title && <span className="field-error">{fieldErrors.title}</span>}
           </div>
 
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.description ? 'has-error' : ''}`}>
             <label htmlFor="description">Description *</label>
             <textarea
               id="description"
@@ -92,9 +116,10 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
               placeholder="Describe your project and what you're looking for..."
               disabled={loading}
             />
+            {fieldErrors.description && <span className="field-error">{fieldErrors.description}</span>}
           </div>
 
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.skills ? 'has-error' : ''}`}>
             <label htmlFor="skills">Required Skills (comma-separated)</label>
             <input
               type="text"
@@ -106,9 +131,10 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
               disabled={loading}
             />
             <small>Separate skills with commas</small>
+            {fieldErrors.skills && <span className="field-error">{fieldErrors.skills}</span>}
           </div>
 
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.location ? 'has-error' : ''}`}>
             <label htmlFor="location">Location (optional)</label>
             <input
               type="text"
@@ -119,6 +145,24 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
               placeholder="e.g., New York, USA"
               disabled={loading}
             />
+            {fieldErrors.location && <span className="field-error">{fieldErrors.location}</span>}
+          </div>
+
+          <div className={`form-group ${fieldErrors.maxMembers ? 'has-error' : ''}`}>
+            <label htmlFor="maxMembers">Team Size (optional)</label>
+            <input
+              type="number"
+              id="maxMembers"
+              name="maxMembers"
+              value={formData.maxMembers}
+              onChange={handleChange}
+              min="2"
+              max="100"
+              placeholder="No limit"
+              disabled={loading}
+            />
+            <small>Including you</small>
+            {fieldErrors.maxMembers && <span className="field-error">{fieldErrors.maxMembers}</span>}
           </div>
 
           <div className="modal-actions">
@@ -135,7 +179,9 @@ function CreateProjectModal({ isOpen, onClose, onSubmit }) {
               className="btn btn-primary"
               disabled={loading}
             >
-              {loading ? 'Creating...' : 'Create Project'}
+              {project
+                ? (loading ? 'Saving...' : 'Save Changes')
+                : (loading ? 'Creating...' : 'Create Project')}
             </button>
           </div>
         </form>
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { isAuthenticated, getCurrentUser, resendVerification } from '../services/authService';
+import './EmailVerificationBanner.css';
+
+// Reminds signed-in users with an unconfirmed email to verify it
+function EmailVerificationBanner() {
+  useLocation(); // re-render on navigation so the banner hides once verified
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+  const user = getCurrentUser();
+
+  if (!isAuthenticated() || !user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const data = await resendVerification();
+      setMessage(data.message);
+    } catch (err) {
+      setMessage(err || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verification-banner">
+      <span>
+        📧 Please confirm your email address ({user.email}) to book sessions and create projects.
+      </span>
+      {message ? (
+        <span className="verification-banner-message">{message}</span>
+      ) : (
+        <button onClick={handleResend} disabled={sending} className="verification-banner-btn">
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default EmailVerificationBanner;
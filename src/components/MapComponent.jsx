@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { GoogleMap, LoadScript, Marker, InfoWindow } from '@react-google-maps/api';
 import './MapComponent.css';
 
@@ -68,12 +69,20 @@ function MapComponent({ users, currentLocation, onMarkerClick }) {
                     ))}
                   </div>
                 )}
-                <button 
-                  className="btn btn-primary btn-xs"
-                  onClick={() => onMarkerClick && onMarkerClick(selectedUser)}
-                >
-                  View Profile
-                </button>
+                <div className="info-actions">
+                  <Link
+                    to={`/users/${selectedUser.id}`}
+                    className="btn btn-secondary btn-xs"
+                  >
+                    View Profile
+                  </Link>
+                  <button 
+                    className="btn btn-primary btn-xs"
+                    onClick={() => onMarkerClick && onMarkerClick(selectedUser)}
+                  >
+                    Book Session
+                  </button>
+                </div>
               </div>
             </InfoWindow>
           )}
@@ -1,12 +1,27 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { isAuthenticated, logout, getCurrentUser } from '../services/authService';
+import { getUnreadCount } from '../services/messageService';
+import { useServerEvent } from '../hooks/useServerEvent';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 function Navbar() {
   const location = useLocation();
   const authenticated = isAuthenticated();
   const user = getCurrentUser();
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refreshUnreadCount = () => {
+    if (!authenticated) return;
+    getUnreadCount().then(setUnreadCount).catch(() => {});
+  };
+
+  // The badge changes when a message arrives or a conversation is read (in any tab)
+  useEffect(refreshUnreadCount, [authenticated]);
+  useServerEvent(authenticated ? 'message.created' : null, refreshUnreadCount);
+  useServerEvent(authenticated ? 'conversation.updated' : null, refreshUnreadCount);
+  useServerEvent(authenticated ? 'reconnected' : null, refreshUnreadCount);
 
   const handleLogout = () => {
     if (window.confirm('Are you sure you want to logout?')) {
@@ -47,6 +62,17 @@ function Navbar() {
                 Projects
               </Link>
             </li>
+            <li>
+              <Link 
+                to="/messages" 
+                className={`messages-link ${location.pathname.startsWith('/messages') ? 'active' : ''}`}
+              >
+                Messages
+                {unreadCount > 0 && (
+                  <span className="nav-unread-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+              </Link>
+            </li>
             <li>
               <Link 
                 to="/skills" 
@@ -63,6 +89,9 @@ function Navbar() {
                 Bookings
               </Link>
             </li>
+            <li>
+              <NotificationBell />
+            </li>
             <li className="nav-profile">
               <Link 
                 to="/profile" 
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../services/notificationService';
+import { useServerEvent } from '../hooks/useServerEvent';
+import './NotificationBell.css';
+
+const TYPE_ICONS = {
+  booking_requested: '📅',
+  booking_confirmed: '✅',
+  booking_cancelled: '❌',
+  booking_declined: '🙅',
+  booking_no_show: '🚫',
+  booking_completion_requested: '🤝',
+  booking_reschedule: '🕐',
+  workshop_enrolment: '🎓',
+  workshop_update: '🪑',
+  review_received: '⭐',
+  credits_earned: '💰',
+  project_join_request: '🙋',
+  project_join_decision: '🚀'
+};
+
+// "5m ago", "3h ago", then a date
+const formatAge = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Bell with the unread count; opens a dropdown of recent notifications
+function NotificationBell() {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState('');
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, []);
+
+  // Close when clicking anywhere outside the dropdown
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const fetchNotifications = async () => {
+    try {
+      setError('');
+      const data = await getNotifications();
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  useServerEvent('notification.created', ({ notification, unreadCount: count }) => {
+    setNotifications(current => [notification, ...current]);
+    setUnreadCount(count);
+  });
+
+  // Read in another tab: the count is enough, the list catches up next time it opens
+  useServerEvent('notifications.read', ({ unreadCount: count }) => setUnreadCount(count));
+  useServerEvent('reconnected', fetchNotifications);
+
+  const handleToggle = () => {
+    if (!open) fetchNotifications();
+    setOpen(!open);
+  };
+
+  const handleLoadMore = async () => {
+    try {
+      const data = await getNotifications({ before: notifications[notifications.length - 1].id });
+      setNotifications(current => [...current, ...data.notifications]);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.readAt) {
+      try {
+        const data = await markNotificationRead(notification.id);
+        setNotifications(current => current.map(n => (n.id === notification.id ? data.notification : n)));
+        setUnreadCount(data.unreadCount);
+      } catch (err) {
+        setError(err);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const now = new Date().toISOString();
+      setNotifications(current => current.map(n => ({ ...n, readAt: n.readAt || now })));
+      setUnreadCount(0);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className={`bell-button ${open ? 'open' : ''}`}
+        onClick={handleToggle}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="bell-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-dropdown fade-in">
+          <div className="notification-dropdown-header">
+            <h3>Notifications</h3>
+            {unreadCount > 0 && (
+              <button className="mark-all-btn" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">You're all caught up 🎉</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <button
+                    className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                    onClick={() => handleOpenNotification(notification)}
+                  >
+                    <span className="notification-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                    <span className="notification-text">
+                      <strong>{notification.title}</strong>
+                      {notification.body && <span className="notification-body">{notification.body}</span>}
+                      <span className="notification-age">{formatAge(notification.createdAt)}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {hasMore && (
+            <button className="notification-more-btn" onClick={handleLoadMore}>
+              Show older
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
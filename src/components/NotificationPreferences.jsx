@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences
+} from '../services/notificationService';
+import './NotificationPreferences.css';
+
+// Per-type switches for in-app and email notifications. Each change saves straight away.
+function NotificationPreferences() {
+  const [preferences, setPreferences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      setPreferences(await getNotificationPreferences());
+    } catch (err) {
+      setError(err || 'Failed to fetch notification preferences');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = async (type, channel, enabled) => {
+    setSaving(`${type}.${channel}`);
+    setError('');
+    try {
+      setPreferences(await updateNotificationPreferences({ [type]: { [channel]: enabled } }));
+    } catch (err) {
+      setError(err || 'Failed to save notification preferences');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="profile-section notification-preferences-section">
+      <h2>Notifications</h2>
+      <p className="notification-preferences-hint">Choose how you hear about each kind of activity.</p>
+
+      {error && <div className="error-message fade-in">{error}</div>}
+
+      {loading ? (
+        <p className="notification-preferences-empty">Loading preferences...</p>
+      ) : (
+        <table className="notification-preferences-table">
+          <thead>
+            <tr>
+              <th>Activity</th>
+              <th>In-app</th>
+              <th>Email</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preferences.map(preference => (
+              <tr key={preference.type}>
+                <td>{preference.label}</td>
+                {['inApp', 'email'].map(channel => (
+                  <td key={channel}>
+                    <input
+                      type="checkbox"
+                      checked={preference[channel]}
+                      onChange={(e) => handleToggle(preference.type, channel, e.target.checked)}
+                      disabled={saving !== null}
+                      aria-label={`${preference.label}: ${channel === 'inApp' ? 'in-app' : 'email'}`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default NotificationPreferences;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getJoinRequests,
+  getProjectMatches,
+  respondToJoinRequest,
+  removeMember,
+  updateMemberRole,
+  transferOwnership
+} from '../services/projectService';
+import { useServerEvent } from '../hooks/useServerEvent';
+import './ProjectTeamModal.css';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  maintainer: 'Maintainer',
+  member: 'Member'
+};
+
+function ProjectTeamModal({ isOpen, onClose, project, onProjectChange }) {
+  const [requests, setRequests] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const myRole = project?.myRole;
+  const isOwner = myRole === 'owner';
+  const canManage = myRole === 'owner' || myRole === 'maintainer';
+
+  useEffect(() => {
+    if (!isOpen || !project || !canManage) return;
+
+    setLoading(true);
+    setError('');
+    Promise.all([
+      getJoinRequests(project.id),
+      getProjectMatches(project.id, 5).catch(() => [])
+    ])
+      .then(([requestsData, suggestionsData]) => {
+        setRequests(requestsData);
+        setSuggestions(suggestionsData);
+      })
+      .catch(err => setError(err))
+      .finally(() => setLoading(false));
+  }, [isOpen, project?.id, canManage]);
+
+  // Requests can arrive, be withdrawn or be answered by another maintainer while this is open
+  useServerEvent('project.updated', ({ project: updated }) => {
+    if (!isOpen || !canManage || updated.id !== project?.id) return;
+    getJoinRequests(updated.id).then(setRequests).catch(() => {});
+  });
+
+  // Run one team action, then hand the updated project back to the page
+  const runAction = async (busyKey, action) => {
+    setBusyId(busyKey);
+    setError('');
+    try {
+      const data = await action();
+      onProjectChange(data.project);
+      return true;
+    } catch (err) {
+      setError(err);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRespond = async (requestId, status) => {
+    const done = await runAction(requestId, () => respondToJoinRequest(project.id, requestId, status));
+    if (done) setRequests(requests.filter(r => r.id !== requestId));
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.name} from this project?`)) return;
+    runAction(member.userId, () => removeMember(project.id, member.userId));
+  };
+
+  const handleRoleChange = (member, role) => {
+    runAction(member.userId, () => updateMemberRole(project.id, member.userId, role));
+  };
+
+  const handleTransfer = (member) => {
+    if (!window.confirm(`Make ${member.name} the owner? You will become a maintainer.`)) return;
+    runAction(member.userId, () => transferOwnership(project.id, member.userId));
+  };
+
+  // Owners can remove anyone else; maintainers only plain members
+  const canRemove = (member) => (
+    member.role !== 'owner' && (isOwner || (myRole === 'maintainer' && member.role === 'member'))
+  );
+
+  if (!isOpen || !project) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content team-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Team · {project.title}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="team-modal-body">
+          {error && <div className="error-message">{error}</div>}
+
+          {canManage && (
+            <section className="team-section">
+              <h3>Join Requests</h3>
+              {loading ? (
+                <p className="team-empty">Loading requests...</p>
+              ) : requests.length === 0 ? (
+                <p className="team-empty">No pending requests</p>
+              ) : (
+                <ul className="team-list">
+                  {requests.map(request => (
+                    <li key={request.id} className="team-row">
+                      <div className="team-person">
+                        <strong>{request.userName}</strong>
+                        {request.userLocation && <span className="team-meta">📍 {request.userLocation}</span>}
+                        {request.skills.length > 0 && (
+                          <span className="team-meta">
+                            Offers: {request.skills.map(s => s.name).join(', ')}
+                          </span>
+                        )}
+                        {request.message && <p className="team-message">“{request.message}”</p>}
+                      </div>
+                      <div className="team-actions">
+                        <button
+                          className="btn btn-primary btn-sm"
+                          disabled={busyId === request.id || project.isFull}
+                          onClick={() => handleRespond(request.id, 'approved')}
+                          title={project.isFull ? 'The team is full' : undefined}
+                        >
+                          Approve
+                        </button>
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          disabled={busyId === request.id}
+                          onClick={() => handleRespond(request.id, 'rejected')}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          )}
+
+          {canManage && project.skills.length > 0 && suggestions.length > 0 && (
+            <section className="team-section">
+              <h3>Suggested People</h3>
+              <p className="team-hint">People offering the skills this project needs</p>
+              <ul className="team-list">
+                {suggestions.map(person => (
+                  <li key={person.id} className="team-row">
+                    <div className="team-person">
+                      <Link to={`/users/${person.id}`} onClick={onClose}>
+                        <strong>{person.name}</strong>
+                      </Link>
+                      <span className="match-score">{person.score}% match</span>
+                      {person.hasPendingRequest && <span className="team-meta">Asked to join</span>}
+                      <span className="team-meta">
+                        Offers: {person.matchedSkills.map(s => `${s.skillName} (${s.proficiency}/5)`).join(', ')}
+                      </span>
+                      {person.distance !== null && <span className="team-meta">📍 {person.distance} km</span>}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <section className="team-section">
+            <h3>
+              Members ({project.members.length}{project.maxMembers ? ` / ${project.maxMembers}` : ''})
+            </h3>
+            <ul className="team-list">
+              {project.members.map(member => (
+                <li key={member.userId} className="team-row">
+                  <div className="team-person">
+                    <strong>{member.name}</strong>
+                    <span className={`role-badge role-${member.role}`}>{ROLE_LABELS[member.role]}</span>
+                  </div>
+                  <div className="team-actions">
+                    {isOwner && member.role !== 'owner' && (
+                      <>
+                        <select
+                          value={member.role}
+                          disabled={busyId === member.userId}
+                          onChange={(e) => handleRoleChange(member, e.target.value)}
+                          className="role-select"
+                        >
+                          <option value="member">Member</option>
+                          <option value="maintainer">Maintainer</option>
+                        </select>
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          disabled={busyId === member.userId}
+                          onClick={() => handleTransfer(member)}
+                        >
+                          Make Owner
+                        </button>
+                      </>
+                    )}
+                    {canRemove(member) && (
+                      <button
+                        className="btn btn-secondary btn-sm btn-remove"
+                        disabled={busyId === member.userId}
+                        onClick={() => handleRemove(member)}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProjectTeamModal;
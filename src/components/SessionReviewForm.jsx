@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { submitReview } from '../services/reviewService';
+import './SessionReviewForm.css';
+
+// Rate the other person after a completed session
+function SessionReviewForm({ booking, onSubmitted }) {
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const otherName = booking.isProvider ? booking.seekerName : booking.providerName;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      setError('Choose a rating first');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await submitReview({
+        bookingId: booking.id,
+        revieweeId: booking.isProvider ? booking.seekerId : booking.providerId,
+        skillId: booking.skillId || undefined,
+        rating,
+        comment
+      });
+      onSubmitted?.();
+    } catch (err) {
+      setError(err || 'Failed to submit review');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="session-review-form" onSubmit={handleSubmit}>
+      <span className="session-review-title">How was your session with {otherName}?</span>
+
+      <div className="session-review-stars" role="radiogroup" aria-label="Rating">
+        {[1, 2, 3, 4, 5].map(value => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={rating === value}
+            aria-label={`${value} star${value > 1 ? 's' : ''}`}
+            className={`session-review-star ${value <= rating ? 'filled' : ''}`}
+            onClick={() => setRating(value)}
+          >
+            ★
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Share a few words (optional)"
+        maxLength={2000}
+        rows={2}
+      />
+
+      {error && <div className="error-message">{error}</div>}
+
+      <button type="submit" disabled={submitting} className="btn btn-primary hover-scale">
+        {submitting ? '⏳ Sending...' : '⭐ Leave a review'}
+      </button>
+    </form>
+  );
+}
+
+export default SessionReviewForm;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { searchSkills } from '../services/skillService';
+import './SkillAutocomplete.css';
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+function SkillAutocomplete({ id, name, value, onChange, disabled, placeholder, className }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  // Fetch suggestions as the user types (debounced)
+  useEffect(() => {
+    if (!value.trim()) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchSkills(value);
+        if (!cancelled) {
+          setSuggestions(results);
+          setHighlightedIndex(-1);
+        }
+      } catch (err) {
+        console.error('Skill search error:', err);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  // Close suggestions when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setShowSuggestions(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const selectSuggestion = (suggestion) => {
+    onChange(suggestion.name);
+    setShowSuggestions(false);
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlightedIndex((highlightedIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlightedIndex(highlightedIndex <= 0 ? suggestions.length - 1 : highlightedIndex - 1);
+    } else if (e.key === 'Enter' && highlightedIndex >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[highlightedIndex]);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
+  return (
+    <div className="skill-autocomplete" ref={containerRef}>
+      <input
+        type="text"
+        id={id}
+        name={name}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setShowSuggestions(true);
+        }}
+        onFocus={() => setShowSuggestions(true)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        disabled={disabled}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={showSuggestions && suggestions.length > 0}
+        aria-autocomplete="list"
+        className={className}
+      />
+
+      {showSuggestions && suggestions.length > 0 && (
+        <ul className="skill-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.id}
+              role="option"
+              aria-selected={index === highlightedIndex}
+              className={`skill-suggestion ${index === highlightedIndex ? 'highlighted' : ''}`}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectSuggestion(suggestion);
+              }}
+              onMouseEnter={() => setHighlightedIndex(index)}
+            >
+              <span className="suggestion-name">
+                {suggestion.name}
+                {suggestion.matchedAlias && (
+                  <span className="suggestion-alias"> ({suggestion.matchedAlias})</span>
+                )}
+              </span>
+              <span className="suggestion-category">{suggestion.category}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SkillAutocomplete;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import SkillAutocomplete from './SkillAutocomplete';
+import { getFormErrors } from '../utils/formErrors';
+import './TaskModal.css';
+
+export const TASK_COLUMNS = [
+  { status: 'todo', label: 'To Do' },
+  { status: 'in_progress', label: 'In Progress' },
+  { status: 'review', label: 'Review' },
+  { status: 'done', label: 'Done' }
+];
+
+const FIELD_NAMES = ['title', 'description', 'assigneeId', 'status', 'dueDate', 'requiredSkill'];
+
+const toFormData = (task, defaultStatus) => ({
+  title: task?.title || '',
+  description: task?.description || '',
+  assigneeId: task?.assigneeId || '',
+  status: task?.status || defaultStatus || 'todo',
+  dueDate: task?.dueDate || '',
+  requiredSkill: task?.requiredSkill || ''
+});
+
+// Create a task, or edit one when `task` is passed. Empty optional fields are
+// sent as null so an edit can clear them.
+function TaskModal({ isOpen, onClose, onSubmit, onDelete, task, members, defaultStatus }) {
+  const [formData, setFormData] = useState(toFormData(task, defaultStatus));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setFormData(toFormData(task, defaultStatus));
+    setError('');
+    setFieldErrors({});
+  }, [isOpen, task?.id, defaultStatus]);
+
+  const setField = (name, value) => {
+    setFormData(current => ({ ...current, [name]: value }));
+    if (error) setError('');
+    if (fieldErrors[name]) {
+      setFieldErrors({ ...fieldErrors, [name]: '' });
+    }
+  };
+
+  const handleChange = (e) => setField(e.target.name, e.target.value);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+    setLoading(true);
+
+    try {
+      await onSubmit({
+        title: formData.title,
+        description: formData.description,
+        assigneeId: formData.assigneeId || null,
+        status: formData.status,
+        dueDate: formData.dueDate || null,
+        requiredSkill: formData.requiredSkill || null
+      });
+      onClose();
+    } catch (err) {
+      const { fields, message } = getFormErrors(err, FIELD_NAMES);
+      setFieldErrors(fields);
+      setError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${task.title}"?`)) return;
+
+    setLoading(true);
+    try {
+      await onDelete(task);
+      onClose();
+    } catch (err) {
+      setError(err);
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content task-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{task ? 'Edit Task' : 'New Task'}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="task-form">
+          <div className={`form-group ${fieldErrors.title ? 'has-error' : ''}`}>
+            <label htmlFor="task-title">Title *</label>
+            <input
+              type="text"
+              id="task-title"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              required
+              placeholder="e.g., Design the landing page"
+              disabled={loading}
+            />
+            {fieldErrors.title && <span className="field-error">{fieldErrors.title}</span>}
+          </div>
+
+          <div className={`form-group ${fieldErrors.description ? 'has-error' : ''}`}>
+            <label htmlFor="task-description">Description</label>
+            <textarea
+              id="task-description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows="3"
+              placeholder="What needs doing?"
+              disabled={loading}
+            />
+            {fieldErrors.description && <span className="field-error">{fieldErrors.description}</span>}
+          </div>
+
+          <div className="task-form-row">
+            <div className={`form-group ${fieldErrors.assigneeId ? 'has-error' : ''}`}>
+              <label htmlFor="task-assignee">Assignee</label>
+              <select
+                id="task-assignee"
+                name="assigneeId"
+                value={formData.assigneeId}
+                onChange={handleChange}
+                disabled={loading}
+              >
+                <option value="">Unassigned</option>
+                {members.map(member => (
+                  <option key={member.userId} value={member.userId}>{member.name}</option>
+                ))}
+              </select>
+              {fieldErrors.assigneeId && <span className="field-error">{fieldErrors.assigneeId}</span>}
+            </div>
+
+            <div className={`form-group ${fieldErrors.status ? 'has-error' : ''}`}>
+              <label htmlFor="task-status">Column</label>
+              <select
+                id="task-status"
+                name="status"
+                value={formData.status}
+                onChange={handleChange}
+                disabled={loading}
+              >
+                {TASK_COLUMNS.map(column => (
+                  <option key={column.status} value={column.status}>{column.label}</option>
+                ))}
+              </select>
+              {fieldErrors.status && <span className="field-error">{fieldErrors.status}</span>}
+            </div>
+          </div>
+
+          <div className="task-form-row">
+            <div className={`form-group ${fieldErrors.dueDate ? 'has-error' : ''}`}>
+              <label htmlFor="task-due-date">Due Date</label>
+              <input
+                type="date"
+                id="task-due-date"
+                name="dueDate"
+                value={formData.dueDate}
+                onChange={handleChange}
+                disabled={loading}
+              />
+              {fieldErrors.dueDate && <span className="field-error">{fieldErrors.dueDate}</span>}
+            </div>
+
+            <div className={`form-group ${fieldErrors.requiredSkill ? 'has-error' : ''}`}>
+              <label htmlFor="task-skill">Required Skill</label>
+              <SkillAutocomplete
+                id="task-skill"
+                name="requiredSkill"
+                value={formData.requiredSkill}
+                onChange={(value) => setField('requiredSkill', value)}
+                placeholder="e.g., Figma"
+                disabled={loading}
+              />
+              {fieldErrors.requiredSkill && <span className="field-error">{fieldErrors.requiredSkill}</span>}
+            </div>
+          </div>
+
+          <div className="modal-actions">
+            {task && onDelete && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="btn btn-secondary task-delete-btn"
+                disabled={loading}
+              >
+                Delete
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+              disabled={loading}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : (task ? 'Save Task' : 'Add Task')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default TaskModal;
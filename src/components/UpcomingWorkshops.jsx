@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getWorkshops,
+  createWorkshop,
+  updateWorkshopStatus,
+  enrolInWorkshop,
+  leaveWorkshop
+} from '../services/workshopService';
+import { useServerEvent } from '../hooks/useServerEvent';
+import { getViewerTimeZone, getTimeZoneAbbreviation } from '../utils/timeZone';
+import WorkshopModal from './WorkshopModal';
+import './UpcomingWorkshops.css';
+
+// "Tue, Mar 4 · 6:00 PM CET" in the viewer's zone
+const formatWhen = (instant, timeZone) => {
+  const date = new Date(instant).toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+  const time = new Date(instant).toLocaleTimeString('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  return `${date} · ${time} ${getTimeZoneAbbreviation(instant, timeZone)}`;
+};
+
+const formatDuration = (minutes) => (
+  minutes % 60 ? `${minutes} min` : `${minutes / 60} hour${minutes > 60 ? 's' : ''}`
+);
+
+// Group sessions on SearchPage: upcoming ones (narrowed to the searched
+// skill), or the ones the user hosts or signed up for
+function UpcomingWorkshops({ skill }) {
+  const [workshops, setWorkshops] = useState([]);
+  const [view, setView] = useState('upcoming'); // 'upcoming' or 'mine'
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionLoading, setActionLoading] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+
+  const viewerTimeZone = getViewerTimeZone();
+
+  useEffect(() => {
+    fetchWorkshops();
+  }, [skill, view]);
+
+  const fetchWorkshops = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setWorkshops(await getWorkshops(view === 'mine' ? { mine: true } : { skill }));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceWorkshop = (workshop) => {
+    setWorkshops(current => current.map(w => (w.id === workshop.id ? workshop : w)));
+  };
+
+  // Seats taken or freed by others, and workshops cancelled by their host
+  useServerEvent('workshop.updated', ({ workshop }) => replaceWorkshop(workshop));
+  useServerEvent('reconnected', fetchWorkshops);
+
+  const runAction = async (workshop, action) => {
+    setActionLoading(workshop.id);
+    setError('');
+    try {
+      const data = await action();
+      replaceWorkshop(data.workshop);
+      return data;
+    } catch (err) {
+      setError(err);
+      return null;
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleEnrol = async (workshop) => {
+    const data = await runAction(workshop, () => enrolInWorkshop(workshop.id));
+    if (data) alert(`${data.message}.`);
+  };
+
+  const handleLeave = (workshop) => {
+    const hasSeat = workshop.enrolment.status === 'enrolled';
+    const question = hasSeat
+      ? 'Give up your seat? Credits are refunded per the cancellation policy, and the seat goes to the waitlist.'
+      : 'Leave the waitlist?';
+    if (!window.confirm(question)) return;
+
+    runAction(workshop, () => leaveWorkshop(workshop.id));
+  };
+
+  const handleCancelWorkshop = (workshop) => {
+    const reason = window.prompt('Cancel this workshop? Everyone signed up is refunded in full. Let them know why (optional):', '');
+    if (reason === null) return;
+
+    runAction(workshop, () => updateWorkshopStatus(workshop.id, 'cancelled', reason));
+  };
+
+  const handleCompleteWorkshop = (workshop) => {
+    if (!window.confirm(`Mark this workshop completed? You'll be paid for ${workshop.seatsTaken} seat(s).`)) return;
+
+    runAction(workshop, () => updateWorkshopStatus(workshop.id, 'completed'));
+  };
+
+  const handleCreate = async (workshopData) => {
+    await createWorkshop(workshopData);
+    alert('Workshop created successfully!');
+    fetchWorkshops();
+  };
+
+  const renderSeats = (workshop) => {
+    if (workshop.seatsLeft > 0) {
+      return `${workshop.seatsLeft} of ${workshop.capacity} seats left`;
+    }
+    return `Full${workshop.waitlistCount > 0 ? ` · ${workshop.waitlistCount} on the waitlist` : ''}`;
+  };
+
+  const renderEnrolment = (workshop) => {
+    const { enrolment } = workshop;
+
+    return (
+      <div className="workshop-enrolment">
+        <span>
+          {enrolment.status === 'enrolled'
+            ? '✅ You have a seat'
+            : `⏳ You're number ${enrolment.waitlistPosition} on the waitlist`}
+        </span>
+        {workshop.canLeave && (
+          <button
+            onClick={() => handleLeave(workshop)}
+            disabled={actionLoading === workshop.id}
+            className="btn btn-secondary btn-sm"
+          >
+            {enrolment.status === 'enrolled' ? 'Give up seat' : 'Leave waitlist'}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderHostTools = (workshop) => (
+    <div className="workshop-host">
+      <p>
+        <strong>Signed up:</strong>{' '}
+        {workshop.attendees.length > 0 ? workshop.attendees.map(a => a.name).join(', ') : 'nobody yet'}
+        {workshop.waitlist.length > 0 && (
+          <span className="workshop-waitlist"> · Waitlist: {workshop.waitlist.map(a => a.name).join(', ')}</span>
+        )}
+      </p>
+      <div className="workshop-actions">
+        {workshop.availableTransitions.includes('completed') && (
+          <button
+            onClick={() => handleCompleteWorkshop(workshop)}
+            disabled={actionLoading === workshop.id}
+            className="btn btn-success btn-sm"
+          >
+            ✅ Mark completed
+          </button>
+        )}
+        {workshop.availableTransitions.includes('cancelled') && (
+          <button
+            onClick={() => handleCancelWorkshop(workshop)}
+            disabled={actionLoading === workshop.id}
+            className="btn btn-danger btn-sm"
+          >
+            ❌ Cancel workshop
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <section className="workshops-section">
+      <div className="results-header">
+        <h2>{view === 'mine' ? 'My workshops' : `Upcoming workshops${skill ? ` for "${skill}"` : ''}`}</h2>
+        <div className="workshops-header-actions">
+          <div className="view-toggle">
+            <button
+              className={`toggle-btn ${view === 'upcoming' ? 'active' : ''}`}
+              onClick={() => setView('upcoming')}
+            >
+              🎓 Upcoming
+            </button>
+            <button
+              className={`toggle-btn ${view === 'mine' ? 'active' : ''}`}
+              onClick={() => setView('mine')}
+            >
+              🙋 Mine
+            </button>
+          </div>
+          <button className="btn btn-primary" onClick={() => setIsModalOpen(true)}>
+            ➕ Host a workshop
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div className="loading-state">
+          <div className="spinner"></div>
+          <p>Loading workshops...</p>
+        </div>
+      ) : workshops.length === 0 ? (
+        <p className="workshops-empty">
+          {view === 'mine'
+            ? "You aren't hosting or signed up for any workshops yet."
+            : 'No upcoming workshops yet. Why not host one?'}
+        </p>
+      ) : (
+        <div className="workshops-grid">
+          {workshops.map(workshop => (
+            <div key={workshop.id} className={`workshop-card ${workshop.status}`}>
+              <div className="workshop-card-header">
+                <h3>{workshop.title}</h3>
+                {workshop.status !== 'scheduled' && (
+                  <span className={`workshop-status ${workshop.status}`}>{workshop.status}</span>
+                )}
+              </div>
+
+              <p className="workshop-host-name">
+                {workshop.isHost ? 'Hosted by you' : (
+                  <>Hosted by <Link to={`/users/${workshop.providerId}`}>{workshop.providerName}</Link></>
+                )}
+              </p>
+
+              {workshop.skillName && (
+                <span className="skill-badge offering">{workshop.skillName}</span>
+              )}
+
+              <ul className="workshop-facts">
+                <li>📅 {formatWhen(workshop.startsAt, viewerTimeZone)}</li>
+                <li>⏱️ {formatDuration(workshop.duration)}</li>
+                <li>🪑 {renderSeats(workshop)}</li>
+                <li>💰 {workshop.pricePerSeat} credits per seat</li>
+              </ul>
+
+              {workshop.description && <p className="workshop-description">{workshop.description}</p>}
+
+              {workshop.enrolment && renderEnrolment(workshop)}
+
+              {workshop.canEnrol && (
+                <button
+                  onClick={() => handleEnrol(workshop)}
+                  disabled={actionLoading === workshop.id}
+                  className="btn btn-primary"
+                >
+                  {workshop.seatsLeft > 0
+                    ? `🎓 Take a seat (${workshop.pricePerSeat} credits)`
+                    : '⏳ Join the waitlist'}
+                </button>
+              )}
+
+              {workshop.isHost && renderHostTools(workshop)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <WorkshopModal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        onSubmit={handleCreate}
+      />
+    </section>
+  );
+}
+
+export default UpcomingWorkshops;
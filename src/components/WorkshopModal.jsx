@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { getEscrowPolicy } from '../services/creditService';
+import { getViewerTimeZone } from '../utils/timeZone';
+import { getFormErrors } from '../utils/formErrors';
+import SkillAutocomplete from './SkillAutocomplete';
+import './WorkshopModal.css';
+
+const EMPTY_FORM = {
+  title: '',
+  skill: '',
+  description: '',
+  date: '',
+  time: '',
+  duration: 90,
+  capacity: 8,
+  pricePerSeat: ''
+};
+
+const FIELD_NAMES = Object.keys(EMPTY_FORM);
+
+// Host a workshop: one session for several learners, each paying for a seat
+function WorkshopModal({ isOpen, onClose, onSubmit }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [escrowPolicy, setEscrowPolicy] = useState(null);
+
+  // The date and time are picked in the host's own zone; the API converts them to UTC
+  const timeZone = getViewerTimeZone();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setError('');
+    setFieldErrors({});
+    setFormData(EMPTY_FORM);
+    if (!escrowPolicy) {
+      getEscrowPolicy()
+        .then(setEscrowPolicy)
+        .catch(err => console.error('Failed to load escrow policy:', err));
+    }
+  }, [isOpen]);
+
+  // Without a price, a seat costs what a session of the same length does
+  const defaultPrice = escrowPolicy
+    ? Math.ceil((formData.duration / 60) * escrowPolicy.creditsPerHour)
+    : null;
+
+  const setField = (name, value) => {
+    setFormData({ ...formData, [name]: value });
+    if (error) setError('');
+    if (fieldErrors[name]) setFieldErrors({ ...fieldErrors, [name]: '' });
+  };
+
+  const handleChange = (e) => setField(e.target.name, e.target.value);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors({});
+    setLoading(true);
+
+    try {
+      await onSubmit({
+        title: formData.title,
+        skill: formData.skill || undefined,
+        description: formData.description,
+        date: formData.date,
+        time: formData.time,
+        timeZone,
+        duration: Number(formData.duration),
+        capacity: Number(formData.capacity),
+        pricePerSeat: formData.pricePerSeat ? Number(formData.pricePerSeat) : undefined
+      });
+      onClose();
+    } catch (err) {
+      const { fields, message } = getFormErrors(err, FIELD_NAMES);
+      setFieldErrors(fields);
+      setError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content workshop-modal" onClick={(e) => e.stopPropagation()}>
+        <button className="modal-close" onClick={onClose}>×</button>
+
+        <h2 className="modal-title">Host a Workshop</h2>
+        <p className="modal-subtitle">Teach a group of learners in one session</p>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <form onSubmit={handleSubmit} className="workshop-form">
+          <div className={`form-group ${fieldErrors.title ? 'has-error' : ''}`}>
+            <label htmlFor="workshop-title">🎓 Title *</label>
+            <input
+              type="text"
+              id="workshop-title"
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              required
+              maxLength={120}
+              placeholder="e.g., Guitar Chords for Beginners"
+              disabled={loading}
+            />
+            {fieldErrors.title && <span className="field-error">{fieldErrors.title}</span>}
+          </div>
+
+          <div className={`form-group ${fieldErrors.skill ? 'has-error' : ''}`}>
+            <label htmlFor="workshop-skill">🧠 Skill</label>
+            <SkillAutocomplete
+              id="workshop-skill"
+              name="skill"
+              value={formData.skill}
+              onChange={(skill) => setField('skill', skill)}
+              disabled={loading}
+              placeholder="e.g., Guitar"
+            />
+            {fieldErrors.skill && <span className="field-error">{fieldErrors.skill}</span>}
+          </div>
+
+          <div className={`form-group ${fieldErrors.description ? 'has-error' : ''}`}>
+            <label htmlFor="workshop-description">💬 Description</label>
+            <textarea
+              id="workshop-description"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              rows="3"
+              maxLength={2000}
+              placeholder="What will learners get out of it? Anything to bring?"
+              disabled={loading}
+            />
+            {fieldErrors.description && <span className="field-error">{fieldErrors.description}</span>}
+          </div>
+
+          <div className="workshop-form-row">
+            <div className={`form-group ${fieldErrors.date ? 'has-error' : ''}`}>
+              <label htmlFor="workshop-date">📅 Date *</label>
+              <input
+                type="date"
+                id="workshop-date"
+                name="date"
+                value={formData.date}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+              {fieldErrors.date && <span className="field-error">{fieldErrors.date}</span>}
+            </div>
+
+            <div className={`form-group ${fieldErrors.time ? 'has-error' : ''}`}>
+              <label htmlFor="workshop-time">
+                🕐 Time * <span className="time-zone-hint">({timeZone.replace(/_/g, ' ')})</span>
+              </label>
+              <input
+                type="time"
+                id="workshop-time"
+                name="time"
+                value={formData.time}
+                onChange={handleChange}
+                required
+                disabled={loading}
+              />
+              {fieldErrors.time && <span className="field-error">{fieldErrors.time}</span>}
+            </div>
+          </div>
+
+          <div className="workshop-form-row">
+            <div className={`form-group ${fieldErrors.duration ? 'has-error' : ''}`}>
+              <label htmlFor="workshop-duration">⏱️ Duration</label>
+              <select
+                id="workshop-duration"
+                name="duration"
+                value={formData.duration}
+                onChange={handleChange}
+                disabled={loading}
+              >
+                <option value={60}>1 hour</option>
+                <option value={90}>1.5 hours</option>
+                <option value={120}>2 hours</option>
+                <option value={180}>3 hours</option>
+                <option value={240}>4 hours</option>
+              </select>
+              {fieldErrors.duration && <span className="field-error">{fieldErrors.duration}</span>}
+            </div>
+
+            <div className={`form-group ${fieldErrors.capacity ? 'has-error' : ''}`}>
+              <label htmlFor="workshop-capacity">🪑 Seats *</label>
+              <input
+                type="number"
+                id="workshop-capacity"
+                name="capacity"
+                value={formData.capacity}
+                onChange={handleChange}
+                required
+                min="2"
+                max="50"
+                disabled={loading}
+              />
+              {fieldErrors.capacity && <span className="field-error">{fieldErrors.capacity}</span>}
+            </div>
+
+            <div className={`form-group ${fieldErrors.pricePerSeat ? 'has-error' : ''}`}>
+              <label htmlFor="workshop-price">💰 Credits per seat</label>
+              <input
+                type="number"
+                id="workshop-price"
+                name="pricePerSeat"
+                value={formData.pricePerSeat}
+                onChange={handleChange}
+                min="1"
+                max="1000"
+                placeholder={defaultPrice ? String(defaultPrice) : ''}
+                disabled={loading}
+              />
+              {fieldErrors.pricePerSeat && <span className="field-error">{fieldErrors.pricePerSeat}</span>}
+            </div>
+          </div>
+
+          <div className="escrow-notice">
+            <p>
+              💰 Each learner's seat is held from their balance when they sign up and paid to you
+              when you mark the workshop completed, or automatically 48 hours after it ends.
+            </p>
+            <small>
+              Once every seat is taken, learners can join a waitlist. When someone gives up their seat,
+              the first person on the waitlist gets it. Cancelling the workshop refunds everyone in full.
+            </small>
+          </div>
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary"
+              disabled={loading}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Creating...' : '🎓 Create Workshop'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default WorkshopModal;
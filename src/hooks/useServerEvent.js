@@ -0,0 +1,15 @@
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../services/eventService';
+
+// Run `handler` for each real-time event of `type` while the component is mounted.
+// The latest handler is always used, so it can read current state. A null type
+// subscribes to nothing (e.g. while signed out).
+export const useServerEvent = (type, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!type) return;
+    return subscribe(type, (data) => handlerRef.current(data));
+  }, [type]);
+};
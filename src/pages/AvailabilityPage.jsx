@@ -0,0 +1,359 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getMyAvailability, updateAvailability } from '../services/availabilityService';
+import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import './AvailabilityPage.css';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Show Monday first, as most calendars do
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const NEW_WINDOW = { startTime: '09:00', endTime: '17:00' };
+
+function AvailabilityPage() {
+  const visibleSections = useScrollAnimation();
+  const [weekly, setWeekly] = useState([]);
+  const [exceptions, setExceptions] = useState([]);
+  const [isDefault, setIsDefault] = useState(false);
+  const [timeZone, setTimeZone] = useState('');
+  const [newException, setNewException] = useState({ date: '', blocked: true, reason: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchAvailability();
+  }, []);
+
+  const fetchAvailability = async () => {
+    try {
+      const data = await getMyAvailability();
+      setWeekly(data.weekly);
+      setExceptions(data.exceptions);
+      setIsDefault(Boolean(data.isDefault));
+      setTimeZone(data.timeZone);
+    } catch (err) {
+      setError(err || 'Failed to fetch availability');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clearMessages = () => {
+    if (error) setError('');
+    if (success) setSuccess('');
+  };
+
+  /* Weekly schedule */
+
+  const addWeeklyWindow = (dayOfWeek) => {
+    setWeekly([...weekly, { dayOfWeek, ...NEW_WINDOW }]);
+    clearMessages();
+  };
+
+  const updateWeeklyWindow = (index, field, value) => {
+    setWeekly(weekly.map((window, i) => (i === index ? { ...window, [field]: value } : window)));
+    clearMessages();
+  };
+
+  const removeWeeklyWindow = (index) => {
+    setWeekly(weekly.filter((_, i) => i !== index));
+    clearMessages();
+  };
+
+  /* Date exceptions */
+
+  const handleAddException = (e) => {
+    e.preventDefault();
+
+    if (!newException.date) {
+      setError('Please choose a date');
+      return;
+    }
+
+    if (exceptions.some(exception => exception.date === newException.date)) {
+      setError('There is already an exception for that date');
+      return;
+    }
+
+    const exception = {
+      date: newException.date,
+      windows: newException.blocked ? [] : [{ ...NEW_WINDOW }],
+      reason: newException.reason.trim()
+    };
+
+    setExceptions([...exceptions, exception].sort((a, b) => a.date.localeCompare(b.date)));
+    setNewException({ date: '', blocked: true, reason: '' });
+    clearMessages();
+  };
+
+  const updateExceptionWindow = (date, windowIndex, field, value) => {
+    setExceptions(exceptions.map(exception => (
+      exception.date === date
+        ? {
+          ...exception,
+          windows: exception.windows.map((window, i) => (
+            i === windowIndex ? { ...window, [field]: value } : window
+          ))
+        }
+        : exception
+    )));
+    clearMessages();
+  };
+
+  const addExceptionWindow = (date) => {
+    setExceptions(exceptions.map(exception => (
+      exception.date === date
+        ? { ...exception, windows: [...exception.windows, { ...NEW_WINDOW }] }
+        : exception
+    )));
+    clearMessages();
+  };
+
+  const removeExceptionWindow = (date, windowIndex) => {
+    setExceptions(exceptions.map(exception => (
+      exception.date === date
+        ? { ...exception, windows: exception.windows.filter((_, i) => i !== windowIndex) }
+        : exception
+    )));
+    clearMessages();
+  };
+
+  const removeException = (date) => {
+    setExceptions(exceptions.filter(exception => exception.date !== date));
+    clearMessages();
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const data = await updateAvailability({ weekly, exceptions });
+      setWeekly(data.availability.weekly);
+      setExceptions(data.availability.exceptions);
+      setIsDefault(false);
+      setSuccess('✅ Availability saved! Learners can now book your open slots.');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err || 'Failed to update availability');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatExceptionDate = (dateString) => {
+    // Parse as a local date so the label doesn't shift a day in negative UTC offsets
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const renderWindowInputs = (window, onChange, onRemove) => (
+    <div className="availability-window">
+      <input
+        type="time"
+        step="1800"
+        value={window.startTime}
+        onChange={(e) => onChange('startTime', e.target.value)}
+        className="time-input"
+      />
+      <span className="window-separator">to</span>
+      <input
+        type="time"
+        step="1800"
+        value={window.endTime}
+        onChange={(e) => onChange('endTime', e.target.value)}
+        className="time-input"
+      />
+      <button
+        type="button"
+        onClick={onRemove}
+        className="remove-window-btn"
+        title="Remove time window"
+      >
+        ✕
+      </button>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="availability-page">
+        <div className="loading-state fade-in">
+          <div className="spinner rotate"></div>
+          <p>Loading availability...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="availability-page">
+      <div className="availability-header" data-section="header">
+        <div className={visibleSections.has('header') ? 'fade-in-left' : ''}>
+          <h1>My Availability</h1>
+          <p className="page-subtitle">Choose when learners can book sessions with you</p>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="btn btn-primary hover-scale save-availability-btn"
+        >
+          {saving ? 'Saving...' : '💾 Save Availability'}
+        </button>
+      </div>
+
+      {error && <div className="error-message fade-in">{error}</div>}
+      {success && <div className="success-message fade-in">{success}</div>}
+
+      {isDefault && (
+        <div className="availability-default-notice fade-in">
+          ℹ️ You haven't published a schedule yet, so learners see the default hours
+          (every day, 09:00–21:00). Adjust them below and save.
+        </div>
+      )}
+
+      <div className="availability-section" data-section="weekly">
+        <div className={`availability-section-header ${visibleSections.has('weekly') ? 'fade-in-left' : ''}`}>
+          <h2>📅 Weekly Hours</h2>
+          <p className="section-subtitle">
+            Your regular hours, repeated every week, in your time zone ({timeZone.replace(/_/g, ' ')}).
+            You can change it on your <Link to="/profile">profile</Link>.
+          </p>
+        </div>
+
+        <div className={`weekly-grid ${visibleSections.has('weekly') ? 'fade-in-up delay-200' : ''}`}>
+          {DAY_ORDER.map(dayOfWeek => {
+            const dayWindows = weekly
+              .map((window, index) => ({ window, index }))
+              .filter(({ window }) => window.dayOfWeek === dayOfWeek);
+
+            return (
+              <div key={dayOfWeek} className="weekly-day">
+                <div className="weekly-day-name">{DAY_NAMES[dayOfWeek]}</div>
+                <div className="weekly-day-windows">
+                  {dayWindows.length === 0 && (
+                    <span className="unavailable-label">Unavailable</span>
+                  )}
+                  {dayWindows.map(({ window, index }) => (
+                    <React.Fragment key={index}>
+                      {renderWindowInputs(
+                        window,
+                        (field, value) => updateWeeklyWindow(index, field, value),
+                        () => removeWeeklyWindow(index)
+                      )}
+                    </React.Fragment>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => addWeeklyWindow(dayOfWeek)}
+                  className="add-window-btn hover-scale"
+                >
+                  ➕ Add hours
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="availability-section" data-section="exceptions">
+        <div className={`availability-section-header ${visibleSections.has('exceptions') ? 'fade-in-left' : ''}`}>
+          <h2>🗓️ Date Exceptions</h2>
+          <p className="section-subtitle">Block out holidays or set different hours for a specific date</p>
+        </div>
+
+        <form
+          onSubmit={handleAddException}
+          className={`exception-form ${visibleSections.has('exceptions') ? 'fade-in-up delay-200' : ''}`}
+        >
+          <input
+            type="date"
+            value={newException.date}
+            onChange={(e) => {
+              setNewException({ ...newException, date: e.target.value });
+              clearMessages();
+            }}
+            className="time-input"
+          />
+          <select
+            value={newException.blocked ? 'blocked' : 'custom'}
+            onChange={(e) => setNewException({ ...newException, blocked: e.target.value === 'blocked' })}
+            className="time-input"
+          >
+            <option value="blocked">Unavailable all day</option>
+            <option value="custom">Custom hours</option>
+          </select>
+          <input
+            type="text"
+            value={newException.reason}
+            onChange={(e) => setNewException({ ...newException, reason: e.target.value })}
+            placeholder="Reason (optional)"
+            className="time-input exception-reason-input"
+          />
+          <button type="submit" className="btn btn-secondary hover-scale">
+            Add Exception
+          </button>
+        </form>
+
+        {exceptions.length === 0 ? (
+          <p className="no-exceptions">No date exceptions yet.</p>
+        ) : (
+          <div className="exceptions-list">
+            {exceptions.map(exception => (
+              <div key={exception.date} className="exception-item">
+                <div className="exception-info">
+                  <span className="exception-date">{formatExceptionDate(exception.date)}</span>
+                  {exception.reason && (
+                    <span className="exception-reason">{exception.reason}</span>
+                  )}
+                </div>
+                <div className="weekly-day-windows">
+                  {exception.windows.length === 0 && (
+                    <span className="unavailable-label">Unavailable all day</span>
+                  )}
+                  {exception.windows.map((window, windowIndex) => (
+                    <React.Fragment key={windowIndex}>
+                      {renderWindowInputs(
+                        window,
+                        (field, value) => updateExceptionWindow(exception.date, windowIndex, field, value),
+                        () => removeExceptionWindow(exception.date, windowIndex)
+                      )}
+                    </React.Fragment>
+                  ))}
+                </div>
+                <div className="exception-actions">
+                  <button
+                    type="button"
+                    onClick={() => addExceptionWindow(exception.date)}
+                    className="add-window-btn hover-scale"
+                  >
+                    ➕ Add hours
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeException(exception.date)}
+                    className="remove-exception-btn hover-scale"
+                  >
+                    🗑️ Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AvailabilityPage;
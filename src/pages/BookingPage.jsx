@@ -1,16 +1,97 @@
 import React, { useState, useEffect } from 'react';
-import { getBookings, updateBookingStatus } from '../services/bookingService';
+import {
+  getBookings,
+  updateBookingStatus,
+  updateBookingSeriesStatus,
+  rescheduleBooking,
+  rescheduleBookingSeries,
+  proposeBookingTime,
+  respondToProposal
+} from '../services/bookingService';
+import { downloadBookingEvent, getCalendarFeed, resetCalendarFeed } from '../services/calendarService';
 import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import { useServerEvent } from '../hooks/useServerEvent';
+import SessionReviewForm from '../components/SessionReviewForm';
+import { getViewerTimeZone, getTimeZoneAbbreviation } from '../utils/timeZone';
 import './BookingPage.css';
 
+// Buttons for the moves the server says the viewer can make (availableTransitions).
+// `prompt` asks for a reason, which is shown to the other person and kept in the history.
+const TRANSITION_ACTIONS = {
+  confirmed: { label: 'Accept', icon: '✅', className: 'btn-success' },
+  declined: {
+    label: 'Decline',
+    icon: '❌',
+    className: 'btn-danger',
+    prompt: 'Decline this request? Let them know why (optional):'
+  },
+  in_progress: { label: 'Start Session', icon: '▶️', className: 'btn-primary' },
+  // Both people confirm; the booking completes (and pays out) on the second confirmation
+  completed: { label: 'Confirm Completed', icon: '🎉', className: 'btn-primary' },
+  no_show: {
+    label: 'Report No-show',
+    icon: '🚫',
+    className: 'btn-secondary',
+    prompt: 'Report that the other person didn\'t turn up? Add details (optional):'
+  },
+  cancelled: {
+    label: 'Cancel',
+    icon: '❌',
+    className: 'btn-secondary',
+    prompt: 'Cancel this session? Let them know why (optional):'
+  }
+};
+
+// The same moves for every session of a series that allows them
+const SERIES_ACTIONS = {
+  confirmed: { label: 'Accept all', icon: '✅', className: 'btn-success' },
+  declined: {
+    label: 'Decline all',
+    icon: '❌',
+    className: 'btn-danger',
+    prompt: 'Decline every pending request in this series? Let them know why (optional):'
+  },
+  cancelled: {
+    label: 'Cancel remaining',
+    icon: '❌',
+    className: 'btn-secondary',
+    prompt: 'Cancel every upcoming session in this series? Let them know why (optional):'
+  }
+};
+
+const FREQUENCY_LABELS = { weekly: 'weekly', biweekly: 'every 2 weeks' };
+
+// History entries for the steps of a reschedule proposal
+const PROPOSAL_EVENT_LABELS = {
+  proposed: 'new time proposed',
+  countered: 'another time suggested',
+  accepted: 'moved (proposal accepted)',
+  declined: 'proposed time declined',
+  withdrawn: 'proposal withdrawn'
+};
+
+const formatStatus = (status) => status.replace('_', ' ');
+
+// Date and time inputs' values for an instant, in the given zone
+const toInputValues = (instant, timeZone) => ({
+  date: new Date(instant).toLocaleDateString('en-CA', { timeZone }),
+  time: new Date(instant).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+});
+
 function BookingPage() {
   const visibleSections = useScrollAnimation();
+  const viewerTimeZone = getViewerTimeZone();
   const [bookings, setBookings] = useState([]);
   const [filteredBookings, setFilteredBookings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [filter, setFilter] = useState('all');
   const [actionLoading, setActionLoading] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [feedLoading, setFeedLoading] = useState(false);
+  const [feedCopied, setFeedCopied] = useState(false);
+  // The move form being shown: { kind: 'booking' | 'series' | 'proposal', bookingId, date, time, reason }
+  const [moving, setMoving] = useState(null);
 
   useEffect(() => {
     fetchBookings();
@@ -32,34 +113,52 @@ function BookingPage() {
     }
   };
 
+  // New requests and status changes from the other person arrive in real time
+  useServerEvent('booking.updated', ({ booking }) => {
+    setBookings(current => (
+      current.some(b => b.id === booking.id)
+        ? current.map(b => (b.id === booking.id ? booking : b))
+        : [...current, booking]
+    ));
+  });
+  useServerEvent('reconnected', fetchBookings);
+
   const filterBookings = () => {
     let filtered = bookings;
 
     if (filter === 'upcoming') {
       filtered = bookings.filter(b => 
         (b.status === 'confirmed' || b.status === 'pending') &&
-        new Date(`${b.date}T${b.time}`) > new Date()
+        new Date(b.startsAt) > new Date()
       );
     } else if (filter === 'past') {
       filtered = bookings.filter(b => 
         b.status === 'completed' || 
-        new Date(`${b.date}T${b.time}`) < new Date()
+        new Date(b.startsAt) < new Date()
       );
     } else if (filter === 'pending') {
       filtered = bookings.filter(b => b.status === 'pending');
     } else if (filter === 'confirmed') {
       filtered = bookings.filter(b => b.status === 'confirmed');
+    } else if (filter === 'series') {
+      filtered = bookings
+        .filter(b => b.seriesId)
+        .sort((a, b) => a.seriesId.localeCompare(b.seriesId) || a.seriesIndex - b.seriesIndex);
     }
 
     setFilteredBookings(filtered);
   };
 
   const handleStatusChange = async (bookingId, newStatus) => {
+    const { prompt } = TRANSITION_ACTIONS[newStatus];
+    const reason = prompt ? window.prompt(prompt, '') : '';
+    if (reason === null) return;
+
     setActionLoading(bookingId);
     setError('');
 
     try {
-      await updateBookingStatus(bookingId, newStatus);
+      await updateBookingStatus(bookingId, newStatus, reason);
       await fetchBookings();
     } catch (err) {
       setError(err || 'Failed to update booking');
@@ -68,8 +167,220 @@ function BookingPage() {
     }
   };
 
-  const formatDate = (date) => {
-    return new Date(date).toLocaleDateString('en-US', {
+  const handleSeriesStatusChange = async (booking, newStatus) => {
+    const { prompt } = SERIES_ACTIONS[newStatus];
+    const reason = prompt ? window.prompt(prompt, '') : '';
+    if (reason === null) return;
+
+    setActionLoading(booking.id);
+    setError('');
+
+    try {
+      await updateBookingSeriesStatus(booking.seriesId, newStatus, reason);
+      await fetchBookings();
+    } catch (err) {
+      setError(err || 'Failed to update booking series');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleStartMove = (booking, kind) => {
+    setMoving({ kind, bookingId: booking.id, reason: '', ...toInputValues(booking.startsAt, viewerTimeZone) });
+  };
+
+  const handleMoveSubmit = async (e, booking) => {
+    e.preventDefault();
+    setActionLoading(booking.id);
+    setError('');
+
+    const schedule = { date: moving.date, time: moving.time, timeZone: viewerTimeZone };
+    try {
+      if (moving.kind === 'series') {
+        await rescheduleBookingSeries(booking.seriesId, schedule);
+      } else if (moving.kind === 'proposal') {
+        await proposeBookingTime(booking.id, { ...schedule, reason: moving.reason });
+      } else {
+        await rescheduleBooking(booking.id, schedule);
+      }
+      setMoving(null);
+      await fetchBookings();
+    } catch (err) {
+      setError(err || 'Failed to move booking');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const handleProposalResponse = async (booking, action) => {
+    const reason = action === 'decline'
+      ? window.prompt('Decline the proposed time? Let them know why (optional):', '')
+      : '';
+    if (reason === null) return;
+
+    setActionLoading(booking.id);
+    setError('');
+
+    try {
+      await respondToProposal(booking.id, action, reason);
+      await fetchBookings();
+    } catch (err) {
+      setError(err || 'Failed to update the proposed time');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
+  const renderProposal = (booking) => {
+    const { proposal } = booking;
+    const when = `${formatDate(proposal.startsAt, viewerTimeZone)}, ${formatTime(proposal.startsAt, viewerTimeZone)}`;
+    const otherName = booking.isProvider ? booking.seekerName : booking.providerName;
+
+    return (
+      <div className="proposal-banner">
+        <p>
+          🕐 {proposal.isMine ? 'You proposed' : `${proposal.proposedByName} proposed`} moving this session to{' '}
+          <strong>{when}</strong>
+          {proposal.reason && <span className="history-reason"> — “{proposal.reason}”</span>}
+          {proposal.isMine && `. Waiting for ${otherName} to answer.`}
+        </p>
+        <div className="proposal-actions">
+          {proposal.isMine ? (
+            <button
+              onClick={() => handleProposalResponse(booking, 'withdraw')}
+              disabled={actionLoading === booking.id}
+              className="btn btn-secondary"
+            >
+              Withdraw
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={() => handleProposalResponse(booking, 'accept')}
+                disabled={actionLoading === booking.id}
+                className="btn btn-success"
+              >
+                ✅ Accept
+              </button>
+              <button
+                onClick={() => handleStartMove(booking, 'proposal')}
+                disabled={actionLoading === booking.id}
+                className="btn btn-secondary"
+              >
+                🔄 Suggest another time
+              </button>
+              <button
+                onClick={() => handleProposalResponse(booking, 'decline')}
+                disabled={actionLoading === booking.id}
+                className="btn btn-danger"
+              >
+                ❌ Decline
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Series-wide moves the viewer can make: any that at least one session allows
+  const getSeriesOptions = (booking) => {
+    const sessions = bookings.filter(b => b.seriesId === booking.seriesId);
+    return {
+      statuses: Object.keys(SERIES_ACTIONS).filter(status => (
+        sessions.some(b => b.availableTransitions?.includes(status))
+      )),
+      canMove: sessions.some(b => b.canReschedule)
+    };
+  };
+
+  const renderSeriesActions = (booking) => {
+    const { statuses, canMove } = getSeriesOptions(booking);
+    if (statuses.length === 0 && !canMove) return null;
+
+    return (
+      <details className="series-actions">
+        <summary>Whole series</summary>
+        <div className="series-actions-buttons">
+          {canMove && (
+            <button
+              onClick={() => handleStartMove(booking, 'series')}
+              disabled={actionLoading === booking.id}
+              className="btn btn-secondary"
+            >
+              🕐 Move series
+            </button>
+          )}
+          {statuses.map(status => {
+            const action = SERIES_ACTIONS[status];
+            return (
+              <button
+                key={status}
+                onClick={() => handleSeriesStatusChange(booking, status)}
+                disabled={actionLoading === booking.id}
+                className={`btn ${action.className}`}
+              >
+                {action.icon} {action.label}
+              </button>
+            );
+          })}
+        </div>
+      </details>
+    );
+  };
+
+  const handleAddToCalendar = async (bookingId) => {
+    setError('');
+    try {
+      await downloadBookingEvent(bookingId);
+    } catch (err) {
+      setError(err || 'Failed to download calendar event');
+    }
+  };
+
+  const handleShowFeed = async () => {
+    setFeedLoading(true);
+    setError('');
+    try {
+      const data = await getCalendarFeed();
+      setFeedUrl(data.url);
+    } catch (err) {
+      setError(err || 'Failed to fetch calendar feed');
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const handleCopyFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setFeedCopied(true);
+      setTimeout(() => setFeedCopied(false), 2000);
+    } catch (err) {
+      setError('Could not copy the link. Please copy it manually.');
+    }
+  };
+
+  const handleResetFeed = async () => {
+    if (!window.confirm('Reset your calendar link? Calendars subscribed to the old link will stop updating.')) {
+      return;
+    }
+
+    setFeedLoading(true);
+    setError('');
+    try {
+      const data = await resetCalendarFeed();
+      setFeedUrl(data.url);
+    } catch (err) {
+      setError(err || 'Failed to reset calendar feed');
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const formatDate = (instant, timeZone) => {
+    return new Date(instant).toLocaleDateString('en-US', {
+      timeZone,
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -77,19 +388,55 @@ function BookingPage() {
     });
   };
 
-  const formatTime = (time) => {
-    const [hours, minutes] = time.split(':');
-    const hour = parseInt(hours);
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour % 12 || 12;
-    return `${displayHour}:${minutes} ${ampm}`;
+  const formatTime = (instant, timeZone) => {
+    const time = new Date(instant).toLocaleTimeString('en-US', {
+      timeZone,
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    return `${time} ${getTimeZoneAbbreviation(instant, timeZone)}`;
+  };
+
+  // The other participant's local time, when they're in a different zone
+  const getOtherPartyTime = (booking) => {
+    const otherTimeZone = booking.isProvider ? booking.seekerTimeZone : booking.providerTimeZone;
+    if (!otherTimeZone || otherTimeZone === viewerTimeZone) return null;
+
+    const otherName = booking.isProvider ? booking.seekerName : booking.providerName;
+    const sameDay = formatDate(booking.startsAt, otherTimeZone) === formatDate(booking.startsAt, viewerTimeZone);
+    return `${formatTime(booking.startsAt, otherTimeZone)}${sameDay ? '' : ` (${formatDate(booking.startsAt, otherTimeZone)})`} for ${otherName}`;
+  };
+
+  // Where the two-sided completion confirmation stands, from the viewer's side
+  const getCompletionNote = (booking) => {
+    const { completion } = booking;
+    if (booking.status !== 'in_progress' || !completion) return null;
+
+    const otherName = booking.isProvider ? booking.seekerName : booking.providerName;
+    const confirmedByMe = booking.isProvider ? completion.providerConfirmedAt : completion.seekerConfirmedAt;
+    const deadline = `${formatDate(completion.autoCompleteAt, viewerTimeZone)}, ${formatTime(completion.autoCompleteAt, viewerTimeZone)}`;
+
+    return confirmedByMe
+      ? `You confirmed this session. Waiting for ${otherName}; it completes automatically on ${deadline}.`
+      : `${otherName} confirmed this session took place. Confirm it or report a no-show by ${deadline}.`;
+  };
+
+  const getEscrowLabel = (escrow) => {
+    if (!escrow) return null;
+    if (escrow.status === 'held') return `${escrow.amount} credits held`;
+    if (escrow.status === 'settled') return `${escrow.amount} credits paid`;
+    if (escrow.refundAmount === escrow.amount) return `${escrow.amount} credits refunded`;
+    return `${escrow.refundAmount} of ${escrow.amount} credits refunded`;
   };
 
   const getStatusColor = (status) => {
     const colors = {
       pending: 'status-pending',
       confirmed: 'status-confirmed',
+      in_progress: 'status-in-progress',
       completed: 'status-completed',
+      no_show: 'status-no-show',
+      declined: 'status-cancelled',
       cancelled: 'status-cancelled'
     };
     return colors[status] || 'status-pending';
@@ -99,7 +446,10 @@ function BookingPage() {
     const icons = {
       pending: '⏳',
       confirmed: '✅',
+      in_progress: '▶️',
       completed: '🎉',
+      no_show: '🚫',
+      declined: '❌',
       cancelled: '❌'
     };
     return icons[status] || '⏳';
@@ -109,14 +459,15 @@ function BookingPage() {
     all: bookings.length,
     upcoming: bookings.filter(b => 
       (b.status === 'confirmed' || b.status === 'pending') &&
-      new Date(`${b.date}T${b.time}`) > new Date()
+      new Date(b.startsAt) > new Date()
     ).length,
     past: bookings.filter(b => 
       b.status === 'completed' || 
-      new Date(`${b.date}T${b.time}`) < new Date()
+      new Date(b.startsAt) < new Date()
     ).length,
     pending: bookings.filter(b => b.status === 'pending').length,
     confirmed: bookings.filter(b => b.status === 'confirmed').length,
+    series: bookings.filter(b => b.seriesId).length,
   };
 
   if (loading) {
@@ -151,6 +502,46 @@ function BookingPage() {
 
       {error && <div className="error-message fade-in">{error}</div>}
 
+      <div className={`calendar-feed ${visibleSections.has('header') ? 'fade-in-up delay-300' : ''}`}>
+        <div className="calendar-feed-info">
+          <span className="calendar-feed-icon">📆</span>
+          <div>
+            <strong>Sync with your calendar</strong>
+            <p>Subscribe to your private feed in Google Calendar, Outlook or Apple Calendar to see confirmed sessions.</p>
+          </div>
+        </div>
+        {feedUrl ? (
+          <div className="calendar-feed-link">
+            <input
+              type="text"
+              value={feedUrl}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              aria-label="Calendar feed URL"
+            />
+            <button onClick={handleCopyFeed} className="btn btn-primary hover-scale">
+              {feedCopied ? '✅ Copied' : '📋 Copy'}
+            </button>
+            <button
+              onClick={handleResetFeed}
+              disabled={feedLoading}
+              className="btn btn-secondary hover-scale"
+              title="Create a new link and disable the old one"
+            >
+              🔄 Reset
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={handleShowFeed}
+            disabled={feedLoading}
+            className="btn btn-secondary hover-scale"
+          >
+            {feedLoading ? '⏳ Loading...' : '🔗 Get calendar link'}
+          </button>
+        )}
+      </div>
+
       <div className={`filter-section ${visibleSections.has('header') ? 'fade-in-up delay-300' : ''}`}>
         <div className="filter-tabs">
           {[
@@ -158,6 +549,7 @@ function BookingPage() {
             { key: 'upcoming', label: 'Upcoming', icon: '🔜' },
             { key: 'pending', label: 'Pending', icon: '⏳' },
             { key: 'confirmed', label: 'Confirmed', icon: '✅' },
+            { key: 'series', label: 'Series', icon: '🔁' },
             { key: 'past', label: 'Past', icon: '📚' }
           ].map(tab => (
             <button
@@ -207,7 +599,7 @@ function BookingPage() {
                 </div>
                 <div className={`status-badge ${getStatusColor(booking.status)}`}>
                   <span className="status-icon">{getStatusIcon(booking.status)}</span>
-                  <span className="status-text">{booking.status}</span>
+                  <span className="status-text">{formatStatus(booking.status)}</span>
                 </div>
               </div>
 
@@ -220,12 +612,18 @@ function BookingPage() {
                   )}
                 </h3>
 
+                {booking.series && (
+                  <span className="series-badge">
+                    🔁 Session {booking.seriesIndex} of {booking.series.size} · {FREQUENCY_LABELS[booking.series.frequency]}
+                  </span>
+                )}
+
                 <div className="booking-details">
                   <div className="detail-item">
                     <span className="detail-icon">📅</span>
                     <div className="detail-content">
                       <span className="detail-label">Date</span>
-                      <span className="detail-value">{formatDate(booking.date)}</span>
+                      <span className="detail-value">{formatDate(booking.startsAt, viewerTimeZone)}</span>
                     </div>
                   </div>
 
@@ -233,7 +631,10 @@ function BookingPage() {
                     <span className="detail-icon">🕐</span>
                     <div className="detail-content">
                       <span className="detail-label">Time</span>
-                      <span className="detail-value">{formatTime(booking.time)}</span>
+                      <span className="detail-value">{formatTime(booking.startsAt, viewerTimeZone)}</span>
+                      {getOtherPartyTime(booking) && (
+                        <span className="detail-note">{getOtherPartyTime(booking)}</span>
+                      )}
                     </div>
                   </div>
 
@@ -244,6 +645,16 @@ function BookingPage() {
                       <span className="detail-value">{booking.duration} minutes</span>
                     </div>
                   </div>
+
+                  {booking.escrow && (
+                    <div className="detail-item">
+                      <span className="detail-icon">💰</span>
+                      <div className="detail-content">
+                        <span className="detail-label">Credits</span>
+                        <span className="detail-value">{getEscrowLabel(booking.escrow)}</span>
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {booking.message && (
@@ -255,44 +666,103 @@ function BookingPage() {
               </div>
 
               <div className="booking-card-footer">
-                {booking.isProvider && booking.status === 'pending' && (
-                  <div className="action-buttons provider-actions">
-                    <button
-                      onClick={() => handleStatusChange(booking.id, 'confirmed')}
-                      disabled={actionLoading === booking.id}
-                      className="btn btn-success hover-scale"
-                    >
-                      {actionLoading === booking.id ? '⏳' : '✅'} Accept
-                    </button>
-                    <button
-                      onClick={() => handleStatusChange(booking.id, 'cancelled')}
-                      disabled={actionLoading === booking.id}
-                      className="btn btn-danger hover-scale"
-                    >
-                      {actionLoading === booking.id ? '⏳' : '❌'} Decline
-                    </button>
-                  </div>
+                {getCompletionNote(booking) && (
+                  <p className="completion-note">🤝 {getCompletionNote(booking)}</p>
                 )}
 
-                {booking.status === 'confirmed' && (
+                {booking.proposal && renderProposal(booking)}
+
+                {(booking.availableTransitions?.length > 0 || booking.canReschedule || booking.canPropose) && (
                   <div className="action-buttons">
-                    <button
-                      onClick={() => handleStatusChange(booking.id, 'completed')}
-                      disabled={actionLoading === booking.id}
-                      className="btn btn-primary hover-scale"
-                    >
-                      {actionLoading === booking.id ? '⏳ Processing...' : '🎉 Mark as Completed'}
-                    </button>
-                    <button
-                      onClick={() => handleStatusChange(booking.id, 'cancelled')}
-                      disabled={actionLoading === booking.id}
-                      className="btn btn-secondary hover-scale"
-                    >
-                      {actionLoading === booking.id ? '⏳' : '❌'} Cancel
-                    </button>
+                    {booking.canReschedule && (
+                      <button
+                        onClick={() => handleStartMove(booking, 'booking')}
+                        disabled={actionLoading === booking.id}
+                        className="btn btn-secondary hover-scale"
+                      >
+                        🕐 Move
+                      </button>
+                    )}
+                    {booking.canPropose && !booking.proposal && (
+                      <button
+                        onClick={() => handleStartMove(booking, 'proposal')}
+                        disabled={actionLoading === booking.id}
+                        className="btn btn-secondary hover-scale"
+                      >
+                        🕐 Propose new time
+                      </button>
+                    )}
+                    {booking.availableTransitions.map(status => {
+                      const action = TRANSITION_ACTIONS[status];
+                      return (
+                        <button
+                          key={status}
+                          onClick={() => handleStatusChange(booking.id, status)}
+                          disabled={actionLoading === booking.id}
+                          className={`btn ${action.className} hover-scale`}
+                        >
+                          {actionLoading === booking.id ? '⏳' : action.icon} {action.label}
+                        </button>
+                      );
+                    })}
                   </div>
                 )}
 
+                {moving?.bookingId === booking.id && (
+                  <form className="move-form" onSubmit={(e) => handleMoveSubmit(e, booking)}>
+                    <span className="move-form-title">
+                      {{
+                        series: 'Move the pending sessions, starting from:',
+                        proposal: `Propose a new time to ${booking.isProvider ? booking.seekerName : booking.providerName}:`,
+                        booking: 'Move this session to:'
+                      }[moving.kind]}
+                    </span>
+                    <div className="move-form-fields">
+                      <input
+                        type="date"
+                        value={moving.date}
+                        onChange={(e) => setMoving({ ...moving, date: e.target.value })}
+                        required
+                        aria-label="New date"
+                      />
+                      <input
+                        type="time"
+                        value={moving.time}
+                        onChange={(e) => setMoving({ ...moving, time: e.target.value })}
+                        required
+                        aria-label="New time"
+                      />
+                      {moving.kind === 'proposal' && (
+                        <input
+                          type="text"
+                          value={moving.reason}
+                          onChange={(e) => setMoving({ ...moving, reason: e.target.value })}
+                          maxLength={500}
+                          placeholder="Why? (optional)"
+                          aria-label="Reason"
+                        />
+                      )}
+                      <button type="submit" disabled={actionLoading === booking.id} className="btn btn-primary">
+                        {actionLoading === booking.id ? '⏳' : 'Move'}
+                      </button>
+                      <button type="button" onClick={() => setMoving(null)} className="btn btn-secondary">
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+
+                {booking.series && renderSeriesActions(booking)}
+
+                {(booking.status === 'pending' || booking.status === 'confirmed') && (
+                  <button
+                    onClick={() => handleAddToCalendar(booking.id)}
+                    className="btn-add-calendar"
+                  >
+                    📆 Add to calendar
+                  </button>
+                )}
+
                 {booking.status === 'completed' && (
                   <div className="completion-message">
                     <span className="completion-icon">🎉</span>
@@ -300,12 +770,51 @@ function BookingPage() {
                   </div>
                 )}
 
-                {booking.status === 'cancelled' && (
+                {booking.canReview && (
+                  <SessionReviewForm booking={booking} onSubmitted={fetchBookings} />
+                )}
+
+                {['cancelled', 'declined'].includes(booking.status) && (
                   <div className="cancelled-message">
                     <span className="cancelled-icon">❌</span>
-                    <span className="cancelled-text">This session was cancelled</span>
+                    <span className="cancelled-text">
+                      {booking.status === 'declined' ? 'This request was declined' : 'This session was cancelled'}
+                    </span>
+                  </div>
+                )}
+
+                {booking.status === 'no_show' && (
+                  <div className="cancelled-message">
+                    <span className="cancelled-icon">🚫</span>
+                    <span className="cancelled-text">
+                      {booking.noShowUserId === (booking.isProvider ? booking.providerId : booking.seekerId)
+                        ? 'You were reported as a no-show'
+                        : `${booking.isProvider ? booking.seekerName : booking.providerName} didn't show up`}
+                    </span>
                   </div>
                 )}
+
+                {booking.history?.length > 0 && (
+                  <details className="booking-history">
+                    <summary>History</summary>
+                    <ol>
+                      {booking.history.map((event, idx) => (
+                        <li key={idx}>
+                          <strong>
+                            {event.proposal
+                              ? PROPOSAL_EVENT_LABELS[event.proposal]
+                              : event.rescheduledTo ? 'moved' : event.from ? formatStatus(event.status) : 'requested'}
+                          </strong>
+                          {(event.rescheduledTo || event.proposedStartsAt) &&
+                            ` for ${formatDate(event.rescheduledTo || event.proposedStartsAt, viewerTimeZone)}, ${formatTime(event.rescheduledTo || event.proposedStartsAt, viewerTimeZone)}`}
+                          {' '}· {formatDate(event.changedAt, viewerTimeZone)}, {formatTime(event.changedAt, viewerTimeZone)}
+                          {event.changedByName && ` by ${event.changedByName}`}
+                          {event.reason && <span className="history-reason"> — “{event.reason}”</span>}
+                        </li>
+                      ))}
+                    </ol>
+                  </details>
+                )}
               </div>
             </div>
           ))}
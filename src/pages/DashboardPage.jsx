@@ -2,18 +2,24 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { getCurrentUser } from '../services/authService';
 import { getBookings } from '../services/bookingService';
+import { downloadBookingEvent } from '../services/calendarService';
 import { getCredits } from '../services/creditService';
 import { getUserReputation } from '../services/reviewService';
+import { getRecommendedProjects } from '../services/projectService';
 import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import { useServerEvent } from '../hooks/useServerEvent';
+import { getViewerTimeZone } from '../utils/timeZone';
 import './DashboardPage.css';
 
 function DashboardPage() {
   const currentUser = getCurrentUser();
   const visibleSections = useScrollAnimation();
+  const viewerTimeZone = getViewerTimeZone();
   const [stats, setStats] = useState({
     bookings: [],
     credits: 0,
     reputation: null,
+    recommendedProjects: [],
     loading: true
   });
 
@@ -23,22 +29,25 @@ function DashboardPage() {
 
   const fetchDashboardData = async () => {
     try {
-      const [bookingsData, creditsData, reputationData] = await Promise.all([
+      const [bookingsData, creditsData, reputationData, recommendedProjects] = await Promise.all([
         getBookings().catch(() => []),
         getCredits().catch(() => ({ balance: 0 })),
-        getUserReputation(currentUser.id).catch(() => null)
+        getUserReputation(currentUser.id).catch(() => null),
+        getRecommendedProjects(3).catch(() => [])
       ]);
 
       const completedSessions = bookingsData.filter(b => b.status === 'completed').length;
       const upcomingSessions = bookingsData.filter(
-        b => b.status === 'confirmed' && new Date(`${b.date}T${b.time}`) > new Date()
+        b => b.status === 'confirmed' && new Date(b.startsAt) > new Date()
       );
 
       setStats({
         bookings: upcomingSessions,
         completedSessions,
         credits: creditsData.balance,
+        heldCredits: creditsData.heldCredits || 0,
         reputation: reputationData,
+        recommendedProjects,
         loading: false
       });
     } catch (error) {
@@ -47,19 +56,42 @@ function DashboardPage() {
     }
   };
 
-  const formatDate = (date) => {
-    return new Date(date).toLocaleDateString('en-US', {
+  // Sessions, credits and reputation all feed the stats: reload them when any changes
+  useServerEvent('booking.updated', fetchDashboardData);
+  useServerEvent('credits.updated', fetchDashboardData);
+  useServerEvent('review.created', fetchDashboardData);
+  useServerEvent('reconnected', fetchDashboardData);
+
+  const formatDate = (instant, timeZone) => {
+    return new Date(instant).toLocaleDateString('en-US', {
+      timeZone,
       month: 'short',
       day: 'numeric'
     });
   };
 
-  const formatTime = (time) => {
-    const [hours, minutes] = time.split(':');
-    const hour = parseInt(hours);
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour % 12 || 12;
-    return `${displayHour}:${minutes} ${ampm}`;
+  const formatTime = (instant, timeZone) => {
+    return new Date(instant).toLocaleTimeString('en-US', {
+      timeZone,
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const handleAddToCalendar = async (bookingId) => {
+    try {
+      await downloadBookingEvent(bookingId);
+    } catch (err) {
+      alert(err || 'Failed to download calendar event');
+    }
+  };
+
+  // The other participant's local time, when they're in a different zone
+  const getOtherPartyTime = (booking) => {
+    const otherTimeZone = booking.isProvider ? booking.seekerTimeZone : booking.providerTimeZone;
+    if (!otherTimeZone || otherTimeZone === viewerTimeZone) return null;
+
+    return `${formatDate(booking.startsAt, otherTimeZone)} at ${formatTime(booking.startsAt, otherTimeZone)} their time`;
   };
 
   if (stats.loading) {
@@ -115,6 +147,9 @@ function DashboardPage() {
           <h3>💰 Credits Balance</h3>
           <div className="credits-display">
             <div className="credits-amount">{stats.credits}</div>
+            {stats.heldCredits > 0 && (
+              <p className="credits-held">🔒 {stats.heldCredits} held for upcoming sessions</p>
+            )}
             <p className="credits-description">
               Use credits to book premium sessions or redeem for rewards
             </p>
@@ -148,12 +183,25 @@ function DashboardPage() {
                         {booking.isProvider ? booking.seekerName : booking.providerName}
                       </strong>
                       <span className="session-time">
-                        {formatDate(booking.date)} at {formatTime(booking.time)}
+                        {formatDate(booking.startsAt, viewerTimeZone)} at {formatTime(booking.startsAt, viewerTimeZone)}
+                      </span>
+                      {getOtherPartyTime(booking) && (
+                        <span className="session-local-time">{getOtherPartyTime(booking)}</span>
+                      )}
+                    </div>
+                    <div className="session-actions">
+                      <span className={`session-badge ${booking.isProvider ? 'provider' : 'seeker'}`}>
+                        {booking.isProvider ? 'Teaching' : 'Learning'}
                       </span>
+                      <button
+                        onClick={() => handleAddToCalendar(booking.id)}
+                        className="session-calendar-btn"
+                        title="Add to calendar"
+                        aria-label="Add to calendar"
+                      >
+                        📆
+                      </button>
                     </div>
-                    <span className={`session-badge ${booking.isProvider ? 'provider' : 'seeker'}`}>
-                      {booking.isProvider ? 'Teaching' : 'Learning'}
-                    </span>
                   </div>
                 ))}
                 <Link to="/booking" className="btn btn-secondary btn-sm">
@@ -164,6 +212,37 @@ function DashboardPage() {
           </div>
         </div>
 
+        <div className={`dashboard-card hover-lift ${visibleSections.has('cards') ? 'fade-in-up delay-300' : ''}`}>
+          <h3>🚀 Projects For You</h3>
+          <div className="session-list">
+            {stats.recommendedProjects.length === 0 ? (
+              <>
+                <p className="placeholder">No open projects need your skills yet</p>
+                <Link to="/skills" className="btn btn-secondary">
+                  Add Skills You Offer
+                </Link>
+              </>
+            ) : (
+              <>
+                {stats.recommendedProjects.map((project) => (
+                  <div key={project.id} className="session-item">
+                    <div className="session-info">
+                      <strong>{project.title}</strong>
+                      <span className="session-time">
+                        Needs your {project.match.matchedSkills.map(s => s.name).join(', ')}
+                      </span>
+                    </div>
+                    <span className="match-score">{project.match.score}% match</span>
+                  </div>
+                ))}
+                <Link to="/projects" className="btn btn-secondary btn-sm">
+                  Browse Projects
+                </Link>
+              </>
+            )}
+          </div>
+        </div>
+
         <div className={`dashboard-card hover-lift ${visibleSections.has('cards') ? 'fade-in-up delay-300' : ''}`}>
           <h3>🎯 Quick Actions</h3>
           <div className="quick-actions">
@@ -175,6 +254,10 @@ function DashboardPage() {
               <span className="action-icon">🎓</span>
               <span>Manage Skills</span>
             </Link>
+            <Link to="/availability" className="action-btn hover-scale">
+              <span className="action-icon">📅</span>
+              <span>Set Availability</span>
+            </Link>
             <Link to="/search" className="action-btn hover-scale">
               <span className="action-icon">🔍</span>
               <span>Find Skills</span>
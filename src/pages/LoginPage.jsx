@@ -71,6 +71,9 @@ function LoginPage() {
               minLength="6"
               disabled={loading}
             />
+            <Link to="/forgot-password" className="forgot-password-link">
+              Forgot password?
+            </Link>
           </div>
 
           <button 
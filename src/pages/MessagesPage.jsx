@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  getConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead,
+  blockConversation,
+  unblockConversation
+} from '../services/messageService';
+import { useServerEvent } from '../hooks/useServerEvent';
+import api from '../services/api';
+import './MessagesPage.css';
+
+// Avatar URLs from the API are relative to the backend, not to the frontend
+const API_ORIGIN = api.defaults.baseURL.replace(/\/api$/, '');
+
+const getAvatarSrc = (avatarUrl) => {
+  if (!avatarUrl) return null;
+  return avatarUrl.startsWith('/') ? `${API_ORIGIN}${avatarUrl}` : avatarUrl;
+};
+
+const formatTime = (date) => {
+  const value = new Date(date);
+  const sameDay = value.toDateString() === new Date().toDateString();
+  return sameDay
+    ? value.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    : value.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+function Avatar({ user }) {
+  const src = getAvatarSrc(user.avatarUrl);
+  return src ? (
+    <img src={src} alt={user.name} className="conversation-avatar" />
+  ) : (
+    <div className="conversation-avatar placeholder">{user.name.charAt(0).toUpperCase()}</div>
+  );
+}
+
+function MessagesPage() {
+  const { conversationId } = useParams();
+  const navigate = useNavigate();
+  const [conversations, setConversations] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const threadEndRef = useRef(null);
+
+  const activeConversation = conversations.find(c => c.id === conversationId);
+
+  useEffect(() => {
+    fetchConversations().finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    setMessages([]);
+    setHasMore(false);
+    setDraft('');
+    if (conversationId) openConversation();
+  }, [conversationId]);
+
+  const fetchConversations = async () => {
+    try {
+      setConversations(await getConversations());
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const markRead = async () => {
+    const conversation = await markConversationRead(conversationId);
+    replaceConversation(conversation);
+  };
+
+  const openConversation = async () => {
+    try {
+      setThreadLoading(true);
+      setError('');
+      const data = await getMessages(conversationId);
+      setMessages(data.messages);
+      setHasMore(data.hasMore);
+      scrollToEnd();
+      await markRead();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setThreadLoading(false);
+    }
+  };
+
+  const loadOlderMessages = async () => {
+    try {
+      const data = await getMessages(conversationId, messages[0].id);
+      setMessages(current => [...data.messages, ...current]);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const replaceConversation = (updated) => {
+    setConversations(current => current.map(c => (c.id === updated.id ? updated : c)));
+  };
+
+  // The server pushes my own messages too, so the same one may arrive twice
+  const appendMessage = (message) => {
+    setMessages(current => (
+      current.some(m => m.id === message.id) ? current : [...current, message]
+    ));
+    scrollToEnd();
+  };
+
+  // New messages move their conversation to the top and land in the open thread
+  useServerEvent('message.created', ({ conversation, message }) => {
+    setConversations(current => [conversation, ...current.filter(c => c.id !== conversation.id)]);
+    if (conversation.id !== conversationId) return;
+
+    appendMessage(message);
+    if (!message.isMine) markRead().catch(err => setError(err));
+  });
+
+  // Read receipts and blocking from either side
+  useServerEvent('conversation.updated', ({ conversation }) => {
+    replaceConversation(conversation);
+    if (conversation.id !== conversationId) return;
+
+    const { otherReadAt } = conversation;
+    setMessages(current => current.map(m => ({
+      ...m,
+      seen: m.isMine && Boolean(otherReadAt) && m.createdAt <= otherReadAt
+    })));
+  });
+
+  useServerEvent('reconnected', () => {
+    fetchConversations();
+    if (conversationId) openConversation();
+  });
+
+  const scrollToEnd = () => {
+    setTimeout(() => threadEndRef.current?.scrollIntoView({ block: 'end' }), 0);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    try {
+      setSending(true);
+      setError('');
+      const message = await sendMessage(conversationId, draft);
+      appendMessage(message);
+      setDraft('');
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleToggleBlock = async () => {
+    const { otherUser, blockedByMe } = activeConversation;
+    if (!blockedByMe && !window.confirm(`Block ${otherUser.name}? Neither of you will be able to send messages.`)) return;
+
+    try {
+      setError('');
+      const conversation = blockedByMe
+        ? await unblockConversation(conversationId)
+        : await blockConversation(conversationId);
+      replaceConversation(conversation);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  // "Seen" goes under the last of my messages the other person has read
+  const lastSeenId = [...messages].reverse().find(m => m.isMine && m.seen)?.id;
+
+  if (loading) {
+    return (
+      <div className="messages-page">
+        <div className="loading-state fade-in">
+          <div className="spinner rotate"></div>
+          <p>Loading messages...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="messages-page">
+      <h1>💬 Messages</h1>
+
+      {error && <div className="error-message fade-in">{error}</div>}
+
+      <div className={`messages-layout ${conversationId ? 'thread-open' : ''}`}>
+        <aside className="conversation-list">
+          {conversations.length === 0 ? (
+            <div className="conversation-list-empty">
+              <p>No conversations yet.</p>
+              <Link to="/search" className="btn btn-primary btn-sm">Find People</Link>
+            </div>
+          ) : (
+            conversations.map(conversation => (
+              <button
+                key={conversation.id}
+                className={`conversation-item ${conversation.id === conversationId ? 'active' : ''}`}
+                onClick={() => navigate(`/messages/${conversation.id}`)}
+              >
+                <Avatar user={conversation.otherUser} />
+                <div className="conversation-summary">
+                  <div className="conversation-summary-top">
+                    <strong>{conversation.otherUser.name}</strong>
+                    {conversation.lastMessageAt && (
+                      <span className="conversation-time">{formatTime(conversation.lastMessageAt)}</span>
+                    )}
+                  </div>
+                  <p className="conversation-preview">
+                    {conversation.lastMessage
+                      ? `${conversation.lastMessage.isMine ? 'You: ' : ''}${conversation.lastMessage.body}`
+                      : 'No messages yet'}
+                  </p>
+                </div>
+                {conversation.unreadCount > 0 && (
+                  <span className="unread-badge">{conversation.unreadCount}</span>
+                )}
+              </button>
+            ))
+          )}
+        </aside>
+
+        <section className="message-thread">
+          {!activeConversation ? (
+            <div className="thread-placeholder">
+              <p>{conversationId && !threadLoading ? 'Conversation not found' : 'Select a conversation to start chatting'}</p>
+            </div>
+          ) : (
+            <>
+              <div className="thread-header">
+                <button className="thread-back" onClick={() => navigate('/messages')} aria-label="Back to conversations">
+                  ←
+                </button>
+                <Avatar user={activeConversation.otherUser} />
+                {activeConversation.otherUser.id ? (
+                  <Link to={`/users/${activeConversation.otherUser.id}`} className="thread-title">
+                    {activeConversation.otherUser.name}
+                  </Link>
+                ) : (
+                  <span className="thread-title">{activeConversation.otherUser.name}</span>
+                )}
+                <button className="btn btn-secondary btn-sm" onClick={handleToggleBlock}>
+                  {activeConversation.blockedByMe ? 'Unblock' : 'Block'}
+                </button>
+              </div>
+
+              <div className="thread-messages">
+                {hasMore && (
+                  <button className="load-older-btn" onClick={loadOlderMessages}>
+                    Load older messages
+                  </button>
+                )}
+                {threadLoading && <div className="spinner rotate"></div>}
+                {!threadLoading && messages.length === 0 && (
+                  <p className="thread-empty">Say hello to {activeConversation.otherUser.name} 👋</p>
+                )}
+                {messages.map(message => (
+                  <div key={message.id} className={`message-row ${message.isMine ? 'mine' : 'theirs'}`}>
+                    <div className="message-bubble">
+                      <p>{message.body}</p>
+                      <span className="message-time">{formatTime(message.createdAt)}</span>
+                    </div>
+                    {message.id === lastSeenId && <span className="message-seen">Seen</span>}
+                  </div>
+                ))}
+                <div ref={threadEndRef} />
+              </div>
+
+              {activeConversation.canMessage ? (
+                <form className="message-composer" onSubmit={handleSend}>
+                  <textarea
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && !e.shiftKey) handleSend(e);
+                    }}
+                    placeholder="Write a message..."
+                    rows="2"
+                    maxLength={2000}
+                    disabled={sending}
+                  />
+                  <button type="submit" className="btn btn-primary" disabled={sending || !draft.trim()}>
+                    {sending ? 'Sending...' : 'Send'}
+                  </button>
+                </form>
+              ) : (
+                <div className="thread-blocked">
+                  {activeConversation.blockedByMe
+                    ? `You blocked ${activeConversation.otherUser.name}. Unblock them to send messages.`
+                    : 'You can\'t reply to this conversation.'}
+                </div>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default MessagesPage;
@@ -2,7 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { getCurrentUser } from '../services/authService';
 import { updateProfile } from '../services/profileService';
 import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import { getBrowserTimeZone, getTimeZoneOptions } from '../utils/timeZone';
 import api from '../services/api';
+import ActiveSessions from '../components/ActiveSessions';
+import NotificationPreferences from '../components/NotificationPreferences';
 import './ProfilePage.css';
 
 function ProfilePage() {
@@ -14,8 +17,10 @@ function ProfilePage() {
     bio: '',
     location: '',
     phone: '',
-    avatar: currentUser?.avatar || ''
+    avatar: currentUser?.avatar || '',
+    timeZone: currentUser?.timeZone || getBrowserTimeZone()
   });
+  const browserTimeZone = getBrowserTimeZone();
   const [loading, setLoading] = useState(false);
   const [gettingLocation, setGettingLocation] = useState(false);
   const [uploadingAvatar, setUploadingAvatar] = useState(false);
@@ -272,6 +277,36 @@ function ProfilePage() {
               <small>Help others find you nearby. We'll use this for distance calculations.</small>
             </div>
 
+            <div className="form-group">
+              <label htmlFor="timeZone">Time Zone</label>
+              <select
+                id="timeZone"
+                name="timeZone"
+                value={profile.timeZone}
+                onChange={handleChange}
+                disabled={loading}
+              >
+                {getTimeZoneOptions(profile.timeZone).map(zone => (
+                  <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+              <small>
+                Session times and your availability hours use this time zone.
+                {profile.timeZone !== browserTimeZone && (
+                  <> Your device is set to {browserTimeZone}.{' '}
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => setProfile({ ...profile, timeZone: browserTimeZone })}
+                      disabled={loading}
+                    >
+                      Use it
+                    </button>
+                  </>
+                )}
+              </small>
+            </div>
+
             <div className="form-group">
               <label htmlFor="bio">Bio</label>
               <textarea
@@ -295,6 +330,10 @@ function ProfilePage() {
           </div>
         </div>
       </form>
+
+      <NotificationPreferences />
+
+      <ActiveSessions />
     </div>
   );
 }
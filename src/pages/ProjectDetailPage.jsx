@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { getProject } from '../services/projectService';
+import { getTasks, createTask, updateTask, deleteTask } from '../services/taskService';
+import { getCurrentUser } from '../services/authService';
+import TaskModal, { TASK_COLUMNS } from '../components/TaskModal';
+import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import { useServerEvent } from '../hooks/useServerEvent';
+import { STATUS_META } from '../utils/projectStatus';
+import './ProjectDetailPage.css';
+
+// YYYY-MM-DD in the browser's local calendar, to compare with due dates
+const todayKey = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const formatDueDate = (dueDate) => (
+  new Date(`${dueDate}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+);
+
+function ProjectDetailPage() {
+  const { id } = useParams();
+  const currentUser = getCurrentUser();
+  const visibleSections = useScrollAnimation();
+  const [project, setProject] = useState(null);
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [editingTask, setEditingTask] = useState(null);
+  const [newTaskStatus, setNewTaskStatus] = useState(null);
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [onlyMine, setOnlyMine] = useState(false);
+
+  useEffect(() => {
+    fetchProject();
+  }, [id]);
+
+  const fetchProject = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const projectData = await getProject(id);
+      setProject(projectData);
+      // Only the team can see the board
+      setTasks(projectData.myRole ? await getTasks(id) : []);
+    } catch (err) {
+      setError(err || 'Failed to load project');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Keep the team summary current as people join and leave
+  useServerEvent('project.updated', ({ project: updated }) => {
+    if (updated.id === id) setProject(updated);
+  });
+
+  const replaceTask = (updated) => {
+    setTasks(current => current.map(t => (t.id === updated.id ? updated : t)));
+  };
+
+  const handleCreateTask = async (taskData) => {
+    const data = await createTask(id, taskData);
+    setTasks(current => [...current, data.task]);
+  };
+
+  const handleEditTask = async (taskData) => {
+    const data = await updateTask(id, editingTask.id, taskData);
+    replaceTask(data.task);
+  };
+
+  const handleDeleteTask = async (task) => {
+    await deleteTask(id, task.id);
+    setTasks(current => current.filter(t => t.id !== task.id));
+  };
+
+  // Dropping a card on a column moves it there straight away, and back if the API refuses
+  const handleDrop = async (status) => {
+    const task = tasks.find(t => t.id === draggedTaskId);
+    setDraggedTaskId(null);
+    if (!task || task.status === status) return;
+
+    replaceTask({ ...task, status });
+    try {
+      const data = await updateTask(id, task.id, { status });
+      replaceTask(data.task);
+    } catch (err) {
+      replaceTask(task);
+      setError(err.message || 'Failed to move task');
+    }
+  };
+
+  const canDeleteTask = (task) => (
+    task.createdBy === currentUser?.id || project.myRole === 'owner' || project.myRole === 'maintainer'
+  );
+
+  if (loading) {
+    return (
+      <div className="project-detail-page">
+        <div className="loading-state fade-in">
+          <div className="spinner rotate"></div>
+          <p>Loading project...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!project) {
+    return (
+      <div className="project-detail-page">
+        <div className="error-message fade-in">{error || 'Project not found'}</div>
+        <Link to="/projects" className="btn btn-secondary">← Back to Projects</Link>
+      </div>
+    );
+  }
+
+  const isMember = Boolean(project.myRole);
+  const readOnly = project.status === 'archived';
+  const today = todayKey();
+  const visibleTasks = onlyMine ? tasks.filter(t => t.assigneeId === currentUser?.id) : tasks;
+
+  return (
+    <div className="project-detail-page">
+      <Link to="/projects" className="back-link">← All Projects</Link>
+
+      <header className="project-detail-header" data-section="header">
+        <div className={visibleSections.has('header') ? 'fade-in-left' : ''}>
+          <span className={`project-status-pill status-${project.status}`}>
+            {STATUS_META[project.status].icon} {STATUS_META[project.status].label}
+          </span>
+          <h1>{project.title}</h1>
+          <p className="project-detail-description">{project.description}</p>
+          {project.skills.length > 0 && (
+            <div className="project-detail-skills">
+              {project.skills.map(skill => (
+                <span key={skill} className="skill-tag">{skill}</span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <aside className={`project-team-summary ${visibleSections.has('header') ? 'fade-in-right' : ''}`}>
+          <h3>👥 Team ({project.members.length}{project.maxMembers ? ` / ${project.maxMembers}` : ''})</h3>
+          <ul>
+            {project.members.map(member => (
+              <li key={member.userId}>
+                <Link to={`/users/${member.userId}`}>{member.name}</Link>
+                {member.role !== 'member' && <span className="team-role">{member.role}</span>}
+              </li>
+            ))}
+          </ul>
+        </aside>
+      </header>
+
+      {error && <div className="error-message fade-in">{error}</div>}
+
+      {!isMember ? (
+        <div className="board-locked fade-in">
+          <p>🔒 The task board is only visible to the project team.</p>
+          <Link to="/projects" className="btn btn-primary">Find Projects to Join</Link>
+        </div>
+      ) : (
+        <section className="task-board-section" data-section="board">
+          <div className="task-board-toolbar">
+            <h2>Task Board</h2>
+            <label className="only-mine-toggle">
+              <input
+                type="checkbox"
+                checked={onlyMine}
+                onChange={(e) => setOnlyMine(e.target.checked)}
+              />
+              Only my tasks
+            </label>
+            {readOnly && <span className="board-readonly">Archived projects are read-only</span>}
+          </div>
+
+          <div className="task-board">
+            {TASK_COLUMNS.map((column, index) => {
+              const columnTasks = visibleTasks.filter(t => t.status === column.status);
+              return (
+                <div
+                  key={column.status}
+                  className={`task-column ${visibleSections.has('board') ? 'fade-in-up' : ''}`}
+                  style={{ animationDelay: `${index * 0.1}s` }}
+                  onDragOver={(e) => !readOnly && e.preventDefault()}
+                  onDrop={() => handleDrop(column.status)}
+                >
+                  <div className="task-column-header">
+                    <h3>{column.label}</h3>
+                    <span className="task-count">{columnTasks.length}</span>
+                    {!readOnly && (
+                      <button
+                        className="add-task-btn"
+                        onClick={() => setNewTaskStatus(column.status)}
+                        title={`Add a task to ${column.label}`}
+                        aria-label={`Add a task to ${column.label}`}
+                      >
+                        +
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="task-list">
+                    {columnTasks.map(task => (
+                      <div
+                        key={task.id}
+                        className={`task-card ${draggedTaskId === task.id ? 'dragging' : ''}`}
+                        draggable={!readOnly}
+                        onDragStart={() => setDraggedTaskId(task.id)}
+                        onDragEnd={() => setDraggedTaskId(null)}
+                        onClick={() => !readOnly && setEditingTask(task)}
+                      >
+                        <h4>{task.title}</h4>
+                        {task.requiredSkill && <span className="skill-tag">{task.requiredSkill}</span>}
+                        <div className="task-card-meta">
+                          <span className={task.assigneeId ? 'task-assignee' : 'task-assignee unassigned'}>
+                            {task.assigneeName || 'Unassigned'}
+                          </span>
+                          {task.dueDate && (
+                            <span
+                              className={`task-due ${task.status !== 'done' && task.dueDate < today ? 'overdue' : ''}`}
+                            >
+                              📅 {formatDueDate(task.dueDate)}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {columnTasks.length === 0 && <p className="task-column-empty">No tasks</p>}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      <TaskModal
+        isOpen={Boolean(newTaskStatus)}
+        defaultStatus={newTaskStatus}
+        members={project.members}
+        onClose={() => setNewTaskStatus(null)}
+        onSubmit={handleCreateTask}
+      />
+
+      <TaskModal
+        isOpen={Boolean(editingTask)}
+        task={editingTask}
+        members={project.members}
+        onClose={() => setEditingTask(null)}
+        onSubmit={handleEditTask}
+        onDelete={editingTask && canDeleteTask(editingTask) ? handleDeleteTask : null}
+      />
+    </div>
+  );
+}
+
+export default ProjectDetailPage;
@@ -1,30 +1,76 @@
 import React, { useState, useEffect } from 'react';
-import { getProjects, createProject, joinProject } from '../services/projectService';
+import { Link } from 'react-router-dom';
+import {
+  getProjects,
+  getRecommendedProjects,
+  createProject,
+  updateProject,
+  changeProjectStatus,
+  deleteProject,
+  joinProject,
+  withdrawJoinRequest,
+  leaveProject
+} from '../services/projectService';
 import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import { useServerEvent } from '../hooks/useServerEvent';
+import { getFormErrors } from '../utils/formErrors';
+import ProjectTeamModal from '../components/ProjectTeamModal';
+import CreateProjectModal from '../components/CreateProjectModal';
+import { STATUS_META } from '../utils/projectStatus';
 import './ProjectsPage.css';
 
+// "Current" leaves out completed and archived projects
+const STATUS_FILTERS = [
+  { value: '', label: 'Current' },
+  { value: 'recruiting', label: 'Recruiting' },
+  { value: 'active', label: 'Active' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'archived', label: 'Archived' },
+  { value: 'draft', label: 'My Drafts' }
+];
+
 function ProjectsPage() {
   const visibleSections = useScrollAnimation();
   const [projects, setProjects] = useState([]);
+  const [recommended, setRecommended] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [joinLoading, setJoinLoading] = useState(null);
+  const [teamProjectId, setTeamProjectId] = useState(null);
+  const [editingProject, setEditingProject] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
   const [newProject, setNewProject] = useState({
     title: '',
     description: '',
     skills: '',
-    location: ''
+    location: '',
+    maxMembers: '',
+    status: 'recruiting'
   });
 
   useEffect(() => {
     fetchProjects();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchRecommended();
   }, []);
 
+  // Not worth an error banner: the page works fine without suggestions
+  const fetchRecommended = async () => {
+    try {
+      setRecommended(await getRecommendedProjects(3));
+    } catch (err) {
+      console.error('Failed to fetch recommended projects:', err);
+    }
+  };
+
   const fetchProjects = async () => {
     try {
       setLoading(true);
-      const data = await getProjects();
+      const data = await getProjects(statusFilter);
       setProjects(data);
     } catch (err) {
       setError(err || 'Failed to fetch projects');
@@ -38,40 +84,227 @@ function ProjectsPage() {
       ...newProject,
       [e.target.name]: e.target.value
     });
+    if (fieldErrors[e.target.name]) {
+      setFieldErrors({ ...fieldErrors, [e.target.name]: '' });
+    }
   };
 
   const handleCreateProject = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
 
     try {
       const projectData = {
         ...newProject,
-        skills: newProject.skills.split(',').map(s => s.trim()).filter(Boolean)
+        skills: newProject.skills.split(',').map(s => s.trim()).filter(Boolean),
+        maxMembers: newProject.maxMembers || undefined
       };
 
       await createProject(projectData);
-      setNewProject({ title: '', description: '', skills: '', location: '' });
+      setNewProject({ title: '', description: '', skills: '', location: '', maxMembers: '', status: 'recruiting' });
       setShowCreateForm(false);
       await fetchProjects();
     } catch (err) {
-      setError(err || 'Failed to create project');
+      const { fields, message } = getFormErrors(err, ['title', 'description', 'skills', 'location', 'maxMembers', 'status']);
+      setFieldErrors(fields);
+      setError(message);
+    }
+  };
+
+  // Replace one project in the list with the copy returned by the API
+  const replaceProject = (updated) => {
+    setProjects(current => current.map(p => (p.id === updated.id ? updated : p)));
+  };
+
+  // Join requests and team changes made by others show up without a reload
+  useServerEvent('project.updated', ({ project }) => replaceProject(project));
+  useServerEvent('reconnected', fetchProjects);
+
+  const handleJoinProject = async (project) => {
+    const message = window.prompt(
+      `Tell the ${project.title} team why you'd like to join (optional):`,
+      ''
+    );
+    if (message === null) return;
+
+    setJoinLoading(project.id);
+    try {
+      const data = await joinProject(project.id, message);
+      replaceProject(data.project);
+      fetchRecommended();
+    } catch (err) {
+      setError(err || 'Failed to send join request');
+    } finally {
+      setJoinLoading(null);
     }
   };
 
-  const handleJoinProject = async (projectId) => {
+  const handleWithdrawRequest = async (projectId) => {
     setJoinLoading(projectId);
     try {
-      await joinProject(projectId);
-      await fetchProjects();
-      alert('Successfully joined project! 🎉');
+      const data = await withdrawJoinRequest(projectId);
+      replaceProject(data.project);
+    } catch (err) {
+      setError(err || 'Failed to withdraw join request');
+    } finally {
+      setJoinLoading(null);
+    }
+  };
+
+  const handleLeaveProject = async (project) => {
+    if (!window.confirm(`Leave ${project.title}?`)) return;
+
+    setJoinLoading(project.id);
+    try {
+      const data = await leaveProject(project.id);
+      replaceProject(data.project);
     } catch (err) {
-      setError(err || 'Failed to join project');
+      setError(err || 'Failed to leave project');
     } finally {
       setJoinLoading(null);
     }
   };
 
+  const handleEditProject = async (projectData) => {
+    const data = await updateProject(editingProject.id, projectData);
+    replaceProject(data.project);
+  };
+
+  const handleStatusChange = async (project, status) => {
+    const note = window.prompt(
+      `Move ${project.title} to ${STATUS_META[status].label.toLowerCase()}? Add a note for the team (optional):`,
+      ''
+    );
+    if (note === null) return;
+
+    try {
+      await changeProjectStatus(project.id, status, note);
+      // The project may no longer belong in the current filter
+      await fetchProjects();
+    } catch (err) {
+      setError(err || 'Failed to change project status');
+    }
+  };
+
+  const handleDeleteProject = async (project) => {
+    if (!window.confirm(`Delete ${project.title}? It will disappear for everyone.`)) return;
+
+    try {
+      await deleteProject(project.id);
+      setProjects(current => current.filter(p => p.id !== project.id));
+    } catch (err) {
+      setError(err || 'Failed to delete project');
+    }
+  };
+
+  // The footer action depends on where the viewer stands with the project
+  const renderProjectAction = (project) => {
+    const busy = joinLoading === project.id;
+    const canManage = project.myRole === 'owner' || project.myRole === 'maintainer';
+
+    if (canManage) {
+      return (
+        <div className="project-actions">
+          <Link to={`/projects/${project.id}`} className="btn btn-secondary hover-scale">
+            <span className="btn-icon">📋</span>
+            Board
+          </Link>
+          <button
+            onClick={() => setTeamProjectId(project.id)}
+            className="btn btn-primary hover-scale"
+          >
+            <span className="btn-icon">🛠️</span>
+            Manage Team
+            {project.pendingRequestCount > 0 && (
+              <span className="pending-count">{project.pendingRequestCount} pending</span>
+            )}
+          </button>
+        </div>
+      );
+    }
+
+    if (project.myRole) {
+      return (
+        <div className="project-actions">
+          <Link to={`/projects/${project.id}`} className="btn btn-secondary hover-scale">
+            <span className="btn-icon">📋</span>
+            Board
+          </Link>
+          <button
+            onClick={() => setTeamProjectId(project.id)}
+            className="btn btn-secondary hover-scale"
+          >
+            <span className="btn-icon">👥</span>
+            Team
+          </button>
+          <button
+            onClick={() => handleLeaveProject(project)}
+            disabled={busy}
+            className="btn btn-secondary hover-scale"
+          >
+            {busy ? 'Leaving...' : 'Leave'}
+          </button>
+        </div>
+      );
+    }
+
+    if (project.myJoinRequest?.status === 'pending') {
+      return (
+        <div className="project-actions">
+          <span className="request-pending">⏳ Request pending</span>
+          <button
+            onClick={() => handleWithdrawRequest(project.id)}
+            disabled={busy}
+            className="btn btn-secondary hover-scale"
+          >
+            {busy ? 'Withdrawing...' : 'Withdraw'}
+          </button>
+        </div>
+      );
+    }
+
+    if (!project.isJoinable) {
+      return (
+        <button disabled className="btn btn-secondary btn-join">
+          <span className="btn-icon">🚫</span>
+          Not Taking Members
+        </button>
+      );
+    }
+
+    if (project.isFull) {
+      return (
+        <button disabled className="btn btn-secondary btn-join">
+          <span className="btn-icon">🔒</span>
+          Team Full
+        </button>
+      );
+    }
+
+    return (
+      <button
+        onClick={() => handleJoinProject(project)}
+        disabled={busy}
+        className="btn btn-primary btn-join hover-scale"
+      >
+        {busy ? (
+          <>
+            <span className="spinner-small rotate"></span>
+            Sending...
+          </>
+        ) : (
+          <>
+            <span className="btn-icon">🤝</span>
+            Request to Join
+          </>
+        )}
+      </button>
+    );
+  };
+
+  const teamProject = projects.find(p => p.id === teamProjectId);
+
   if (loading) {
     return (
       <div className="projects-page">
@@ -94,7 +327,9 @@ function ProjectsPage() {
           <div className="stat-badge">
             <span className="stat-icon">🚀</span>
             <span className="stat-number">{projects.length}</span>
-            <span className="stat-label">Active Projects</span>
+            <span className="stat-label">
+              {STATUS_FILTERS.find(f => f.value === statusFilter).label} Projects
+            </span>
           </div>
         </div>
       </div>
@@ -128,7 +363,7 @@ function ProjectsPage() {
           </div>
           
           <form onSubmit={handleCreateProject} className="create-form">
-            <div className="form-group">
+            <div className={`form-group ${fieldErrors.title ? 'has-error' : ''}`}>
               <label htmlFor="title">
                 <span className="label-icon">📝</span>
                 Project Title *
@@ -143,9 +378,10 @@ function ProjectsPage() {
                 required
                 className="form-input"
               />
+              {fieldErrors.title && <span className="field-error">{fieldErrors.title}</span>}
             </div>
 
-            <div className="form-group">
+            <div className={`form-group ${fieldErrors.description ? 'has-error' : ''}`}>
               <label htmlFor="description">
                 <span className="label-icon">📄</span>
                 Description *
@@ -160,10 +396,11 @@ function ProjectsPage() {
                 required
                 className="form-textarea"
               />
+              {fieldErrors.description && <span className="field-error">{fieldErrors.description}</span>}
             </div>
 
             <div className="form-row">
-              <div className="form-group">
+              <div className={`form-group ${fieldErrors.skills ? 'has-error' : ''}`}>
                 <label htmlFor="skills">
                   <span className="label-icon">🎯</span>
                   Required Skills
@@ -178,9 +415,10 @@ function ProjectsPage() {
                   className="form-input"
                 />
                 <small>Separate skills with commas</small>
+                {fieldErrors.skills && <span className="field-error">{fieldErrors.skills}</span>}
               </div>
 
-              <div className="form-group">
+              <div className={`form-group ${fieldErrors.location ? 'has-error' : ''}`}>
                 <label htmlFor="location">
                   <span className="label-icon">📍</span>
                   Location
@@ -194,9 +432,49 @@ function ProjectsPage() {
                   placeholder="Remote, New York, etc."
                   className="form-input"
                 />
+                {fieldErrors.location && <span className="field-error">{fieldErrors.location}</span>}
+              </div>
+
+              <div className={`form-group ${fieldErrors.maxMembers ? 'has-error' : ''}`}>
+                <label htmlFor="maxMembers">
+                  <span className="label-icon">👥</span>
+                  Team Size
+                </label>
+                <input
+                  type="number"
+                  id="maxMembers"
+                  name="maxMembers"
+                  value={newProject.maxMembers}
+                  onChange={handleChange}
+                  min="2"
+                  max="100"
+                  placeholder="No limit"
+                  className="form-input"
+                />
+                <small>Including you. Leave empty for no limit</small>
+                {fieldErrors.maxMembers && <span className="field-error">{fieldErrors.maxMembers}</span>}
               </div>
             </div>
 
+            <div className={`form-group ${fieldErrors.status ? 'has-error' : ''}`}>
+              <label htmlFor="status">
+                <span className="label-icon">🚦</span>
+                Start As
+              </label>
+              <select
+                id="status"
+                name="status"
+                value={newProject.status}
+                onChange={handleChange}
+                className="form-input"
+              >
+                <option value="recruiting">Recruiting – open for join requests</option>
+                <option value="active">Active – already under way, still open to join</option>
+                <option value="draft">Draft – only visible to you until you publish it</option>
+              </select>
+              {fieldErrors.status && <span className="field-error">{fieldErrors.status}</span>}
+            </div>
+
             <div className="form-actions">
               <button type="submit" className="btn btn-primary hover-scale">
                 <span className="btn-icon">🚀</span>
@@ -214,20 +492,71 @@ function ProjectsPage() {
         </div>
       )}
 
+      {!statusFilter && recommended.length > 0 && (
+        <section className="recommended-section fade-in">
+          <h2>🎯 Projects That Need Your Skills</h2>
+          <div className="recommended-list">
+            {recommended.map(project => (
+              <div key={project.id} className="recommended-card hover-lift">
+                <div className="recommended-header">
+                  <h3>{project.title}</h3>
+                  <span className="match-score">{project.match.score}% match</span>
+                </div>
+                <p className="recommended-skills">
+                  You offer: <strong>{project.match.matchedSkills.map(s => s.name).join(', ')}</strong>
+                </p>
+                {project.match.missingSkills.length > 0 && (
+                  <p className="recommended-skills">
+                    Also needed: {project.match.missingSkills.join(', ')}
+                  </p>
+                )}
+                <button
+                  onClick={() => handleJoinProject(project)}
+                  disabled={joinLoading === project.id}
+                  className="btn btn-primary btn-sm"
+                >
+                  {joinLoading === project.id ? 'Sending...' : '🤝 Request to Join'}
+                </button>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      <div className="status-filters">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.value}
+            onClick={() => setStatusFilter(filter.value)}
+            className={`status-filter ${statusFilter === filter.value ? 'active' : ''}`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
       <div className="projects-grid" data-section="projects">
         {projects.length === 0 ? (
-          <div className="empty-state fade-in">
-            <div className="empty-icon">📁</div>
-            <h3>No Projects Yet</h3>
-            <p>Be the first to create a collaborative project!</p>
-            <button
-              onClick={() => setShowCreateForm(true)}
-              className="btn btn-primary btn-lg hover-scale"
-            >
-              <span className="btn-icon">➕</span>
-              Create First Project
-            </button>
-          </div>
+          statusFilter ? (
+            <div className="empty-state fade-in">
+              <div className="empty-icon">📁</div>
+              <h3>No {STATUS_FILTERS.find(f => f.value === statusFilter).label} Projects</h3>
+              <p>Try another filter to see more projects.</p>
+            </div>
+          ) : (
+            <div className="empty-state fade-in">
+              <div className="empty-icon">📁</div>
+              <h3>No Projects Yet</h3>
+              <p>Be the first to create a collaborative project!</p>
+              <button
+                onClick={() => setShowCreateForm(true)}
+                className="btn btn-primary btn-lg hover-scale"
+              >
+                <span className="btn-icon">➕</span>
+                Create First Project
+              </button>
+            </div>
+          )
         ) : (
           projects.map((project, index) => (
             <div
@@ -236,18 +565,22 @@ function ProjectsPage() {
               style={{ animationDelay: `${index * 0.1}s` }}
             >
               <div className="project-card-header">
-                <div className="project-status-badge">
-                  <span className="status-icon">🟢</span>
-                  <span className="status-text">{project.status || 'Active'}</span>
+                <div className={`project-status-badge status-${project.status}`}>
+                  <span className="status-icon">{STATUS_META[project.status].icon}</span>
+                  <span className="status-text">{STATUS_META[project.status].label}</span>
                 </div>
                 <div className="member-count-badge">
                   <span className="member-icon">👥</span>
-                  <span className="member-count">{project.members?.length || 0}</span>
+                  <span className="member-count">
+                    {project.members.length}{project.maxMembers ? ` / ${project.maxMembers}` : ''}
+                  </span>
                 </div>
               </div>
 
               <div className="project-card-body">
-                <h3 className="project-title">{project.title}</h3>
+                <h3 className="project-title">
+                  <Link to={`/projects/${project.id}`}>{project.title}</Link>
+                </h3>
                 <p className="project-description">{project.description}</p>
 
                 {project.skills && project.skills.length > 0 && (
@@ -266,7 +599,7 @@ function ProjectsPage() {
                 <div className="project-meta">
                   <div className="meta-item">
                     <span className="meta-icon">👤</span>
-                    <span className="meta-text">Created by <strong>{project.creatorName}</strong></span>
+                    <span className="meta-text">Owned by <strong>{project.ownerName}</strong></span>
                   </div>
                   {project.location && (
                     <div className="meta-item">
@@ -275,31 +608,79 @@ function ProjectsPage() {
                     </div>
                   )}
                 </div>
+
+                {project.statusHistory.length > 1 && (
+                  <details className="status-history">
+                    <summary>Status history</summary>
+                    <ul>
+                      {project.statusHistory.map((change, idx) => (
+                        <li key={idx}>
+                          <strong>{STATUS_META[change.status].label}</strong>
+                          {' '}· {new Date(change.changedAt).toLocaleDateString()} by {change.changedByName}
+                          {change.note && <span className="history-note"> – {change.note}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
               </div>
 
-              <div className="project-card-footer">
-                <button
-                  onClick={() => handleJoinProject(project.id)}
-                  disabled={joinLoading === project.id}
-                  className="btn btn-primary btn-join hover-scale"
-                >
-                  {joinLoading === project.id ? (
-                    <>
-                      <span className="spinner-small rotate"></span>
-                      Joining...
-                    </>
-                  ) : (
-                    <>
-                      <span className="btn-icon">🤝</span>
-                      Join Project
-                    </>
+              {(project.canEdit || project.myRole === 'owner') && (
+                <div className="project-manage-bar">
+                  {project.canEdit && (
+                    <button
+                      onClick={() => setEditingProject(project)}
+                      className="btn btn-secondary btn-sm"
+                    >
+                      ✏️ Edit
+                    </button>
                   )}
-                </button>
+                  {project.nextStatuses.length > 0 && (
+                    <select
+                      value=""
+                      onChange={(e) => handleStatusChange(project, e.target.value)}
+                      className="status-select"
+                    >
+                      <option value="" disabled>Move to…</option>
+                      {project.nextStatuses.map(status => (
+                        <option key={status} value={status}>
+                          {STATUS_META[status].icon} {STATUS_META[status].label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  {project.myRole === 'owner' && (
+                    <button
+                      onClick={() => handleDeleteProject(project)}
+                      className="btn btn-secondary btn-sm btn-delete"
+                    >
+                      🗑️ Delete
+                    </button>
+                  )}
+                </div>
+              )}
+
+              <div className="project-card-footer">
+                {renderProjectAction(project)}
               </div>
             </div>
           ))
         )}
       </div>
+
+      <ProjectTeamModal
+        isOpen={!!teamProject}
+        project={teamProject}
+        onClose={() => setTeamProjectId(null)}
+        onProjectChange={replaceProject}
+      />
+
+      <CreateProjectModal
+        isOpen={!!editingProject}
+        project={editingProject}
+        onClose={() => setEditingProject(null)}
+        onSubmit={handleEditProject}
+      />
     </div>
   );
 }
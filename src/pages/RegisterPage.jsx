@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { register } from '../services/authService';
+import { getBrowserTimeZone } from '../utils/timeZone';
+import { getFormErrors } from '../utils/formErrors';
 import './AuthPages.css';
 
 function RegisterPage() {
@@ -11,6 +13,7 @@ function RegisterPage() {
     confirmPassword: '',
   });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
@@ -20,11 +23,15 @@ function RegisterPage() {
       [e.target.name]: e.target.value,
     });
     if (error) setError('');
+    if (fieldErrors[e.target.name]) {
+      setFieldErrors({ ...fieldErrors, [e.target.name]: '' });
+    }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setFieldErrors({});
 
     if (formData.password !== formData.confirmPassword) {
       setError('Passwords do not match');
@@ -43,11 +50,14 @@ function RegisterPage() {
         name: formData.name,
         email: formData.email,
         password: formData.password,
+        timeZone: getBrowserTimeZone(),
       });
       
       navigate('/dashboard');
     } catch (err) {
-      setError(err || 'Registration failed. Please try again.');
+      const { fields, message } = getFormErrors(err, ['name', 'email', 'password']);
+      setFieldErrors(fields);
+      setError(message);
     } finally {
       setLoading(false);
     }
@@ -62,7 +72,7 @@ function RegisterPage() {
         {error && <div className="error-message">{error}</div>}
 
         <form onSubmit={handleSubmit} className="auth-form">
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.name ? 'has-error' : ''}`}>
             <label htmlFor="name">Full Name</label>
             <input
               type="text"
@@ -74,9 +84,10 @@ function RegisterPage() {
               placeholder="John Doe"
               disabled={loading}
             />
+            {fieldErrors.name && <span className="field-error">{fieldErrors.name}</span>}
           </div>
 
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.email ? 'has-error' : ''}`}>
             <label htmlFor="email">Email</label>
             <input
               type="email"
@@ -88,9 +99,10 @@ function RegisterPage() {
               placeholder="your@email.com"
               disabled={loading}
             />
+            {fieldErrors.email && <span className="field-error">{fieldErrors.email}</span>}
           </div>
 
-          <div className="form-group">
+          <div className={`form-group ${fieldErrors.password ? 'has-error' : ''}`}>
             <label htmlFor="password">Password</label>
             <input
               type="password"
@@ -103,6 +115,7 @@ function RegisterPage() {
               minLength="6"
               disabled={loading}
             />
+            {fieldErrors.password && <span className="field-error">{fieldErrors.password}</span>}
           </div>
 
           <div className="form-group">
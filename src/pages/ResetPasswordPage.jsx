@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { resetPassword } from '../services/authService';
+import './AuthPages.css';
+
+function ResetPasswordPage() {
+  const { token } = useParams();
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const data = await resetPassword(token, formData.password);
+
+      // Every session was signed out, including this browser's
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+
+      setSuccess(data.message);
+    } catch (err) {
+      setError(err || 'Failed to reset password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <h1>Reset Password</h1>
+        <p className="subtitle">Choose a new password for your account</p>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {success ? (
+          <>
+            <div className="success-message">{success}</div>
+            <Link to="/login" className="btn btn-primary btn-full">
+              Go to Login
+            </Link>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="password">New Password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                placeholder="••••••••"
+                minLength="6"
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm New Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                placeholder="••••••••"
+                minLength="6"
+                disabled={loading}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-full"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <p className="auth-footer">
+          Link expired?{' '}
+          <Link to="/forgot-password">Request a new one</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPasswordPage;
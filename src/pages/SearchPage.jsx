@@ -1,18 +1,24 @@
 import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { searchUsers } from '../services/profileService';
-import { createBooking } from '../services/bookingService';
+import { createBooking, createBookingSeries } from '../services/bookingService';
+import { startConversation } from '../services/messageService';
 import BookingModal from '../components/BookingModal';
+import UpcomingWorkshops from '../components/UpcomingWorkshops';
 import MapComponent from '../components/MapComponent';
 import api from '../services/api';
 import './SearchPage.css';
 
 function SearchPage() {
+  const navigate = useNavigate();
   const [searchQuery, setSearchQuery] = useState('');
   const [searchType, setSearchType] = useState('offering');
   const [radius, setRadius] = useState(50);
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searched, setSearched] = useState(false);
+  // The skill last searched for, which workshops are narrowed down to
+  const [searchedSkill, setSearchedSkill] = useState('');
   const [error, setError] = useState('');
   const [currentLocation, setCurrentLocation] = useState(null);
   const [locationPermission, setLocationPermission] = useState('prompt');
@@ -68,6 +74,7 @@ function SearchPage() {
       setLoading(true);
       setError('');
       setSearched(true);
+      setSearchedSkill(searchQuery.trim());
       
       let data;
       if (currentLocation) {
@@ -95,6 +102,15 @@ function SearchPage() {
     }
   };
 
+  const handleMessageClick = async (user) => {
+    try {
+      const conversation = await startConversation(user.id);
+      navigate(`/messages/${conversation.id}`);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
   const handleConnectClick = (user) => {
     setSelectedProvider(user);
     setIsBookingModalOpen(true);
@@ -102,12 +118,11 @@ function SearchPage() {
 
   const handleBookingSubmit = async (bookingData) => {
     try {
-      await createBooking({
-        providerId: selectedProvider.id,
-        ...bookingData
-      });
+      const data = bookingData.frequency
+        ? await createBookingSeries({ providerId: selectedProvider.id, ...bookingData })
+        : await createBooking({ providerId: selectedProvider.id, ...bookingData });
       
-      alert('Booking request sent successfully!');
+      alert(bookingData.frequency ? `${data.message}!` : 'Booking request sent successfully!');
       setIsBookingModalOpen(false);
     } catch (err) {
       throw err;
@@ -251,7 +266,11 @@ function SearchPage() {
                   </div>
 
                   <div className="user-info">
-                    <h3>{user.name}</h3>
+                    <h3>
+                      <Link to={`/users/${user.id}`} className="user-name-link">
+                        {user.name}
+                      </Link>
+                    </h3>
                     {user.distance !== undefined && (
                       <p className="location">📍 {user.distance} km away</p>
                     )}
@@ -283,6 +302,18 @@ function SearchPage() {
                   >
                     📅 Book Session
                   </button>
+                  <button
+                    className="btn btn-secondary btn-view-profile"
+                    onClick={() => handleMessageClick(user)}
+                  >
+                    💬 Message
+                  </button>
+                  <Link
+                    to={`/users/${user.id}`}
+                    className="btn btn-secondary btn-view-profile"
+                  >
+                    👤 View Profile
+                  </Link>
                 </div>
               ))}
             </div>
@@ -298,10 +329,13 @@ function SearchPage() {
         </div>
       )}
 
+      <UpcomingWorkshops skill={searchedSkill} />
+
       <BookingModal
         isOpen={isBookingModalOpen}
         onClose={() => setIsBookingModalOpen(false)}
         onSubmit={handleBookingSubmit}
+        providerId={selectedProvider?.id}
         providerName={selectedProvider?.name || ''}
       />
     </div>
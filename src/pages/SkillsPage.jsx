@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { getSkills, addSkill, deleteSkill } from '../services/skillService';
 import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import SkillAutocomplete from '../components/SkillAutocomplete';
+import { getFormErrors } from '../utils/formErrors';
 import './SkillsPage.css';
 
 function SkillsPage() {
@@ -16,6 +18,7 @@ function SkillsPage() {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [success, setSuccess] = useState('');
   const [deleteLoading, setDeleteLoading] = useState(null);
   const [activeTab, setActiveTab] = useState('all');
@@ -39,23 +42,31 @@ function SkillsPage() {
       [e.target.name]: e.target.value
     });
     if (error) setError('');
+    if (fieldErrors[e.target.name]) {
+      setFieldErrors({ ...fieldErrors, [e.target.name]: '' });
+    }
   };
 
   const handleAddSkill = async (e) => {
     e.preventDefault();
     
     if (!newSkill.skillName.trim()) {
-      setError('Skill name is required');
+      setFieldErrors({ skillName: 'Skill name is required' });
       return;
     }
 
     setLoading(true);
     setError('');
+    setFieldErrors({});
     setSuccess('');
 
     try {
-      await addSkill(newSkill);
-      setSuccess('✅ Skill added successfully! +2 credits earned');
+      const data = await addSkill(newSkill);
+      setSuccess(
+        data.creditsEarned > 0
+          ? `✅ ${data.skill.skillName} added successfully! +${data.creditsEarned} credits earned`
+          : `✅ ${data.skill.skillName} added successfully!`
+      );
       setNewSkill({
         skillName: '',
         type: 'offering',
@@ -65,7 +76,9 @@ function SkillsPage() {
       
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
-      setError(err || 'Failed to add skill');
+      const { fields, message } = getFormErrors(err, ['skillName', 'type', 'proficiency']);
+      setFieldErrors(fields);
+      setError(message);
     } finally {
       setLoading(false);
     }
@@ -138,30 +151,33 @@ function SkillsPage() {
       <div className="add-skill-section" data-section="add-skill">
         <div className={`add-skill-header ${visibleSections.has('add-skill') ? 'fade-in-left' : ''}`}>
           <h2>Add New Skill</h2>
-          <p className="section-subtitle">Earn +2 credits for each skill you add!</p>
+          <p className="section-subtitle">Earn +2 credits for each new skill you add!</p>
         </div>
         
         <form onSubmit={handleAddSkill} className={`add-skill-form ${visibleSections.has('add-skill') ? 'fade-in-up delay-200' : ''}`}>
           <div className="form-grid">
-            <div className="form-group skill-input-group">
+            <div className={`form-group skill-input-group ${fieldErrors.skillName ? 'has-error' : ''}`}>
               <label htmlFor="skillName">
                 <span className="label-icon">💡</span>
                 Skill Name
               </label>
-              <input
-                type="text"
+              <SkillAutocomplete
                 id="skillName"
                 name="skillName"
                 value={newSkill.skillName}
-                onChange={handleChange}
+                onChange={(skillName) => {
+                  setNewSkill({ ...newSkill, skillName });
+                  if (error) setError('');
+                  if (fieldErrors.skillName) setFieldErrors({ ...fieldErrors, skillName: '' });
+                }}
                 placeholder="e.g., React, Guitar, Spanish"
                 disabled={loading}
-                required
                 className="skill-input"
               />
+              {fieldErrors.skillName && <span className="field-error">{fieldErrors.skillName}</span>}
             </div>
             
-            <div className="form-group">
+            <div className={`form-group ${fieldErrors.type ? 'has-error' : ''}`}>
               <label htmlFor="type">
                 <span className="label-icon">🎯</span>
                 Type
@@ -177,9 +193,10 @@ function SkillsPage() {
                 <option value="offering">🎓 I Can Teach</option>
                 <option value="seeking">📚 I Want to Learn</option>
               </select>
+              {fieldErrors.type && <span className="field-error">{fieldErrors.type}</span>}
             </div>
             
-            <div className="form-group">
+            <div className={`form-group ${fieldErrors.proficiency ? 'has-error' : ''}`}>
               <label htmlFor="proficiency">
                 <span className="label-icon">⭐</span>
                 Proficiency Level
@@ -198,6 +215,7 @@ function SkillsPage() {
                 <option value="4">⭐⭐⭐⭐ Advanced</option>
                 <option value="5">⭐⭐⭐⭐⭐ Expert</option>
               </select>
+              {fieldErrors.proficiency && <span className="field-error">{fieldErrors.proficiency}</span>}
             </div>
             
             <button 
@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { getProfile } from '../services/profileService';
+import { createBooking, createBookingSeries } from '../services/bookingService';
+import { startConversation } from '../services/messageService';
+import { getCurrentUser } from '../services/authService';
+import BookingModal from '../components/BookingModal';
+import { useScrollAnimation } from '../hooks/useScrollAnimation';
+import api from '../services/api';
+import './UserProfilePage.css';
+
+// Avatar URLs from the API are relative to the backend, not to the frontend
+const API_ORIGIN = api.defaults.baseURL.replace(/\/api$/, '');
+
+function UserProfilePage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const currentUser = getCurrentUser();
+  const visibleSections = useScrollAnimation();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [isBookingModalOpen, setIsBookingModalOpen] = useState(false);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [id]);
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await getProfile(id);
+      setProfile(data);
+    } catch (err) {
+      setError(err || 'Failed to fetch profile');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBookingSubmit = async (bookingData) => {
+    const data = bookingData.frequency
+      ? await createBookingSeries({ providerId: profile.id, ...bookingData })
+      : await createBooking({ providerId: profile.id, ...bookingData });
+
+    alert(bookingData.frequency ? `${data.message}!` : 'Booking request sent successfully!');
+    setIsBookingModalOpen(false);
+  };
+
+  const handleMessageClick = async () => {
+    try {
+      const conversation = await startConversation(profile.id);
+      navigate(`/messages/${conversation.id}`);
+    } catch (err) {
+      alert(err);
+    }
+  };
+
+  const getAvatarSrc = (avatarUrl) => {
+    if (!avatarUrl) return null;
+    return avatarUrl.startsWith('/') ? `${API_ORIGIN}${avatarUrl}` : avatarUrl;
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="user-profile-page">
+        <div className="loading-state fade-in">
+          <div className="spinner rotate"></div>
+          <p>Loading profile...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="user-profile-page">
+        <div className="error-message fade-in">{error || 'Profile not found'}</div>
+        <Link to="/search" className="btn btn-secondary">
+          ← Back to Search
+        </Link>
+      </div>
+    );
+  }
+
+  const isOwnProfile = currentUser?.id === profile.id;
+  const avatarSrc = getAvatarSrc(profile.avatarUrl);
+
+  return (
+    <div className="user-profile-page">
+      <Link to="/search" className="back-link">← Back to Search</Link>
+
+      <header className="user-profile-header" data-section="header">
+        <div className={`user-profile-identity ${visibleSections.has('header') ? 'fade-in-left' : ''}`}>
+          <div className="user-profile-avatar">
+            {avatarSrc ? (
+              <img src={avatarSrc} alt={profile.name} />
+            ) : (
+              <div className="avatar-placeholder-large">
+                {profile.name.charAt(0).toUpperCase()}
+              </div>
+            )}
+          </div>
+          <div>
+            <h1>{profile.name}</h1>
+            {profile.location.address && (
+              <p className="user-profile-location">📍 {profile.location.address}</p>
+            )}
+            {profile.memberSince && (
+              <p className="user-profile-since">Member since {formatDate(profile.memberSince)}</p>
+            )}
+          </div>
+        </div>
+
+        <div className={`reputation-badge-large ${visibleSections.has('header') ? 'scale-in delay-200' : ''}`}>
+          <span className="rep-level">{profile.reputation.level}</span>
+          <span className="rep-score">{profile.reputation.reputationScore}/100</span>
+        </div>
+      </header>
+
+      {profile.bio && (
+        <section className="user-profile-section">
+          <h2>About</h2>
+          <p className="user-profile-bio">{profile.bio}</p>
+        </section>
+      )}
+
+      <section className="user-profile-section" data-section="stats">
+        <h2>📊 Stats</h2>
+        <div className="user-profile-stats">
+          <div className="stat-item">
+            <span className="stat-value">{profile.reputation.stats.avgRating}⭐</span>
+            <span className="stat-label">Avg Rating</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-value">{profile.reputation.stats.totalReviews}</span>
+            <span className="stat-label">Reviews</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-value">{profile.reputation.stats.completedSessions}</span>
+            <span className="stat-label">Sessions Completed</span>
+          </div>
+        </div>
+      </section>
+
+      <section className="user-profile-section" data-section="skills">
+        <h2>🎯 Skills</h2>
+        <div className="user-profile-skills">
+          <div>
+            <h3>🎓 Can Teach</h3>
+            {profile.skills.offering.length === 0 ? (
+              <p className="placeholder">No skills listed</p>
+            ) : (
+              <div className="skills-list">
+                {profile.skills.offering.map(skill => (
+                  <span key={skill.id} className="skill-badge offering">
+                    {skill.name}
+                    <span className="skill-level-badge">L{skill.proficiency}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+          <div>
+            <h3>📚 Wants to Learn</h3>
+            {profile.skills.seeking.length === 0 ? (
+              <p className="placeholder">No skills listed</p>
+            ) : (
+              <div className="skills-list">
+                {profile.skills.seeking.map(skill => (
+                  <span key={skill.id} className="skill-badge seeking">
+                    {skill.name}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="user-profile-section" data-section="reviews">
+        <h2>⭐ Recent Reviews</h2>
+        {profile.recentReviews.length === 0 ? (
+          <p className="placeholder">No reviews yet</p>
+        ) : (
+          <div className="user-profile-reviews">
+            {profile.recentReviews.map(review => (
+              <div key={review.id} className="review-item">
+                <div className="review-item-header">
+                  <strong>{review.reviewerName}</strong>
+                  <span className="review-rating">{'⭐'.repeat(review.rating)}</span>
+                </div>
+                {review.comment && <p className="review-comment">{review.comment}</p>}
+                <span className="review-date">{formatDate(review.createdAt)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {!isOwnProfile && (
+        <div className="user-profile-actions">
+          <button
+            className="btn btn-primary btn-lg hover-scale"
+            onClick={() => setIsBookingModalOpen(true)}
+          >
+            📅 Book Session
+          </button>
+          <button
+            className="btn btn-secondary btn-lg hover-scale"
+            onClick={handleMessageClick}
+          >
+            💬 Message
+          </button>
+        </div>
+      )}
+
+      <BookingModal
+        isOpen={isBookingModalOpen}
+        onClose={() => setIsBookingModalOpen(false)}
+        onSubmit={handleBookingSubmit}
+        providerId={profile.id}
+        providerName={profile.name}
+      />
+    </div>
+  );
+}
+
+export default UserProfilePage;
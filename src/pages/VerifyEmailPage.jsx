@@ -0,0 +1,56 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { verifyEmail, isAuthenticated } from '../services/authService';
+import './AuthPages.css';
+
+function VerifyEmailPage() {
+  const { token } = useParams();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so don't send it twice (StrictMode runs effects twice)
+    if (requested.current) return;
+    requested.current = true;
+
+    verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch(err => {
+        setError(err || 'Failed to verify email');
+        setStatus('failed');
+      });
+  }, [token]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <h1>Email Verification</h1>
+
+        {status === 'verifying' && (
+          <p className="subtitle">Verifying your email address...</p>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <div className="success-message">✅ Your email address is verified. You can now book sessions and create projects.</div>
+            <Link to={isAuthenticated() ? '/dashboard' : '/login'} className="btn btn-primary btn-full">
+              {isAuthenticated() ? 'Go to Dashboard' : 'Go to Login'}
+            </Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <div className="error-message">{error}</div>
+            <p className="auth-footer">
+              You can request a new link from the banner at the top of the app after logging in.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmailPage;
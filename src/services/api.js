@@ -4,6 +4,37 @@ const api = axios.create({
   baseURL: 'http://localhost:5000/api',
 });
 
+// Auth endpoints answer 401 for bad credentials, so never try to refresh on them
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Shared by every request that fails while a refresh is already running
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    // Plain axios so the refresh call itself doesn't go through these interceptors
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+      .then(response => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Add token to every request
 api.interceptors.request.use(
   (config) => {
@@ -21,15 +52,51 @@ api.interceptors.request.use(
 // Handle response errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+  async (error) => {
+    const request = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !request ||
+      request._retried ||
+      AUTH_ENDPOINTS.includes(request.url)
+    ) {
+      return Promise.reject(error);
+    }
+
+    request._retried = true;
+
+    // Another tab may already have refreshed: retry with its token first
+    const sentToken = request.headers.Authorization?.replace('Bearer ', '');
+    const storedToken = localStorage.getItem('token');
+    if (storedToken && storedToken !== sentToken) {
+      return api(request);
+    }
+
+    if (!localStorage.getItem('refreshToken')) {
+      return Promise.reject(error);
+    }
+
+    try {
+      await refreshSession();
+      return api(request);
+    } catch (refreshError) {
+      // Session is over (expired, revoked or logged out elsewhere)
+      clearSession();
       window.location.href = '/login';
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
+// Thrown by form submissions. `fields` holds a message per invalid field when the
+// API rejected the request body ({ error, fields }), so forms can show them inline.
+export class ApiError extends Error {
+  constructor(error, fallback) {
+    super(error.response?.data?.error || fallback);
+    this.name = 'ApiError';
+    this.fields = error.response?.data?.fields || {};
+  }
+}
+
 export default api;
@@ -1,17 +1,22 @@
-import api from './api';
+import api, { ApiError } from './api';
+
+const storeSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+};
 
 export const register = async (userData) => {
   try {
     const response = await api.post('/auth/register', userData);
     
     if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
+      storeSession(response.data);
     }
     
     return response.data;
   } catch (error) {
-    throw error.response?.data?.error || 'Registration failed';
+    throw new ApiError(error, 'Registration failed');
   }
 };
 
@@ -20,8 +25,7 @@ export const login = async (credentials) => {
     const response = await api.post('/auth/login', credentials);
     
     if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
+      storeSession(response.data);
     }
     
     return response.data;
@@ -30,8 +34,16 @@ export const login = async (credentials) => {
   }
 };
 
-export const logout = () => {
+export const logout = async () => {
+  try {
+    // Revoke the session on the server so its tokens stop working
+    await api.post('/auth/logout');
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('user');
   window.location.href = '/';  // ✅ Redirects to homepage
 };
@@ -44,3 +56,80 @@ export const getCurrentUser = () => {
   const userStr = localStorage.getItem('user');
   return userStr ? JSON.parse(userStr) : null;
 };
+
+// Get my signed-in devices
+export const getSessions = async () => {
+  try {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch sessions';
+  }
+};
+
+// Sign out one device
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to revoke session';
+  }
+};
+
+// Sign out every device except this one
+export const revokeOtherSessions = async () => {
+  try {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to revoke sessions';
+  }
+};
+
+// Confirm my email address with the token from the verification email
+export const verifyEmail = async (token) => {
+  try {
+    const response = await api.post('/auth/verify-email', { token });
+
+    // Update the signed-in user if it's the same account
+    const user = getCurrentUser();
+    if (user && user.id === response.data.userId) {
+      localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: true }));
+    }
+
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to verify email';
+  }
+};
+
+// Send me a new verification email
+export const resendVerification = async () => {
+  try {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to send verification email';
+  }
+};
+
+// Email me a password reset link
+export const forgotPassword = async (email) => {
+  try {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to send reset link';
+  }
+};
+
+// Choose a new password with the token from the reset email
+export const resetPassword = async (token, password) => {
+  try {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to reset password';
+  }
+};
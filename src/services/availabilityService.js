@@ -0,0 +1,31 @@
+import api from './api';
+
+// Get my availability schedule
+export const getMyAvailability = async () => {
+  try {
+    const response = await api.get('/availability');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch availability';
+  }
+};
+
+// Publish my weekly availability and date exceptions
+export const updateAvailability = async (schedule) => {
+  try {
+    const response = await api.put('/availability', schedule);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to update availability';
+  }
+};
+
+// Get a provider's free slots ({ 'YYYY-MM-DD': ['HH:MM', ...] })
+export const getProviderSlots = async (providerId, params) => {
+  try {
+    const response = await api.get(`/users/${providerId}/slots`, { params });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch available slots';
+  }
+};
@@ -1,4 +1,4 @@
-import api from './api';
+import api, { ApiError } from './api';
 
 // Create booking
 export const createBooking = async (bookingData) => {
@@ -6,7 +6,7 @@ export const createBooking = async (bookingData) => {
     const response = await api.post('/bookings', bookingData);
     return response.data;
   } catch (error) {
-    throw error.response?.data?.error || 'Failed to create booking';
+    throw new ApiError(error, 'Failed to create booking');
   }
 };
 
@@ -20,10 +20,10 @@ export const getBookings = async () => {
   }
 };
 
-// Update booking status
-export const updateBookingStatus = async (bookingId, status) => {
+// Move a booking to its next status, optionally saying why
+export const updateBookingStatus = async (bookingId, status, reason = '') => {
   try {
-    const response = await api.patch(`/bookings/${bookingId}`, { status });
+    const response = await api.patch(`/bookings/${bookingId}`, { status, reason });
     return response.data;
   } catch (error) {
     throw error.response?.data?.error || 'Failed to update booking';
@@ -31,9 +31,9 @@ export const updateBookingStatus = async (bookingId, status) => {
 };
 
 // Cancel booking
-export const cancelBooking = async (bookingId) => {
+export const cancelBooking = async (bookingId, reason = '') => {
   try {
-    const response = await api.patch(`/bookings/${bookingId}`, { status: 'cancelled' });
+    const response = await api.patch(`/bookings/${bookingId}`, { status: 'cancelled', reason });
     return response.data;
   } catch (error) {
     throw error.response?.data?.error || 'Failed to cancel booking';
@@ -50,7 +50,7 @@ export const confirmBooking = async (bookingId) => {
   }
 };
 
-// Complete booking
+// Confirm the session took place; it completes once both people have confirmed
 export const completeBooking = async (bookingId) => {
   try {
     const response = await api.patch(`/bookings/${bookingId}`, { status: 'completed' });
@@ -59,3 +59,63 @@ export const completeBooking = async (bookingId) => {
     throw error.response?.data?.error || 'Failed to complete booking';
   }
 };
+
+// Request a recurring series of sessions
+export const createBookingSeries = async (seriesData) => {
+  try {
+    const response = await api.post('/booking-series', seriesData);
+    return response.data;
+  } catch (error) {
+    throw new ApiError(error, 'Failed to create booking series');
+  }
+};
+
+// Confirm, decline or cancel every session of a series that allows it
+export const updateBookingSeriesStatus = async (seriesId, status, reason = '') => {
+  try {
+    const response = await api.patch(`/booking-series/${seriesId}`, { status, reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to update booking series';
+  }
+};
+
+// Move one pending session request to a new date and time
+export const rescheduleBooking = async (bookingId, schedule) => {
+  try {
+    const response = await api.patch(`/bookings/${bookingId}/schedule`, schedule);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to move booking';
+  }
+};
+
+// Move a series' pending sessions, starting from a new date and time
+export const rescheduleBookingSeries = async (seriesId, schedule) => {
+  try {
+    const response = await api.patch(`/booking-series/${seriesId}/schedule`, schedule);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to move booking series';
+  }
+};
+
+// Propose a new time for a session, or counter the other person's proposal
+export const proposeBookingTime = async (bookingId, proposal) => {
+  try {
+    const response = await api.post(`/bookings/${bookingId}/proposal`, proposal);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to propose a new time';
+  }
+};
+
+// Accept or decline the other person's proposed time, or withdraw your own
+export const respondToProposal = async (bookingId, action, reason = '') => {
+  try {
+    const response = await api.patch(`/bookings/${bookingId}/proposal`, { action, reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to update the proposed time';
+  }
+};
@@ -0,0 +1,39 @@
+import api from './api';
+
+// Download a booking as an .ics file the user can open in their calendar app
+export const downloadBookingEvent = async (bookingId) => {
+  try {
+    const response = await api.get(`/bookings/${bookingId}/ics`, { responseType: 'blob' });
+
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `skillink-session-${bookingId}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to download calendar event';
+  }
+};
+
+// Get my private calendar feed URL
+export const getCalendarFeed = async () => {
+  try {
+    const response = await api.get('/calendar/feed');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch calendar feed';
+  }
+};
+
+// Replace my calendar feed URL (the old one stops working)
+export const resetCalendarFeed = async () => {
+  try {
+    const response = await api.post('/calendar/feed/reset');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to reset calendar feed';
+  }
+};
@@ -10,23 +10,23 @@ export const getCredits = async () => {
   }
 };
 
-// Award credits for action
-export const awardCredits = async (action, relatedId = null) => {
+// Redeem credits
+export const redeemCredits = async (amount, reason) => {
   try {
-    const response = await api.post('/credits/award', { action, relatedId });
+    const response = await api.post('/credits/redeem', { amount, reason });
     return response.data;
   } catch (error) {
-    throw error.response?.data?.error || 'Failed to award credits';
+    throw error.response?.data?.error || 'Failed to redeem credits';
   }
 };
 
-// Redeem credits
-export const redeemCredits = async (amount, reason) => {
+// Get booking escrow pricing and refund policy
+export const getEscrowPolicy = async () => {
   try {
-    const response = await api.post('/credits/redeem', { amount, reason });
+    const response = await api.get('/credits/escrow-policy');
     return response.data;
   } catch (error) {
-    throw error.response?.data?.error || 'Failed to redeem credits';
+    throw error.response?.data?.error || 'Failed to fetch escrow policy';
   }
 };
 
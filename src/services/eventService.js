@@ -0,0 +1,85 @@
+import api from './api';
+
+// One Server-Sent Events connection per tab, shared by every subscriber. It
+// opens with the first subscription and closes when the last one goes away.
+// EventSource can't send our Authorization header, so each connection starts
+// by exchanging the access token for a single-use stream ticket.
+const RECONNECT_DELAY = 5000;
+
+const handlers = new Map();
+let source = null;
+let connecting = false;
+let reconnectTimer = null;
+// Set once the current connection has opened, so a reopened stream counts as a reconnect
+let hasConnected = false;
+
+const hasSubscribers = () => handlers.size > 0;
+
+const dispatch = (type, data) => {
+  handlers.get(type)?.forEach(handler => handler(data));
+};
+
+const scheduleReconnect = () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+};
+
+const connect = async () => {
+  if (source || connecting || !hasSubscribers() || !localStorage.getItem('token')) return;
+
+  connecting = true;
+  try {
+    const response = await api.post('/events/ticket');
+    if (!hasSubscribers()) return;
+
+    source = new EventSource(
+      `${api.defaults.baseURL}/events?ticket=${encodeURIComponent(response.data.ticket)}`
+    );
+
+    source.onmessage = (event) => {
+      const { type, data } = JSON.parse(event.data);
+      if (type === 'connected') {
+        if (hasConnected) dispatch('reconnected', data);
+        hasConnected = true;
+        return;
+      }
+      dispatch(type, data);
+    };
+
+    // The ticket is spent, so the browser's own retry would be refused: start over
+    source.onerror = () => {
+      source.close();
+      source = null;
+      scheduleReconnect();
+    };
+  } catch (error) {
+    console.error('Event stream error:', error);
+    scheduleReconnect();
+  } finally {
+    connecting = false;
+  }
+};
+
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  source?.close();
+  source = null;
+  hasConnected = false;
+};
+
+// Call `handler(data)` for each event of `type` pushed by the server. Besides
+// the server's events there is "reconnected", sent when the stream comes back
+// after dropping: events missed meanwhile are not replayed, so reload data then.
+// Returns a function that unsubscribes.
+export const subscribe = (type, handler) => {
+  if (!handlers.has(type)) handlers.set(type, new Set());
+  handlers.get(type).add(handler);
+  connect();
+
+  return () => {
+    const typeHandlers = handlers.get(type);
+    typeHandlers?.delete(handler);
+    if (typeHandlers?.size === 0) handlers.delete(type);
+    if (!hasSubscribers()) disconnect();
+  };
+};
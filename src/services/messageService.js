@@ -0,0 +1,91 @@
+import api from './api';
+
+// Get my conversations, most recent first
+export const getConversations = async () => {
+  try {
+    const response = await api.get('/conversations');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch conversations';
+  }
+};
+
+// Total unread messages across all conversations
+export const getUnreadCount = async () => {
+  try {
+    const response = await api.get('/conversations/unread-count');
+    return response.data.unreadCount;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch unread messages';
+  }
+};
+
+// Open (or reuse) a conversation with another user
+export const startConversation = async (userId, message) => {
+  try {
+    const response = await api.post('/conversations', { userId, message });
+    return response.data.conversation;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to start conversation';
+  }
+};
+
+// Get one conversation
+export const getConversation = async (conversationId) => {
+  try {
+    const response = await api.get(`/conversations/${conversationId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch conversation';
+  }
+};
+
+// Get messages, oldest first. Pass the oldest loaded message id as `before` for earlier ones.
+export const getMessages = async (conversationId, before) => {
+  try {
+    const response = await api.get(`/conversations/${conversationId}/messages`, { params: { before } });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch messages';
+  }
+};
+
+// Send a message
+export const sendMessage = async (conversationId, body) => {
+  try {
+    const response = await api.post(`/conversations/${conversationId}/messages`, { body });
+    return response.data.message;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to send message';
+  }
+};
+
+// Mark a conversation as read
+export const markConversationRead = async (conversationId) => {
+  try {
+    const response = await api.post(`/conversations/${conversationId}/read`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to mark conversation as read';
+  }
+};
+
+// Block the other person in a conversation
+export const blockConversation = async (conversationId) => {
+  try {
+    const response = await api.post(`/conversations/${conversationId}/block`);
+    return response.data.conversation;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to block user';
+  }
+};
+
+// Unblock the other person in a conversation
+export const unblockConversation = async (conversationId) => {
+  try {
+    const response = await api.delete(`/conversations/${conversationId}/block`);
+    return response.data.conversation;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to unblock user';
+  }
+};
@@ -0,0 +1,51 @@
+import api from './api';
+
+// Get my notifications, newest first. Pass the oldest loaded id as `before` for more.
+export const getNotifications = async ({ unread, before, limit } = {}) => {
+  try {
+    const response = await api.get('/notifications', { params: { unread, before, limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch notifications';
+  }
+};
+
+// Mark one notification as read (or unread again)
+export const markNotificationRead = async (notificationId, read = true) => {
+  try {
+    const response = await api.patch(`/notifications/${notificationId}`, { read });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to update notification';
+  }
+};
+
+// Mark all my notifications as read
+export const markAllNotificationsRead = async () => {
+  try {
+    const response = await api.patch('/notifications');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to update notifications';
+  }
+};
+
+// Get my in-app and email settings for each notification type
+export const getNotificationPreferences = async () => {
+  try {
+    const response = await api.get('/notifications/preferences');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch notification preferences';
+  }
+};
+
+// Change settings for some types, e.g. { review_received: { email: true } }
+export const updateNotificationPreferences = async (preferences) => {
+  try {
+    const response = await api.put('/notifications/preferences', { preferences });
+    return response.data.preferences;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to save notification preferences';
+  }
+};
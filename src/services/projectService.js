@@ -1,32 +1,152 @@
-import api from './api';
+import api, { ApiError } from './api';
 
-// Get all projects
-export const getProjects = async () => {
+// Get projects. Without a status only current ones (draft, recruiting, active) are returned
+export const getProjects = async (status) => {
   try {
-    const response = await api.get('/projects');
+    const response = await api.get('/projects', { params: { status } });
     return response.data;
   } catch (error) {
     throw error.response?.data?.error || 'Failed to fetch projects';
   }
 };
 
+// Open projects that need the current user's skills, best match first
+export const getRecommendedProjects = async (limit = 10) => {
+  try {
+    const response = await api.get('/projects/recommended', { params: { limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch recommended projects';
+  }
+};
+
+// People whose skills fit a project (owner and maintainers only)
+export const getProjectMatches = async (projectId, limit = 10) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/matches`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch suggested members';
+  }
+};
+
 // Create project
 export const createProject = async (projectData) => {
   try {
     const response = await api.post('/projects', projectData);
     return response.data;
   } catch (error) {
-    throw error.response?.data?.error || 'Failed to create project';
+    throw new ApiError(error, 'Failed to create project');
+  }
+};
+
+// Edit a project's details
+export const updateProject = async (projectId, projectData) => {
+  try {
+    const response = await api.put(`/projects/${projectId}`, projectData);
+    return response.data;
+  } catch (error) {
+    throw new ApiError(error, 'Failed to update project');
+  }
+};
+
+// Move a project to another stage of its lifecycle (owner only)
+export const changeProjectStatus = async (projectId, status, note = '') => {
+  try {
+    const response = await api.patch(`/projects/${projectId}/status`, { status, note });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to change project status';
+  }
+};
+
+// Delete a project (owner only)
+export const deleteProject = async (projectId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to delete project';
+  }
+};
+
+// Ask to join a project (the owner or a maintainer approves the request)
+export const joinProject = async (projectId, message = '') => {
+  try {
+    const response = await api.post(`/projects/${projectId}/join`, { message });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to send join request';
+  }
+};
+
+// Withdraw a pending join request
+export const withdrawJoinRequest = async (projectId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/join`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to withdraw join request';
+  }
+};
+
+// Get pending join requests (owner and maintainers only)
+export const getJoinRequests = async (projectId) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/requests`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch join requests';
+  }
+};
+
+// Approve or reject a join request
+export const respondToJoinRequest = async (projectId, requestId, status) => {
+  try {
+    const response = await api.patch(`/projects/${projectId}/requests/${requestId}`, { status });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to answer join request';
+  }
+};
+
+// Leave a project
+export const leaveProject = async (projectId) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/leave`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to leave project';
+  }
+};
+
+// Remove a member from a project
+export const removeMember = async (projectId, userId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/members/${userId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to remove member';
+  }
+};
+
+// Change a member's role (owner only)
+export const updateMemberRole = async (projectId, userId, role) => {
+  try {
+    const response = await api.patch(`/projects/${projectId}/members/${userId}`, { role });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to change role';
   }
 };
 
-// Join project
-export const joinProject = async (projectId) => {
+// Hand the project over to another member (owner only)
+export const transferOwnership = async (projectId, userId) => {
   try {
-    const response = await api.post(`/projects/${projectId}/join`);
+    const response = await api.post(`/projects/${projectId}/transfer`, { userId });
     return response.data;
   } catch (error) {
-    throw error.response?.data?.error || 'Failed to join project';
+    throw error.response?.data?.error || 'Failed to transfer ownership';
   }
 };
 
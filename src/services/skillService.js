@@ -1,4 +1,4 @@
-import api from './api';
+import api, { ApiError } from './api';
 
 // Get user skills
 export const getSkills = async () => {
@@ -16,7 +16,7 @@ export const addSkill = async (skillData) => {
     const response = await api.post('/skills', skillData);
     return response.data;
   } catch (error) {
-    throw error.response?.data?.error || 'Failed to add skill';
+    throw new ApiError(error, 'Failed to add skill');
   }
 };
 
@@ -0,0 +1,41 @@
+import api, { ApiError } from './api';
+
+// Get a project's tasks (members only)
+export const getTasks = async (projectId) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/tasks`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch tasks';
+  }
+};
+
+// Add a task to a project's board
+export const createTask = async (projectId, taskData) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/tasks`, taskData);
+    return response.data;
+  } catch (error) {
+    throw new ApiError(error, 'Failed to create task');
+  }
+};
+
+// Update a task; only the fields passed change, null clears one
+export const updateTask = async (projectId, taskId, changes) => {
+  try {
+    const response = await api.patch(`/projects/${projectId}/tasks/${taskId}`, changes);
+    return response.data;
+  } catch (error) {
+    throw new ApiError(error, 'Failed to update task');
+  }
+};
+
+// Delete a task
+export const deleteTask = async (projectId, taskId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/tasks/${taskId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to delete task';
+  }
+};
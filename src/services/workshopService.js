@@ -0,0 +1,52 @@
+import api, { ApiError } from './api';
+
+// Upcoming workshops, soonest first. `skill` narrows them down like the user
+// search; `mine` lists every workshop the user hosts or signed up for instead.
+export const getWorkshops = async ({ skill, mine } = {}) => {
+  try {
+    const response = await api.get('/workshops', { params: { skill: skill || undefined, mine } });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to fetch workshops';
+  }
+};
+
+// Host a workshop
+export const createWorkshop = async (workshopData) => {
+  try {
+    const response = await api.post('/workshops', workshopData);
+    return response.data;
+  } catch (error) {
+    throw new ApiError(error, 'Failed to create workshop');
+  }
+};
+
+// Cancel a workshop before it starts, or mark it completed (host only)
+export const updateWorkshopStatus = async (workshopId, status, reason = '') => {
+  try {
+    const response = await api.patch(`/workshops/${workshopId}`, { status, reason });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to update workshop';
+  }
+};
+
+// Take a seat, or a place on the waitlist when the workshop is full
+export const enrolInWorkshop = async (workshopId) => {
+  try {
+    const response = await api.post(`/workshops/${workshopId}/enrolment`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to sign up for workshop';
+  }
+};
+
+// Give up a seat or a waitlist place
+export const leaveWorkshop = async (workshopId) => {
+  try {
+    const response = await api.delete(`/workshops/${workshopId}/enrolment`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data?.error || 'Failed to leave workshop';
+  }
+};
@@ -0,0 +1,23 @@
+// Split a failed submission into messages shown next to the form's own fields
+// and a message for the top of the form. The top message is left empty when
+// every problem can be shown next to its field.
+export const getFormErrors = (err, fieldNames) => {
+  const apiFields = err?.fields || {};
+  const fields = {};
+  let shownInline = 0;
+
+  // Errors inside lists and objects ("skills[2]") are shown on the list's field
+  Object.entries(apiFields).forEach(([path, message]) => {
+    const name = path.split(/[.[]/)[0];
+    if (!fieldNames.includes(name)) return;
+    fields[name] = fields[name] || message;
+    shownInline += 1;
+  });
+
+  const allInline = shownInline > 0 && shownInline === Object.keys(apiFields).length;
+
+  return {
+    fields,
+    message: allInline ? '' : (typeof err === 'string' ? err : err?.message)
+  };
+};
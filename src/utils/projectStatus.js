@@ -0,0 +1,8 @@
+// Display details for each stage of a project's lifecycle
+export const STATUS_META = {
+  draft: { icon: '📝', label: 'Draft' },
+  recruiting: { icon: '📣', label: 'Recruiting' },
+  active: { icon: '🟢', label: 'Active' },
+  completed: { icon: '✅', label: 'Completed' },
+  archived: { icon: '🗄️', label: 'Archived' }
+};
@@ -0,0 +1,26 @@
+import { getCurrentUser } from '../services/authService';
+
+export const getBrowserTimeZone = () => (
+  Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+);
+
+// Zone times are shown in: the user's profile zone, else the browser's
+export const getViewerTimeZone = () => (
+  getCurrentUser()?.timeZone || getBrowserTimeZone()
+);
+
+// IANA zones for pickers (older browsers only get the browser's own zone)
+export const getTimeZoneOptions = (selected) => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [getBrowserTimeZone()];
+
+  return [...new Set(['UTC', ...zones, selected].filter(Boolean))].sort();
+};
+
+// Short zone name at an instant, e.g. "EDT" or "GMT+5:30"
+export const getTimeZoneAbbreviation = (instant, timeZone) => (
+  new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(instant))
+    .find(part => part.type === 'timeZoneName')?.value || timeZone
+);